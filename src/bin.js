@@ -1,29 +1,133 @@
 #!/usr/bin/env node
-const {
-  getConfiguration,
-  ensureOutput,
-  copyFiles,
-  transformOutput,
-  updatePackageJSON,
-  addPackageJSON,
-  addErrorHandler,
-} = require('.');
+const { getConfiguration, run, addErrorHandler } = require('.');
+const { parseArguments, getUsage, getVersion } = require('./cli');
+const { watchInput } = require('./watch');
+const { previewOutput, logPreview } = require('./preview');
+const { initConfiguration } = require('./init');
+const { diagnoseProject, logDoctorReport } = require('./doctor');
+const { log, setLogOutput } = require('./utils');
+
+/**
+ * Analyzes the project and prints the report, as text or JSON. If the report has
+ * errors, the process will exit with an error code.
+ *
+ * @param {CJS2ESMOptions} config  The configuration of the tool.
+ * @param {boolean}        json    Whether or not to print the report as JSON.
+ * @ignore
+ */
+const diagnose = async (config, json) => {
+  const report = await diagnoseProject(config);
+  if (json) {
+    const spaces = 2;
+    // eslint-disable-next-line no-console
+    console.log(JSON.stringify(report, null, spaces));
+  } else {
+    logDoctorReport(report);
+  }
+
+  if (report.summary.errors) {
+    process.exitCode = 1;
+  }
+};
 
 (async () => {
   addErrorHandler();
-  const config = await getConfiguration();
-  await ensureOutput(config.output);
-  const files = await copyFiles(
-    config.input,
-    config.output,
-    config.extension.use,
-    config.forceDirectory,
-  );
-  await transformOutput(files, config);
-  if (config.addModuleEntry) {
-    await updatePackageJSON(files);
-  }
-  if (config.addPackageJson) {
-    await addPackageJSON(config.output);
+  let args;
+  try {
+    const [, , ...argv] = process.argv;
+    args = parseArguments(argv);
+  } catch (error) {
+    log('red', error.message);
+    log('gray', `Use \`--help\` to see the list of available options`);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (args.help) {
+    // eslint-disable-next-line no-console
+    console.log(getUsage());
+    return;
+  }
+
+  if (args.version) {
+    // eslint-disable-next-line no-console
+    console.log(getVersion());
+    return;
+  }
+
+  if (args.command === 'init') {
+    try {
+      await initConfiguration({ inPackageJson: args.inPackageJson, force: args.force });
+    } catch (error) {
+      // The project can't be initialized, so the stack trace wouldn't help.
+      if (!error.errors) {
+        throw error;
+      }
+
+      log('red', error.message);
+      process.exitCode = 1;
+    }
+
+    return;
+  }
+
+  const json = args.command === 'doctor' && args.json;
+  if (json) {
+    // The report is the only thing printed on the stdout, so it can be parsed.
+    setLogOutput('stderr');
+  }
+
+  let config;
+  try {
+    config = await getConfiguration(args.options, args.config, args.targets);
+  } catch (error) {
+    // The configuration is invalid, so the stack trace wouldn't help.
+    if (!error.errors) {
+      throw error;
+    }
+
+    log('red', error.message);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (args.command === 'doctor') {
+    await diagnose(config, json);
+    return;
+  }
+
+  const targets = config.targets && config.targets.length ? config.targets : [config];
+  if (args.dryRun) {
+    const previews = await targets.reduce(async (acc, target) => {
+      const results = await acc;
+      if (target.name) {
+        log('yellow', `Target \`${target.name}\``);
+      }
+
+      const preview = await previewOutput(target);
+      return [...results, logPreview(preview)];
+    }, Promise.resolve([]));
+    if (previews.includes(false)) {
+      process.exitCode = 1;
+    }
+
+    return;
+  }
+
+  try {
+    await run(config);
+  } catch (error) {
+    // The errors of the files were already logged.
+    if (!error.files) {
+      throw error;
+    }
+
+    // On watch mode, the files can be fixed and they'll be transformed again.
+    log('red', error.message);
+    process.exitCode = 1;
+  }
+
+  if (args.watch) {
+    targets.forEach((target) => watchInput(target));
   }
 })();
@@ -0,0 +1,177 @@
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const pkgJson = require('../package.json');
+const { findFileSync, getAbsPathInfoSync } = require('./utils');
+const { resolvePackageSpecifier } = require('./packages');
+
+/**
+ * @typedef {Object} CacheImportState
+ * @property {string}       specifier  The path as it is on the import/require statement.
+ * @property {?AbsPathInfo} info       The information of the resolved path.
+ * @property {?string}      entry      If the path is for a directory, this will be its
+ *                                     `package.json` or `index` file.
+ * @property {?PackageSpecifierResolution} resolution
+ * If the path is a bare specifier, how it was resolved with the `exports` of its
+ * package, from the directory of the file.
+ * @ignore
+ */
+
+/**
+ * The list of expressions used to find the paths a file imports. They don't need to be
+ * perfect, as the results are only used to detect changes on the resolution of the
+ * imports.
+ *
+ * @type {RegExp[]}
+ * @ignore
+ */
+const IMPORT_EXPRESSIONS = [
+  /\brequire\s*\(\s*(['"])(.*?)\1\s*\)/g,
+  /\bimport\s*\(\s*(['"])(.*?)\1\s*\)/g,
+  /\bfrom\s+(['"])(.*?)\1/g,
+  /\bimport\s+(['"])(.*?)\1/g,
+];
+/**
+ * Finds all the paths a piece of code imports or requires.
+ *
+ * @param {string} source  The code to analyze.
+ * @returns {string[]}
+ * @ignore
+ */
+const findImports = (source) =>
+  IMPORT_EXPRESSIONS.reduce((acc, expression) => {
+    const regex = new RegExp(expression.source, expression.flags);
+    let match = regex.exec(source);
+    while (match) {
+      const [, , specifier] = match;
+      if (!acc.includes(specifier)) {
+        acc.push(specifier);
+      }
+
+      match = regex.exec(source);
+    }
+
+    return acc;
+  }, []);
+/**
+ * Resolves an import path the same way the transformer does, so the result can be used
+ * to validate if it changed between runs. The bare specifiers are also resolved with
+ * the `exports` of their packages, as they can change the path on the output.
+ *
+ * @param {string} specifier  The path as it is on the import/require statement.
+ * @param {string} base       The directory of the file that imports the path.
+ * @returns {CacheImportState}
+ * @ignore
+ */
+const getImportState = (specifier, base) => {
+  const absPath = specifier.startsWith('.')
+    ? path.join(base, specifier)
+    : path.resolve('node_modules', specifier);
+  const info = getAbsPathInfoSync(absPath);
+  const entry =
+    info && !info.isFile
+      ? findFileSync(
+          ['package.json', 'index.mjs', 'index.js', 'index.mts', 'index.ts', 'index.tsx'],
+          info.path,
+        )
+      : null;
+
+  const resolution = specifier.startsWith('.')
+    ? null
+    : resolvePackageSpecifier(specifier, base);
+
+  return { specifier, info, entry, resolution };
+};
+/**
+ * Gets the last time each one of the custom transformations was modified, so changing
+ * them invalidates the cache.
+ *
+ * @param {?CJS2ESMTransformsOptions} transforms  The custom transformations.
+ * @returns {Array<?number>}
+ * @ignore
+ */
+const getTransformsState = (transforms) =>
+  transforms
+    ? [...transforms.before, ...transforms.after].map((transform) => {
+        try {
+          const stats = fs.statSync(transform);
+          return stats ? stats.mtimeMs : null;
+        } catch (ignore) {
+          return null;
+        }
+      })
+    : [];
+/**
+ * Generates the key for a file on the cache. The key is a hash of the version of the
+ * tool, its options, the contents of the file, and the resolution state of everything
+ * the file imports; this last part is needed because the transformer adds the
+ * extensions based on what exists on the file system. If there are custom
+ * transformations, the last time they were modified is also part of the key.
+ *
+ * @param {string}         source    The code of the file, before the transformation.
+ * @param {string}         filepath  The path where the file will be transformed.
+ * @param {CJS2ESMOptions} options   The options of the tool.
+ * @returns {string}
+ */
+const getCacheKey = (source, filepath, options) => {
+  const base = path.dirname(filepath);
+  const imports = findImports(source).map((specifier) => getImportState(specifier, base));
+
+  return crypto
+    .createHash('sha1')
+    .update(
+      JSON.stringify({
+        version: pkgJson.version,
+        options,
+        transforms: getTransformsState(options.transforms),
+        filepath,
+        imports,
+        source,
+      }),
+    )
+    .digest('hex');
+};
+/**
+ * Generates the path for an entry of the cache.
+ *
+ * @param {string} directory  The directory where the cache is stored.
+ * @param {string} key        The key of the entry.
+ * @param {string} extension  The extension of the entry.
+ * @returns {string}
+ * @ignore
+ */
+const getCachePath = (directory, key, extension) =>
+  path.join(directory, `${key}.${extension}`);
+/**
+ * Reads the transformed code of a file from the cache.
+ *
+ * @param {string} directory         The directory where the cache is stored.
+ * @param {string} key               The key generated with `getCacheKey`.
+ * @param {string} [extension='js']  The extension of the entry, in case there's more
+ *                                   than one for the same key, like a source map.
+ * @returns {Promise<?string>} If the entry doesn't exist, the promise will resolve with
+ *                             `null`.
+ */
+const readCache = async (directory, key, extension = 'js') => {
+  const filepath = getCachePath(directory, key, extension);
+  const exists = await fs.pathExists(filepath);
+  return exists ? fs.readFile(filepath, 'utf-8') : null;
+};
+/**
+ * Saves the transformed code of a file on the cache.
+ *
+ * @param {string} directory         The directory where the cache is stored.
+ * @param {string} key               The key generated with `getCacheKey`.
+ * @param {string} code              The transformed code.
+ * @param {string} [extension='js']  The extension of the entry, in case there's more
+ *                                   than one for the same key, like a source map.
+ * @returns {Promise}
+ */
+const writeCache = async (directory, key, code, extension = 'js') => {
+  await fs.ensureDir(directory);
+  await fs.writeFile(getCachePath(directory, key, extension), code);
+};
+
+module.exports.getCacheKey = getCacheKey;
+module.exports.readCache = readCache;
+module.exports.writeCache = writeCache;
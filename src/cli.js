@@ -0,0 +1,597 @@
+const pkgJson = require('../package.json');
+
+/**
+ * @typedef {Object} CLIOptionFlag
+ * @property {string}    name         The path of the property inside the options object,
+ *                                    with dots for the nested ones, like `extension.use`.
+ * @property {string}    type         How the flag value should be parsed: `boolean`,
+ *                                    `string` or `list`.
+ * @property {string}    description  The description of the option, for the usage
+ *                                    message.
+ * @property {string[]}  [choices]    The list of valid values, if the option only
+ *                                    accepts some.
+ * @ignore
+ */
+
+/**
+ * @typedef {Object} CLIFlagDefinition
+ * @property {string}    flag         The name of the flag, without the dashes.
+ * @property {string[]}  property     The path of the property the flag modifies inside
+ *                                    the options object.
+ * @property {string}    kind         How the flag value should be parsed: `boolean`,
+ *                                    `string` or `list`.
+ * @property {?string[]} choices      If the type of the property is a union of strings,
+ *                                    this will be the list of valid values.
+ * @property {string}    description  The description of the option.
+ * @ignore
+ */
+
+/**
+ * @typedef {Object} CLIArguments
+ * @property {?string}                 command     The command to execute, like `init`,
+ *                                                 or `null` to transform the project.
+ * @property {Partial<CJS2ESMOptions>} options     The options that were set with flags.
+ * @property {?string}                 config      The path to a configuration file the
+ *                                                 user specified with `--config`.
+ * @property {string[]}                targets     The names of the targets the user
+ *                                                 selected with `--target`.
+ * @property {boolean}                 help        Whether or not `--help` was used.
+ * @property {boolean}                 version     Whether or not `--version` was used.
+ * @property {boolean}                 watch       Whether or not `--watch` was used.
+ * @property {boolean}                 dryRun      Whether or not `--dry-run` was used.
+ * @property {boolean}                 inPackageJson
+ * Whether or not `--in-package-json` was used.
+ * @property {boolean}                 force       Whether or not `--force` was used.
+ * @property {boolean}                 json        Whether or not `--json` was used.
+ * @property {string[]}                positionals The arguments that weren't flags.
+ */
+
+/**
+ * The commands the CLI supports, besides transforming the project. The keys are the
+ * names and the values their descriptions.
+ *
+ * @type {Object.<string, string>}
+ * @ignore
+ */
+const COMMANDS = {
+  init:
+    'Inspect the project and create a configuration for it: `input`, `output`, ' +
+    '`filesWithShebang`, `modules` and `addModuleEntry`.',
+  doctor:
+    "Analyze the input files, without modifying them, and report everything that won't " +
+    'be converted cleanly.',
+};
+/**
+ * The flags for the options of the tool. The names of the flags are generated from the
+ * names of the options, in kebab-case.
+ *
+ * @type {CLIOptionFlag[]}
+ * @ignore
+ */
+const OPTION_FLAGS = [
+  {
+    name: 'input',
+    type: 'list',
+    description: 'A directory that should be transformed.',
+  },
+  {
+    name: 'output',
+    type: 'string',
+    description: 'The directory where the transformed code should be placed.',
+  },
+  {
+    name: 'forceDirectory',
+    type: 'boolean',
+    description:
+      'Keep the input directory as part of the output paths, even if there is only one.',
+  },
+  {
+    name: 'extension.use',
+    type: 'string',
+    choices: ['js', 'mjs'],
+    description: 'The extension the transformed files should use.',
+  },
+  {
+    name: 'extension.ignore',
+    type: 'list',
+    description:
+      'An expression for the import paths that should be ignored when adding the ' +
+      'extensions.',
+  },
+  {
+    name: 'extension.sources',
+    type: 'list',
+    description:
+      'The extension, without the dot, of the files that should be transformed: `js`, ' +
+      '`cjs`, `ts`, `cts`, `mts` or `tsx`.',
+  },
+  {
+    name: 'files.include',
+    type: 'list',
+    description:
+      'A glob pattern for the files that should be transformed, relative to the input ' +
+      'directories.',
+  },
+  {
+    name: 'files.exclude',
+    type: 'list',
+    description: 'A glob pattern for the files that should be ignored.',
+  },
+  {
+    name: 'files.copy',
+    type: 'list',
+    description:
+      'A glob pattern for the files that should be copied without being transformed.',
+  },
+  {
+    name: 'files.ignoreFiles',
+    type: 'list',
+    description:
+      'An ignore file, like `.gitignore`, with patterns for the files that should be ' +
+      'ignored.',
+  },
+  {
+    name: 'assets.include',
+    type: 'list',
+    description:
+      'A glob pattern for the files, other than the source files, that should be copied ' +
+      'to the output directory.',
+  },
+  {
+    name: 'assets.exclude',
+    type: 'list',
+    description: "A glob pattern for the assets that shouldn't be copied.",
+  },
+  {
+    name: 'transforms.before',
+    type: 'list',
+    description:
+      'A path, or package, of a `jscodeshift` transformation that should run before ' +
+      'the built-in ones.',
+  },
+  {
+    name: 'transforms.after',
+    type: 'list',
+    description:
+      'A path, or package, of a `jscodeshift` transformation that should run after the ' +
+      'built-in ones.',
+  },
+  {
+    name: 'transforms.disable',
+    type: 'list',
+    description:
+      "A built-in transformation that shouldn't run: `cjs`, `exports`, " +
+      '`named-export-generation` or `transformer`.',
+  },
+  {
+    name: 'addModuleEntry',
+    type: 'boolean',
+    description:
+      'Add a `module` property to the project `package.json`, pointing to the ' +
+      'transformed `main` file.',
+  },
+  {
+    name: 'addPackageJson',
+    type: 'boolean',
+    description:
+      'Add a `package.json` with `type` set to `module` on the output directory.',
+  },
+  {
+    name: 'filesWithShebang',
+    type: 'list',
+    description: 'An expression for the paths of the files that have a shebang.',
+  },
+  {
+    name: 'cache',
+    type: 'boolean',
+    description:
+      "Save the transformed files on a cache, so the ones that didn't change " +
+      "won't be transformed again.",
+  },
+  {
+    name: 'cacheDirectory',
+    type: 'string',
+    description: 'The directory where the cache should be saved.',
+  },
+  {
+    name: 'sourceMaps',
+    type: 'string',
+    choices: ['none', 'file', 'inline'],
+    description:
+      'Generate source maps from the transformed files to the original ones: as `.map` ' +
+      'files, or inline.',
+  },
+  {
+    name: 'nodeVersion',
+    type: 'string',
+    description:
+      'The version of Node the transformed code should run on, like `14` or `18.20`.',
+  },
+  {
+    name: 'jsonImports',
+    type: 'string',
+    choices: ['auto', 'with', 'assert', 'createRequire', 'inline'],
+    description: 'How the imports of JSON files should be handled.',
+  },
+  {
+    name: 'nestedRequires',
+    type: 'string',
+    choices: ['createRequire', 'import'],
+    description:
+      'How the `require` calls that are not on the top level should be handled.',
+  },
+  {
+    name: 'continueOnError',
+    type: 'boolean',
+    description:
+      "Keep going when a file can't be transformed, and use the `errorFallback` " +
+      'strategy for it.',
+  },
+  {
+    name: 'errorFallback',
+    type: 'string',
+    choices: ['copy', 'cjs'],
+    description:
+      "What to do with the files that can't be transformed: copy them without changes, " +
+      'or rename them as `.cjs`.',
+  },
+  {
+    name: 'errorReport',
+    type: 'string',
+    description:
+      "A path to write a report of the files that couldn't be transformed, as JSON or " +
+      'markdown (`.md`).',
+  },
+];
+/**
+ * A dictionary of alternative names for flags. The keys are the aliases and the values
+ * the flags they point to.
+ *
+ * @type {Object.<string, string>}
+ * @ignore
+ */
+const FLAG_ALIASES = {
+  extension: 'extension-use',
+  'package-json': 'add-package-json',
+};
+/**
+ * The flags that are not related to the tool options.
+ *
+ * @type {Object.<string, string>}
+ * @ignore
+ */
+const EXTRA_FLAGS = {
+  config: 'Use a specific configuration file instead of looking for one on the project.',
+  target:
+    'Only build the target with this name, from the ones on the configuration ' +
+    '(can be used multiple times).',
+  watch:
+    'After transforming the files, keep watching the input directories and ' +
+    'transform only the files that change.',
+  'dry-run':
+    "Print a diff of what the output files would look like, but don't write anything " +
+    'on the disk.',
+  'in-package-json':
+    'With `init`, save the configuration on the `package.json` instead of a ' +
+    '`.cjs2esm.json` file.',
+  force: 'With `init`, replace the configuration if the project already has one.',
+  json: 'With `doctor`, print the report as JSON.',
+  help: 'Show this message.',
+  version: 'Show the version of the tool.',
+};
+/**
+ * The extra flags that don't receive a value. The keys are the flags and the values the
+ * properties they set on the parsed arguments.
+ *
+ * @type {Object.<string, string>}
+ * @ignore
+ */
+const EXTRA_BOOLEAN_FLAGS = {
+  help: 'help',
+  version: 'version',
+  watch: 'watch',
+  'dry-run': 'dryRun',
+  'in-package-json': 'inPackageJson',
+  force: 'force',
+  json: 'json',
+};
+/**
+ * Short versions of the extra flags.
+ *
+ * @type {Object.<string, string>}
+ * @ignore
+ */
+const SHORT_FLAGS = {
+  h: 'help',
+  v: 'version',
+};
+/**
+ * The max width, in characters, the usage message can have.
+ *
+ * @type {number}
+ * @ignore
+ */
+const USAGE_WIDTH = 80;
+/**
+ * Converts a camelCase string into kebab-case, so the names of the properties can be
+ * used as flags.
+ *
+ * @param {string} str  The string to format.
+ * @returns {string}
+ * @ignore
+ */
+const toKebabCase = (str) => str.replace(/([a-z\d])([A-Z])/g, '$1-$2').toLowerCase();
+/**
+ * Generates the definitions of the flags the CLI supports for the options of the tool:
+ * booleans can be set or negated with `--no-*`, strings receive a value, lists can be used
+ * multiple times, and nested options use the name of their parent as prefix
+ * (`--extension-use`). The options that are lists of objects, dictionaries or functions
+ * don't have flags, as they can only be defined on a configuration file.
+ *
+ * @returns {CLIFlagDefinition[]}
+ */
+const getFlagDefinitions = () =>
+  OPTION_FLAGS.map((option) => {
+    const property = option.name.split('.');
+    return {
+      flag: property.map(toKebabCase).join('-'),
+      property,
+      kind: option.type,
+      choices: option.choices || null,
+      description: option.description,
+    };
+  });
+/**
+ * Reads a value inside an object using a path of properties.
+ *
+ * @param {Object}   target        The object to read.
+ * @param {string[]} propertyPath  The path to the property.
+ * @returns {*}
+ * @ignore
+ */
+const getValue = (target, propertyPath) =>
+  propertyPath.reduce((acc, property) => (acc ? acc[property] : acc), target);
+/**
+ * Generates a copy of an object with a new value for a path of properties, and creating
+ * the objects in between if they don't exist.
+ *
+ * @param {Object}   target        The object to copy.
+ * @param {string[]} propertyPath  The path to the property.
+ * @param {*}        value         The value to set.
+ * @returns {Object}
+ * @ignore
+ */
+const setValue = (target, propertyPath, value) => {
+  const [first, ...rest] = propertyPath;
+  return {
+    ...target,
+    [first]: rest.length ? setValue(target[first] || {}, rest, value) : value,
+  };
+};
+/**
+ * Parses the value for a flag of one of the tool options.
+ *
+ * @param {CLIFlagDefinition} definition   The definition of the flag.
+ * @param {boolean}           negated      Whether or not the flag was used with `--no-`.
+ * @param {?string}           inlineValue  The value if it was specified with `=`.
+ * @param {Function}          readValue    A function to get the value from the next
+ *                                         argument.
+ * @param {*}                 current      The current value of the option, in case the
+ *                                         flag was already used.
+ * @returns {*}
+ * @throws {Error} If the value is not one of the valid choices.
+ * @ignore
+ */
+const parseFlagValue = (definition, negated, inlineValue, readValue, current) => {
+  if (definition.kind === 'boolean') {
+    let value = true;
+    if (inlineValue !== null) {
+      value = !['false', '0', 'no'].includes(inlineValue.toLowerCase());
+    }
+
+    return negated ? !value : value;
+  }
+
+  const value = readValue();
+  if (definition.choices && !definition.choices.includes(value)) {
+    const choices = definition.choices.map((choice) => `\`${choice}\``).join(', ');
+    throw new Error(
+      `Invalid value for \`--${definition.flag}\`: \`${value}\` (expected ${choices})`,
+    );
+  }
+
+  return definition.kind === 'list' ? [...(current || []), value] : value;
+};
+/**
+ * Parses a list of command line arguments into options for the tool.
+ *
+ * @param {string[]}            args                           The list of arguments, like
+ *                                                             `process.argv.slice(2)`.
+ * @param {CLIFlagDefinition[]} [definitions=getFlagDefinitions()]
+ * The list of flags the tool supports.
+ * @returns {CLIArguments}
+ * @throws {Error} If a flag is not supported, a value is missing, or it's invalid.
+ */
+const parseArguments = (args, definitions = getFlagDefinitions()) => {
+  const result = {
+    command: null,
+    options: {},
+    config: null,
+    targets: [],
+    help: false,
+    version: false,
+    watch: false,
+    dryRun: false,
+    inPackageJson: false,
+    force: false,
+    json: false,
+    positionals: [],
+  };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const match = /^(?:--([\w-]+)|-(\w))(?:=([\s\S]*))?$/.exec(arg);
+    if (arg === '--') {
+      result.positionals.push(...args.slice(i + 1));
+      break;
+    } else if (match) {
+      const [, long, short, inlineValue = null] = match;
+      const negated = !!long && long.startsWith('no-');
+      let name = short ? SHORT_FLAGS[short] : long.replace(/^no-/, '');
+      name = FLAG_ALIASES[name] || name;
+      /**
+       * Returns the value of the flag, either from the `=` syntax or the next argument.
+       *
+       * @returns {string}
+       * @throws {Error} If there's no value.
+       */
+      const readValue = () => {
+        if (inlineValue !== null) {
+          return inlineValue;
+        }
+
+        if (i + 1 >= args.length || args[i + 1].startsWith('-')) {
+          throw new Error(`The option \`--${name}\` requires a value`);
+        }
+
+        i++;
+        return args[i];
+      };
+
+      const definition = definitions.find((item) => item.flag === name);
+      if (!negated && EXTRA_BOOLEAN_FLAGS[name]) {
+        result[EXTRA_BOOLEAN_FLAGS[name]] = true;
+      } else if (!negated && name === 'config') {
+        result.config = readValue();
+      } else if (!negated && name === 'target') {
+        result.targets.push(readValue());
+      } else if (definition && (!negated || definition.kind === 'boolean')) {
+        const value = parseFlagValue(
+          definition,
+          negated,
+          inlineValue,
+          readValue,
+          getValue(result.options, definition.property),
+        );
+        result.options = setValue(result.options, definition.property, value);
+      } else {
+        throw new Error(`Unknown option: \`${arg}\``);
+      }
+    } else {
+      result.positionals.push(arg);
+    }
+  }
+
+  if (COMMANDS[result.positionals[0]]) {
+    result.command = result.positionals.shift();
+  }
+
+  return result;
+};
+/**
+ * Breaks a text into lines that fit on a given width.
+ *
+ * @param {string} text   The text to break.
+ * @param {number} width  The max width of the lines.
+ * @returns {string[]}
+ * @ignore
+ */
+const wrapText = (text, width) =>
+  text.split(' ').reduce(
+    (acc, word) => {
+      const last = acc[acc.length - 1];
+      if (last && `${last} ${word}`.length > width) {
+        acc.push(word);
+      } else {
+        acc[acc.length - 1] = last ? `${last} ${word}` : word;
+      }
+
+      return acc;
+    },
+    [''],
+  );
+/**
+ * Generates the message for the `--help` flag, with the descriptions of the options.
+ *
+ * @param {CLIFlagDefinition[]} [definitions=getFlagDefinitions()]
+ * The list of flags the tool supports.
+ * @returns {string}
+ */
+const getUsage = (definitions = getFlagDefinitions()) => {
+  const rows = [
+    ...definitions.map((definition) => {
+      const aliases = Object.keys(FLAG_ALIASES).filter(
+        (alias) => FLAG_ALIASES[alias] === definition.flag,
+      );
+      let names;
+      let { description } = definition;
+      if (definition.kind === 'boolean') {
+        names = [definition.flag, ...aliases].map((name) => `--[no-]${name}`).join(', ');
+      } else {
+        const value = definition.choices ? definition.choices.join('|') : 'value';
+        names = [definition.flag, ...aliases]
+          .map((name) => `--${name} <${value}>`)
+          .join(', ');
+        if (definition.kind === 'list') {
+          description = `${description} (can be used multiple times)`;
+        }
+      }
+
+      return { names, description };
+    }),
+    { names: '--config <path>', description: EXTRA_FLAGS.config },
+    { names: '--target <name>', description: EXTRA_FLAGS.target },
+    { names: '--watch', description: EXTRA_FLAGS.watch },
+    { names: '--dry-run', description: EXTRA_FLAGS['dry-run'] },
+    { names: '--in-package-json', description: EXTRA_FLAGS['in-package-json'] },
+    { names: '--force', description: EXTRA_FLAGS.force },
+    { names: '--json', description: EXTRA_FLAGS.json },
+    { names: '-h, --help', description: EXTRA_FLAGS.help },
+    { names: '-v, --version', description: EXTRA_FLAGS.version },
+  ];
+  const indent = '    ';
+  /**
+   * Formats a row of the message: the names on the first line, and the description
+   * indented below.
+   *
+   * @param {string[]} acc  The lines generated so far.
+   * @param {Object}   row  The names and the description.
+   * @returns {string[]}
+   */
+  const addRow = (acc, row) => [
+    ...acc,
+    `  ${row.names}`,
+    ...wrapText(row.description, USAGE_WIDTH - indent.length).map(
+      (line) => `${indent}${line}`,
+    ),
+  ];
+  const commands = Object.keys(COMMANDS)
+    .map((name) => ({ names: name, description: COMMANDS[name] }))
+    .reduce(addRow, []);
+  const lines = rows.reduce(addRow, []);
+
+  return [
+    `${pkgJson.name} v${pkgJson.version}`,
+    pkgJson.description,
+    '',
+    `Usage: ${pkgJson.name} [command] [options]`,
+    '',
+    'Flags override the values from the configuration file.',
+    '',
+    'Commands:',
+    ...commands,
+    '',
+    'Options:',
+    ...lines,
+  ].join('\n');
+};
+/**
+ * Returns the version of the tool.
+ *
+ * @returns {string}
+ */
+const getVersion = () => pkgJson.version;
+
+module.exports.getFlagDefinitions = getFlagDefinitions;
+module.exports.parseArguments = parseArguments;
+module.exports.getUsage = getUsage;
+module.exports.getVersion = getVersion;
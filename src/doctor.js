@@ -0,0 +1,771 @@
+const path = require('path');
+const fs = require('fs-extra');
+const chalk = require('chalk');
+const jscodeshift = require('jscodeshift');
+const { parseSync } = require('@babel/core');
+const { findFilesToCopy } = require('.');
+const { log, getAbsPathInfoSync } = require('./utils');
+const { getParser } = require('./extensions');
+
+/**
+ * @typedef {import('jscodeshift').Collection} Collection
+ * @typedef {import('jscodeshift').JSCodeshift} JSCodeshift
+ */
+
+/**
+ * @typedef {'error' | 'warning' | 'info'} CJS2ESMDoctorSeverity
+ */
+
+/**
+ * @typedef {Object} CJS2ESMDoctorFinding
+ * @property {string}                file        The path to the file, relative to the
+ *                                               working directory.
+ * @property {number}                line        The line where the problem is.
+ * @property {number}                column      The column where the problem is.
+ * @property {CJS2ESMDoctorSeverity} severity    How the problem affects the conversion:
+ *                                               `error` for code that will break,
+ *                                               `warning` for code that won't be
+ *                                               converted cleanly, and `info` for code
+ *                                               that the tool will convert.
+ * @property {string}                rule        The name of the check, like
+ *                                               `dynamic-require`.
+ * @property {string}                message     The description of the problem.
+ * @property {string}                suggestion  What can be done to fix it.
+ */
+
+/**
+ * @typedef {Object} CJS2ESMDoctorSummary
+ * @property {number} files     The number of files that were analyzed.
+ * @property {number} errors    The number of findings with the `error` severity.
+ * @property {number} warnings  The number of findings with the `warning` severity.
+ * @property {number} infos     The number of findings with the `info` severity.
+ */
+
+/**
+ * @typedef {Object} CJS2ESMDoctorReport
+ * @property {CJS2ESMDoctorFinding[]} findings  The problems found on the files, sorted
+ *                                              by file and location.
+ * @property {CJS2ESMDoctorSummary}   summary   The number of files and findings.
+ */
+
+/**
+ * @typedef {Object} DoctorDependency
+ * @property {string} path    The absolute path to the required file.
+ * @property {string} specifier  The path as it was written on the `require`.
+ * @property {number} line    The line of the `require`.
+ * @property {number} column  The column of the `require`.
+ * @ignore
+ */
+
+/**
+ * @typedef {Object} DoctorFileAnalysis
+ * @property {CJS2ESMDoctorFinding[]} findings      The problems found on the file.
+ * @property {DoctorDependency[]}     dependencies  The local files the file requires.
+ * @ignore
+ */
+
+/**
+ * The plugins `@babel/parser` needs for each one of the parsers the tool uses.
+ *
+ * @type {Object.<string, string[]>}
+ * @ignore
+ */
+const PARSER_PLUGINS = {
+  babel: ['jsx'],
+  ts: ['typescript'],
+  tsx: ['typescript', 'jsx'],
+};
+/**
+ * The order in which the severities are sorted on the text report.
+ *
+ * @type {CJS2ESMDoctorSeverity[]}
+ * @ignore
+ */
+const SEVERITIES = ['error', 'warning', 'info'];
+/**
+ * The width of the column for the locations of the findings, on the text report.
+ *
+ * @type {number}
+ * @ignore
+ */
+const LOCATION_WIDTH = 8;
+/**
+ * The colors used for each severity on the text report.
+ *
+ * @type {Object.<string, string>}
+ * @ignore
+ */
+const SEVERITY_COLORS = {
+  error: 'red',
+  warning: 'yellow',
+  info: 'cyan',
+};
+/**
+ * The properties of `require` that only work with CommonJS modules.
+ *
+ * @type {string[]}
+ * @ignore
+ */
+const COMMONJS_REQUIRE_PROPERTIES = ['cache', 'extensions'];
+/**
+ * Creates a parser for `jscodeshift` that parses the code as an ES Module, like the tool
+ * does, but that recovers from the errors it can, like the strict mode violations, so
+ * all of them can be reported, and the rest of the file can still be analyzed.
+ *
+ * @param {string} name  The name of the parser, like `babel` or `ts`.
+ * @returns {Object}
+ * @ignore
+ */
+const createParser = (name) => ({
+  /**
+   * Parses the code of a file.
+   *
+   * @param {string} code  The code to parse.
+   * @returns {Object} The AST of the code.
+   */
+  parse: (code) =>
+    parseSync(code, {
+      configFile: false,
+      babelrc: false,
+      sourceType: 'module',
+      parserOpts: {
+        allowReturnOutsideFunction: true,
+        errorRecovery: true,
+        tokens: true,
+        plugins: PARSER_PLUGINS[name] || PARSER_PLUGINS.babel,
+      },
+    }),
+});
+/**
+ * Gets the value of a node if it's a string, or a template literal without expressions.
+ *
+ * @param {?Object} node  The node to check.
+ * @returns {?string}
+ * @ignore
+ */
+const getStaticString = (node) => {
+  if (!node) {
+    return null;
+  }
+
+  if (
+    ['StringLiteral', 'Literal'].includes(node.type) &&
+    typeof node.value === 'string'
+  ) {
+    return node.value;
+  }
+
+  return node.type === 'TemplateLiteral' && !node.expressions.length
+    ? node.quasis[0].value.cooked
+    : null;
+};
+/**
+ * Finds the references to a variable that is not declared on the file, like `require`.
+ *
+ * @param {Collection}  root  The AST of the file.
+ * @param {JSCodeshift} j     The `jscodeshift` API, to find the identifiers.
+ * @param {string}      name  The name of the variable.
+ * @returns {Collection}
+ * @ignore
+ */
+const findGlobalReferences = (root, j, name) =>
+  root.find(j.Identifier, { name }).filter((item) => {
+    const parent = item.parent.value;
+    const isProperty =
+      (parent.property === item.value || parent.key === item.value) && !parent.computed;
+    return !isProperty && !item.scope.lookup(name);
+  });
+/**
+ * Finds the references to `module.exports`, where `module` is not declared on the file.
+ *
+ * @param {Collection}  root  The AST of the file.
+ * @param {JSCodeshift} j     The `jscodeshift` API, to find the nodes.
+ * @returns {Collection}
+ * @ignore
+ */
+const findModuleExports = (root, j) =>
+  findGlobalReferences(root, j, 'module')
+    .map((item) => item.parent)
+    .filter(
+      (item) =>
+        j.MemberExpression.check(item.value) &&
+        !item.value.computed &&
+        item.value.property.name === 'exports',
+    );
+/**
+ * Checks where a node is: on a statement of the top level of the file, inside a
+ * function, or inside a block of the top level, like an `if`.
+ *
+ * @param {JSCodeshift} j     The `jscodeshift` API, to validate the nodes.
+ * @param {Object}      item  The path of the node.
+ * @returns {string} `module`, `function` or `block`.
+ * @ignore
+ */
+const getNodeScope = (j, item) => {
+  let current = item;
+  let scope = 'module';
+  while (current.parent && !j.Program.check(current.parent.value)) {
+    const { parent } = current;
+    if (j.Function.check(parent.value)) {
+      return 'function';
+    }
+
+    if (j.Statement.check(parent.value) && !j.Program.check(parent.parent.value)) {
+      scope = 'block';
+    }
+
+    current = current.parent;
+  }
+
+  return scope;
+};
+/**
+ * Checks if a `this` is outside of any function or class, where it would be `undefined`
+ * on an ES Module.
+ *
+ * @param {JSCodeshift} j     The `jscodeshift` API, to validate the nodes.
+ * @param {Object}      item  The path of the `this` expression.
+ * @returns {boolean}
+ * @ignore
+ */
+const isTopLevelThis = (j, item) => {
+  let current = item.parent;
+  while (current) {
+    const node = current.value;
+    if (
+      (j.Function.check(node) && !j.ArrowFunctionExpression.check(node)) ||
+      j.ClassBody.check(node)
+    ) {
+      return false;
+    }
+
+    current = current.parent;
+  }
+
+  return true;
+};
+/**
+ * Checks the `require` calls that can't be converted into imports: the ones with a
+ * dynamic path, and the ones that are not on the top level. It also collects the
+ * static paths, to validate them later.
+ *
+ * @param {Collection}  root        The AST of the file.
+ * @param {JSCodeshift} j           The `jscodeshift` API, to find the nodes.
+ * @param {Function}    report      The function to add a finding.
+ * @param {Object[]}    specifiers  The list where the static paths, and their nodes,
+ *                                  will be added.
+ * @ignore
+ */
+const checkRequireCalls = (root, j, report, specifiers) => {
+  findGlobalReferences(root, j, 'require')
+    .filter((item) => {
+      const parent = item.parent.value;
+      return j.CallExpression.check(parent) && parent.callee === item.value;
+    })
+    .forEach((item) => {
+      const call = item.parent;
+      const [arg] = call.value.arguments;
+      const specifier = call.value.arguments.length === 1 ? getStaticString(arg) : null;
+      if (specifier === null) {
+        report(
+          call.value,
+          'warning',
+          'dynamic-require',
+          "`require` is called with a dynamic path, so it can't be converted into an " +
+            'import, and a `require` function will be created with `createRequire`',
+          'Use a static path, or replace the call with `await import()` inside an ' +
+            '`async` function',
+        );
+        return;
+      }
+
+      specifiers.push({ specifier, node: call.value });
+      const scope = getNodeScope(j, call);
+      if (scope === 'function') {
+        report(
+          call.value,
+          'warning',
+          'nested-require',
+          `\`require('${specifier}')\` is inside a function, so it can't be converted ` +
+            'into an import, and a `require` function will be created with ' +
+            '`createRequire`',
+          'Move it to the top level of the file or, if the function is `async`, use ' +
+            "`nestedRequires: 'import'` to replace it with `await import()`",
+        );
+      } else if (scope === 'block') {
+        report(
+          call.value,
+          'warning',
+          'nested-require',
+          `\`require('${specifier}')\` is inside a block, so it can't be converted ` +
+            'into an import, and a `require` function will be created with ' +
+            '`createRequire`',
+          'Move it to the top level of the file',
+        );
+      }
+    });
+
+  root.find(j.ImportDeclaration).forEach((item) => {
+    specifiers.push({ specifier: item.value.source.value, node: item.value });
+  });
+};
+/**
+ * Checks the usages of the properties of `require` that don't exist on ES Modules.
+ * `require.main === module` checks are converted by the tool, but `require.cache` and
+ * `require.extensions` only work with CommonJS modules.
+ *
+ * @param {Collection}  root    The AST of the file.
+ * @param {JSCodeshift} j       The `jscodeshift` API, to find the nodes.
+ * @param {Function}    report  The function to add a finding.
+ * @ignore
+ */
+const checkRequireProperties = (root, j, report) => {
+  findGlobalReferences(root, j, 'require')
+    .map((item) => item.parent)
+    .filter(
+      (item) =>
+        j.MemberExpression.check(item.value) &&
+        !item.value.computed &&
+        j.Identifier.check(item.value.property),
+    )
+    .forEach((item) => {
+      const { name } = item.value.property;
+      const parent = item.parent.value;
+      if (COMMONJS_REQUIRE_PROPERTIES.includes(name)) {
+        report(
+          item.value,
+          'warning',
+          'require-properties',
+          `\`require.${name}\` only knows about CommonJS modules, and the file will be ` +
+            'an ES Module',
+          `Remove the usage of \`require.${name}\`, or move the code to a CommonJS ` +
+            'file that is not transformed',
+        );
+      } else if (name === 'main') {
+        const isModuleCheck =
+          j.BinaryExpression.check(parent) &&
+          [parent.left, parent.right].some(
+            (node) => j.Identifier.check(node) && node.name === 'module',
+          );
+        report(
+          item.value,
+          isModuleCheck ? 'info' : 'warning',
+          'require-properties',
+          isModuleCheck
+            ? '`require.main === module` will be replaced with a check on `import.meta.url`'
+            : '`require.main` only knows about CommonJS modules, and the file will be ' +
+                'an ES Module',
+          isModuleCheck
+            ? 'No changes are needed'
+            : 'Only compare `require.main` with `module`, so the tool can replace it',
+        );
+      }
+    });
+};
+/**
+ * Checks the usages of `__dirname` and `__filename`, which the tool replaces.
+ *
+ * @param {Collection}  root    The AST of the file.
+ * @param {JSCodeshift} j       The `jscodeshift` API, to find the nodes.
+ * @param {Function}    report  The function to add a finding.
+ * @ignore
+ */
+const checkFileGlobals = (root, j, report) => {
+  ['__dirname', '__filename'].forEach((name) => {
+    findGlobalReferences(root, j, name).forEach((item) => {
+      report(
+        item.value,
+        'info',
+        'file-globals',
+        `\`${name}\` doesn't exist on ES Modules, and it will be replaced`,
+        'No changes are needed, it will be replaced with `import.meta` or ' +
+          '`fileURLToPath(import.meta.url)`, depending on `nodeVersion`',
+      );
+    });
+  });
+};
+/**
+ * Checks the assignments of `module.exports` that can't be converted into static
+ * exports: the ones inside functions or blocks, and the ones that replace an object
+ * that was already assigned or used.
+ *
+ * @param {Collection}  root    The AST of the file.
+ * @param {JSCodeshift} j       The `jscodeshift` API, to find the nodes.
+ * @param {Function}    report  The function to add a finding.
+ * @ignore
+ */
+const checkExportsReassignment = (root, j, report) => {
+  const moduleExports = findModuleExports(root, j);
+  const assignments = moduleExports.filter((item) => {
+    const parent = item.parent.value;
+    return j.AssignmentExpression.check(parent) && parent.left === item.value;
+  });
+  const usages = [
+    ...moduleExports
+      .filter((item) => j.MemberExpression.check(item.parent.value))
+      .nodes(),
+    ...findGlobalReferences(root, j, 'exports').nodes(),
+  ];
+  assignments.forEach((item, index) => {
+    const { start } = item.value;
+    const scope = getNodeScope(j, item);
+    let problem = null;
+    if (scope !== 'module') {
+      problem = `inside a ${scope}`;
+    } else if (index > 0) {
+      problem = 'more than once';
+    } else if (usages.some((node) => node.start < start)) {
+      problem = 'after its properties were used';
+    }
+
+    if (problem) {
+      report(
+        item.value,
+        'error',
+        'exports-reassigned',
+        `\`module.exports\` is assigned ${problem}, so it can't be converted into ` +
+          'static exports',
+        'Assign `module.exports` only once, on the top level, and before using its ' +
+          'properties',
+      );
+    }
+  });
+};
+/**
+ * Checks the code that behaves differently on strict mode, which ES Modules always use,
+ * and the parser doesn't already report: `this` on the top level, and assignments to
+ * variables that were not declared.
+ *
+ * @param {Collection}  root    The AST of the file.
+ * @param {JSCodeshift} j       The `jscodeshift` API, to find the nodes.
+ * @param {Function}    report  The function to add a finding.
+ * @ignore
+ */
+const checkStrictMode = (root, j, report) => {
+  root
+    .find(j.ThisExpression)
+    .filter((item) => isTopLevelThis(j, item))
+    .forEach((item) => {
+      report(
+        item.value,
+        'error',
+        'top-level-this',
+        '`this` on the top level is `undefined` on ES Modules',
+        'Use `module.exports`, or `exports`, instead',
+      );
+    });
+
+  root
+    .find(j.AssignmentExpression)
+    .filter(
+      (item) =>
+        j.Identifier.check(item.value.left) && !item.scope.lookup(item.value.left.name),
+    )
+    .forEach((item) => {
+      const { name } = item.value.left;
+      report(
+        item.value,
+        'error',
+        'strict-mode',
+        `\`${name}\` is assigned without being declared, which throws an error on ` +
+          'strict mode',
+        `Declare \`${name}\` with \`let\`, \`const\` or \`var\`, or use ` +
+          `\`globalThis.${name}\` if it should be global`,
+      );
+    });
+};
+/**
+ * Checks that the relative paths of the `require` calls, and imports, can be resolved,
+ * as the tool needs to find the files in order to add the extensions.
+ *
+ * @param {Object[]} specifiers  The static paths and their nodes.
+ * @param {string}   filepath    The absolute path to the file.
+ * @param {Function} report      The function to add a finding.
+ * @returns {DoctorDependency[]} The files the paths were resolved to.
+ * @ignore
+ */
+const checkSpecifiers = (specifiers, filepath, report) =>
+  specifiers
+    .filter(({ specifier }) => specifier.startsWith('.') || path.isAbsolute(specifier))
+    .reduce((acc, { specifier, node }) => {
+      const info = getAbsPathInfoSync(path.resolve(path.dirname(filepath), specifier));
+      if (!info || (info.isFile && !fs.pathExistsSync(info.path))) {
+        report(
+          node,
+          'error',
+          'unresolved-import',
+          `\`${specifier}\` can't be resolved, so the tool can't add the extension to ` +
+            'the path',
+          'Fix the path, or create the file',
+        );
+        return acc;
+      }
+
+      return [
+        ...acc,
+        {
+          path: info.path,
+          specifier,
+          line: node.loc.start.line,
+          column: node.loc.start.column + 1,
+        },
+      ];
+    }, []);
+/**
+ * Analyzes the code of a file and finds everything that won't be converted cleanly.
+ *
+ * @param {string} source    The code of the file.
+ * @param {string} filepath  The absolute path to the file.
+ * @returns {DoctorFileAnalysis}
+ * @ignore
+ */
+const analyzeSource = (source, filepath) => {
+  const file = path.relative(process.cwd(), filepath).split(path.sep).join('/');
+  const findings = [];
+  /**
+   * Adds a finding for the file.
+   *
+   * @param {?Object}               node        The node with the problem, for the
+   *                                            location; or an object with the `line`
+   *                                            and `column`.
+   * @param {CJS2ESMDoctorSeverity} severity    The severity of the problem.
+   * @param {string}                rule        The name of the check.
+   * @param {string}                message     The description of the problem.
+   * @param {string}                suggestion  What can be done to fix it.
+   */
+  const report = (node, severity, rule, message, suggestion) => {
+    const location = node.loc ? node.loc.start : node;
+    findings.push({
+      file,
+      line: location.line,
+      column: location.column + 1,
+      severity,
+      rule,
+      message,
+      suggestion,
+    });
+  };
+
+  // The shebang is replaced with an empty line, so the locations don't change.
+  const code = source.replace(/^#!.*/, '');
+  let root;
+  try {
+    root = jscodeshift.withParser(createParser(getParser(filepath)))(code);
+  } catch (error) {
+    const [message] = error.message.replace(/^unknown: /, '').split('\n');
+    report(
+      error.loc || { line: 1, column: 0 },
+      'error',
+      'syntax',
+      message.replace(/\s*\(\d+:\d+\)$/, ''),
+      'Fix the syntax error, the rest of the file can only be analyzed after that',
+    );
+    return { findings, dependencies: [] };
+  }
+
+  (root.get().value.errors || []).forEach((error) => {
+    const isStrictMode = !!error.message.match(/strict mode|argument name clash/i);
+    report(
+      error.loc,
+      'error',
+      isStrictMode ? 'strict-mode' : 'syntax',
+      error.message.replace(/\s*\(\d+:\d+\)$/, ''),
+      isStrictMode
+        ? "ES Modules always use strict mode, update the code so it's valid on it"
+        : 'Fix the syntax error',
+    );
+  });
+
+  const j = jscodeshift;
+  const specifiers = [];
+  checkRequireCalls(root, j, report, specifiers);
+  checkRequireProperties(root, j, report);
+  checkFileGlobals(root, j, report);
+  checkExportsReassignment(root, j, report);
+  checkStrictMode(root, j, report);
+  const dependencies = checkSpecifiers(specifiers, filepath, report);
+  return { findings, dependencies };
+};
+/**
+ * Finds the circular dependencies between the files, as the order in which the modules
+ * are evaluated changes with ES Modules, and a module may be used before it's ready.
+ * Each cycle is reported once, on the `require` that closes it.
+ *
+ * @param {Object.<string, DoctorDependency[]>} graph  The dependencies of each file.
+ * @returns {CJS2ESMDoctorFinding[]}
+ * @ignore
+ */
+const findCircularDependencies = (graph) => {
+  const cwd = process.cwd();
+  /**
+   * Formats the path of a file for the messages.
+   *
+   * @param {string} filepath  The absolute path to the file.
+   * @returns {string}
+   */
+  const toRelative = (filepath) => path.relative(cwd, filepath).split(path.sep).join('/');
+  const findings = [];
+  const reported = [];
+  /**
+   * Follows the dependencies of a file, looking for one that is already on the chain.
+   *
+   * @param {string}   filepath  The file to check.
+   * @param {string[]} chain     The files that lead to this one.
+   */
+  const visit = (filepath, chain) => {
+    (graph[filepath] || []).forEach((dependency) => {
+      const index = chain.indexOf(dependency.path);
+      if (index > -1) {
+        const cycle = chain.slice(index);
+        const key = [...cycle].sort().join('\n');
+        if (!reported.includes(key)) {
+          reported.push(key);
+          findings.push({
+            file: toRelative(filepath),
+            line: dependency.line,
+            column: dependency.column,
+            severity: 'warning',
+            rule: 'circular-require',
+            message: `Circular dependency: ${[...cycle, dependency.path]
+              .map((item) => `\`${toRelative(item)}\``)
+              .join(' -> ')}`,
+            suggestion:
+              'ES Modules are evaluated in a different order, so a module of the cycle ' +
+              'may be used before it is ready; move the shared code to a separate module',
+          });
+        }
+      } else if (graph[dependency.path]) {
+        visit(dependency.path, [...chain, dependency.path]);
+      }
+    });
+  };
+
+  Object.keys(graph).forEach((filepath) => visit(filepath, [filepath]));
+  return findings;
+};
+/**
+ * Sorts the findings by file, line and column.
+ *
+ * @param {CJS2ESMDoctorFinding} a  The first finding.
+ * @param {CJS2ESMDoctorFinding} b  The second finding.
+ * @returns {number}
+ * @ignore
+ */
+const compareFindings = (a, b) =>
+  a.file.localeCompare(b.file) || a.line - b.line || a.column - b.column;
+/**
+ * Analyzes a piece of code and finds everything that won't be converted cleanly into an
+ * ES Module: dynamic and nested `require` calls, reassignments of `module.exports`,
+ * `__dirname` and `__filename`, the properties of `require`, strict mode violations,
+ * and paths that can't be resolved.
+ *
+ * @param {string} source    The code to analyze.
+ * @param {string} filepath  The absolute path to the file the code belongs to, to
+ *                           resolve the paths.
+ * @returns {CJS2ESMDoctorFinding[]}
+ */
+const diagnoseSource = (source, filepath) =>
+  analyzeSource(source, filepath).findings.sort(compareFindings);
+/**
+ * Analyzes all the files the tool would transform, without modifying anything, and
+ * generates a report with everything that won't be converted cleanly, including the
+ * circular dependencies between the files. If the options have `targets`, the files of
+ * all of them are analyzed.
+ *
+ * @param {CJS2ESMOptions} options  The options of the tool.
+ * @returns {Promise<CJS2ESMDoctorReport>}
+ */
+const diagnoseProject = async (options) => {
+  const targets = options.targets && options.targets.length ? options.targets : [options];
+  const copied = await Promise.all(
+    targets.map((target) =>
+      findFilesToCopy(
+        target.input,
+        target.output,
+        target.extension,
+        target.forceDirectory,
+        target.files,
+      ),
+    ),
+  );
+  const files = copied
+    .reduce((acc, list) => [...acc, ...list], [])
+    .filter((file) => !file.copyOnly)
+    .map((file) => file.from)
+    .filter((filepath, index, list) => list.indexOf(filepath) === index);
+  const analyses = await Promise.all(
+    files.map(async (filepath) => {
+      const source = await fs.readFile(filepath, 'utf-8');
+      return analyzeSource(source, filepath);
+    }),
+  );
+  const graph = files.reduce(
+    (acc, filepath, index) => ({ ...acc, [filepath]: analyses[index].dependencies }),
+    {},
+  );
+  const findings = [
+    ...analyses.reduce((acc, analysis) => [...acc, ...analysis.findings], []),
+    ...findCircularDependencies(graph),
+  ].sort(compareFindings);
+  /**
+   * Counts the findings with a severity.
+   *
+   * @param {CJS2ESMDoctorSeverity} severity  The severity to count.
+   * @returns {number}
+   */
+  const count = (severity) =>
+    findings.filter((finding) => finding.severity === severity).length;
+  return {
+    findings,
+    summary: {
+      files: files.length,
+      errors: count('error'),
+      warnings: count('warning'),
+      infos: count('info'),
+    },
+  };
+};
+/**
+ * Prints the report generated by `diagnoseProject`: the findings grouped by file, with
+ * their locations, severities and suggestions, and a summary.
+ *
+ * @param {CJS2ESMDoctorReport} report  The report to print.
+ * @returns {boolean} Whether or not the report doesn't have errors.
+ */
+const logDoctorReport = (report) => {
+  const files = report.findings
+    .map((finding) => finding.file)
+    .filter((file, index, list) => list.indexOf(file) === index);
+  files.forEach((file) => {
+    const lines = report.findings
+      .filter((finding) => finding.file === file)
+      .map((finding) => {
+        const location = `${finding.line}:${finding.column}`.padEnd(LOCATION_WIDTH);
+        const severity = chalk[SEVERITY_COLORS[finding.severity]](
+          finding.severity.padEnd(Math.max(...SEVERITIES.map((item) => item.length))),
+        );
+        const rule = chalk.gray(`(${finding.rule})`);
+        const indent = ' '.repeat(`  ${location}`.length);
+        return [
+          `  ${chalk.gray(location)}${severity}  ${finding.message} ${rule}`,
+          chalk.gray(`${indent}${finding.suggestion}`),
+        ].join('\n');
+      });
+    // The findings are logged without the prefix of `log`, so they are easier to read.
+    // eslint-disable-next-line no-console
+    console.log([chalk.underline(file), ...lines, ''].join('\n'));
+  });
+
+  const { summary } = report;
+  log(
+    summary.errors ? 'red' : 'green',
+    `Doctor: ${summary.files} files analyzed, ${summary.errors} errors, ` +
+      `${summary.warnings} warnings and ${summary.infos} notes`,
+  );
+
+  return !summary.errors;
+};
+
+module.exports.diagnoseSource = diagnoseSource;
+module.exports.diagnoseProject = diagnoseProject;
+module.exports.logDoctorReport = logDoctorReport;
@@ -0,0 +1,73 @@
+const path = require('path');
+const { codeFrameColumns } = require('@babel/code-frame');
+
+/**
+ * @typedef {Object} CJS2ESMFileError
+ * @property {string}  from            The absolute path to the original file.
+ * @property {string}  to              The absolute path the file has on the output
+ *                                     directory.
+ * @property {?string} transformation  The name of the transformation that failed.
+ * @property {string}  message         The message of the error, without the location.
+ * @property {?number} line            The line where the error happened, if the error
+ *                                     has a location.
+ * @property {?number} column          The column where the error happened, starting
+ *                                     from `1`, if the error has a location.
+ * @property {?string} frame           A code frame with the lines around the error, if
+ *                                     the error has a location.
+ */
+
+/**
+ * Generates the information of an error that happened while transforming a file, so it
+ * can be reported.
+ *
+ * @param {Error}             error  The error thrown by the transformation. If it came
+ *                                   from the parser, it will have the location, and the
+ *                                   pipeline adds the code the transformation received.
+ * @param {CJS2ESMCopiedFile} file   The file that failed.
+ * @returns {CJS2ESMFileError}
+ */
+const getFileError = (error, file) => {
+  const result = {
+    from: file.from,
+    to: file.to,
+    transformation: error.transformation || null,
+    message: error.message.replace(/\s*\(\d+:\d+\)$/, ''),
+    line: null,
+    column: null,
+    frame: null,
+  };
+  if (error.loc && typeof error.loc.line === 'number') {
+    result.line = error.loc.line;
+    result.column = error.loc.column + 1;
+    if (typeof error.source === 'string') {
+      result.frame = codeFrameColumns(error.source, {
+        start: { line: result.line, column: result.column },
+      });
+    }
+  }
+
+  return result;
+};
+/**
+ * Generates a message for an error from `getFileError`, with the path of the original
+ * file, the location, the transformation that failed, and the code frame.
+ *
+ * @param {CJS2ESMFileError} fileError  The information of the error.
+ * @returns {string}
+ */
+const formatFileError = (fileError) => {
+  const filepath = path.relative(process.cwd(), fileError.from);
+  const location = fileError.line ? `:${fileError.line}:${fileError.column}` : '';
+  const transformation = fileError.transformation
+    ? ` (\`${fileError.transformation}\`)`
+    : '';
+  const lines = [`${filepath}${location}${transformation}: ${fileError.message}`];
+  if (fileError.frame) {
+    lines.push(fileError.frame);
+  }
+
+  return lines.join('\n');
+};
+
+module.exports.getFileError = getFileError;
+module.exports.formatFileError = formatFileError;
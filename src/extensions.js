@@ -0,0 +1,78 @@
+const path = require('path');
+
+/**
+ * The parser `jscodeshift` should use for each of the extensions the tool can
+ * transform.
+ *
+ * @type {Object.<string, string>}
+ * @ignore
+ */
+const PARSERS = {
+  js: 'babel',
+  mjs: 'babel',
+  cjs: 'babel',
+  ts: 'ts',
+  mts: 'ts',
+  cts: 'ts',
+  tsx: 'tsx',
+};
+/**
+ * Gets the extension of a file, without the leading dot and in lower case.
+ *
+ * @param {string} filepath  The path to the file.
+ * @returns {string}
+ * @ignore
+ */
+const getFileExtension = (filepath) => path.extname(filepath).substr(1).toLowerCase();
+/**
+ * Generates the dictionary of the extensions the transformed files should have, based
+ * on the extension of the original files: the JavaScript files use the `use` extension,
+ * `.cts` files become `.mts`, and the `.ts` files become `.mts` only if `use` is `mjs`.
+ * The `map` option can overwrite any of them.
+ *
+ * @param {CJS2ESMExtensionOptions} extension  The options for the extensions.
+ * @returns {Object.<string, string>}
+ */
+const getExtensionsMap = (extension) => ({
+  js: extension.use,
+  cjs: extension.use,
+  ts: extension.use === 'mjs' ? 'mts' : 'ts',
+  cts: 'mts',
+  mts: 'mts',
+  tsx: 'tsx',
+  ...extension.map,
+});
+/**
+ * Checks if a file has one of the extensions the tool should transform.
+ *
+ * @param {string}                  filepath   The path to the file.
+ * @param {CJS2ESMExtensionOptions} extension  The options for the extensions.
+ * @returns {boolean}
+ */
+const isSourceFile = (filepath, extension) =>
+  (extension.sources || []).includes(getFileExtension(filepath));
+/**
+ * Gets the extension a file should have once it's transformed. If the extension is not
+ * on the map, it will be kept.
+ *
+ * @param {string}                  filepath   The path to the original file.
+ * @param {CJS2ESMExtensionOptions} extension  The options for the extensions.
+ * @returns {string}
+ */
+const getOutputExtension = (filepath, extension) => {
+  const ext = getFileExtension(filepath);
+  return getExtensionsMap(extension)[ext] || ext;
+};
+/**
+ * Gets the parser `jscodeshift` should use for a file, based on its extension: `ts` or
+ * `tsx` for TypeScript files, and `babel` for the rest.
+ *
+ * @param {string} filepath  The path to the file.
+ * @returns {string}
+ */
+const getParser = (filepath) => PARSERS[getFileExtension(filepath)] || 'babel';
+
+module.exports.getExtensionsMap = getExtensionsMap;
+module.exports.isSourceFile = isSourceFile;
+module.exports.getOutputExtension = getOutputExtension;
+module.exports.getParser = getParser;
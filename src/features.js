@@ -0,0 +1,119 @@
+/**
+ * @typedef {Object} NodeFeatureSupport
+ * @property {string[]} since      The first versions, of each release line, that
+ *                                 support the feature. A version is supported if it's
+ *                                 equal or greater than one on the same major, or
+ *                                 greater than the last one.
+ * @property {?string}  [removed]  The version in which the feature was removed.
+ * @ignore
+ */
+
+/**
+ * The Node features the transformations depend on, and the versions that support them.
+ *
+ * @type {Object.<string, NodeFeatureSupport>}
+ * @ignore
+ */
+const NODE_FEATURES = {
+  importAttributes: {
+    since: ['18.20.0', '20.10.0'],
+  },
+  importAssertions: {
+    since: ['16.15.0', '17.5.0'],
+    removed: '22.0.0',
+  },
+  importMetaDirname: {
+    since: ['20.11.0', '21.2.0'],
+  },
+  importMetaResolve: {
+    since: ['18.19.0', '20.6.0'],
+  },
+  topLevelAwait: {
+    since: ['14.8.0'],
+  },
+  requireModule: {
+    since: ['20.19.0', '22.12.0'],
+  },
+};
+/**
+ * Parses a version string (`18`, `18.20` or `v18.20.1`) into a list of numbers.
+ *
+ * @param {string} version  The version to parse.
+ * @returns {number[]} The major, minor and patch numbers.
+ * @throws {Error} If the version is not valid.
+ * @ignore
+ */
+const parseVersion = (version) => {
+  const match = /^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?$/.exec(String(version).trim());
+  if (!match) {
+    throw new Error(`Invalid Node version: \`${version}\``);
+  }
+
+  return match.slice(1).map((part) => Number(part || 0));
+};
+/**
+ * Compares two versions.
+ *
+ * @param {number[]} a  The first version, already parsed.
+ * @param {number[]} b  The second version, already parsed.
+ * @returns {number} A negative number if `a` is lower than `b`, a positive one if it's
+ *                   greater, and `0` if they are the same.
+ * @ignore
+ */
+const compareVersions = (a, b) => {
+  const index = a.findIndex((part, i) => part !== b[i]);
+  return index === -1 ? 0 : a[index] - b[index];
+};
+/**
+ * Checks if a version of Node supports one of the features the transformations depend
+ * on.
+ *
+ * @param {string} version  The version of Node.
+ * @param {string} feature  The name of the feature.
+ * @returns {boolean}
+ * @throws {Error} If the version is not valid, or the feature doesn't exist.
+ */
+const supportsFeature = (version, feature) => {
+  const support = NODE_FEATURES[feature];
+  if (!support) {
+    throw new Error(`Unknown Node feature: \`${feature}\``);
+  }
+
+  const parsed = parseVersion(version);
+  if (support.removed && compareVersions(parsed, parseVersion(support.removed)) >= 0) {
+    return false;
+  }
+
+  return support.since.some((since, index) => {
+    const parsedSince = parseVersion(since);
+    const isLast = index === support.since.length - 1;
+    return (
+      compareVersions(parsed, parsedSince) >= 0 &&
+      (isLast || parsed[0] === parsedSince[0])
+    );
+  });
+};
+/**
+ * Gets the strategy the tool should use for the imports of JSON files: if the option is
+ * set to `auto`, it will use import attributes or assertions if the target version of
+ * Node supports them, and `createRequire` otherwise.
+ *
+ * @param {CJS2ESMOptions} options  The options of the tool.
+ * @returns {Exclude<JSONImportsStrategy, 'auto'>}
+ */
+const getJSONImportsStrategy = (options) => {
+  if (options.jsonImports && options.jsonImports !== 'auto') {
+    return options.jsonImports;
+  }
+
+  if (supportsFeature(options.nodeVersion, 'importAttributes')) {
+    return 'with';
+  }
+
+  return supportsFeature(options.nodeVersion, 'importAssertions')
+    ? 'assert'
+    : 'createRequire';
+};
+
+module.exports.supportsFeature = supportsFeature;
+module.exports.getJSONImportsStrategy = getJSONImportsStrategy;
@@ -1,8 +1,26 @@
 const path = require('path');
 const fs = require('fs-extra');
-const Runner = require('jscodeshift/src/Runner');
+const picomatch = require('picomatch');
+const ignore = require('ignore');
 const { repository } = require('../package.json');
-const { log, findFile, getAbsPathInfo, requireModule } = require('./utils');
+const { log, findFile, getAbsPathInfo, requireModule, importModule } = require('./utils');
+const {
+  getBuiltInTransformations,
+  transformCode,
+  transformCodeWithMap,
+  updateImportPaths,
+} = require('./pipeline');
+const {
+  shiftSourceMap,
+  normalizeSourceMap,
+  getSourceMapComment,
+} = require('./sourcemap');
+const { getFileError, formatFileError } = require('./errors');
+const { getJSONImportsStrategy } = require('./features');
+const { isSourceFile, getOutputExtension, getParser } = require('./extensions');
+const { writeReport } = require('./report');
+const { getCacheKey, readCache, writeCache } = require('./cache');
+const { validateConfiguration } = require('./schema');
 /**
  * This is called every time an unexpected error is thrown; it logs the error using the
  * `log`
@@ -38,35 +56,369 @@ const addErrorHandler = () => {
   };
 };
 /**
- * Loads the configuration for the project.
+ * The names of the files the tool looks for when loading the configuration, in order of
+ * priority.
  *
- * @returns {Promise<CJS2ESMOptions>}
+ * @type {string[]}
+ * @ignore
  */
-const getConfiguration = async () => {
-  log('yellow', 'Loading configuration...');
-  const cwd = process.cwd();
-  const file = await findFile(['.cjs2esm', '.cjs2esm.json', '.cjs2esm.js'], cwd);
-
-  let config = {};
-  if (file === null) {
-    const pkgJson = requireModule(path.join(cwd, 'package.json'));
-    if (pkgJson.config && pkgJson.config.cjs2esm) {
-      config = pkgJson.config.cjs2esm;
-      log('green', 'Using configuration from the package.json');
-    } else if (pkgJson.cjs2esm) {
-      config = pkgJson.cjs2esm;
-      log('green', 'Using configuration from the package.json');
-    } else {
-      log('gray', 'No configuration was found, using defaults...');
+const CONFIGURATION_FILES = [
+  '.cjs2esm',
+  '.cjs2esm.json',
+  '.cjs2esm.js',
+  '.cjs2esm.mjs',
+  '.cjs2esm.cjs',
+  'cjs2esm.config.js',
+  'cjs2esm.config.mjs',
+  'cjs2esm.config.cjs',
+];
+/**
+ * Generates the information the configuration files that export a function receive.
+ *
+ * @param {string} cwd  The working directory.
+ * @returns {Promise<CJS2ESMConfigurationEnvironment>}
+ * @ignore
+ */
+const getConfigurationEnvironment = async (cwd) => {
+  const pkgJsonPath = path.join(cwd, 'package.json');
+  const exists = await fs.pathExists(pkgJsonPath);
+  return {
+    cwd,
+    // eslint-disable-next-line no-process-env
+    env: process.env,
+    packageJson: exists ? await fs.readJSON(pkgJsonPath) : null,
+  };
+};
+/**
+ * Loads a configuration file: if it's a JavaScript file (`.js`, `.mjs` or `.cjs`), it
+ * will be loaded with a dynamic `import`, otherwise, it will be parsed as JSON. If the
+ * file exports a function, it will be called with the information of the environment,
+ * and it can return the configuration or a promise for it.
+ *
+ * @param {string} file  The absolute path to the file.
+ * @returns {Promise<Partial<CJS2ESMOptions>>}
+ * @ignore
+ */
+const loadConfigurationFile = async (file) => {
+  let config;
+  if (file.match(/\.[cm]?js$/i)) {
+    config = await importModule(file);
+    if (typeof config === 'function') {
+      config = await config(await getConfigurationEnvironment(process.cwd()));
     }
-  } else if (file.match(/\.js$/i)) {
-    config = requireModule(file);
-    log('green', `Configuration file found: \`${file}\``);
   } else {
     config = await fs.readJSON(file);
-    log('green', `Configuration file found: \`${file}\``);
   }
 
+  return config;
+};
+/**
+ * The lists of objects that, when a configuration extends another, are merged using the
+ * `name` of their items: the items of the configuration replace the ones with the same
+ * name on the base configuration, and the rest are added at the end.
+ *
+ * @type {string[]}
+ * @ignore
+ */
+const EXTENDS_LISTS_BY_NAME = ['modules', 'targets'];
+/**
+ * The lists that, when a configuration extends another, replace the ones from the base
+ * configuration; the rest of the lists are concatenated.
+ *
+ * @type {string[]}
+ * @ignore
+ */
+const EXTENDS_REPLACED_LISTS = ['input', 'extension.sources'];
+/**
+ * Checks if a value is an object, and not a list or `null`.
+ *
+ * @param {*} value  The value to check.
+ * @returns {boolean}
+ * @ignore
+ */
+const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+/**
+ * Merges a value from a configuration with the one from the configuration it extends:
+ * objects are merged recursively, lists are concatenated without duplicates (or merged
+ * by name, or replaced, depending on the option), and the rest of the values are
+ * replaced.
+ *
+ * @param {*}      base       The value from the configuration being extended.
+ * @param {*}      value      The value from the configuration that extends it.
+ * @param {string} valuePath  The path of the value inside the configuration, like
+ *                            `extension.ignore`.
+ * @returns {*}
+ * @ignore
+ */
+const mergeExtendedValues = (base, value, valuePath) => {
+  if (Array.isArray(base) && Array.isArray(value)) {
+    if (EXTENDS_REPLACED_LISTS.includes(valuePath)) {
+      return value;
+    }
+
+    if (EXTENDS_LISTS_BY_NAME.includes(valuePath)) {
+      const names = base.map(({ name }) => name);
+      return [
+        ...base.map((item) => value.find(({ name }) => name === item.name) || item),
+        ...value.filter(({ name }) => !names.includes(name)),
+      ];
+    }
+
+    return [...base, ...value.filter((item) => !base.includes(item))];
+  }
+
+  if (isObject(base) && isObject(value)) {
+    return Object.keys(value).reduce(
+      (acc, key) => ({
+        ...acc,
+        [key]: mergeExtendedValues(
+          base[key],
+          value[key],
+          valuePath ? `${valuePath}.${key}` : key,
+        ),
+      }),
+      base,
+    );
+  }
+
+  return value;
+};
+/**
+ * Resolves the path of a configuration to extend: relative paths are resolved against
+ * the directory of the configuration that extends it, and the rest are treated as the
+ * names of packages, or paths inside them.
+ *
+ * @param {string} specifier  The path or the name of the package.
+ * @param {string} directory  The directory of the configuration that extends it.
+ * @param {string} source     Where the configuration that extends it came from, for
+ *                            the error message.
+ * @returns {Promise<string>} The absolute path to the file.
+ * @throws {Error} If the configuration can't be found. The error will have an `errors`
+ *                 property, like the ones for invalid configurations.
+ * @ignore
+ */
+const resolveExtendedConfiguration = async (specifier, directory, source) => {
+  let file = null;
+  if (specifier.startsWith('.') || path.isAbsolute(specifier)) {
+    file = path.resolve(directory, specifier);
+    const exists = await fs.pathExists(file);
+    file = exists ? file : null;
+  } else {
+    try {
+      file = require.resolve(specifier, { paths: [directory] });
+    } catch (error) {
+      file = null;
+    }
+  }
+
+  if (!file) {
+    const error = new Error(
+      `The configuration \`${specifier}\`, extended on ${source}, can't be found`,
+    );
+    error.errors = [error.message];
+    throw error;
+  }
+
+  return file;
+};
+/**
+ * Loads the configurations a configuration extends, and applies it on top of them. The
+ * extended configurations are validated, and they can also extend other ones.
+ *
+ * @param {CJS2ESMConfiguration} config      The validated configuration.
+ * @param {string}               source      Where the configuration came from, for the
+ *                                           error messages.
+ * @param {string}               directory   The directory where the configuration is
+ *                                           located, to resolve the relative paths.
+ * @param {string[]}             [chain=[]]  The paths of the configurations that are
+ *                                           being extended, to detect circular
+ *                                           references.
+ * @returns {Promise<Partial<CJS2ESMOptions>>}
+ * @throws {Error} If an extended configuration can't be found, it's not valid, or it
+ *                 extends one of the configurations that extend it.
+ * @ignore
+ */
+const extendConfiguration = async (config, source, directory, chain = []) => {
+  if (!config.extends) {
+    return config;
+  }
+
+  const { extends: specifiers, ...rest } = config;
+  const base = await specifiers.reduce(async (acc, specifier) => {
+    const current = await acc;
+    const file = await resolveExtendedConfiguration(specifier, directory, source);
+    const fileSource = `\`${file}\``;
+    if (chain.includes(file)) {
+      const error = new Error(
+        `The configurations have a circular \`extends\`: ${[...chain, file]
+          .map((item) => `\`${item}\``)
+          .join(' -> ')}`,
+      );
+      error.errors = [error.message];
+      throw error;
+    }
+
+    log('green', `Extending configuration: ${fileSource}`);
+    const extended = await extendConfiguration(
+      validateConfiguration(await loadConfigurationFile(file), fileSource, true),
+      fileSource,
+      path.dirname(file),
+      [...chain, file],
+    );
+    return mergeExtendedValues(current, extended, '');
+  }, Promise.resolve({}));
+
+  return mergeExtendedValues(base, rest, '');
+};
+/**
+ * Resolves the path of a custom transformation: relative paths are resolved against the
+ * working directory, and the rest are treated as the names of packages.
+ *
+ * @param {string} transform  The path or the name of the transformation.
+ * @param {string} cwd        The working directory.
+ * @returns {?string} The absolute path to the transformation, or `null` if the file or
+ *                    the package can't be found.
+ * @ignore
+ */
+const resolveTransformPath = (transform, cwd) => {
+  if (transform.startsWith('.') || path.isAbsolute(transform)) {
+    const absPath = path.resolve(cwd, transform);
+    return fs.pathExistsSync(absPath) ? absPath : null;
+  }
+
+  try {
+    return require.resolve(transform, { paths: [cwd] });
+  } catch (error) {
+    return null;
+  }
+};
+/**
+ * Resolves the paths of the custom transformations and validates the names of the
+ * built-in ones to disable, so the problems are reported when the configuration is
+ * loaded, before the output directory is touched.
+ *
+ * @param {CJS2ESMTransformsOptions} transforms  The options for the transformations.
+ * @param {string}                   cwd         The working directory.
+ * @returns {CJS2ESMTransformsOptions}
+ * @throws {Error} If a custom transformation can't be found, or one of the names to
+ *                 disable is not a built-in transformation. The error will have an
+ *                 `errors` property with the list of problems.
+ * @ignore
+ */
+const resolveTransforms = (transforms, cwd) => {
+  const errors = [];
+  const result = { ...transforms };
+  ['before', 'after'].forEach((list) => {
+    result[list] = transforms[list].map((item) => {
+      const resolved = resolveTransformPath(item, cwd);
+      if (!resolved) {
+        const reason =
+          item.startsWith('.') || path.isAbsolute(item)
+            ? `the file doesn't exist: \`${path.resolve(cwd, item)}\``
+            : "it's not a file and there's no package with that name installed";
+        errors.push(
+          `\`transforms.${list}\`: the transformation \`${item}\` can't be found, ${reason}`,
+        );
+      }
+
+      return resolved;
+    });
+  });
+  if (transforms.disable.length) {
+    const builtIn = getBuiltInTransformations();
+    transforms.disable
+      .filter((name) => !builtIn.includes(name))
+      .forEach((name) => {
+        errors.push(
+          `\`transforms.disable\`: unknown built-in transformation \`${name}\`. The ` +
+            `available ones are ${builtIn.map((item) => `\`${item}\``).join(', ')}`,
+        );
+      });
+  }
+
+  if (errors.length) {
+    const error = new Error(
+      `Invalid transformations on the configuration:\n${errors
+        .map((message) => `- ${message}`)
+        .join('\n')}`,
+    );
+    error.errors = errors;
+    throw error;
+  }
+
+  return result;
+};
+/**
+ * The options that are objects, so they can be merged when applying a set of overrides,
+ * instead of being replaced.
+ *
+ * @type {string[]}
+ * @ignore
+ */
+const OPTIONS_GROUPS = ['extension', 'files', 'assets', 'transforms', 'hooks'];
+/**
+ * Applies a set of options on top of another, merging the groups of options, like
+ * `extension`.
+ *
+ * @param {Partial<CJS2ESMOptions>} base       The options to extend.
+ * @param {Partial<CJS2ESMOptions>} overrides  The options to apply.
+ * @returns {Partial<CJS2ESMOptions>}
+ * @ignore
+ */
+const mergeOptions = (base, overrides) =>
+  OPTIONS_GROUPS.reduce(
+    (acc, group) =>
+      base[group] || overrides[group]
+        ? { ...acc, [group]: { ...base[group], ...overrides[group] } }
+        : acc,
+    { ...base, ...overrides },
+  );
+/**
+ * Validates that the targets don't use the same names, or the same output directories,
+ * as they would overwrite each other.
+ *
+ * @param {CJS2ESMTarget[]} targets  The targets to validate.
+ * @throws {Error} If two targets have the same name or output directory. The error will
+ *                 have an `errors` property, like the ones for invalid configurations.
+ * @ignore
+ */
+const validateTargets = (targets) => {
+  targets.forEach((target, index) => {
+    const previous = targets.slice(0, index);
+    let message = null;
+    const sameOutput = previous.find((item) => item.output === target.output);
+    if (previous.some((item) => item.name === target.name)) {
+      message = `There are multiple targets named \`${target.name}\``;
+    } else if (sameOutput) {
+      message =
+        `The targets \`${sameOutput.name}\` and \`${target.name}\` use the same output ` +
+        `directory: \`${target.output}\``;
+    }
+
+    if (message) {
+      const error = new Error(message);
+      error.errors = [error.message];
+      throw error;
+    }
+  });
+};
+/**
+ * Generates the options of the tool by applying a configuration, and a set of overrides,
+ * on top of the default options, and resolving the paths against the working directory.
+ * The targets get the same treatment, with their options applied on top of the
+ * overrides.
+ *
+ * @param {Partial<CJS2ESMOptions>} config          The configuration for the project.
+ * @param {Partial<CJS2ESMOptions>} [overrides={}]  A set of options that will be applied
+ *                                                  on top of the configuration.
+ * @returns {CJS2ESMOptions}
+ * @throws {Error} If two targets have the same name or output directory.
+ * @throws {Error} If a custom transformation can't be found, or one of the names to
+ *                 disable is not a built-in transformation.
+ * @ignore
+ */
+const createConfiguration = (config, overrides = {}) => {
+  const cwd = process.cwd();
   const result = {
     input: ['src'],
     output: 'esm',
@@ -76,19 +428,215 @@ const getConfiguration = async () => {
     addModuleEntry: false,
     addPackageJson: true,
     filesWithShebang: [],
+    cache: false,
+    cacheDirectory: path.join('node_modules', '.cache', 'cjs2esm'),
+    sourceMaps: 'none',
+    nodeVersion: '14',
+    jsonImports: 'auto',
+    nestedRequires: 'createRequire',
+    continueOnError: false,
+    errorFallback: 'copy',
+    errorReport: null,
+    targets: [],
     ...config,
+    ...overrides,
   };
 
   result.extension = {
     use: 'js',
     ignore: [],
-    ...result.extension,
+    sources: ['js'],
+    map: {},
+    ...config.extension,
+    ...overrides.extension,
+  };
+
+  result.files = {
+    include: [],
+    exclude: [],
+    copy: [],
+    ignoreFiles: [],
+    ...config.files,
+    ...overrides.files,
   };
 
-  result.input = result.input.map((item) => path.join(cwd, item));
-  result.output = path.join(cwd, result.output);
+  result.assets = {
+    include: [],
+    exclude: [],
+    ...config.assets,
+    ...overrides.assets,
+  };
+
+  result.transforms = {
+    before: [],
+    after: [],
+    disable: [],
+    ...config.transforms,
+    ...overrides.transforms,
+  };
+
+  result.hooks = {
+    ...config.hooks,
+    ...overrides.hooks,
+  };
+
+  result.input = result.input.map((item) => path.resolve(cwd, item));
+  result.output = path.resolve(cwd, result.output);
+  result.cacheDirectory = path.resolve(cwd, result.cacheDirectory);
+  result.transforms = resolveTransforms(result.transforms, cwd);
+  if (result.errorReport) {
+    result.errorReport = path.resolve(cwd, result.errorReport);
+  }
+
+  result.targets = (config.targets || []).map((target) => {
+    const { targets, ...options } = createConfiguration(
+      { ...config, targets: [] },
+      mergeOptions(overrides, target),
+    );
+    return options;
+  });
+  validateTargets(result.targets);
   return result;
 };
+/**
+ * Removes the targets that weren't selected from the options.
+ *
+ * @param {CJS2ESMOptions} config  The options of the tool.
+ * @param {string[]}       names   The names of the targets to keep.
+ * @returns {CJS2ESMOptions}
+ * @throws {Error} If one of the names doesn't match a target. The error will have an
+ *                 `errors` property, like the ones for invalid configurations.
+ * @ignore
+ */
+const selectTargets = (config, names) => {
+  const available = config.targets.map((target) => target.name);
+  const unknown = names.find((name) => !available.includes(name));
+  if (unknown) {
+    const hint = available.length
+      ? `the available ones are ${available.map((name) => `\`${name}\``).join(', ')}`
+      : "the configuration doesn't have targets";
+    const error = new Error(`Unknown target: \`${unknown}\`, ${hint}`);
+    error.errors = [error.message];
+    throw error;
+  }
+
+  return {
+    ...config,
+    targets: config.targets.filter((target) => names.includes(target.name)),
+  };
+};
+/**
+ * Looks for the configuration of a project: one of the configuration files, or a
+ * `cjs2esm` property on the `package.json` (inside `config`, or at the top level).
+ *
+ * @param {string} [cwd=process.cwd()]  The directory of the project.
+ * @returns {Promise<?CJS2ESMConfigurationSource>} If the project doesn't have a
+ *                                                 configuration, it will return `null`.
+ */
+const findConfiguration = async (cwd = process.cwd()) => {
+  const file = await findFile(CONFIGURATION_FILES, cwd);
+  if (file !== null) {
+    return { file, config: null, source: `\`${file}\`` };
+  }
+
+  const pkgJson = requireModule(path.join(cwd, 'package.json'));
+  if (pkgJson.config && pkgJson.config.cjs2esm) {
+    return {
+      file: null,
+      config: pkgJson.config.cjs2esm,
+      source: 'the `config.cjs2esm` property of the `package.json`',
+    };
+  }
+
+  if (pkgJson.cjs2esm) {
+    return {
+      file: null,
+      config: pkgJson.cjs2esm,
+      source: 'the `cjs2esm` property of the `package.json`',
+    };
+  }
+
+  return null;
+};
+/**
+ * Loads the configuration for the project.
+ *
+ * @param {Partial<CJS2ESMOptions>} [overrides={}]
+ * A set of options that will be applied on top of the ones from the configuration; this
+ * is used by the CLI flags.
+ * @param {?string} [configFile=null]
+ * A path, relative to the working directory, for a specific configuration file. If
+ * not specified, the tool will look for one on the project.
+ * @param {string[]} [targets=[]]
+ * The names of the targets that should be built. If empty, all of them will be.
+ * @returns {Promise<CJS2ESMOptions>}
+ * @throws {Error} If `configFile` is specified but it doesn't exist. The error will
+ *                 have an `errors` property, like the validation errors.
+ * @throws {Error} If the configuration, or the overrides, are not valid, or one of the
+ *                 `targets` doesn't exist.
+ * @throws {Error} If a custom transformation can't be found, or one of the names to
+ *                 disable is not a built-in transformation.
+ */
+const getConfiguration = async (overrides = {}, configFile = null, targets = []) => {
+  log('yellow', 'Loading configuration...');
+  const cwd = process.cwd();
+  let config = {};
+  let source = null;
+  let file = null;
+  if (configFile) {
+    file = path.resolve(cwd, configFile);
+    const exists = await fs.pathExists(file);
+    if (!exists) {
+      const error = new Error(`The configuration file doesn't exist: \`${file}\``);
+      error.errors = [error.message];
+      throw error;
+    }
+  } else {
+    const found = await findConfiguration(cwd);
+    if (found === null) {
+      log('gray', 'No configuration was found, using defaults...');
+    } else if (found.file) {
+      ({ file } = found);
+    } else {
+      ({ config, source } = found);
+      log('green', 'Using configuration from the package.json');
+    }
+  }
+
+  if (file) {
+    log('green', `Configuration file found: \`${file}\``);
+    config = await loadConfigurationFile(file);
+    source = `\`${file}\``;
+  }
+
+  if (source) {
+    config = await extendConfiguration(
+      validateConfiguration(config, source, true),
+      source,
+      file ? path.dirname(file) : cwd,
+      file ? [file] : [],
+    );
+  }
+
+  const result = createConfiguration(
+    config,
+    validateConfiguration(overrides, 'the overrides'),
+  );
+  return targets.length ? selectTargets(result, targets) : result;
+};
+/**
+ * Calls one of the lifecycle hooks from the options, if it was defined. The hooks receive
+ * the arguments for their step, and the options of the tool as the last one.
+ *
+ * @param {CJS2ESMOptions} options  The options of the tool.
+ * @param {string}         name     The name of the hook, like `beforeCopy`.
+ * @param {...*}           args     The arguments for the hook.
+ * @returns {Promise<*>} The value the hook returned, or `undefined` if it wasn't defined.
+ */
+const runHook = async (options, name, ...args) => {
+  const hook = options.hooks && options.hooks[name];
+  return typeof hook === 'function' ? hook(...args, options) : undefined;
+};
 /**
  * Ensures the output directory exists and it's empty. If the directory exists, it removes
  * it and then creates it again.
@@ -106,13 +654,16 @@ const ensureOutput = async (output) => {
   log('green', 'Output directory successfully cleaned');
 };
 /**
- * Finds all the JavaScript files on a given directory.
+ * Finds all the files on a given directory that match a function; by default, all the
+ * JavaScript files.
  *
- * @param {string} directory  The absolute path to the directory.
+ * @param {string}   directory  The absolute path to the directory.
+ * @param {Function} [match]    A function that receives the absolute path of a file and
+ *                              returns whether or not it should be included.
  * @returns {Promise<string[]>}
  * @ignore
  */
-const findFiles = async (directory) => {
+const findFiles = async (directory, match = (filepath) => !!filepath.match(/\.js$/i)) => {
   let result = await fs.readdir(directory);
   result = result.filter(
     (item) => !(item === '.' || item === '..' || item === 'node_modules'),
@@ -123,8 +674,8 @@ const findFiles = async (directory) => {
       const stats = await fs.stat(itempath);
       let newItem;
       if (stats.isDirectory()) {
-        newItem = await findFiles(itempath);
-      } else if (item.match(/\.js$/i)) {
+        newItem = await findFiles(itempath, match);
+      } else if (match(itempath)) {
         newItem = itempath;
       } else {
         newItem = null;
@@ -144,228 +695,1119 @@ const findFiles = async (directory) => {
   return result;
 };
 /**
- * Copies all the files from a source directory to the output directory, changing the
- * extensions if required.
+ * Generates the path a file from one of the input directories should have on the output
+ * directory, changing the extension if required.
  *
- * @param {string}          directory              The source directory from where the
- *                                                 files will be copied.
- * @param {string}          output                 The output directory where the files
- *                                                 should be copied to.
- * @param {ModuleExtension} useExtension           The extension the modules should use.
- * @param {boolean}         [forceDirectory=true]  If `false`, the directory itself won't
- *                                                 be copied,
- *                                                 just its contents.
- * @returns {Promise<CJS2ESMCopiedFile[]>}
+ * @param {string}           filepath               The absolute path to the file.
+ * @param {string}           output                 The output directory where the file
+ *                                                  should be copied to.
+ * @param {?ModuleExtension} useExtension           The extension the modules should use.
+ *                                                  If `null`, the extension won't be
+ *                                                  changed.
+ * @param {boolean}          [forceDirectory=true]  If `false`, the input directory
+ *                                                  itself won't be part of the path,
+ *                                                  just the path inside it.
+ * @returns {string}
  * @ignore
  */
-const copyDirectory = async (directory, output, useExtension, forceDirectory = true) => {
+const getOutputPath = (filepath, output, useExtension, forceDirectory = true) => {
   const cwd = process.cwd();
   const extension = `.${useExtension}`;
-  let contents = await findFiles(directory);
-  contents = await Promise.all(
-    contents.map(async (item) => {
-      let cleanPath = item.substr(cwd.length + 1);
-      if (!forceDirectory) {
-        cleanPath = cleanPath.split(path.sep);
-        cleanPath.shift();
-        cleanPath = cleanPath.join(path.sep);
-      }
+  let cleanPath = filepath.substr(cwd.length + 1);
+  if (!forceDirectory) {
+    cleanPath = cleanPath.split(path.sep);
+    cleanPath.shift();
+    cleanPath = cleanPath.join(path.sep);
+  }
 
-      let newPath = path.join(output, cleanPath);
-      const { ext } = path.parse(newPath);
-      if (ext !== extension) {
-        newPath = newPath.replace(new RegExp(`\\${ext}$`), extension);
-      }
+  let newPath = path.join(output, cleanPath);
+  const { ext } = path.parse(newPath);
+  if (useExtension && ext !== extension) {
+    newPath = newPath.replace(new RegExp(`\\${ext}$`), extension);
+  }
 
-      await fs.ensureDir(path.dirname(newPath));
-      await fs.copyFile(item, newPath);
-      return {
-        from: item,
-        to: newPath,
-      };
-    }),
-  );
+  return newPath;
+};
+/**
+ * Creates a function to validate if a file is ignored by the patterns of a list of ignore
+ * files, like `.gitignore` or `.npmignore`. The files are read from the working
+ * directory, and the ones that don't exist are skipped.
+ *
+ * @param {string[]} ignoreFiles  The paths to the ignore files, relative to the working
+ *                                directory.
+ * @returns {Function} It receives the absolute path of a file and returns whether or not
+ *                     it's ignored.
+ * @ignore
+ */
+const createIgnoreFilesMatcher = (ignoreFiles) => {
+  if (!ignoreFiles.length) {
+    return () => false;
+  }
+
+  const cwd = process.cwd();
+  const matcher = ignore();
+  ignoreFiles.forEach((file) => {
+    const filepath = path.resolve(cwd, file);
+    if (fs.pathExistsSync(filepath)) {
+      matcher.add(fs.readFileSync(filepath, 'utf-8'));
+    }
+  });
+
+  return (filepath) => {
+    const relative = path.relative(cwd, filepath);
+    return (
+      !!relative &&
+      !relative.startsWith('..') &&
+      !path.isAbsolute(relative) &&
+      matcher.ignores(relative.split(path.sep).join('/'))
+    );
+  };
+};
+/**
+ * Creates a function to validate if a file with one of the source extensions should be
+ * processed by the tool: it has to match the `include` patterns, if there are any, and it
+ * can't match the `exclude` patterns, nor the ones from the ignore files.
+ *
+ * @param {?CJS2ESMFilesOptions} files  The options to filter the files. If `null`, all
+ *                                      the files will be processed.
+ * @returns {Function} It receives the absolute path of a file and the path of its input
+ *                     directory, and returns whether or not it should be processed.
+ * @ignore
+ */
+const createFilesMatcher = (files) => {
+  if (!files) {
+    return () => true;
+  }
+
+  const isIncluded = files.include.length
+    ? picomatch(files.include, { dot: true })
+    : () => true;
+  const isExcluded = files.exclude.length
+    ? picomatch(files.exclude, { dot: true })
+    : () => false;
+  const isIgnored = createIgnoreFilesMatcher(files.ignoreFiles);
+  return (filepath, directory) => {
+    const relative = path.relative(directory, filepath).split(path.sep).join('/');
+    return isIncluded(relative) && !isExcluded(relative) && !isIgnored(filepath);
+  };
+};
+/**
+ * Generates the information of a file that will be copied to the output directory. The
+ * files that match the `copy` patterns keep their names, as they won't be transformed,
+ * and are flagged with `copyOnly`.
+ *
+ * @param {string}                  filepath        The absolute path to the file.
+ * @param {string}                  directory       The input directory where the file is
+ *                                                  located.
+ * @param {string}                  output          The output directory where the file
+ *                                                  should be copied to.
+ * @param {CJS2ESMExtensionOptions} extension       The options for the extensions of the
+ *                                                  files.
+ * @param {boolean}                 forceDirectory  If `false`, the input directory
+ *                                                  itself won't be part of the path, just
+ *                                                  the path inside it.
+ * @param {?CJS2ESMFilesOptions}    files           The options to filter the files.
+ * @returns {CJS2ESMCopiedFile}
+ * @ignore
+ */
+const createCopiedFile = (
+  filepath,
+  directory,
+  output,
+  extension,
+  forceDirectory,
+  files,
+) => {
+  const copyOnly =
+    !!files &&
+    !!files.copy.length &&
+    picomatch.isMatch(
+      path.relative(directory, filepath).split(path.sep).join('/'),
+      files.copy,
+      { dot: true },
+    );
+  if (copyOnly) {
+    return {
+      from: filepath,
+      to: getOutputPath(filepath, output, null, forceDirectory),
+      copyOnly,
+    };
+  }
 
-  return contents;
+  return {
+    from: filepath,
+    to: getOutputPath(
+      filepath,
+      output,
+      getOutputExtension(filepath, extension),
+      forceDirectory,
+    ),
+  };
+};
+/**
+ * Finds all the files from a source directory and generates the paths they should have
+ * on the output directory.
+ *
+ * @param {string}                  directory              The source directory from
+ *                                                         where the files will be
+ *                                                         copied.
+ * @param {string}                  output                 The output directory where the
+ *                                                         files should be copied to.
+ * @param {CJS2ESMExtensionOptions} extension              The options for the extensions
+ *                                                         of the files.
+ * @param {boolean}                 [forceDirectory=true]  If `false`, the directory
+ *                                                         itself won't be copied, just
+ *                                                         its contents.
+ * @param {?CJS2ESMFilesOptions}    [files=null]           The options to filter the
+ *                                                         files. If `null`, all the files
+ *                                                         with the source extensions will
+ *                                                         be transformed.
+ * @returns {Promise<CJS2ESMCopiedFile[]>}
+ * @ignore
+ */
+const findDirectoryFiles = async (
+  directory,
+  output,
+  extension,
+  forceDirectory = true,
+  files = null,
+) => {
+  const isIncluded = createFilesMatcher(files);
+  const contents = await findFiles(
+    directory,
+    (filepath) => isSourceFile(filepath, extension) && isIncluded(filepath, directory),
+  );
+  return contents.map((item) =>
+    createCopiedFile(item, directory, output, extension, forceDirectory, files),
+  );
 };
 /**
- * Copies all the files the tool will transpile.
+ * Calls a function for each of the input directories and merges the results. If there's
+ * only one directory, by default, only its contents will be used, instead of the
+ * directory itself.
  *
- * @param {string[]}        input           The list of source paths where the files are
- *                                          located.
- * @param {string}          output          The output path where all the files will be
- *                                          transpiled to.
- * @param {ModuleExtension} useExtension    The extension the modules should use.
- * @param {?boolean}        forceDirectory  By default, if `input` has only one directory,
- *                                          the only thing copied will be its contents,
- *                                          instead of the directory itself; this
- *                                          parameter can be used to force it and always
- *                                          copy the directory.
+ * @param {string[]} input           The list of source paths where the files are
+ *                                   located.
+ * @param {?boolean} forceDirectory  Whether or not to force the directory to be part of
+ *                                   the output paths when there's only one.
+ * @param {Function} fn              The function to call for each directory. It
+ *                                   receives the path to the directory and whether or
+ *                                   not the directory should be part of the output
+ *                                   paths.
  * @returns {Promise<CJS2ESMCopiedFile[]>}
+ * @ignore
  */
-const copyFiles = async (input, output, useExtension, forceDirectory) => {
+const processInput = async (input, forceDirectory, fn) => {
   let result;
   if (input.length === 1) {
     const [firstInput] = input;
-    result = await copyDirectory(
-      firstInput,
-      output,
-      useExtension,
-      forceDirectory === true,
-    );
+    result = await fn(firstInput, forceDirectory === true);
   } else {
-    result = await Promise.all(
-      input.map((item) => copyDirectory(item, output, useExtension)),
-    );
-
+    result = await Promise.all(input.map((item) => fn(item, true)));
     result = result.reduce((acc, item) => [...acc, ...item], []);
   }
 
   return result;
 };
 /**
- * Takes a list of copied files, opens them, find if they have a shebang and removes it,
- * saves the files and returns a dictionary with the filepath and the shebang that was
- * removed.
- * This is necessary because the jscodeshift parser can't handle shebangs, and the whole
- * process explodes when a file has one.
+ * Finds all the files the tool will transpile and generates the paths they should have
+ * on the output directory, without copying them.
+ *
+ * @param {string[]}                input           The list of source paths where the
+ *                                                  files are located.
+ * @param {string}                  output          The output path where all the files
+ *                                                  will be transpiled to.
+ * @param {CJS2ESMExtensionOptions} extension       The options for the extensions of the
+ *                                                  files.
+ * @param {?boolean}                forceDirectory  By default, if `input` has only one
+ *                                                  directory, the only thing copied will
+ *                                                  be its contents, instead of the
+ *                                                  directory itself; this parameter can
+ *                                                  be used to force it and always copy
+ *                                                  the directory.
+ * @param {?CJS2ESMFilesOptions}    [files=null]    The options to filter the files. If
+ *                                                  `null`, all the files with the source
+ *                                                  extensions will be transformed.
+ * @returns {Promise<CJS2ESMCopiedFile[]>}
+ */
+const findFilesToCopy = (input, output, extension, forceDirectory, files = null) =>
+  processInput(input, forceDirectory, (directory, force) =>
+    findDirectoryFiles(directory, output, extension, force, files),
+  );
+/**
+ * The options for the extensions the functions for the assets use when they don't
+ * receive them, and the ones `copyFiles` uses when it receives just the extension for the
+ * files: only the `.js` files are transformed.
  *
- * @param {CJS2ESMCopiedFile[]} files  The list of copied files with shebangs.
- * @returns {Object.<string, string>} The keys are the path to the copied files and the
- *                                    values the shebangs they had.
+ * @type {CJS2ESMExtensionOptions}
  * @ignore
  */
-const removeShebangs = async (files) => {
-  const result = await Promise.all(
-    files.map(async (file) => {
-      let contents = await fs.readFile(file.to, 'utf-8');
-      let item;
-      const match = /^#!.*?$/m.exec(contents);
-      if (match) {
-        const [shebang] = match;
-        item = {
-          shebang,
-          file,
-        };
-        contents = contents.replace(shebang, '').trimLeft();
-        await fs.writeFile(file.to, contents);
-      } else {
-        item = null;
-      }
-
-      return item;
+const DEFAULT_EXTENSION = { use: 'js', ignore: [], sources: ['js'], map: {} };
+/**
+ * Normalizes the options for the extensions of the files: before they were an object,
+ * functions like `copyFiles` received just the extension the files should use.
+ *
+ * @param {CJS2ESMExtensionOptions|ModuleExtension} extension  The options to normalize.
+ * @returns {CJS2ESMExtensionOptions}
+ * @ignore
+ */
+const normalizeExtension = (extension) =>
+  typeof extension === 'string' ? { ...DEFAULT_EXTENSION, use: extension } : extension;
+/**
+ * Copies all the files from a source directory to the output directory, changing the
+ * extensions if required.
+ *
+ * @param {string}                  directory              The source directory from
+ *                                                         where the files will be
+ *                                                         copied.
+ * @param {string}                  output                 The output directory where the
+ *                                                         files should be copied to.
+ * @param {CJS2ESMExtensionOptions} extension              The options for the extensions
+ *                                                         of the files.
+ * @param {boolean}                 [forceDirectory=true]  If `false`, the directory
+ *                                                         itself won't be copied, just
+ *                                                         its contents.
+ * @param {?CJS2ESMFilesOptions}    [files=null]           The options to filter the
+ *                                                         files. If `null`, all the files
+ *                                                         with the source extensions will
+ *                                                         be transformed.
+ * @returns {Promise<CJS2ESMCopiedFile[]>}
+ * @ignore
+ */
+const copyDirectory = async (
+  directory,
+  output,
+  extension,
+  forceDirectory = true,
+  files = null,
+) => {
+  const copied = await findDirectoryFiles(
+    directory,
+    output,
+    extension,
+    forceDirectory,
+    files,
+  );
+  await Promise.all(
+    copied.map(async (file) => {
+      await fs.ensureDir(path.dirname(file.to));
+      await fs.copyFile(file.from, file.to);
     }),
   );
 
-  return result
-    .filter((item) => item)
-    .reduce((acc, item) => ({ ...acc, [item.file.to]: item.shebang }), {});
+  return copied;
 };
 /**
- * This is a complementary function for `removeShebangs`: it's used to restore the removed
- * shebangs once the transformation process its finished.
- * The function basically opens the files, adds the shebangs and saves them.
+ * Copies all the files the tool will transpile, and the ones that match the `copy`
+ * patterns, which are flagged with `copyOnly`.
  *
- * @param {Object.<string, string>} shebangs  The keys are the path to the copied files
- *                                            and the values the shebangs they had.
- * @returns {Promise}
- * @ignore
+ * @param {string[]}                input           The list of source paths where the
+ *                                                  files are located.
+ * @param {string}                  output          The output path where all the files
+ *                                                  will be transpiled to.
+ * @param {CJS2ESMExtensionOptions|ModuleExtension} extension
+ * The options for the extensions of the files. For backwards compatibility, it can also
+ * be just the extension the files should use, and only the `.js` files will be
+ * transformed.
+ * @param {?boolean}                forceDirectory  By default, if `input` has only one
+ *                                                  directory, the only thing copied will
+ *                                                  be its contents, instead of the
+ *                                                  directory itself; this parameter can
+ *                                                  be used to force it and always copy
+ *                                                  the directory.
+ * @param {?CJS2ESMFilesOptions}    [files=null]    The options to filter the files. If
+ *                                                  `null`, all the files with the source
+ *                                                  extensions will be transformed.
+ * @returns {Promise<CJS2ESMCopiedFile[]>}
  */
-const restoreShebangs = (shebangs) =>
-  Promise.all(
-    Object.keys(shebangs).map(async (filepath) => {
-      const shebang = shebangs[filepath];
-      let contents = await fs.readFile(filepath, 'utf-8');
-      contents = `${shebang}\n\n${contents}`;
-      await fs.writeFile(filepath, contents);
-    }),
+const copyFiles = (input, output, extension, forceDirectory, files = null) =>
+  processInput(input, forceDirectory, (directory, force) =>
+    copyDirectory(directory, output, normalizeExtension(extension), force, files),
   );
 /**
- * Transforms all files from the output directory into ES Modules.
+ * Creates a function to validate if a file is an asset that should be copied to the
+ * output directory. The files with one of the source extensions are never assets, as
+ * they are transformed.
  *
- * @param {CJS2ESMCopiedFile[]} files    The list of files that were copied to the output
- *                                       directory.
- * @param {CJS2ESMOptions}      options  The options of the tool, so they can be sent to
- *                                       the transformers.
- * @returns {Promise}
- * @throws {Error} If there's a problem while transforming a file.
+ * @param {CJS2ESMAssetsOptions}     assets            The include and exclude patterns
+ *                                                     for the assets.
+ * @param {?CJS2ESMExtensionOptions} [extension=null]  The options for the extensions of
+ *                                                     the files, to know which ones are
+ *                                                     transformed.
+ * @returns {Function} It receives the path of a file, relative to its input directory,
+ *                     and returns whether or not it's an asset.
+ * @ignore
  */
-const transformOutput = async (files, options) => {
-  const transformOptions = {
-    verbose: 0,
-    dry: false,
-    print: false,
-    babel: true,
-    extension: files[0].to.match(/\.mjs$/i) ? 'mjs' : 'js',
-    ignorePattern: [],
-    ignoreConfig: [],
-    runInBand: false,
-    silent: true,
-    parser: 'babel',
-    cjs2esm: options,
-  };
+const createAssetsMatcher = (assets, extension = null) => {
+  if (!assets.include.length) {
+    return () => false;
+  }
 
-  const shebangExpressions = options.filesWithShebang.map(
-    (expression) => new RegExp(expression),
+  const isIncluded = picomatch(assets.include, { dot: true });
+  const isExcluded = assets.exclude.length
+    ? picomatch(assets.exclude, { dot: true })
+    : () => false;
+  return (filepath) => {
+    const relative = filepath.split(path.sep).join('/');
+    return (
+      !isSourceFile(filepath, extension || DEFAULT_EXTENSION) &&
+      isIncluded(relative) &&
+      !isExcluded(relative)
+    );
+  };
+};
+/**
+ * Finds all the assets from a source directory and generates the paths they should have
+ * on the output directory.
+ *
+ * @param {string}                   directory              The source directory from
+ *                                                          where the assets will be
+ *                                                          copied.
+ * @param {string}                   output                 The output directory where
+ *                                                          the assets should be copied
+ *                                                          to.
+ * @param {CJS2ESMAssetsOptions}     assets                 The include and exclude
+ *                                                          patterns for the assets.
+ * @param {boolean}                  [forceDirectory=true]  If `false`, the directory
+ *                                                          itself won't be copied, just
+ *                                                          its contents.
+ * @param {?CJS2ESMExtensionOptions} [extension=null]       The options for the
+ *                                                          extensions of the files, so
+ *                                                          the ones that are transformed
+ *                                                          won't be assets.
+ * @returns {Promise<CJS2ESMCopiedFile[]>}
+ * @ignore
+ */
+const findDirectoryAssets = async (
+  directory,
+  output,
+  assets,
+  forceDirectory = true,
+  extension = null,
+) => {
+  const isAsset = createAssetsMatcher(assets, extension);
+  const contents = await findFiles(directory, (filepath) =>
+    isAsset(path.relative(directory, filepath)),
+  );
+  return contents.map((item) => ({
+    from: item,
+    to: getOutputPath(item, output, null, forceDirectory),
+  }));
+};
+/**
+ * Copies all the assets from a source directory to the output directory.
+ *
+ * @param {string}                   directory              The source directory from
+ *                                                          where the assets will be
+ *                                                          copied.
+ * @param {string}                   output                 The output directory where
+ *                                                          the assets should be copied
+ *                                                          to.
+ * @param {CJS2ESMAssetsOptions}     assets                 The include and exclude
+ *                                                          patterns for the assets.
+ * @param {boolean}                  [forceDirectory=true]  If `false`, the directory
+ *                                                          itself won't be copied, just
+ *                                                          its contents.
+ * @param {?CJS2ESMExtensionOptions} [extension=null]       The options for the
+ *                                                          extensions of the files, so
+ *                                                          the ones that are transformed
+ *                                                          won't be assets.
+ * @returns {Promise<CJS2ESMCopiedFile[]>}
+ * @ignore
+ */
+const copyDirectoryAssets = async (
+  directory,
+  output,
+  assets,
+  forceDirectory = true,
+  extension = null,
+) => {
+  const files = await findDirectoryAssets(
+    directory,
+    output,
+    assets,
+    forceDirectory,
+    extension,
   );
-  const filesWithShebang = files.filter(({ from }) =>
-    shebangExpressions.some((expression) => from.match(expression)),
+  await Promise.all(
+    files.map(async (file) => {
+      await fs.ensureDir(path.dirname(file.to));
+      await fs.copyFile(file.from, file.to);
+    }),
   );
 
-  let shebangs;
-  if (filesWithShebang.length) {
-    shebangs = await removeShebangs(filesWithShebang);
+  return files;
+};
+/**
+ * Finds all the assets from the input directories and generates the paths they should
+ * have on the output directory, without copying them.
+ *
+ * @param {string[]}                 input             The list of source paths where
+ *                                                     the files are located.
+ * @param {string}                   output            The output path where all the
+ *                                                     files will be transpiled to.
+ * @param {CJS2ESMAssetsOptions}     assets            The include and exclude patterns
+ *                                                     for the assets.
+ * @param {?boolean}                 forceDirectory    Whether or not to force the input
+ *                                                     directory to be part of the paths
+ *                                                     when there's only one.
+ * @param {?CJS2ESMExtensionOptions} [extension=null]  The options for the extensions of
+ *                                                     the files, so the ones that are
+ *                                                     transformed won't be assets. If
+ *                                                     not specified, only the `.js`
+ *                                                     files are excluded.
+ * @returns {Promise<CJS2ESMCopiedFile[]>}
+ */
+const findAssetsToCopy = async (
+  input,
+  output,
+  assets,
+  forceDirectory,
+  extension = null,
+) => {
+  if (!assets.include.length) {
+    return [];
+  }
+
+  return processInput(input, forceDirectory, (directory, force) =>
+    findDirectoryAssets(directory, output, assets, force, extension),
+  );
+};
+/**
+ * Copies all the assets from the input directories to the output directory, keeping the
+ * paths they have inside the input directories.
+ *
+ * @param {string[]}                 input             The list of source paths where
+ *                                                     the files are located.
+ * @param {string}                   output            The output path where all the
+ *                                                     files will be transpiled to.
+ * @param {CJS2ESMAssetsOptions}     assets            The include and exclude patterns
+ *                                                     for the assets.
+ * @param {?boolean}                 forceDirectory    Whether or not to force the input
+ *                                                     directory to be part of the paths
+ *                                                     when there's only one.
+ * @param {?CJS2ESMExtensionOptions} [extension=null]  The options for the extensions of
+ *                                                     the files, so the ones that are
+ *                                                     transformed won't be assets. If
+ *                                                     not specified, only the `.js`
+ *                                                     files are excluded.
+ * @returns {Promise<CJS2ESMCopiedFile[]>}
+ */
+const copyAssets = async (input, output, assets, forceDirectory, extension = null) => {
+  if (!assets.include.length) {
+    return [];
   }
 
-  const fiveToSixCodeModPath = path.dirname(
-    require.resolve('5to6-codemod/transforms/cjs.js'),
+  return processInput(input, forceDirectory, (directory, force) =>
+    copyDirectoryAssets(directory, output, assets, force, extension),
   );
-  const transformations = [
-    path.join(fiveToSixCodeModPath, 'cjs.js'),
-    path.join(fiveToSixCodeModPath, 'exports.js'),
-    path.join(fiveToSixCodeModPath, 'named-export-generation.js'),
-    path.join(__dirname, 'transformer.js'),
-  ];
+};
+/**
+ * Generates the path an asset from the input directories would have on the output
+ * directory. This is the same logic `copyAssets` uses, but for only one file.
+ *
+ * @param {string}                   filepath          The absolute path to the file.
+ * @param {string[]}                 input             The list of source paths where
+ *                                                     the files are located.
+ * @param {string}                   output            The output path where all the
+ *                                                     files will be transpiled to.
+ * @param {CJS2ESMAssetsOptions}     assets            The include and exclude patterns
+ *                                                     for the assets.
+ * @param {?boolean}                 forceDirectory    Whether or not to force the input
+ *                                                     directory to be part of the path
+ *                                                     when there's only one.
+ * @param {?CJS2ESMExtensionOptions} [extension=null]  The options for the extensions of
+ *                                                     the files, so the ones that are
+ *                                                     transformed won't be assets. If
+ *                                                     not specified, only the `.js`
+ *                                                     files are excluded.
+ * @returns {?string} If the file is not inside any of the input directories, or it's not
+ *                    an asset, the function will return `null`.
+ */
+const getAssetPath = (
+  filepath,
+  input,
+  output,
+  assets,
+  forceDirectory,
+  extension = null,
+) => {
+  const directory = input.find((item) => filepath.startsWith(`${item}${path.sep}`));
+  if (
+    !directory ||
+    !createAssetsMatcher(assets, extension)(path.relative(directory, filepath))
+  ) {
+    return null;
+  }
 
-  log('yellow', `Transforming ${files.length} files...`);
+  return getOutputPath(
+    filepath,
+    output,
+    null,
+    input.length === 1 ? forceDirectory === true : true,
+  );
+};
+/**
+ * Copies a single asset from the input directories to the output directory.
+ *
+ * @param {string}                   filepath          The absolute path to the file.
+ * @param {string[]}                 input             The list of source paths where
+ *                                                     the files are located.
+ * @param {string}                   output            The output path where all the
+ *                                                     files will be transpiled to.
+ * @param {CJS2ESMAssetsOptions}     assets            The include and exclude patterns
+ *                                                     for the assets.
+ * @param {?boolean}                 forceDirectory    Whether or not to force the input
+ *                                                     directory to be part of the path
+ *                                                     when there's only one.
+ * @param {?CJS2ESMExtensionOptions} [extension=null]  The options for the extensions of
+ *                                                     the files, so the ones that are
+ *                                                     transformed won't be assets. If
+ *                                                     not specified, only the `.js`
+ *                                                     files are excluded.
+ * @returns {Promise<?CJS2ESMCopiedFile>} If the file is not inside any of the input
+ *                                        directories, or it's not an asset, the function
+ *                                        will return `null`.
+ */
+const copyAsset = async (
+  filepath,
+  input,
+  output,
+  assets,
+  forceDirectory,
+  extension = null,
+) => {
+  const newPath = getAssetPath(
+    filepath,
+    input,
+    output,
+    assets,
+    forceDirectory,
+    extension,
+  );
+  if (!newPath) {
+    return null;
+  }
 
-  const results = await transformations.reduce(
-    (acc, transformation) =>
-      acc.then((prevStats) =>
-        Runner.run(transformation, [options.output], transformOptions).then((stats) => [
-          ...prevStats,
-          stats,
-        ]),
-      ),
-    Promise.resolve([null]),
+  await fs.ensureDir(path.dirname(newPath));
+  await fs.copyFile(filepath, newPath);
+  return {
+    from: filepath,
+    to: newPath,
+  };
+};
+/**
+ * Filters a list of files to get the JSON files that need a module when the
+ * `jsonImports` strategy is `inline`, and generates the path for each module.
+ *
+ * @param {CJS2ESMCopiedFile[]} files         The list of copied files.
+ * @param {ModuleExtension}     useExtension  The extension the modules should use.
+ * @returns {CJS2ESMCopiedFile[]} A list with the paths of the JSON files as `from`, and
+ *                                the paths of their modules as `to`.
+ */
+const getJSONModules = (files, useExtension) =>
+  files
+    .filter((file) => file.to.match(/\.json$/i))
+    .map((file) => ({ from: file.to, to: `${file.to}.${useExtension}` }));
+/**
+ * Generates the code of the module for a JSON file.
+ *
+ * @param {*} data  The parsed contents of the JSON file.
+ * @returns {string}
+ */
+const getJSONModuleCode = (data) => {
+  const spaces = 2;
+  return `export default ${JSON.stringify(data, null, spaces)};\n`;
+};
+/**
+ * Generates an ES Module for each JSON file on a list, next to it, with its contents as
+ * the default export. This is for when the `jsonImports` strategy is `inline`, as the
+ * imports of JSON files will point to these modules.
+ *
+ * @param {CJS2ESMCopiedFile[]} files         The list of copied files. The ones that are
+ *                                            not JSON will be ignored.
+ * @param {ModuleExtension}     useExtension  The extension the modules should use.
+ * @returns {Promise<string[]>} The absolute paths to the generated modules.
+ */
+const addJSONModules = async (files, useExtension) =>
+  Promise.all(
+    getJSONModules(files, useExtension).map(async (file) => {
+      const contents = await fs.readJSON(file.from);
+      await fs.writeFile(file.to, getJSONModuleCode(contents));
+      return file.to;
+    }),
+  );
+/**
+ * Generates the information a single file from the input directories would have on the
+ * output directory. This is the same logic `copyFiles` uses, but for only one file.
+ *
+ * @param {string}                  filepath        The absolute path to the file.
+ * @param {string[]}                input           The list of source paths where the
+ *                                                  files are located.
+ * @param {string}                  output          The output path where all the files
+ *                                                  will be transpiled to.
+ * @param {CJS2ESMExtensionOptions} extension       The options for the extensions of the
+ *                                                  files.
+ * @param {?boolean}                forceDirectory  Whether or not to force the input
+ *                                                  directory to be part of the path when
+ *                                                  there's only one.
+ * @param {?CJS2ESMFilesOptions}    files           The options to filter the files.
+ * @returns {?CJS2ESMCopiedFile} If the file is not inside any of the input directories,
+ *                               or the filters exclude it, the function will return
+ *                               `null`.
+ * @ignore
+ */
+const getCopiedFile = (filepath, input, output, extension, forceDirectory, files) => {
+  const directory = input.find((item) => filepath.startsWith(`${item}${path.sep}`));
+  if (!directory || !createFilesMatcher(files)(filepath, directory)) {
+    return null;
+  }
+
+  return createCopiedFile(
+    filepath,
+    directory,
+    output,
+    extension,
+    input.length === 1 ? forceDirectory === true : true,
+    files,
   );
+};
+/**
+ * Generates the path a single file from the input directories would have on the output
+ * directory. This is the same logic `copyFiles` uses, but for only one file.
+ *
+ * @param {string}                  filepath        The absolute path to the file.
+ * @param {string[]}                input           The list of source paths where the
+ *                                                  files are located.
+ * @param {string}                  output          The output path where all the files
+ *                                                  will be transpiled to.
+ * @param {CJS2ESMExtensionOptions} extension       The options for the extensions of the
+ *                                                  files.
+ * @param {?boolean}                forceDirectory  Whether or not to force the input
+ *                                                  directory to be part of the path when
+ *                                                  there's only one.
+ * @param {?CJS2ESMFilesOptions}    [files=null]    The options to filter the files. If
+ *                                                  `null`, all the files with the source
+ *                                                  extensions will be transformed.
+ * @returns {?string} If the file is not inside any of the input directories, or the
+ *                    filters exclude it, the function will return `null`.
+ */
+const getCopyPath = (
+  filepath,
+  input,
+  output,
+  extension,
+  forceDirectory,
+  files = null,
+) => {
+  const file = getCopiedFile(filepath, input, output, extension, forceDirectory, files);
+  return file ? file.to : null;
+};
+/**
+ * Copies a single file from the input directories to the output directory.
+ *
+ * @param {string}                  filepath        The absolute path to the file.
+ * @param {string[]}                input           The list of source paths where the
+ *                                                  files are located.
+ * @param {string}                  output          The output path where all the files
+ *                                                  will be transpiled to.
+ * @param {CJS2ESMExtensionOptions} extension       The options for the extensions of the
+ *                                                  files.
+ * @param {?boolean}                forceDirectory  Whether or not to force the input
+ *                                                  directory to be part of the path when
+ *                                                  there's only one.
+ * @param {?CJS2ESMFilesOptions}    [files=null]    The options to filter the files. If
+ *                                                  `null`, all the files with the source
+ *                                                  extensions will be transformed.
+ * @returns {Promise<?CJS2ESMCopiedFile>} If the file is not inside any of the input
+ *                                        directories, or the filters exclude it, the
+ *                                        function will return `null`.
+ */
+const copyFile = async (
+  filepath,
+  input,
+  output,
+  extension,
+  forceDirectory,
+  files = null,
+) => {
+  const file = getCopiedFile(filepath, input, output, extension, forceDirectory, files);
+  if (!file) {
+    return null;
+  }
+
+  await fs.ensureDir(path.dirname(file.to));
+  await fs.copyFile(filepath, file.to);
+  return file;
+};
+/**
+ * Transforms the code of a single file into an ES Module. If the file matches one of the
+ * `filesWithShebang` expressions, the shebang will be removed before the transformation
+ * and restored after it. If the `sourceMaps` option is enabled, the code will also have
+ * a `sourceMappingURL` comment. The warnings the transformations report are returned
+ * with the code. The parser depends on the extension of the original file, so
+ * TypeScript files can be transformed too.
+ *
+ * @param {string}            contents           The code of the file.
+ * @param {CJS2ESMCopiedFile} file               The information of the file, to know its
+ *                                               original path and the one on the output
+ *                                               directory.
+ * @param {CJS2ESMOptions}    options            The options of the tool, so they can be
+ *                                               sent to the transformers.
+ * @param {?PathExistsFn}     [pathExists=null]  A custom function to validate if a path
+ *                                               exists when resolving the imports.
+ * @param {?Map}              [sharedResults=null]
+ * A storage for the results of the transformations that don't depend on the options, so
+ * they can be reused by other targets.
+ * @returns {CJS2ESMTransformedFile}
+ * @throws {Error} If there's a problem while transforming the code.
+ */
+const transformFile = (
+  contents,
+  file,
+  options,
+  pathExists = null,
+  sharedResults = null,
+) => {
+  const warnings = [];
+  const transformOptions = {
+    parser: getParser(file.from),
+    cjs2esm: options,
+    /**
+     * Collects the warnings the transformations report.
+     *
+     * @param {string} message  The message of the warning.
+     */
+    report: (message) => {
+      warnings.push(message);
+    },
+  };
+  if (pathExists) {
+    transformOptions.pathExists = pathExists;
+  }
+  if (sharedResults) {
+    transformOptions.sharedResults = sharedResults;
+  }
+
+  /**
+   * The parser can't handle shebangs, and the whole process explodes when a file has
+   * one, so they need to be removed before the transformation, and restored after.
+   */
+  let source = contents;
+  let shebang = null;
+  if (
+    options.filesWithShebang.some((expression) => file.from.match(new RegExp(expression)))
+  ) {
+    const match = /^#!.*?$/m.exec(source);
+    if (match) {
+      [shebang] = match;
+      source = source.replace(shebang, '').trimLeft();
+    }
+  }
+
+  const removedLines =
+    contents.substr(0, contents.length - source.length).split('\n').length - 1;
+  const sourceMaps = options.sourceMaps || 'none';
+  let result;
+  try {
+    result =
+      sourceMaps === 'none'
+        ? { code: transformCode(source, file.to, transformOptions), map: null }
+        : transformCodeWithMap(source, file.to, transformOptions, file.from);
+  } catch (error) {
+    // Make the location of parser errors match the original file.
+    if (removedLines && error.loc && error.source === source) {
+      error.loc = { ...error.loc, line: error.loc.line + removedLines };
+      error.source = contents;
+    }
 
-  if (shebangs) {
-    await restoreShebangs(shebangs);
+    throw error;
   }
 
-  results.shift();
-  const errorIndex = results.findIndex(
-    (stats) => stats.ok + stats.nochange !== files.length,
+  let { code, map } = result;
+  if (shebang) {
+    code = `${shebang}\n\n${code}`;
+    if (map) {
+      const shebangLines = 2;
+      map = shiftSourceMap(map, removedLines, shebangLines);
+    }
+  }
+
+  if (!map) {
+    return { code, map, warnings };
+  }
+
+  map = normalizeSourceMap(map, file, contents);
+  return {
+    code: `${code.replace(/\n*$/, '')}\n${getSourceMapComment(
+      map,
+      file.to,
+      sourceMaps,
+    )}\n`,
+    map: sourceMaps === 'file' ? map : null,
+    warnings,
+  };
+};
+/**
+ * Transforms a piece of code into an ES Module, without reading or writing anything on
+ * the file system.
+ *
+ * @param {string}               code          The code to transform.
+ * @param {string}               filename      The path of the file the code belongs to.
+ *                                             If it's relative, it will be resolved
+ *                                             against the working directory. The file
+ *                                             doesn't need to exist, it's used to
+ *                                             resolve the imports.
+ * @param {CJS2ESMSourceOptions} [options={}]  The options for the tool, and the function
+ *                                             to validate if the imported paths exist.
+ * @returns {string}
+ * @throws {Error} If the options are not valid, or if there's a problem while
+ *                 transforming the code.
+ */
+const transformSource = (code, filename, options = {}) => {
+  const { pathExists = null, ...rest } = options;
+  const filepath = path.resolve(process.cwd(), filename);
+  return transformFile(
+    code,
+    { from: filepath, to: filepath },
+    createConfiguration(validateConfiguration(rest, 'the options of `transformSource`')),
+    pathExists,
+  ).code;
+};
+/**
+ * Gets the path the `cjs` fallback uses for a file that couldn't be transformed: the
+ * same path, but with the `.cjs` extension, or `.cts` for TypeScript files.
+ *
+ * @param {string} filepath  The path of the file on the output directory.
+ * @returns {string}
+ */
+const getFallbackPath = (filepath) =>
+  filepath.replace(/\.\w+$/, getParser(filepath) === 'babel' ? '.cjs' : '.cts');
+/**
+ * Puts back a file that couldn't be transformed: the copy on the output directory is
+ * left untouched, or, if the fallback is `cjs`, it gets renamed with the `.cjs`
+ * extension (`.cts` for TypeScript files), so Node will load it as CommonJS even inside
+ * a `type: module` package.
+ *
+ * @param {CJS2ESMCopiedFile} file      The information of the file.
+ * @param {ErrorFallbackType} fallback  What to do with the file.
+ * @returns {Promise<string>} The absolute path where the file was left.
+ * @ignore
+ */
+const useFallback = async (file, fallback) => {
+  if (fallback !== 'cjs') {
+    return file.to;
+  }
+
+  const newPath = getFallbackPath(file.to);
+  await fs.move(file.to, newPath, { overwrite: true });
+  return newPath;
+};
+/**
+ * Updates the imports of the files that were transformed so the ones that point to
+ * files that were renamed by the `cjs` fallback use their new paths.
+ *
+ * @param {CJS2ESMCopiedFile[]}        files       The list of files that were
+ *                                                 transformed.
+ * @param {Array<?CJS2ESMFileError>}   fileErrors  The errors of the files, with the
+ *                                                 paths where they were left, or `null`
+ *                                                 for the files that didn't fail.
+ * @returns {Promise<number>} How many files were updated.
+ * @ignore
+ */
+const updateFallbackImports = async (files, fileErrors) => {
+  const paths = fileErrors.reduce(
+    (acc, fileError, index) =>
+      fileError && fileError.to !== files[index].to
+        ? { ...acc, [files[index].to]: fileError.to }
+        : acc,
+    {},
   );
-  if (errorIndex > -1) {
-    let transformationError = transformations[errorIndex];
-    transformationError = path.parse(transformationError).name;
-    throw new Error(
-      `At least one file couldn't be transformed with \`${transformationError}\``,
+  const names = Object.keys(paths).map((filepath) => path.basename(filepath));
+  if (!names.length) {
+    return 0;
+  }
+
+  const updated = await Promise.all(
+    files.map(async (file, index) => {
+      if (fileErrors[index]) {
+        return false;
+      }
+
+      const code = await fs.readFile(file.to, 'utf-8');
+      // Avoid parsing the files that can't be importing any of the renamed files.
+      if (!names.some((name) => code.includes(name))) {
+        return false;
+      }
+
+      const newCode = updateImportPaths(code, file.to, paths, getParser(file.to));
+      if (newCode === code) {
+        return false;
+      }
+
+      await fs.writeFile(file.to, newCode);
+      return true;
+    }),
+  );
+
+  return updated.filter((item) => item).length;
+};
+/**
+ * Transforms all files from the output directory into ES Modules.
+ *
+ * @param {CJS2ESMCopiedFile[]} files    The list of files that were copied to the output
+ *                                       directory.
+ * @param {CJS2ESMOptions}      options  The options of the tool, so they can be sent to
+ *                                       the transformers.
+ * @param {?Map}                [sharedResults=null]
+ * A storage for the results of the transformations that don't depend on the options, so
+ * they can be reused by other targets.
+ * @returns {Promise<CJS2ESMFileResult[]>}
+ * @throws {Error} If one or more files can't be transformed and `continueOnError` is
+ *                 disabled. The errors of the files will be logged, and the error will
+ *                 have a `files` property with the list of {@link CJS2ESMFileError}.
+ */
+const transformOutput = async (files, options, sharedResults = null) => {
+  log('yellow', `Transforming ${files.length} files...`);
+  const start = Date.now();
+  const results = await Promise.all(
+    files.map(async (file) => {
+      const contents = await fs.readFile(file.to, 'utf-8');
+      let cacheKey = null;
+      let result = null;
+      if (options.cache) {
+        cacheKey = getCacheKey(contents, file.to, options);
+        const code = await readCache(options.cacheDirectory, cacheKey);
+        if (code !== null) {
+          const map =
+            options.sourceMaps === 'file'
+              ? await readCache(options.cacheDirectory, cacheKey, 'js.map')
+              : null;
+          const warnings = await readCache(
+            options.cacheDirectory,
+            cacheKey,
+            'warnings.json',
+          );
+          result = {
+            code,
+            map: map && JSON.parse(map),
+            warnings: warnings ? JSON.parse(warnings) : [],
+          };
+        }
+      }
+
+      const cached = result !== null;
+      if (!cached) {
+        try {
+          result = transformFile(contents, file, options, null, sharedResults);
+        } catch (error) {
+          return { error, cached };
+        }
+
+        if (cacheKey) {
+          await writeCache(options.cacheDirectory, cacheKey, result.code);
+          if (result.map) {
+            await writeCache(
+              options.cacheDirectory,
+              cacheKey,
+              JSON.stringify(result.map),
+              'js.map',
+            );
+          }
+          if (result.warnings.length) {
+            await writeCache(
+              options.cacheDirectory,
+              cacheKey,
+              JSON.stringify(result.warnings),
+              'warnings.json',
+            );
+          }
+        }
+      }
+
+      const code = await runHook(options, 'afterTransformFile', file, result.code);
+      await fs.writeFile(file.to, typeof code === 'string' ? code : result.code);
+      if (result.map) {
+        await fs.writeFile(`${file.to}.map`, JSON.stringify(result.map));
+      }
+
+      return { error: null, cached, warnings: result.warnings };
+    }),
+  );
+
+  let fileErrors = results.map(({ error }, index) =>
+    error ? getFileError(error, files[index]) : null,
+  );
+  const failed = fileErrors.filter((fileError) => fileError);
+  if (failed.length) {
+    failed.forEach((fileError) => log('red', formatFileError(fileError)));
+    const message = `${failed.length} of ${files.length} files couldn't be transformed`;
+    if (!options.continueOnError) {
+      const error = new Error(message);
+      error.files = failed;
+      throw error;
+    }
+
+    fileErrors = await Promise.all(
+      fileErrors.map(async (fileError) =>
+        fileError
+          ? { ...fileError, to: await useFallback(fileError, options.errorFallback) }
+          : null,
+      ),
     );
+    log(
+      'yellow',
+      options.errorFallback === 'cjs'
+        ? `${message}, they were saved as \`.cjs\` files`
+        : `${message}, they were copied without changes`,
+    );
+    const importers = await updateFallbackImports(files, fileErrors);
+    if (importers) {
+      log('yellow', `The imports of ${importers} files were updated to the new paths`);
+    }
+  }
+
+  const fromCache = results.filter(({ cached }) => cached).length;
+  if (fromCache) {
+    log('gray', `${fromCache} of ${files.length} files were taken from the cache`);
   }
 
+  const result = files.map((file, index) => {
+    const fileError = fileErrors[index];
+    if (fileError) {
+      return {
+        ...file,
+        to: fileError.to,
+        status: 'failed',
+        error: fileError,
+      };
+    }
+
+    return {
+      ...file,
+      status: results[index].cached ? 'cached' : 'transformed',
+      warnings: results[index].warnings,
+    };
+  });
   const cwd = process.cwd();
-  files.forEach((file) => log('gray', `> ${file.to.substr(cwd.length + 1)}`));
-  let totalTime = results.reduce(
-    (acc, { timeElapsed }) => acc + parseFloat(timeElapsed),
-    0.0,
-  );
+  result.forEach((file) => {
+    log('gray', `> ${file.to.substr(cwd.length + 1)}`);
+    if (file.warnings) {
+      file.warnings.forEach((warning) => log('yellow', `  ${warning}`));
+    }
+  });
   const decimals = 2;
-  totalTime = totalTime.toFixed(decimals);
+  const millisecondsInSecond = 1000;
+  const totalTime = ((Date.now() - start) / millisecondsInSecond).toFixed(decimals);
+
+  if (failed.length) {
+    const transformed = files.length - failed.length;
+    log('green', `${transformed} files were successfully transformed (${totalTime}s)`);
+  } else {
+    log('green', `All files were successfully transformed (${totalTime}s)!`);
+  }
 
-  log('green', `All files were successfully transformed (${totalTime}s)!`);
+  return result;
 };
 /**
  * Given an absolute path for a folder, the function will try to find its "entry file": it
@@ -379,72 +1821,336 @@ const findFolderEntryPath = async (absPath) => {
   const file = await findFile(['index.mjs', 'index.js'], absPath);
   return file ? path.join(absPath, path.basename(file)) : null;
 };
+/**
+ * Logs a warning and adds it to a list, so it can be reported on the result of `run`.
+ *
+ * @param {string[]} warnings  The list where the warning should be added.
+ * @param {string}   message   The message of the warning.
+ * @ignore
+ */
+const warn = (warnings, message) => {
+  warnings.push(message);
+  log('yellow', message);
+};
+/**
+ * Finds the path the `module` property of the project `package.json` should have: the
+ * transformed version of the file the `main` property points to.
+ *
+ * @param {Object}              pkgJson  The contents of the project `package.json`.
+ * @param {CJS2ESMCopiedFile[]} files    The list of files that were copied, so the
+ *                                       function can find the transformed path for the
+ *                                       `main` file.
+ * @returns {Promise<CJS2ESMModuleEntry>}
+ * @throws {Error} If the function can't find the file the `main` property points to.
+ */
+const findModuleEntry = async (pkgJson, files) => {
+  if (!pkgJson.main) {
+    return {
+      entry: null,
+      warning: "There's no main property, package.json update aborted",
+    };
+  }
+
+  const cwd = process.cwd();
+  let mainPath = path.join(cwd, pkgJson.main);
+  const info = await getAbsPathInfo(mainPath);
+  if (info.isFile) {
+    mainPath = info.path;
+  } else {
+    mainPath = await findFolderEntryPath(info.path);
+    if (!mainPath) {
+      throw new Error(`The entry file can't be found: \`${info.path}\``);
+    }
+  }
+
+  const file = files.find((item) => item.from === mainPath);
+  return file
+    ? {
+        entry: path.relative(cwd, file.to).replace(/^(\w)/, './$1'),
+        warning: null,
+      }
+    : {
+        entry: null,
+        warning:
+          'It doesnt seem like the main file was transformed, package.json update aborted',
+      };
+};
 /**
  * Updates the project `package.json` by adding a `module` property that points to the
  * transformed version of the current `main` property.
  *
- * @param {CJS2ESMCopiedFile[]} files  The list of files that were copied, so the function
- *                                     can find the transformed path for the `main` file.
- * @returns {Promise}
+ * @param {CJS2ESMCopiedFile[]} files          The list of files that were copied, so the
+ *                                             function can find the transformed path for
+ *                                             the `main` file.
+ * @param {string[]}            [warnings=[]]  A list where the function will add the
+ *                                             warnings for the cases in which the
+ *                                             `package.json` can't be updated.
+ * @returns {Promise<?string>} The path that was set on the `module` property, or `null`
+ *                             if the `package.json` wasn't updated.
  * @throws {Error} If the function can't find the transformed version of the `main`
  *                 file.
  */
-const updatePackageJSON = async (files) => {
-  const cwd = process.cwd();
-  const pkgJsonPath = path.join(cwd, 'package.json');
+const updatePackageJSON = async (files, warnings = []) => {
+  const pkgJsonPath = path.join(process.cwd(), 'package.json');
   const pkgJson = requireModule(pkgJsonPath);
-  let result;
-  if (pkgJson.main) {
-    let mainPath = path.join(cwd, pkgJson.main);
-    const info = await getAbsPathInfo(mainPath);
-    if (info.isFile) {
-      mainPath = info.path;
-    } else {
-      mainPath = await findFolderEntryPath(info.path);
-      if (!mainPath) {
-        throw new Error(`The entry file can't be found: \`${info.path}\``);
-      }
-    }
-    const file = files.find((item) => item.from === mainPath);
-    if (file) {
-      result = path.relative(cwd, file.to).replace(/^(\w)/, './$1');
-      pkgJson.module = result;
-      await fs.writeJSON(pkgJsonPath, pkgJson, { spaces: 2 });
-      log('green', 'The module property was successfully added to the package.json!');
-    } else {
-      log(
-        'yellow',
-        'It doesnt seem like the main file was transformed, package.json update aborted',
-      );
-      result = null;
-    }
-  } else {
-    log('yellow', "There's no main property, package.json update aborted");
-    result = null;
+  const { entry, warning } = await findModuleEntry(pkgJson, files);
+  if (!entry) {
+    warn(warnings, warning);
+    return null;
   }
 
-  return result;
+  pkgJson.module = entry;
+  await fs.writeJSON(pkgJsonPath, pkgJson, { spaces: 2 });
+  log('green', 'The module property was successfully added to the package.json!');
+  return entry;
 };
+/**
+ * The contents of the `package.json` the tool adds on the output directory.
+ *
+ * @type {Object}
+ * @ignore
+ */
+const OUTPUT_PACKAGE_JSON = { type: 'module' };
+/**
+ * Generates the contents of the `package.json` the tool adds on the output directory.
+ *
+ * @returns {Object}
+ */
+const getOutputPackageJSON = () => ({ ...OUTPUT_PACKAGE_JSON });
 /**
  * Adds a `package.json` with `type` set to `module` on the output directory. This is so
  * Node can properly resolve the ESM files.
  *
  * @param {string} output  The output directory the tool will use.
- * @returns {Promise}
+ * @returns {Promise<string>} The absolute path to the `package.json`.
  */
 const addPackageJSON = async (output) => {
-  await fs.writeJSON(
-    path.join(output, 'package.json'),
-    { type: 'module' },
-    { spaces: 2 },
-  );
+  const filepath = path.join(output, 'package.json');
+  await fs.writeJSON(filepath, getOutputPackageJSON(), { spaces: 2 });
   log('green', 'The packages.json for the ESM version was successfully added!');
+  return filepath;
+};
+/**
+ * Writes the report of the files that couldn't be transformed, if the `errorReport`
+ * option is enabled.
+ *
+ * @param {CJS2ESMOptions}     options  The options of the tool.
+ * @param {CJS2ESMFileError[]} failed   The errors of the files that failed.
+ * @param {number}             total    How many files the tool tried to transform.
+ * @returns {Promise<?string>} The absolute path to the report, or `null` if the option
+ *                             is disabled.
+ * @ignore
+ */
+const reportErrors = async (options, failed, total) => {
+  if (!options.errorReport) {
+    return null;
+  }
+
+  await writeReport(options.errorReport, failed, total);
+  log('gray', `Report saved on \`${path.relative(process.cwd(), options.errorReport)}\``);
+  return options.errorReport;
+};
+/**
+ * Builds the ESM version of a project for a single set of options: cleans the output
+ * directory, copies and transforms the files, copies the assets, and, depending on the
+ * options, updates the project `package.json` and adds one on the output directory. The
+ * lifecycle `hooks` from the options are called between the steps.
+ *
+ * @param {CJS2ESMOptions} config                The options of the tool, or of a target.
+ * @param {number}         start                 When the process started, to calculate
+ *                                               the total time.
+ * @param {?Map}           [sharedResults=null]  A storage for the results of the
+ *                                               transformations that don't depend on the
+ *                                               options, so they can be reused by other
+ *                                               targets.
+ * @returns {Promise<CJS2ESMRunResult>}
+ * @throws {Error} If there's a problem while transforming a file and `continueOnError`
+ *                 is disabled, or if one of the hooks fails.
+ * @ignore
+ */
+const build = async (config, start, sharedResults = null) => {
+  const warnings = [];
+  const packageJson = {
+    moduleEntry: null,
+    outputFile: null,
+  };
+  await ensureOutput(config.output);
+  const copyStart = Date.now();
+  await runHook(config, 'beforeCopy');
+  const copied = await copyFiles(
+    config.input,
+    config.output,
+    config.extension,
+    config.forceDirectory,
+    config.files,
+  );
+  const transformable = copied.filter((file) => !file.copyOnly);
+  if (transformable.length < copied.length) {
+    log(
+      'green',
+      `${
+        copied.length - transformable.length
+      } files were copied without being transformed`,
+    );
+  }
+  const assets = await copyAssets(
+    config.input,
+    config.output,
+    config.assets,
+    config.forceDirectory,
+    config.extension,
+  );
+  if (assets.length) {
+    log('green', `${assets.length} assets were copied to the output directory`);
+  }
+  if (getJSONImportsStrategy(config) === 'inline') {
+    await addJSONModules(assets, config.extension.use);
+  }
+
+  await runHook(config, 'afterCopy', copied);
+  const transformStart = Date.now();
+  await runHook(config, 'beforeTransform', transformable);
+  let files;
+  try {
+    files = await transformOutput(transformable, config, sharedResults);
+  } catch (error) {
+    if (error.files) {
+      await reportErrors(config, error.files, transformable.length);
+    }
+
+    throw error;
+  }
+
+  const failed = files.filter((file) => file.status === 'failed');
+  const report = await reportErrors(
+    config,
+    failed.map((file) => file.error),
+    files.length,
+  );
+  if (failed.length) {
+    warn(warnings, `${failed.length} of ${files.length} files couldn't be transformed`);
+  }
+
+  const cwd = process.cwd();
+  files.forEach((file) => {
+    if (file.warnings) {
+      // The warnings were already logged when the files were transformed.
+      file.warnings.forEach((warning) => {
+        warnings.push(`${path.relative(cwd, file.from)}: ${warning}`);
+      });
+    }
+  });
+
+  const packageJsonStart = Date.now();
+  if (config.addModuleEntry) {
+    packageJson.moduleEntry = await updatePackageJSON(
+      files.filter((file) => file.status !== 'failed'),
+      warnings,
+    );
+  }
+  if (config.addPackageJson) {
+    packageJson.outputFile = await addPackageJSON(config.output);
+  }
+
+  const end = Date.now();
+  const result = {
+    options: config,
+    files,
+    assets,
+    warnings,
+    packageJson,
+    report,
+    timings: {
+      copy: transformStart - copyStart,
+      transform: packageJsonStart - transformStart,
+      packageJson: end - packageJsonStart,
+      total: end - start,
+    },
+  };
+  await runHook(config, 'afterBuild', result);
+  return result;
+};
+/**
+ * Builds each one of the targets, one after the other. The results of the
+ * transformations that don't depend on the options are shared between them, so the
+ * files are only parsed once for those.
+ *
+ * @param {CJS2ESMOptions} config  The options of the tool, with the targets.
+ * @param {number}         start   When the process started, to calculate the total
+ *                                 time.
+ * @returns {Promise<CJS2ESMTargetsRunResult>}
+ * @throws {Error} If one of the targets fails.
+ * @ignore
+ */
+const buildTargets = async (config, start) => {
+  const sharedResults = new Map();
+  const targets = await config.targets.reduce(async (acc, target) => {
+    const results = await acc;
+    log('yellow', `Building the \`${target.name}\` target...`);
+    const result = await build(target, Date.now(), sharedResults);
+    return [...results, result];
+  }, Promise.resolve([]));
+
+  return {
+    options: config,
+    targets,
+    warnings: targets.reduce(
+      (acc, result) => [
+        ...acc,
+        ...result.warnings.map((warning) => `[${result.options.name}] ${warning}`),
+      ],
+      [],
+    ),
+    timings: {
+      total: Date.now() - start,
+    },
+  };
+};
+/**
+ * Runs the whole process of the tool: cleans the output directory, copies and transforms
+ * the files, copies the assets, and, depending on the options, updates the project `package.json` and adds
+ * one on the output directory. The lifecycle `hooks` from the options are called
+ * between the steps. If the options have `targets`, the process runs for each one of
+ * them.
+ *
+ * @param {?Partial<CJS2ESMOptions>} [options=null]
+ * The options for the tool, which will be applied on top of the defaults. If specified,
+ * the tool won't look for a configuration file on the project.
+ * @returns {Promise<CJS2ESMRunResult|CJS2ESMTargetsRunResult>}
+ * @throws {Error} If the options are not valid.
+ * @throws {Error} If there's a problem while transforming a file and `continueOnError`
+ *                 is disabled, or if one of the hooks fails.
+ */
+const run = async (options = null) => {
+  const start = Date.now();
+  const config = options
+    ? createConfiguration(validateConfiguration(options, 'the options of `run`'))
+    : await getConfiguration();
+  return config.targets.length ? buildTargets(config, start) : build(config, start);
 };
 
 module.exports.addErrorHandler = addErrorHandler;
+module.exports.findConfiguration = findConfiguration;
 module.exports.getConfiguration = getConfiguration;
+module.exports.runHook = runHook;
 module.exports.ensureOutput = ensureOutput;
+module.exports.findFilesToCopy = findFilesToCopy;
 module.exports.copyFiles = copyFiles;
+module.exports.getCopyPath = getCopyPath;
+module.exports.copyFile = copyFile;
+module.exports.findAssetsToCopy = findAssetsToCopy;
+module.exports.copyAssets = copyAssets;
+module.exports.getAssetPath = getAssetPath;
+module.exports.copyAsset = copyAsset;
+module.exports.getJSONModules = getJSONModules;
+module.exports.getJSONModuleCode = getJSONModuleCode;
+module.exports.addJSONModules = addJSONModules;
+module.exports.transformFile = transformFile;
+module.exports.transformSource = transformSource;
+module.exports.getFallbackPath = getFallbackPath;
 module.exports.transformOutput = transformOutput;
+module.exports.findModuleEntry = findModuleEntry;
 module.exports.updatePackageJSON = updatePackageJSON;
+module.exports.getOutputPackageJSON = getOutputPackageJSON;
 module.exports.addPackageJSON = addPackageJSON;
+module.exports.run = run;
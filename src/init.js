@@ -0,0 +1,255 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { findConfiguration } = require('.');
+const { log } = require('./utils');
+
+/**
+ * @typedef {Object} CJS2ESMInitOptions
+ * @property {boolean} [inPackageJson]  Whether or not to save the configuration on the
+ *                                      `package.json`, instead of a `.cjs2esm.json` file.
+ * @property {boolean} [force]          Whether or not to replace the configuration if the
+ *                                      project already has one.
+ */
+
+/**
+ * @typedef {Object} CJS2ESMInitResult
+ * @property {Partial<CJS2ESMOptions>} config  The generated configuration.
+ * @property {string}                  file    The absolute path to the file where the
+ *                                             configuration was saved.
+ */
+
+/**
+ * The directories that are checked for the source files, if the entries of the
+ * `package.json` are on its same directory.
+ *
+ * @type {string[]}
+ * @ignore
+ */
+const COMMON_INPUT_DIRECTORIES = ['src', 'lib'];
+/**
+ * The name of the file where the configuration is saved.
+ *
+ * @type {string}
+ * @ignore
+ */
+const CONFIGURATION_FILE = '.cjs2esm.json';
+/**
+ * Creates an error for a problem the user needs to fix, with an `errors` property, like
+ * the ones for invalid configurations, so the CLI won't print a stack trace.
+ *
+ * @param {string} message  The message of the error.
+ * @returns {Error}
+ * @ignore
+ */
+const createInitError = (message) => {
+  const error = new Error(message);
+  error.errors = [message];
+  return error;
+};
+/**
+ * Gets the paths of the entries of a `package.json`: its `main` and the `bin` files,
+ * relative to the project and without the leading `./`.
+ *
+ * @param {Object} pkgJson  The contents of the `package.json`.
+ * @returns {string[]}
+ * @ignore
+ */
+const getEntries = (pkgJson) => {
+  const bin =
+    typeof pkgJson.bin === 'string' ? [pkgJson.bin] : Object.values(pkgJson.bin || {});
+  return [pkgJson.main, ...bin]
+    .filter((entry) => typeof entry === 'string')
+    .map((entry) => path.normalize(entry).split(path.sep).join('/'));
+};
+/**
+ * Finds the directories that have the source files of the project: the ones where the
+ * entries of the `package.json` are located or, if the entries are on the root, the
+ * common names for them, like `src`.
+ *
+ * @param {string[]} entries  The entries of the `package.json`.
+ * @param {string}   cwd      The directory of the project.
+ * @returns {Promise<string[]>}
+ * @ignore
+ */
+const findInputDirectories = async (entries, cwd) => {
+  const candidates = entries
+    .filter((entry) => entry.includes('/'))
+    .map((entry) => entry.split('/')[0])
+    .filter((directory, index, list) => list.indexOf(directory) === index);
+  const directories = candidates.length ? candidates : COMMON_INPUT_DIRECTORIES;
+  const existing = await Promise.all(
+    directories.map((directory) => fs.pathExists(path.join(cwd, directory))),
+  );
+  return directories.filter((directory, index) => existing[index]);
+};
+/**
+ * Finds the JavaScript files inside a directory that start with a shebang.
+ *
+ * @param {string} directory  The absolute path to the directory.
+ * @param {string} cwd        The directory of the project, to generate relative paths.
+ * @returns {Promise<string[]>} The paths of the files, relative to the project.
+ * @ignore
+ */
+const findFilesWithShebang = async (directory, cwd) => {
+  const items = await fs.readdir(directory);
+  const found = await Promise.all(
+    items
+      .filter((item) => item !== 'node_modules' && !item.startsWith('.'))
+      .map(async (item) => {
+        const itemPath = path.join(directory, item);
+        const stats = await fs.stat(itemPath);
+        if (stats.isDirectory()) {
+          return findFilesWithShebang(itemPath, cwd);
+        }
+
+        if (!item.match(/\.[cm]?[jt]s$/i)) {
+          return [];
+        }
+
+        const contents = await fs.readFile(itemPath, 'utf-8');
+        return contents.startsWith('#!')
+          ? [path.relative(cwd, itemPath).split(path.sep).join('/')]
+          : [];
+      }),
+  );
+
+  return found.reduce((acc, files) => [...acc, ...files], []);
+};
+/**
+ * Finds the dependencies of the project that publish an ES Modules version on a
+ * subpath, using the `module` property of their `package.json`, so their imports can be
+ * replaced. The packages that already have `exports` or `type` set to `module` are
+ * ignored, as Node can resolve them.
+ *
+ * @param {Object} pkgJson  The contents of the project `package.json`.
+ * @param {string} cwd      The directory of the project.
+ * @returns {Promise<CJS2ESMModuleOption[]>}
+ * @ignore
+ */
+const findESMDependencies = async (pkgJson, cwd) => {
+  const names = Object.keys({
+    ...pkgJson.peerDependencies,
+    ...pkgJson.dependencies,
+  });
+  const modules = await Promise.all(
+    names.map(async (name) => {
+      let depPkgJson;
+      try {
+        depPkgJson = await fs.readJSON(
+          path.join(cwd, 'node_modules', name, 'package.json'),
+        );
+      } catch (ignore) {
+        return null;
+      }
+
+      if (
+        typeof depPkgJson.module !== 'string' ||
+        depPkgJson.exports !== undefined ||
+        depPkgJson.type === 'module'
+      ) {
+        return null;
+      }
+
+      const directory = path.posix.dirname(path.posix.normalize(depPkgJson.module));
+      return directory === '.' ? null : { name, path: `${name}/${directory}` };
+    }),
+  );
+
+  return modules.filter((item) => item);
+};
+/**
+ * Inspects a project and generates a configuration for it: the `input` directories are
+ * based on the entries of the `package.json` (or the `src`/`lib` directories), the files
+ * that start with a shebang are added to `filesWithShebang`, the dependencies that
+ * publish an ES Modules version on a subpath are added to `modules`, and
+ * `addModuleEntry` is enabled if the `main` file will be transformed.
+ *
+ * @param {string} [cwd=process.cwd()]  The directory of the project.
+ * @returns {Promise<Partial<CJS2ESMOptions>>}
+ * @throws {Error} If the project doesn't have a `package.json`.
+ */
+const detectConfiguration = async (cwd = process.cwd()) => {
+  const pkgJsonPath = path.join(cwd, 'package.json');
+  const exists = await fs.pathExists(pkgJsonPath);
+  if (!exists) {
+    throw createInitError(`There's no \`package.json\` on \`${cwd}\``);
+  }
+
+  const pkgJson = await fs.readJSON(pkgJsonPath);
+  const entries = getEntries(pkgJson);
+  const input = await findInputDirectories(entries, cwd);
+  const filesWithShebang = await Promise.all(
+    input.map((directory) => findFilesWithShebang(path.join(cwd, directory), cwd)),
+  );
+  const [main] = entries;
+  return {
+    input: input.length ? input : ['src'],
+    output: 'esm',
+    modules: await findESMDependencies(pkgJson, cwd),
+    filesWithShebang: filesWithShebang.reduce((acc, files) => [...acc, ...files], []),
+    addModuleEntry:
+      typeof pkgJson.main === 'string' &&
+      input.some((directory) => main.startsWith(`${directory}/`)),
+  };
+};
+/**
+ * Inspects a project, generates a configuration for it, and saves it on a
+ * `.cjs2esm.json` file, or on the `package.json`.
+ *
+ * @param {CJS2ESMInitOptions} [options={}]  The options to save the configuration.
+ * @param {string}             [cwd=process.cwd()]
+ * The directory of the project.
+ * @returns {Promise<CJS2ESMInitResult>}
+ * @throws {Error} If the project doesn't have a `package.json`, or it already has a
+ *                 configuration and `force` is not enabled.
+ */
+const initConfiguration = async (options = {}, cwd = process.cwd()) => {
+  const { inPackageJson = false, force = false } = options;
+  const pkgJsonPath = path.join(cwd, 'package.json');
+  const exists = await fs.pathExists(pkgJsonPath);
+  const existing = exists ? await findConfiguration(cwd) : null;
+  if (existing && !force) {
+    throw createInitError(
+      `The project already has a configuration on ${existing.source}, ` +
+        'use `--force` to replace it',
+    );
+  }
+
+  log('yellow', 'Inspecting the project...');
+  const config = await detectConfiguration(cwd);
+  const spaces = 2;
+  let file;
+  if (inPackageJson) {
+    file = pkgJsonPath;
+    const pkgJson = await fs.readJSON(pkgJsonPath);
+    let updated;
+    if (pkgJson.config && pkgJson.config.cjs2esm) {
+      updated = { ...pkgJson, config: { ...pkgJson.config, cjs2esm: config } };
+    } else {
+      updated = { ...pkgJson, cjs2esm: config };
+    }
+
+    await fs.writeJSON(pkgJsonPath, updated, { spaces });
+  } else {
+    file = path.join(cwd, CONFIGURATION_FILE);
+    await fs.writeJSON(file, config, { spaces });
+  }
+
+  log('green', `The configuration was saved on \`${path.relative(cwd, file)}\``);
+  const used = await findConfiguration(cwd);
+  if (used && used.file && used.file !== file) {
+    log(
+      'yellow',
+      `The configuration on ${used.source} takes precedence over the new one, ` +
+        'remove it so the new one can be used',
+    );
+  }
+
+  JSON.stringify(config, null, spaces)
+    .split('\n')
+    .forEach((line) => log('gray', line));
+  return { config, file };
+};
+
+module.exports.detectConfiguration = detectConfiguration;
+module.exports.initConfiguration = initConfiguration;
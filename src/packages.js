@@ -0,0 +1,240 @@
+const path = require('path');
+const fs = require('fs-extra');
+
+/**
+ * @callback ReadJSONFn
+ * @param {string} filepath  The absolute path to the file to read.
+ * @returns {Object}
+ * @throws {Error} If the file can't be read or parsed.
+ */
+
+/**
+ * @typedef {Object} PackageSpecifier
+ * @property {string} name     The name of the package, including the scope.
+ * @property {string} subpath  The path inside the package, relative to its root, like
+ *                             `.` or `./utils`.
+ */
+
+/**
+ * @typedef {Object} PackageSpecifierResolution
+ * @property {boolean} exported   Whether or not the package exports the path.
+ * @property {string}  specifier  The specifier that should be used on the import: if the
+ *                                path was only exported with an extension, it will be
+ *                                added.
+ */
+
+/**
+ * The conditions the tool uses to resolve the `exports` of a package, the same Node uses
+ * for ES Modules.
+ *
+ * @type {string[]}
+ * @ignore
+ */
+const IMPORT_CONDITIONS = ['import', 'node', 'default'];
+/**
+ * Splits a bare specifier into the name of the package and the path inside it.
+ *
+ * @param {string} specifier  The specifier to parse, like `pkg/utils` or `@scope/pkg`.
+ * @returns {?PackageSpecifier} If the specifier is not valid, it will return `null`.
+ */
+const parsePackageSpecifier = (specifier) => {
+  const match = /^((?:@[^/]+\/)?[^/@.][^/]*)(\/.*)?$/.exec(specifier);
+  if (!match) {
+    return null;
+  }
+
+  return {
+    name: match[1],
+    subpath: match[2] ? `.${match[2]}` : '.',
+  };
+};
+/**
+ * Resolves a target from the `exports` of a package: a path, a list of alternatives, or
+ * an object with conditions.
+ *
+ * @param {*}        target        The target to resolve.
+ * @param {?string}  patternMatch  The part of the subpath that matched the `*` of the
+ *                                 key, if it was a pattern.
+ * @param {string[]} conditions    The conditions to match.
+ * @returns {?string|undefined} The path, `null` if the target excludes the subpath, or
+ *                              `undefined` if no condition matched.
+ * @ignore
+ */
+const resolveExportsTarget = (target, patternMatch, conditions) => {
+  if (typeof target === 'string') {
+    if (!target.startsWith('./')) {
+      return undefined;
+    }
+
+    return patternMatch === null ? target : target.replace(/\*/g, patternMatch);
+  }
+
+  if (Array.isArray(target)) {
+    for (let i = 0; i < target.length; i++) {
+      const resolved = resolveExportsTarget(target[i], patternMatch, conditions);
+      if (resolved !== undefined) {
+        return resolved;
+      }
+    }
+
+    return undefined;
+  }
+
+  if (target && typeof target === 'object') {
+    const keys = Object.keys(target).filter(
+      (condition) => condition === 'default' || conditions.includes(condition),
+    );
+    for (let i = 0; i < keys.length; i++) {
+      const resolved = resolveExportsTarget(target[keys[i]], patternMatch, conditions);
+      if (resolved !== undefined) {
+        return resolved;
+      }
+    }
+
+    return undefined;
+  }
+
+  return target === null ? null : undefined;
+};
+/**
+ * Resolves a subpath using the `exports` of a package, following the rules Node uses:
+ * exact matches take precedence, then the patterns with the longest prefix.
+ *
+ * @param {*}        exportsField  The `exports` of the package.
+ * @param {string}   subpath       The path to resolve, like `.` or `./utils`.
+ * @param {string[]} [conditions]  The conditions to match. By default, the ones Node uses
+ *                                 for ES Modules: `import`, `node` and `default`.
+ * @returns {?string} The path to the file inside the package, or `null` if it's not
+ *                    exported.
+ */
+const resolvePackageExports = (exportsField, subpath, conditions = IMPORT_CONDITIONS) => {
+  const isSubpathsMap =
+    exportsField &&
+    typeof exportsField === 'object' &&
+    !Array.isArray(exportsField) &&
+    Object.keys(exportsField).some((key) => key.startsWith('.'));
+  const map = isSubpathsMap ? exportsField : { '.': exportsField };
+  let target;
+  let patternMatch = null;
+  if (Object.prototype.hasOwnProperty.call(map, subpath) && !subpath.includes('*')) {
+    target = map[subpath];
+  } else {
+    const patterns = Object.keys(map)
+      .filter((key) => {
+        const [prefix, suffix] = key.split('*');
+        return (
+          key.includes('*') &&
+          key.indexOf('*') === key.lastIndexOf('*') &&
+          subpath.startsWith(prefix) &&
+          subpath.length >= key.length &&
+          subpath.endsWith(suffix)
+        );
+      })
+      .sort((a, b) => b.indexOf('*') - a.indexOf('*') || b.length - a.length);
+    if (!patterns.length) {
+      return null;
+    }
+
+    const [key] = patterns;
+    const [prefix] = key.split('*');
+    target = map[key];
+    patternMatch = subpath.substr(prefix.length, subpath.length - key.length + 1);
+  }
+
+  const resolved = resolveExportsTarget(target, patternMatch, conditions);
+  return resolved || null;
+};
+/**
+ * Finds the `package.json` of a dependency the same way Node does: on the `node_modules`
+ * directory next to the importer, or next to any of its parent directories.
+ *
+ * @param {string}       name        The name of the package.
+ * @param {string}       directory   The absolute path to the directory where the search
+ *                                   starts.
+ * @param {PathExistsFn} pathExists  The function to validate if a path exists.
+ * @returns {?string} The absolute path to the file, or `null` if it can't be found.
+ * @ignore
+ */
+const findPackageJSON = (name, directory, pathExists) => {
+  const filepath = path.join(directory, 'node_modules', name, 'package.json');
+  if (path.basename(directory) !== 'node_modules' && pathExists(filepath)) {
+    return filepath;
+  }
+
+  const parent = path.dirname(directory);
+  return parent === directory ? null : findPackageJSON(name, parent, pathExists);
+};
+/**
+ * Reads the `package.json` of a dependency, resolved from the directory of the file that
+ * imports it.
+ *
+ * @param {string}       name        The name of the package.
+ * @param {string}       directory   The absolute path to the directory of the importer.
+ * @param {PathExistsFn} pathExists  The function to validate if a path exists.
+ * @param {ReadJSONFn}   readJSON    The function to read the file.
+ * @returns {?Object} If the file doesn't exist or it can't be parsed, it will return
+ *                    `null`.
+ * @ignore
+ */
+const readPackageJSON = (name, directory, pathExists, readJSON) => {
+  const filepath = findPackageJSON(name, directory, pathExists);
+  if (!filepath) {
+    return null;
+  }
+
+  try {
+    return readJSON(filepath);
+  } catch (ignore) {
+    return null;
+  }
+};
+/**
+ * Validates a bare specifier against the `exports` of its package. If the subpath is not
+ * exported, but it would be with an extension (`.mjs` or `.js`), the specifier will be
+ * updated.
+ *
+ * @param {string}       specifier     The specifier to validate, like `pkg/utils`.
+ * @param {string}       [directory]   The absolute path to the directory of the file
+ *                                     that imports the package, so it can be resolved
+ *                                     from there. By default, the working directory.
+ * @param {PathExistsFn} [pathExists]  A custom function to validate if a path exists
+ *                                     when looking for the package. By default, the
+ *                                     paths are validated on the file system.
+ * @param {ReadJSONFn}   [readJSON]    A custom function to read the `package.json` of
+ *                                     the package, so the whole resolution can be done
+ *                                     without the file system. By default, the file is
+ *                                     read from the disk.
+ * @returns {?PackageSpecifierResolution} If the package can't be found, or it doesn't
+ *                                        have `exports`, it will return `null`.
+ */
+const resolvePackageSpecifier = (
+  specifier,
+  directory = process.cwd(),
+  pathExists = fs.pathExistsSync,
+  readJSON = fs.readJSONSync,
+) => {
+  const parsed = parsePackageSpecifier(specifier);
+  const pkgJson = parsed && readPackageJSON(parsed.name, directory, pathExists, readJSON);
+  if (!pkgJson || pkgJson.exports === undefined) {
+    return null;
+  }
+
+  const { subpath } = parsed;
+  if (resolvePackageExports(pkgJson.exports, subpath)) {
+    return { exported: true, specifier };
+  }
+
+  const extension =
+    subpath === '.'
+      ? undefined
+      : ['.mjs', '.js'].find((ext) =>
+          resolvePackageExports(pkgJson.exports, `${subpath}${ext}`),
+        );
+  return extension
+    ? { exported: true, specifier: `${specifier}${extension}` }
+    : { exported: false, specifier };
+};
+
+module.exports.parsePackageSpecifier = parsePackageSpecifier;
+module.exports.resolvePackageExports = resolvePackageExports;
+module.exports.resolvePackageSpecifier = resolvePackageSpecifier;
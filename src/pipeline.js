@@ -0,0 +1,436 @@
+const path = require('path');
+const jscodeshift = require('jscodeshift');
+const recast = require('recast');
+const { requireModule } = require('./utils');
+
+/**
+ * @typedef {import('jscodeshift').API} API
+ * @typedef {import('jscodeshift').JSCodeshift} JSCodeshift
+ */
+
+/**
+ * @typedef {Object} TransformedCode
+ * @property {string}  code  The transformed code.
+ * @property {?Object} map   The source map of the transformation. It will be `null` if
+ *                           one of the transformations generated its code without
+ *                           `jscodeshift`, as the changes can't be tracked.
+ */
+
+/**
+ * @typedef {Object} TransformationsResult
+ * @property {string}  code  The transformed code.
+ * @property {?Object} map   The source map of the last transformation.
+ * @property {boolean} lost  Whether or not one of the transformations changed the code
+ *                           without a map, so the chain of maps is broken.
+ * @ignore
+ */
+
+/**
+ * Used as the `stats` function of the `jscodeshift` API, as the tool doesn't use it, and
+ * as the `report` function when the options don't include one.
+ *
+ * @ignore
+ */
+const noop = () => {};
+/**
+ * The names of the built-in transformations, in the order they are applied: the three
+ * from `5to6` and the one from the tool, to fix the paths.
+ *
+ * @type {string[]}
+ * @ignore
+ */
+const BUILT_IN_TRANSFORMATIONS = [
+  'cjs',
+  'exports',
+  'named-export-generation',
+  'transformer',
+];
+/**
+ * Gets the names of the built-in transformations, so the configuration can validate the
+ * ones to disable.
+ *
+ * @returns {string[]}
+ */
+const getBuiltInTransformations = () => BUILT_IN_TRANSFORMATIONS.slice();
+/**
+ * The built-in transformations that don't depend on the options of the tool, so their
+ * results can be shared when the same code is transformed for multiple targets.
+ *
+ * @type {string[]}
+ * @ignore
+ */
+const SHAREABLE_TRANSFORMATIONS = ['cjs', 'exports', 'named-export-generation'];
+/**
+ * Gets the absolute path to one of the built-in transformations.
+ *
+ * @param {string} name  The name of the transformation.
+ * @returns {string}
+ * @ignore
+ */
+const getBuiltInTransformationPath = (name) =>
+  name === 'transformer'
+    ? path.join(__dirname, 'transformer.js')
+    : path.join(
+        path.dirname(require.resolve('5to6-codemod/transforms/cjs.js')),
+        `${name}.js`,
+      );
+/**
+ * Generates the list of transformations the tool applies to every file, in order: the
+ * custom ones that go `before`, the built-in ones that are not disabled, and the custom
+ * ones that go `after`.
+ *
+ * @param {?CJS2ESMTransformsOptions} [transforms=null]  The custom transformations and
+ *                                                       the built-in ones to disable.
+ * @returns {string[]} The absolute paths to the transformations.
+ * @throws {Error} If one of the transformations to disable is not a built-in one.
+ */
+const getTransformations = (transforms = null) => {
+  const { before = [], after = [], disable = [] } = transforms || {};
+  const unknown = disable.find((name) => !BUILT_IN_TRANSFORMATIONS.includes(name));
+  if (unknown) {
+    throw new Error(
+      `Unknown built-in transformation: \`${unknown}\`. The available ones are ` +
+        `${BUILT_IN_TRANSFORMATIONS.map((name) => `\`${name}\``).join(', ')}`,
+    );
+  }
+
+  const builtIn = BUILT_IN_TRANSFORMATIONS.filter((name) => !disable.includes(name)).map(
+    getBuiltInTransformationPath,
+  );
+
+  return [...before, ...builtIn, ...after];
+};
+/**
+ * Gets the custom transformations, and the built-in ones to disable, from the options
+ * of the transformations.
+ *
+ * @param {TransformOptions} options  The options for the transformations.
+ * @returns {?CJS2ESMTransformsOptions}
+ * @ignore
+ */
+const getTransformsOptions = (options) =>
+  (options.cjs2esm && options.cjs2esm.transforms) || null;
+/**
+ * Wraps a `jscodeshift` instance so the collections it creates from code will be parsed
+ * with the name of the original file and, when printed, the source map will be generated
+ * and sent to a callback.
+ *
+ * @param {JSCodeshift} j               The instance to wrap.
+ * @param {string}      sourceFileName  The path of the original file.
+ * @param {?Object}     inputSourceMap  The source map of the previous transformation,
+ *                                      so the new one can be chained.
+ * @param {Function}    onPrint         The function that receives the result of
+ *                                      printing the code: an object with the `code` and
+ *                                      the `map`.
+ * @returns {JSCodeshift}
+ * @ignore
+ */
+const withSourceMaps = (j, sourceFileName, inputSourceMap, onPrint) => {
+  /**
+   * The wrapper for the instance: it works just like `jscodeshift`, but when the
+   * collection is created from code, its `toSource` is replaced in order to capture the
+   * source map.
+   *
+   * @param {*}       source     The code, or nodes, for the collection.
+   * @param {?Object} [options]  The options for the parser.
+   * @returns {Object} The collection.
+   */
+  const wrapper = (source, options) => {
+    if (typeof source !== 'string') {
+      return j(source, options);
+    }
+
+    const root = j(source, { ...options, sourceFileName });
+    const [rootPath] = root.paths();
+    /**
+     * Prints the code of the collection and sends the result to the callback.
+     *
+     * @param {?Object} [printOptions]  The options for `recast`.
+     * @returns {string}
+     */
+    root.toSource = (printOptions) => {
+      const result = recast.print(rootPath, {
+        ...printOptions,
+        sourceMapName: path.basename(sourceFileName),
+        inputSourceMap,
+      });
+      onPrint(result);
+      return result.code;
+    };
+
+    return root;
+  };
+
+  return Object.assign(wrapper, j);
+};
+/**
+ * Applies a single `jscodeshift` transformation to a piece of code and, if the source
+ * map is being tracked, it chains the map of the transformation to the one it receives.
+ *
+ * @param {string}           transformation  The absolute path to the transformation.
+ * @param {TransformedCode}  input           The code to transform and its source map.
+ * @param {string}           filepath        The path of the file the code belongs to.
+ * @param {TransformOptions} options         The options for the transformation.
+ * @param {?string}          sourceFileName  The path of the original file. If not
+ *                                           specified, the source map won't be tracked.
+ * @returns {TransformedCode}
+ * @ignore
+ */
+const runTransformation = (transformation, input, filepath, options, sourceFileName) => {
+  const transformModule = requireModule(transformation);
+  const transform =
+    typeof transformModule.default === 'function'
+      ? transformModule.default
+      : transformModule;
+  let j = jscodeshift.withParser(transformModule.parser || options.parser);
+  let printed = null;
+  if (sourceFileName) {
+    j = withSourceMaps(j, sourceFileName, input.map, (result) => {
+      printed = result;
+    });
+  }
+  /**
+   * @type {API}
+   */
+  const api = {
+    j,
+    jscodeshift: j,
+    stats: noop,
+    report: options.report || noop,
+  };
+  const result = transform({ path: filepath, source: input.code }, api, options);
+  if (typeof result !== 'string') {
+    return input;
+  }
+
+  return {
+    code: result,
+    map: printed && printed.code === result ? printed.map : null,
+  };
+};
+/**
+ * Applies a single `jscodeshift` transformation to a piece of code, the same way the
+ * `jscodeshift` runner would do it, but without going through the file system.
+ *
+ * @param {string}           transformation  The absolute path to the transformation.
+ * @param {string}           source          The code to transform.
+ * @param {string}           filepath        The path of the file the code belongs to.
+ * @param {TransformOptions} options         The options for the transformation.
+ * @returns {string} If the transformation doesn't return anything, the function will
+ *                   return the same code it received.
+ */
+const applyTransformation = (transformation, source, filepath, options) =>
+  runTransformation(transformation, { code: source, map: null }, filepath, options, null)
+    .code;
+/**
+ * Applies a list of transformations to a piece of code, one after the other.
+ *
+ * @param {string[]}              transformations  The absolute paths to the
+ *                                                 transformations.
+ * @param {TransformationsResult} input            The code to transform, its source
+ *                                                 map, and whether or not the chain of
+ *                                                 maps is already broken.
+ * @param {string}                filepath         The path of the file the code belongs
+ *                                                 to.
+ * @param {TransformOptions}      options          The options for the transformations.
+ * @param {?string}               sourceFileName   The path of the original file. If not
+ *                                                 specified, the source map won't be
+ *                                                 tracked.
+ * @returns {TransformationsResult}
+ * @throws {Error} If one of the transformations fails. The error will have a
+ *                 `transformation` property with the name of the transformation that
+ *                 failed, and a `source` property with the code it received.
+ * @ignore
+ */
+const reduceTransformations = (
+  transformations,
+  input,
+  filepath,
+  options,
+  sourceFileName,
+) =>
+  transformations.reduce((acc, transformation) => {
+    let output;
+    try {
+      output = runTransformation(transformation, acc, filepath, options, sourceFileName);
+    } catch (error) {
+      error.transformation = path.parse(transformation).name;
+      error.source = acc.code;
+      throw error;
+    }
+
+    // Once a transformation changes the code without a map, the chain is broken.
+    return output === acc ? acc : { ...output, lost: acc.lost || !output.map };
+  }, input);
+/**
+ * Applies all the transformations of the tool, including the custom ones from the
+ * options, to a piece of code. If the options have a `sharedResults` storage, the
+ * results of the built-in transformations at the beginning of the list, the ones that
+ * don't depend on the options of the tool, are saved there, so they can be reused when
+ * the same code is transformed again for another target.
+ *
+ * @param {string}           source          The code to transform.
+ * @param {string}           filepath        The path of the file the code belongs to.
+ * @param {TransformOptions} options         The options for the transformations.
+ * @param {?string}          sourceFileName  The path of the original file. If not
+ *                                           specified, the source map won't be tracked.
+ * @returns {TransformationsResult}
+ * @throws {Error} If one of the transformations fails.
+ * @ignore
+ */
+const runTransformations = (source, filepath, options, sourceFileName) => {
+  const transformations = getTransformations(getTransformsOptions(options));
+  const input = { code: source, map: null, lost: false };
+  const { sharedResults } = options;
+  const shareablePaths = SHAREABLE_TRANSFORMATIONS.map(getBuiltInTransformationPath);
+  let count = transformations.findIndex(
+    (transformation) => !shareablePaths.includes(transformation),
+  );
+  count = count === -1 ? transformations.length : count;
+  if (!sharedResults || !count) {
+    return reduceTransformations(
+      transformations,
+      input,
+      filepath,
+      options,
+      sourceFileName,
+    );
+  }
+
+  const shareable = transformations.slice(0, count);
+  const key = [options.parser, sourceFileName || '', ...shareable, source].join('\0');
+  let shared = sharedResults.get(key);
+  if (!shared) {
+    shared = reduceTransformations(shareable, input, filepath, options, sourceFileName);
+    sharedResults.set(key, shared);
+  }
+
+  return reduceTransformations(
+    transformations.slice(count),
+    shared,
+    filepath,
+    options,
+    sourceFileName,
+  );
+};
+/**
+ * Transforms a piece of code using all the transformations of the tool, including the
+ * custom ones from the options.
+ *
+ * @param {string}           source    The code to transform.
+ * @param {string}           filepath  The path of the file the code belongs to. This is
+ *                                     used by the transformations in order to resolve
+ *                                     the import statements.
+ * @param {TransformOptions} options   The options for the transformations.
+ * @returns {string}
+ * @throws {Error} If one of the transformations fails. The error will have a
+ *                 `transformation` property with the name of the transformation that
+ *                 failed, and a `source` property with the code it received.
+ */
+const transformCode = (source, filepath, options) =>
+  runTransformations(source, filepath, options, null).code;
+/**
+ * Transforms a piece of code using all the transformations of the tool, and generates a
+ * source map that goes from the final code to the original file, through all the
+ * transformations.
+ *
+ * @param {string}           source          The code to transform.
+ * @param {string}           filepath        The path of the file the code belongs to.
+ * @param {TransformOptions} options         The options for the transformations.
+ * @param {string}           sourceFileName  The path of the original file, to be used as
+ *                                           the source on the map.
+ * @returns {TransformedCode}
+ * @throws {Error} If one of the transformations fails. The error will have a
+ *                 `transformation` property with the name of the transformation that
+ *                 failed, and a `source` property with the code it received.
+ */
+const transformCodeWithMap = (source, filepath, options, sourceFileName) => {
+  const result = runTransformations(source, filepath, options, sourceFileName);
+  return {
+    code: result.code,
+    map: result.lost ? null : result.map,
+  };
+};
+
+/**
+ * Checks if a node is the path of an import: the source of an `import` or an `export`
+ * declaration, or the first argument of a dynamic `import()` or a `require` call.
+ *
+ * @param {Object} node    The node to validate.
+ * @param {Object} parent  The parent of the node.
+ * @returns {boolean}
+ * @ignore
+ */
+const isImportPathNode = (node, parent) => {
+  if (typeof node.value !== 'string') {
+    return false;
+  }
+
+  if (
+    [
+      'ImportDeclaration',
+      'ExportNamedDeclaration',
+      'ExportAllDeclaration',
+      'ImportExpression',
+    ].includes(parent.type)
+  ) {
+    return parent.source === node;
+  }
+
+  return (
+    parent.type === 'CallExpression' &&
+    parent.arguments[0] === node &&
+    (parent.callee.type === 'Import' ||
+      (parent.callee.type === 'Identifier' && parent.callee.name === 'require'))
+  );
+};
+/**
+ * Replaces the relative paths of the imports of a piece of code that point to files
+ * that were moved. Only the strings of the paths are replaced, so the rest of the code,
+ * and its source map, remain untouched.
+ *
+ * @param {string}                 source    The code to update.
+ * @param {string}                 filepath  The absolute path of the file the code
+ *                                           belongs to, to resolve the imports.
+ * @param {Object.<string,string>} paths     A dictionary with the absolute paths of the
+ *                                           moved files, and their new paths.
+ * @param {string}                 parser    The parser `jscodeshift` should use.
+ * @returns {string}
+ * @throws {Error} If the code can't be parsed.
+ */
+const updateImportPaths = (source, filepath, paths, parser) => {
+  const directory = path.dirname(filepath);
+  // The parser can't handle shebangs, so they are turned into comments of the same length.
+  const root = jscodeshift.withParser(parser)(source.replace(/^#!/, '//'));
+  const replacements = [];
+  root
+    .find(jscodeshift.Node)
+    .filter((item) => isImportPathNode(item.node, item.parent.node))
+    .forEach(({ node }) => {
+      const newPath = node.value.startsWith('.')
+        ? paths[path.resolve(directory, node.value)]
+        : null;
+      if (newPath) {
+        let importPath = path.relative(directory, newPath).split(path.sep).join('/');
+        importPath = importPath.startsWith('.') ? importPath : `./${importPath}`;
+        const quote = source.charAt(node.start);
+        replacements.push({
+          start: node.start,
+          end: node.end,
+          value: `${quote}${importPath}${quote}`,
+        });
+      }
+    });
+
+  return replacements.reduceRight(
+    (acc, { start, end, value }) => `${acc.substr(0, start)}${value}${acc.substr(end)}`,
+    source,
+  );
+};
+
+module.exports.getBuiltInTransformations = getBuiltInTransformations;
+module.exports.getTransformations = getTransformations;
+module.exports.applyTransformation = applyTransformation;
+module.exports.transformCode = transformCode;
+module.exports.transformCodeWithMap = transformCodeWithMap;
+module.exports.updateImportPaths = updateImportPaths;
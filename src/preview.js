@@ -0,0 +1,406 @@
+const path = require('path');
+const fs = require('fs-extra');
+const chalk = require('chalk');
+const { createTwoFilesPatch } = require('diff');
+const {
+  findFilesToCopy,
+  findAssetsToCopy,
+  getJSONModules,
+  getJSONModuleCode,
+  transformFile,
+  findModuleEntry,
+  getOutputPackageJSON,
+  getFallbackPath,
+} = require('.');
+const { log } = require('./utils');
+const { getFileError, formatFileError } = require('./errors');
+const { getJSONImportsStrategy } = require('./features');
+
+/**
+ * @typedef {Object} CJS2ESMPreviewFile
+ * @property {?string} from      The absolute path to the original file, or to the file
+ *                               the contents are generated from. It will be `null` for
+ *                               the `package.json` of the output directory, and for the
+ *                               files that would be removed.
+ * @property {string}  to        The absolute path the file would have on the output
+ *                               directory.
+ * @property {boolean} existing  Whether or not the file already exists on the output
+ *                               directory; if it does, the diff is against it, otherwise,
+ *                               it's against the original file for the transformed files,
+ *                               and against an empty file for the rest.
+ * @property {?string} patch     The unified diff with the changes. If the file wouldn't
+ *                               change, it will be `null`.
+ * @property {?Error}  error     If the file couldn't be transformed, this will be the
+ *                               error.
+ * @property {boolean} [removed]  Whether or not the file is on the output directory but
+ *                                it wouldn't be generated, so the build would remove it
+ *                                when it cleans the directory.
+ */
+
+/**
+ * Creates a function to validate if a path exists as if the tool had already copied the
+ * files to the output directory: paths inside the directory are validated against the
+ * list of files that would be copied, and the rest are checked on the file system.
+ *
+ * @param {CJS2ESMCopiedFile[]} files   The list of files that would be copied.
+ * @param {string}              output  The output directory.
+ * @returns {PathExistsFn}
+ * @ignore
+ */
+const createPathExists = (files, output) => {
+  const outputPaths = files.reduce((acc, file) => {
+    let current = file.to;
+    while (current.startsWith(output) && !acc.includes(current)) {
+      acc.push(current);
+      current = path.dirname(current);
+    }
+
+    return acc;
+  }, []);
+
+  return (filepath) => {
+    const normalized = path.normalize(filepath).replace(/[\\/]$/, '');
+    return normalized === output || normalized.startsWith(`${output}${path.sep}`)
+      ? outputPaths.includes(normalized)
+      : fs.pathExistsSync(normalized);
+  };
+};
+/**
+ * The number of spaces the tool uses to indent the JSON files it writes.
+ *
+ * @type {number}
+ * @ignore
+ */
+const JSON_SPACES = 2;
+/**
+ * Generates the contents of a JSON file the same way `fs-extra` writes them.
+ *
+ * @param {*} data  The data to write.
+ * @returns {string}
+ * @ignore
+ */
+const stringifyJSON = (data) => `${JSON.stringify(data, null, JSON_SPACES)}\n`;
+/**
+ * Checks if the contents of a file are binary, so they can't be shown on a diff.
+ *
+ * @param {Buffer} contents  The contents to validate.
+ * @returns {boolean}
+ * @ignore
+ */
+const isBinary = (contents) => contents.includes(0);
+/**
+ * Compares the contents a file would have on the output directory against the ones it
+ * currently has, and generates the information for the preview.
+ *
+ * @param {CJS2ESMCopiedFile} file                The paths of the file.
+ * @param {Buffer|string}     contents            The contents the file would have.
+ * @param {?string}           [original=null]     What to compare the contents against
+ *                                                if the file doesn't exist yet. If
+ *                                                `null`, it will be compared against an
+ *                                                empty file.
+ * @returns {Promise<CJS2ESMPreviewFile>}
+ * @ignore
+ */
+const createPreviewFile = async (file, contents, original = null) => {
+  const cwd = process.cwd();
+  const existing = await fs.pathExists(file.to);
+  const result = {
+    ...file,
+    existing,
+    patch: null,
+    error: null,
+  };
+  let oldName;
+  let current;
+  if (existing) {
+    oldName = path.relative(cwd, file.to);
+    current = Buffer.from(await fs.readFile(file.to));
+  } else {
+    oldName = original === null ? '/dev/null' : path.relative(cwd, file.from);
+    current = Buffer.from(original || '');
+  }
+
+  const next = Buffer.isBuffer(contents) ? contents : Buffer.from(contents);
+  if (next.equals(current)) {
+    return result;
+  }
+
+  const newName = path.relative(cwd, file.to);
+  result.patch =
+    isBinary(next) || isBinary(current)
+      ? `Binary files ${oldName} and ${newName} differ\n`
+      : createTwoFilesPatch(oldName, newName, current.toString(), next.toString());
+  return result;
+};
+/**
+ * Transforms a file and generates the information for its preview, and the one of its
+ * source map, if the options generate one on a separated file.
+ *
+ * @param {CJS2ESMCopiedFile} file        The paths of the file.
+ * @param {CJS2ESMOptions}    options     The options of the tool.
+ * @param {PathExistsFn}      pathExists  The function to validate if the imported paths
+ *                                        would exist.
+ * @returns {Promise<CJS2ESMPreviewFile[]>}
+ * @ignore
+ */
+const previewTransformedFile = async (file, options, pathExists) => {
+  const contents = await fs.readFile(file.from, 'utf-8');
+  let result;
+  try {
+    result = transformFile(contents, file, options, pathExists);
+  } catch (error) {
+    const existing = await fs.pathExists(file.to);
+    return [{ ...file, existing, patch: null, error }];
+  }
+
+  const preview = await createPreviewFile(file, result.code, contents);
+  if (!result.map) {
+    return [preview];
+  }
+
+  const map = await createPreviewFile(
+    { from: file.from, to: `${file.to}.map` },
+    JSON.stringify(result.map),
+  );
+  return [preview, map];
+};
+/**
+ * Generates the information for the preview of the modules of the JSON files, for when
+ * the `jsonImports` strategy is `inline`.
+ *
+ * @param {CJS2ESMCopiedFile[]} assets   The assets that would be copied.
+ * @param {CJS2ESMOptions}      options  The options of the tool.
+ * @returns {Promise<CJS2ESMPreviewFile[]>}
+ * @ignore
+ */
+const previewJSONModules = (assets, options) =>
+  Promise.all(
+    getJSONModules(assets, options.extension.use).map(async (file) => {
+      const asset = assets.find((item) => item.to === file.from);
+      const preview = { from: asset.from, to: file.to };
+      let code;
+      try {
+        code = getJSONModuleCode(await fs.readJSON(asset.from));
+      } catch (error) {
+        const existing = await fs.pathExists(file.to);
+        return { ...preview, existing, patch: null, error };
+      }
+
+      return createPreviewFile(preview, code);
+    }),
+  );
+/**
+ * Generates the information for the preview of the `package.json` files: the one the
+ * tool adds on the output directory, and the project one, with the `module` property.
+ *
+ * @param {CJS2ESMCopiedFile[]} files    The files that would be copied.
+ * @param {CJS2ESMOptions}      options  The options of the tool.
+ * @returns {Promise<CJS2ESMPreviewFile[]>}
+ * @ignore
+ */
+const previewPackageJSONs = async (files, options) => {
+  const result = [];
+  if (options.addModuleEntry) {
+    const filepath = path.join(process.cwd(), 'package.json');
+    const pkgJson = await fs.readJSON(filepath);
+    const { entry, warning } = await findModuleEntry(pkgJson, files);
+    if (entry) {
+      result.push(
+        await createPreviewFile(
+          { from: filepath, to: filepath },
+          stringifyJSON({ ...pkgJson, module: entry }),
+        ),
+      );
+    } else {
+      log('yellow', warning);
+    }
+  }
+
+  if (options.addPackageJson) {
+    result.push(
+      await createPreviewFile(
+        { from: null, to: path.join(options.output, 'package.json') },
+        stringifyJSON(getOutputPackageJSON()),
+      ),
+    );
+  }
+
+  return result;
+};
+/**
+ * Finds all the files inside a directory, and its subdirectories.
+ *
+ * @param {string} directory  The absolute path to the directory.
+ * @returns {Promise<string[]>}
+ * @ignore
+ */
+const findAllFiles = async (directory) => {
+  const items = await fs.readdir(directory);
+  const files = await Promise.all(
+    items.map(async (item) => {
+      const itemPath = path.join(directory, item);
+      const stats = await fs.stat(itemPath);
+      return stats.isDirectory() ? findAllFiles(itemPath) : [itemPath];
+    }),
+  );
+
+  return files.reduce((acc, list) => [...acc, ...list], []);
+};
+/**
+ * Generates the information for the preview of the files that are on the output
+ * directory, but that the build wouldn't generate: as the build cleans the directory
+ * before copying the files, they would be removed.
+ *
+ * @param {CJS2ESMPreviewFile[]} files    The files the build would generate.
+ * @param {CJS2ESMOptions}       options  The options of the tool.
+ * @returns {Promise<CJS2ESMPreviewFile[]>}
+ * @ignore
+ */
+const previewRemovedFiles = async (files, options) => {
+  const exists = await fs.pathExists(options.output);
+  if (!exists) {
+    return [];
+  }
+
+  const generated = files.reduce(
+    (acc, file) =>
+      file.error && options.errorFallback === 'cjs'
+        ? [...acc, getFallbackPath(file.to)]
+        : [...acc, file.to],
+    [],
+  );
+  const cwd = process.cwd();
+  const existing = await findAllFiles(options.output);
+  return Promise.all(
+    existing
+      .filter((filepath) => !generated.includes(filepath))
+      .map(async (filepath) => {
+        const contents = Buffer.from(await fs.readFile(filepath));
+        const name = path.relative(cwd, filepath);
+        return {
+          from: null,
+          to: filepath,
+          existing: true,
+          removed: true,
+          patch: isBinary(contents)
+            ? `Binary files ${name} and /dev/null differ\n`
+            : createTwoFilesPatch(name, '/dev/null', contents.toString(), ''),
+          error: null,
+        };
+      }),
+  );
+};
+/**
+ * Computes how every file on the output directory would look like after running the
+ * tool, without writing anything on the disk, and generates a unified diff for each one
+ * of them: against the current contents of the file on the output directory, if it
+ * exists, or against the original file. The list of files is the same the build
+ * generates: the transformed and copied files, their source maps, the assets, the
+ * modules for the JSON files, and the `package.json` files. The files on the output
+ * directory the build wouldn't generate are included as removed.
+ *
+ * @param {CJS2ESMOptions} options  The options of the tool.
+ * @returns {Promise<CJS2ESMPreviewFile[]>}
+ */
+const previewOutput = async (options) => {
+  const { input, output, extension, assets, forceDirectory } = options;
+  const copied = await findFilesToCopy(
+    input,
+    output,
+    extension,
+    forceDirectory,
+    options.files,
+  );
+  const copiedAssets = await findAssetsToCopy(
+    input,
+    output,
+    assets,
+    forceDirectory,
+    extension,
+  );
+  const jsonModules =
+    getJSONImportsStrategy(options) === 'inline'
+      ? getJSONModules(copiedAssets, extension.use)
+      : [];
+  const pathExists = createPathExists(
+    [...copied, ...copiedAssets, ...jsonModules],
+    output,
+  );
+  const files = await Promise.all(
+    copied.map(async (file) =>
+      file.copyOnly
+        ? [await createPreviewFile(file, await fs.readFile(file.from))]
+        : previewTransformedFile(file, options, pathExists),
+    ),
+  );
+  const assetFiles = await Promise.all(
+    copiedAssets.map(async (file) =>
+      createPreviewFile(file, await fs.readFile(file.from)),
+    ),
+  );
+  const modules = jsonModules.length
+    ? await previewJSONModules(copiedAssets, options)
+    : [];
+  const transformed = files.reduce((acc, items) => [...acc, ...items], []);
+  const failed = transformed.filter((file) => file.error).map((file) => file.from);
+  const pkgJsons = await previewPackageJSONs(
+    copied.filter((file) => !failed.includes(file.from)),
+    options,
+  );
+  const result = [...transformed, ...assetFiles, ...modules, ...pkgJsons];
+  const removed = await previewRemovedFiles(result, options);
+  return [...result, ...removed];
+};
+/**
+ * Prints the diffs generated by `previewOutput`, with colors for the added and removed
+ * lines, and a summary of the changes.
+ *
+ * @param {CJS2ESMPreviewFile[]} files  The information generated by `previewOutput`.
+ * @returns {boolean} Whether or not all the files could be transformed.
+ */
+const logPreview = (files) => {
+  files
+    .filter((file) => file.patch)
+    .forEach((file) => {
+      const lines = file.patch.split('\n').map((line) => {
+        let color;
+        if (line.match(/^(\+\+\+|---|=+$|Index:)/)) {
+          color = 'white';
+        } else if (line.startsWith('+')) {
+          color = 'green';
+        } else if (line.startsWith('-')) {
+          color = 'red';
+        } else if (line.startsWith('@@')) {
+          color = 'cyan';
+        } else {
+          color = 'gray';
+        }
+
+        return chalk[color](line);
+      });
+      // The lines are logged without the prefix of `log`, so the diff can be copied.
+      // eslint-disable-next-line no-console
+      console.log(lines.join('\n'));
+    });
+
+  const failed = files.filter((file) => file.error);
+  failed.forEach((file) => {
+    log('red', formatFileError(getFileError(file.error, file)));
+  });
+
+  const removed = files.filter((file) => file.removed).length;
+  const changed = files.filter((file) => file.patch).length - removed;
+  const unchanged = files.length - changed - removed - failed.length;
+  const removedMessage = removed ? `, ${removed} would be removed` : '';
+  const errors = failed.length ? `, and ${failed.length} couldn't be transformed` : '';
+  log(
+    'yellow',
+    `Dry run: ${changed} files would change${removedMessage}, ${unchanged} would stay ` +
+      `the same${errors}`,
+  );
+
+  return !failed.length;
+};
+
+module.exports.previewOutput = previewOutput;
+module.exports.logPreview = logPreview;
@@ -0,0 +1,105 @@
+const path = require('path');
+const fs = require('fs-extra');
+
+/**
+ * @typedef {Object} CJS2ESMReportFile
+ * @property {string}  file            The path to the original file, relative to the
+ *                                     working directory.
+ * @property {string}  output          The path to the file on the output directory,
+ *                                     relative to the working directory.
+ * @property {?string} transformation  The name of the transformation that failed.
+ * @property {string}  message         The message of the error.
+ * @property {?number} line            The line where the error happened.
+ * @property {?number} column          The column where the error happened.
+ * @property {?string} frame           A code frame with the lines around the error.
+ */
+
+/**
+ * @typedef {Object} CJS2ESMReport
+ * @property {number}              total   How many files the tool tried to transform.
+ * @property {number}              failed  How many files couldn't be transformed.
+ * @property {CJS2ESMReportFile[]} files   The information of the files that failed.
+ */
+
+/**
+ * Generates the information of a report with paths relative to the working directory, so
+ * it can be committed or shared.
+ *
+ * @param {CJS2ESMFileError[]} failed  The errors of the files that failed.
+ * @param {number}             total   How many files the tool tried to transform.
+ * @returns {CJS2ESMReport}
+ * @ignore
+ */
+const createReport = (failed, total) => {
+  const cwd = process.cwd();
+  return {
+    total,
+    failed: failed.length,
+    files: failed.map((fileError) => ({
+      file: path.relative(cwd, fileError.from),
+      output: path.relative(cwd, fileError.to),
+      transformation: fileError.transformation,
+      message: fileError.message,
+      line: fileError.line,
+      column: fileError.column,
+      frame: fileError.frame,
+    })),
+  };
+};
+/**
+ * Formats a report as a markdown document, with a section for each file that failed.
+ *
+ * @param {CJS2ESMReport} report  The report to format.
+ * @returns {string}
+ * @ignore
+ */
+const formatMarkdownReport = (report) => {
+  const lines = ['# cjs2esm report', ''];
+  if (!report.failed) {
+    lines.push(`All ${report.total} files were successfully transformed.`);
+  } else {
+    lines.push(`${report.failed} of ${report.total} files couldn't be transformed.`);
+  }
+
+  report.files.forEach((file) => {
+    lines.push('', `## ${file.file}`, '', `- Output: \`${file.output}\``);
+    if (file.transformation) {
+      lines.push(`- Transformation: \`${file.transformation}\``);
+    }
+    if (file.line) {
+      lines.push(`- Location: ${file.line}:${file.column}`);
+    }
+
+    lines.push('', '```', file.message);
+    if (file.frame) {
+      lines.push('', file.frame);
+    }
+
+    lines.push('```');
+  });
+
+  return `${lines.join('\n')}\n`;
+};
+/**
+ * Writes a report of the files that couldn't be transformed. If the path ends with `.md`,
+ * the report will be a markdown document, otherwise, it will be JSON.
+ *
+ * @param {string}             filepath  The absolute path where the report should be
+ *                                       written.
+ * @param {CJS2ESMFileError[]} failed    The errors of the files that failed.
+ * @param {number}             total     How many files the tool tried to transform.
+ * @returns {Promise<CJS2ESMReport>}
+ */
+const writeReport = async (filepath, failed, total) => {
+  const report = createReport(failed, total);
+  await fs.ensureDir(path.dirname(filepath));
+  if (filepath.match(/\.md$/i)) {
+    await fs.writeFile(filepath, formatMarkdownReport(report));
+  } else {
+    await fs.writeJSON(filepath, report, { spaces: 2 });
+  }
+
+  return report;
+};
+
+module.exports.writeReport = writeReport;
@@ -0,0 +1,450 @@
+/**
+ * @typedef {Object} OptionSchema
+ * @property {string}   type          The type the value should have: `string`,
+ *                                    `boolean`, `function`, `array` or `object`.
+ * @property {boolean}  [nullable]    Whether or not the value can be `null`.
+ * @property {boolean}  [required]    Whether or not the property needs to be defined,
+ *                                    for the items of a list.
+ * @property {string[]} [choices]     The values that are valid.
+ * @property {RegExp}   [pattern]     An expression the value should match, for strings
+ *                                    with a format.
+ * @property {string}   [format]      A description of the format the `pattern`
+ *                                    validates, for the error messages.
+ * @property {Function} [normalize]   A function to fix the obvious variations of the
+ *                                    value before it's validated, like an extension
+ *                                    with a leading dot.
+ * @property {OptionSchema} [items]   The schema for the items, if the value is a list.
+ *                                    If the value is a single item, it will be wrapped
+ *                                    in a list.
+ * @property {Object.<string, OptionSchema>} [properties]
+ * The schemas for the properties, if the value is an object. Any other property is
+ * invalid.
+ * @property {OptionSchema} [values]
+ * The schema for the values, if the value is an object that works as a dictionary.
+ * @ignore
+ */
+
+/**
+ * The max number of edits a name can have to be suggested for an unknown property.
+ *
+ * @type {number}
+ * @ignore
+ */
+const MAX_SUGGESTION_DISTANCE = 2;
+/**
+ * Gets the type of a value, differentiating lists and `null` from objects.
+ *
+ * @param {*} value  The value to check.
+ * @returns {string}
+ * @ignore
+ */
+const getType = (value) => {
+  if (value === null) {
+    return 'null';
+  }
+
+  return Array.isArray(value) ? 'array' : typeof value;
+};
+/**
+ * Removes the leading dot from an extension.
+ *
+ * @param {*} value  The value to normalize.
+ * @returns {*}
+ * @ignore
+ */
+const removeLeadingDot = (value) =>
+  typeof value === 'string' ? value.replace(/^\./, '') : value;
+/**
+ * Converts a number into a string, for the versions.
+ *
+ * @param {*} value  The value to normalize.
+ * @returns {*}
+ * @ignore
+ */
+const numberToString = (value) => (typeof value === 'number' ? String(value) : value);
+/**
+ * Removes the leading dots from the extensions of a dictionary, both on the keys and the
+ * values.
+ *
+ * @param {*} value  The value to normalize.
+ * @returns {*}
+ * @ignore
+ */
+const normalizeExtensionsMap = (value) =>
+  getType(value) === 'object'
+    ? Object.keys(value).reduce(
+        (acc, key) => ({ ...acc, [removeLeadingDot(key)]: removeLeadingDot(value[key]) }),
+        {},
+      )
+    : value;
+/**
+ * Generates the schema for a list of strings.
+ *
+ * @param {Partial<OptionSchema>} [items={}]  Extra settings for the schema of the items.
+ * @returns {OptionSchema}
+ * @ignore
+ */
+const stringList = (items = {}) => ({
+  type: 'array',
+  items: { type: 'string', ...items },
+});
+/**
+ * Generates the schema for an object with lists of strings.
+ *
+ * @param {string[]} names  The names of the properties.
+ * @returns {OptionSchema}
+ * @ignore
+ */
+const stringListsGroup = (names) => ({
+  type: 'object',
+  properties: names.reduce((acc, name) => ({ ...acc, [name]: stringList() }), {}),
+});
+/**
+ * The schemas for the options of the tool that can also be used on the targets.
+ *
+ * @type {Object.<string, OptionSchema>}
+ * @ignore
+ */
+const OPTIONS_PROPERTIES = {
+  input: stringList(),
+  output: { type: 'string' },
+  forceDirectory: { type: 'boolean', nullable: true },
+  modules: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', required: true },
+        find: { type: 'string', nullable: true },
+        path: { type: 'string', required: true },
+      },
+    },
+  },
+  extension: {
+    type: 'object',
+    properties: {
+      use: { type: 'string', choices: ['js', 'mjs'], normalize: removeLeadingDot },
+      ignore: stringList(),
+      sources: stringList({ normalize: removeLeadingDot }),
+      map: {
+        type: 'object',
+        values: { type: 'string' },
+        normalize: normalizeExtensionsMap,
+      },
+    },
+  },
+  files: stringListsGroup(['include', 'exclude', 'copy', 'ignoreFiles']),
+  assets: stringListsGroup(['include', 'exclude']),
+  transforms: stringListsGroup(['before', 'after', 'disable']),
+  hooks: {
+    type: 'object',
+    properties: [
+      'beforeCopy',
+      'afterCopy',
+      'beforeTransform',
+      'afterTransformFile',
+      'afterBuild',
+    ].reduce((acc, name) => ({ ...acc, [name]: { type: 'function' } }), {}),
+  },
+  addModuleEntry: { type: 'boolean' },
+  addPackageJson: { type: 'boolean' },
+  filesWithShebang: stringList(),
+  cache: { type: 'boolean' },
+  cacheDirectory: { type: 'string' },
+  sourceMaps: { type: 'string', choices: ['none', 'file', 'inline'] },
+  nodeVersion: {
+    type: 'string',
+    normalize: numberToString,
+    pattern: /^\d+(\.\d+){0,2}$/,
+    format: 'a version number, like `18` or `20.11.0`',
+  },
+  jsonImports: {
+    type: 'string',
+    choices: ['auto', 'with', 'assert', 'createRequire', 'inline'],
+  },
+  nestedRequires: { type: 'string', choices: ['createRequire', 'import'] },
+  continueOnError: { type: 'boolean' },
+  errorFallback: { type: 'string', choices: ['copy', 'cjs'] },
+  errorReport: { type: 'string', nullable: true },
+};
+/**
+ * The schema for the options of the tool.
+ *
+ * @type {OptionSchema}
+ * @ignore
+ */
+const OPTIONS_SCHEMA = {
+  type: 'object',
+  properties: {
+    ...OPTIONS_PROPERTIES,
+    targets: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', required: true },
+          ...OPTIONS_PROPERTIES,
+        },
+      },
+    },
+  },
+};
+/**
+ * The schema for the configurations loaded from files, or the `package.json`, that can
+ * also extend other configurations.
+ *
+ * @type {OptionSchema}
+ * @ignore
+ */
+const CONFIGURATION_SCHEMA = {
+  ...OPTIONS_SCHEMA,
+  properties: {
+    extends: stringList(),
+    ...OPTIONS_SCHEMA.properties,
+  },
+};
+/**
+ * Generates a description of a type for the error messages, like `a string`.
+ *
+ * @param {string} type  The type to describe.
+ * @returns {string}
+ * @ignore
+ */
+const describeType = (type) => {
+  if (type === 'null' || type === 'undefined') {
+    return type;
+  }
+
+  if (type === 'array') {
+    return 'a list';
+  }
+
+  return type.match(/^[aeiou]/) ? `an ${type}` : `a ${type}`;
+};
+/**
+ * Generates a description of what a schema expects, for the error messages.
+ *
+ * @param {OptionSchema} schema  The schema to describe.
+ * @returns {string}
+ * @ignore
+ */
+const describeSchema = (schema) => {
+  const description =
+    schema.type === 'array' && schema.items.type !== 'object'
+      ? `a list of ${schema.items.type}s`
+      : describeType(schema.type);
+  return schema.nullable ? `${description} or null` : description;
+};
+/**
+ * Formats the path of a value inside the options, like `modules[0].name`.
+ *
+ * @param {Array<string|number>} valuePath  The properties and indexes of the path.
+ * @returns {string}
+ * @ignore
+ */
+const formatPath = (valuePath) =>
+  `\`${valuePath.reduce(
+    (acc, part) =>
+      typeof part === 'number' ? `${acc}[${part}]` : `${acc}${acc ? '.' : ''}${part}`,
+    '',
+  )}\``;
+/**
+ * Calculates how many edits are needed to transform one string into another, to find
+ * typos on the names of the properties.
+ *
+ * @param {string} a  The first string.
+ * @param {string} b  The second string.
+ * @returns {number}
+ * @ignore
+ */
+const getDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+/**
+ * Finds the name of a valid property that looks like an unknown one.
+ *
+ * @param {string}   name   The name of the unknown property.
+ * @param {string[]} names  The names of the valid properties.
+ * @returns {?string}
+ * @ignore
+ */
+const getSuggestion = (name, names) => {
+  const [closest] = names
+    .map((item) => ({
+      item,
+      distance: getDistance(name.toLowerCase(), item.toLowerCase()),
+    }))
+    .filter(({ distance }) => distance <= MAX_SUGGESTION_DISTANCE)
+    .sort((a, b) => a.distance - b.distance);
+  return closest ? closest.item : null;
+};
+/**
+ * Validates the properties of an object against a schema.
+ *
+ * @param {Object}               value      The object to validate.
+ * @param {OptionSchema}         schema     The schema of the object.
+ * @param {Array<string|number>} valuePath  The path of the object inside the options.
+ * @param {string[]}             errors     The list where the errors will be added.
+ * @returns {Object} The normalized object.
+ * @ignore
+ */
+const validateObject = (value, schema, valuePath, errors) => {
+  const keys = Object.keys(value).filter((key) => value[key] !== undefined);
+  if (schema.values) {
+    return keys.reduce(
+      (acc, key) => ({
+        ...acc,
+        // eslint-disable-next-line no-use-before-define
+        [key]: validateValue(value[key], schema.values, [...valuePath, key], errors),
+      }),
+      {},
+    );
+  }
+
+  const names = Object.keys(schema.properties);
+  names
+    .filter((name) => schema.properties[name].required && !keys.includes(name))
+    .forEach((name) => {
+      errors.push(`${formatPath([...valuePath, name])} is required`);
+    });
+
+  return keys.reduce((acc, key) => {
+    if (!names.includes(key)) {
+      const suggestion = getSuggestion(key, names);
+      const hint = suggestion
+        ? `, did you mean ${formatPath([...valuePath, suggestion])}?`
+        : '';
+      errors.push(`${formatPath([...valuePath, key])} is not a valid option${hint}`);
+      return acc;
+    }
+
+    return {
+      ...acc,
+      // eslint-disable-next-line no-use-before-define
+      [key]: validateValue(
+        value[key],
+        schema.properties[key],
+        [...valuePath, key],
+        errors,
+      ),
+    };
+  }, {});
+};
+/**
+ * Normalizes and validates a value against a schema.
+ *
+ * @param {*}                    value      The value to validate.
+ * @param {OptionSchema}         schema     The schema the value should match.
+ * @param {Array<string|number>} valuePath  The path of the value inside the options.
+ * @param {string[]}             errors     The list where the errors will be added.
+ * @returns {*} The normalized value.
+ * @ignore
+ */
+const validateValue = (value, schema, valuePath, errors) => {
+  let result = schema.normalize ? schema.normalize(value) : value;
+  if (schema.type === 'array' && getType(result) === schema.items.type) {
+    result = [result];
+  }
+
+  const type = getType(result);
+  if (type === 'null' && schema.nullable) {
+    return result;
+  }
+
+  if (type !== schema.type) {
+    errors.push(
+      `${formatPath(valuePath)} should be ${describeSchema(schema)}, ` +
+        `but it's ${describeType(type)}`,
+    );
+    return result;
+  }
+
+  if (schema.choices && !schema.choices.includes(result)) {
+    errors.push(
+      `${formatPath(valuePath)} should be one of ` +
+        `${schema.choices.map((choice) => `\`${choice}\``).join(', ')}, ` +
+        `but it's \`${result}\``,
+    );
+    return result;
+  }
+
+  if (schema.pattern && !schema.pattern.test(result)) {
+    errors.push(
+      `${formatPath(valuePath)} should be ${schema.format}, but it's \`${result}\``,
+    );
+    return result;
+  }
+
+  if (type === 'array') {
+    return result.map((item, index) =>
+      validateValue(item, schema.items, [...valuePath, index], errors),
+    );
+  }
+
+  return type === 'object' ? validateObject(result, schema, valuePath, errors) : result;
+};
+/**
+ * Validates a configuration for the tool, and fixes the obvious variations of the values:
+ * a single string where a list is expected, a single object for `modules`, extensions
+ * with a leading dot, and numbers for `nodeVersion`. The properties set to `undefined`
+ * are removed.
+ *
+ * @param {*}       config              The configuration to validate.
+ * @param {string}  source              Where the configuration came from, like the path
+ *                                      to the file, for the error message.
+ * @param {boolean} [canExtend=false]   Whether or not the configuration can have an
+ *                                      `extends` property, for the ones that come from
+ *                                      files.
+ * @returns {CJS2ESMConfiguration} The normalized configuration.
+ * @throws {Error} If the configuration is not an object, has unknown properties, or
+ *                 values with the wrong type. The message will have the source and the path of each
+ *                 invalid value, and the error will have an `errors` property with
+ *                 the list of problems.
+ */
+const validateConfiguration = (config, source, canExtend = false) => {
+  const errors = [];
+  const type = getType(config);
+  let result = config;
+  if (type === 'object') {
+    const schema = canExtend ? CONFIGURATION_SCHEMA : OPTIONS_SCHEMA;
+    result = validateObject(config, schema, [], errors);
+  } else {
+    errors.push(`The configuration should be an object, but it's ${describeType(type)}`);
+  }
+
+  if (errors.length) {
+    const error = new Error(
+      `Invalid configuration on ${source}:\n${errors
+        .map((message) => `- ${message}`)
+        .join('\n')}`,
+    );
+    error.errors = errors;
+    throw error;
+  }
+
+  return result;
+};
+/**
+ * Gets the schema for the options of the tool, so other modules can validate that they
+ * know about all the options, like the flags of the CLI.
+ *
+ * @returns {OptionSchema}
+ */
+const getOptionsSchema = () => OPTIONS_SCHEMA;
+
+module.exports.validateConfiguration = validateConfiguration;
+module.exports.getOptionsSchema = getOptionsSchema;
@@ -0,0 +1,96 @@
+const path = require('path');
+const { SourceMapConsumer, SourceMapGenerator } = require('source-map');
+
+/**
+ * @typedef {Object} SourceMap
+ * @property {number}   version         The version of the format.
+ * @property {string}   file            The name of the generated file.
+ * @property {string[]} sources         The paths to the original files.
+ * @property {string[]} sourcesContent  The contents of the original files.
+ * @property {string[]} names           The names used on the mappings.
+ * @property {string}   mappings        The encoded mappings.
+ */
+
+/**
+ * Moves all the mappings of a source map by a number of lines. This is needed when lines
+ * are removed from the original code before the transformation (like the shebang), and
+ * when lines are added to the generated code after it.
+ *
+ * @param {SourceMap} map              The source map to modify.
+ * @param {number}    originalLines    How many lines should be added to the original
+ *                                     positions.
+ * @param {number}    generatedLines   How many lines should be added to the generated
+ *                                     positions.
+ * @returns {SourceMap}
+ */
+const shiftSourceMap = (map, originalLines, generatedLines) => {
+  const consumer = new SourceMapConsumer(map);
+  const generator = new SourceMapGenerator({ file: map.file });
+  consumer.eachMapping((mapping) => {
+    generator.addMapping({
+      generated: {
+        line: mapping.generatedLine + generatedLines,
+        column: mapping.generatedColumn,
+      },
+      original:
+        mapping.originalLine === null
+          ? null
+          : {
+              line: mapping.originalLine + originalLines,
+              column: mapping.originalColumn,
+            },
+      source: mapping.source,
+      name: mapping.name,
+    });
+  });
+  consumer.sources.forEach((source) => {
+    const content = consumer.sourceContentFor(source, true);
+    if (content !== null) {
+      generator.setSourceContent(source, content);
+    }
+  });
+
+  return generator.toJSON();
+};
+/**
+ * Updates a source map so its paths are relative to the file where it will be written,
+ * and it includes the original code.
+ *
+ * @param {SourceMap}         map       The source map generated by the
+ *                                      transformations.
+ * @param {CJS2ESMCopiedFile} file      The information of the file, to know its original
+ *                                      path and the one on the output directory.
+ * @param {string}            contents  The original code of the file.
+ * @returns {SourceMap}
+ */
+const normalizeSourceMap = (map, file, contents) => ({
+  ...map,
+  file: path.basename(file.to),
+  sources: [path.relative(path.dirname(file.to), file.from).split(path.sep).join('/')],
+  sourcesContent: [contents],
+});
+/**
+ * Generates the `sourceMappingURL` comment for a file: if the map is inline, the comment
+ * will have the map encoded as a data URL, otherwise, it will point to a `.map` file
+ * next to the file.
+ *
+ * @param {SourceMap}      map       The source map of the file.
+ * @param {string}         filepath  The path to the file.
+ * @param {SourceMapsType} type      How the source map will be saved.
+ * @returns {string}
+ */
+const getSourceMapComment = (map, filepath, type) => {
+  let url;
+  if (type === 'inline') {
+    const encoded = Buffer.from(JSON.stringify(map)).toString('base64');
+    url = `data:application/json;charset=utf-8;base64,${encoded}`;
+  } else {
+    url = `${path.basename(filepath)}.map`;
+  }
+
+  return `//# sourceMappingURL=${url}`;
+};
+
+module.exports.shiftSourceMap = shiftSourceMap;
+module.exports.normalizeSourceMap = normalizeSourceMap;
+module.exports.getSourceMapComment = getSourceMapComment;
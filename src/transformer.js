@@ -1,54 +1,160 @@
 const path = require('path');
+const { builtinModules } = require('module');
 const fs = require('fs-extra');
 const { findFileSync, getAbsPathInfoSync } = require('./utils');
+const { supportsFeature, getJSONImportsStrategy } = require('./features');
+const { resolvePackageSpecifier } = require('./packages');
+const { isSourceFile, getOutputExtension } = require('./extensions');
 
 /**
- * @typedef {import('jscodeshift').API}      API
- * @typedef {import('jscodeshift').FileInfo} FileInfo
+ * @typedef {import('jscodeshift').API}         API
+ * @typedef {import('jscodeshift').FileInfo}    FileInfo
+ * @typedef {import('jscodeshift').JSCodeshift} JSCodeshift
+ * @typedef {import('jscodeshift').Collection}  Collection
  */
 
+/**
+ * @typedef {Object} NestedRequireContext
+ * @property {'async' | 'sync' | 'module'} scope
+ * Whether the call is inside an `async` function, a regular function, or on the top
+ * level of the file.
+ * @property {boolean} checksNotFound
+ * Whether the call is inside a `try` block that validates the `MODULE_NOT_FOUND` error
+ * code.
+ */
+
+/**
+ * The extensions the import paths should use for the TypeScript files, as TypeScript
+ * expects them to point to the files the compiler will generate.
+ *
+ * @type {Object.<string, string>}
+ */
+const TYPESCRIPT_IMPORT_EXTENSIONS = {
+  '.ts': '.js',
+  '.tsx': '.js',
+  '.mts': '.mjs',
+  '.cts': '.cjs',
+};
+
+/**
+ * Updates the extension of a file an import path points to. If the tool added the
+ * extension and it's from a TypeScript file, it will be replaced with the one the
+ * compiler will generate. If the import path already had the extension of a file the
+ * tool transforms, like `.cjs`, and the file was renamed on the output directory, the
+ * new extension will be used.
+ *
+ * @param {string}                   filepath    The path to the file.
+ * @param {PathExistsFn}             pathExists  The function used to validate if a path
+ *                                               exists.
+ * @param {?CJS2ESMExtensionOptions} extension   The options for the extensions. If
+ *                                               `null`, it means the tool added the
+ *                                               extension.
+ * @returns {string}
+ */
+const updateFileExtension = (filepath, pathExists, extension) => {
+  const ext = path.extname(filepath);
+  if (!extension) {
+    const newExt = TYPESCRIPT_IMPORT_EXTENSIONS[ext.toLowerCase()];
+    return newExt
+      ? `${filepath.substr(0, filepath.length - ext.length)}${newExt}`
+      : filepath;
+  }
+
+  if (!isSourceFile(filepath, extension) || pathExists(filepath)) {
+    return filepath;
+  }
+
+  const newPath = `${filepath.substr(
+    0,
+    filepath.length - ext.length,
+  )}.${getOutputExtension(filepath, extension)}`;
+  return pathExists(newPath) ? newPath : filepath;
+};
 /**
  * Creates the replacement path for an import statement for a folder. It validates if the
  * folder has a `package.json`, to keep it as it is, and if it fails, it tries to find an
  * index files,
- * `.mjs` or `.js`.
+ * `.mjs`, `.js`, or one of the TypeScript extensions.
  *
- * @param {string} absPath     The absolute path for the folder.
- * @param {string} importPath  The path as it is on the import statement.
+ * @param {string}       absPath     The absolute path for the folder.
+ * @param {string}       importPath  The path as it is on the import statement.
+ * @param {PathExistsFn} pathExists  The function used to validate if a path exists.
  * @returns {?string} If there's no `package.json` and no `index` was found, the function
  *                    will return `null`.
  */
-const createReplacementForFolder = (absPath, importPath) => {
+const createReplacementForFolder = (absPath, importPath, pathExists) => {
   let result;
   const pkgPath = path.join(absPath, 'package.json');
-  const pkgExists = fs.pathExistsSync(pkgPath);
+  const pkgExists = pathExists(pkgPath);
   if (pkgExists) {
     result = importPath.replace(/\/$/, '');
   } else {
-    const file = findFileSync(['index.mjs', 'index.js'], absPath);
-    result = file ? path.join(importPath, path.basename(file)) : null;
+    const file = findFileSync(
+      ['index.mjs', 'index.js', 'index.mts', 'index.ts', 'index.tsx'],
+      absPath,
+      pathExists,
+    );
+    result = file
+      ? path.join(importPath, updateFileExtension(path.basename(file), pathExists, null))
+      : null;
   }
 
   return result;
 };
 
-const updatePath = (item, base) => {
+/**
+ * Generates the path an import statement should have in order to work as an ES Module.
+ * Relative paths get their missing extensions or `index` files, and the bare specifiers
+ * of packages with `exports` are validated against them, as Node only allows the paths
+ * the packages export; for the rest of the packages, the paths are fixed the same way as
+ * the relative ones.
+ *
+ * @param {Object}                  item        The path of the statement.
+ * @param {string}                  base        The absolute path to the file directory.
+ * @param {PathExistsFn}            pathExists  The function used to validate if a path
+ *                                              exists.
+ * @param {Function}                report      The function to report the paths that are
+ *                                              not exported by their packages.
+ * @param {CJS2ESMExtensionOptions} extension   The options for the extensions, to update
+ *                                              the paths of the renamed files.
+ * @returns {string}
+ */
+const updatePath = (item, base, pathExists, report, extension) => {
   const importPath = item.value.source.value;
+  if (!importPath.startsWith('.')) {
+    const resolution = resolvePackageSpecifier(importPath, base, pathExists);
+    if (resolution) {
+      if (!resolution.exported) {
+        report(
+          `\`${importPath}\` is not exported by its package, so it can't be imported ` +
+            'as an ES Module',
+        );
+      }
+
+      return resolution.specifier;
+    }
+  }
+
   // Resolve the absolute path for the import statement.
   const absPath = importPath.startsWith('.')
     ? path.join(base, importPath)
     : path.resolve('node_modules', importPath);
-  const info = getAbsPathInfoSync(absPath);
+  const info = getAbsPathInfoSync(absPath, pathExists);
   let replacement;
   if (info === null) {
     // No info was found, so "don't replace it".
     replacement = importPath;
   } else if (info.isFile) {
     // Join the import path directory with the real filename from the info.
-    replacement = path.join(path.dirname(importPath), path.basename(info.path));
+    const filepath = updateFileExtension(
+      info.path,
+      pathExists,
+      path.extname(info.path) === path.extname(importPath) ? extension : null,
+    );
+    replacement = path.join(path.dirname(importPath), path.basename(filepath));
   } else {
     // If it's a directory, call the function that checks for a `package.json` or an `index`.
-    const folderReplacement = createReplacementForFolder(absPath, importPath);
+    const folderReplacement = createReplacementForFolder(absPath, importPath, pathExists);
     replacement = folderReplacement || importPath;
   }
 
@@ -66,6 +172,784 @@ const updatePath = (item, base) => {
   return replacement;
 };
 
+/**
+ * Fixes the path of a module loaded with a `require` function, the same way the paths of
+ * the import statements get fixed.
+ *
+ * @param {string}                  specifier   The path of the module.
+ * @param {string}                  base        The absolute path to the file directory.
+ * @param {PathExistsFn}            pathExists  The function used to validate if a path
+ *                                              exists.
+ * @param {Function}                report      The function to report the paths that
+ *                                              are not exported by their packages.
+ * @param {CJS2ESMExtensionOptions} extension   The options for the extensions.
+ * @returns {string}
+ */
+const updateSpecifierPath = (specifier, base, pathExists, report, extension) =>
+  specifier.match(/^[.\w@]/)
+    ? updatePath(
+        { value: { source: { value: specifier } } },
+        base,
+        pathExists,
+        report,
+        extension,
+      )
+    : specifier;
+/**
+ * Generates a name for a variable that is not already used on a file: if the name is
+ * taken, it will add a number at the end.
+ *
+ * @param {Collection}  root  The AST of the file.
+ * @param {JSCodeshift} j     The `jscodeshift` API, to find the identifiers.
+ * @param {string}      name  The name the variable should have.
+ * @returns {string}
+ */
+const createUniqueName = (root, j, name) => {
+  let result = name;
+  for (let i = 1; root.find(j.Identifier, { name: result }).size(); i++) {
+    result = `${name}${i}`;
+  }
+
+  return result;
+};
+/**
+ * Generates a name for the variable that will hold the contents of a JSON file, based on
+ * the name of the file.
+ *
+ * @param {Collection}  root        The AST of the file.
+ * @param {JSCodeshift} j           The `jscodeshift` API, to find the identifiers.
+ * @param {string}      importPath  The path to the JSON file.
+ * @returns {string}
+ */
+const createJSONVariableName = (root, j, importPath) => {
+  const base = path
+    .basename(importPath, '.json')
+    .replace(/[^\w$]+(\w)?/g, (_, char) => (char ? char.toUpperCase() : ''))
+    .replace(/^(\d)/, '_$1');
+  return createUniqueName(root, j, `${base || 'data'}JSON`);
+};
+/**
+ * Generates a `const` declaration with an object pattern for the named specifiers of an
+ * import statement, as JSON files can't have named imports.
+ *
+ * @param {JSCodeshift} j           The `jscodeshift` API, to build the nodes.
+ * @param {Object[]}    specifiers  The named specifiers of the import statement.
+ * @param {Object}      init        The node for the value that will be destructured.
+ * @returns {Object}
+ */
+const createJSONDestructuring = (j, specifiers, init) =>
+  j.variableDeclaration('const', [
+    j.variableDeclarator(
+      j.objectPattern(
+        specifiers.map((specifier) => {
+          const property = j.property(
+            'init',
+            j.identifier(specifier.imported.name),
+            j.identifier(specifier.local.name),
+          );
+          property.shorthand = specifier.imported.name === specifier.local.name;
+          return property;
+        }),
+      ),
+      init,
+    ),
+  ]);
+/**
+ * Inserts a list of statements after the last import statement of a file.
+ *
+ * @param {Collection}  root   The AST of the file.
+ * @param {JSCodeshift} j      The `jscodeshift` API, to find the import statements.
+ * @param {Object[]}    nodes  The statements to insert.
+ */
+const insertAfterImports = (root, j, nodes) => {
+  const { body } = root.find(j.Program).get().value;
+  let index = 0;
+  body.forEach((node, nodeIndex) => {
+    if (node.type === 'ImportDeclaration') {
+      index = nodeIndex + 1;
+    }
+  });
+
+  body.splice(index, 0, ...nodes);
+};
+/**
+ * Gets the names a declaration binds, taking into account the patterns for
+ * destructuring.
+ *
+ * @param {Object} node  The node for the identifier or the pattern.
+ * @returns {string[]}
+ */
+const getBindingNames = (node) => {
+  switch (node.type) {
+    case 'Identifier':
+      return [node.name];
+    case 'ObjectPattern':
+      return node.properties.flatMap((property) =>
+        getBindingNames(property.type === 'RestElement' ? property : property.value),
+      );
+    case 'ArrayPattern':
+      return node.elements.filter(Boolean).flatMap(getBindingNames);
+    case 'AssignmentPattern':
+      return getBindingNames(node.left);
+    case 'RestElement':
+      return getBindingNames(node.argument);
+    default:
+      return [];
+  }
+};
+/**
+ * Checks if a name is declared on the top level of a file: by an import, a variable,
+ * a function or a class. The declarations inside functions and blocks are ignored, as
+ * they don't affect the rest of the file.
+ *
+ * @param {Collection}  root  The AST of the file.
+ * @param {JSCodeshift} j     The `jscodeshift` API, to find the statements.
+ * @param {string}      name  The name to look for.
+ * @returns {boolean}
+ */
+const isDeclaredOnTopLevel = (root, j, name) => {
+  const { body } = root.find(j.Program).get().value;
+  return body.some((node) => {
+    const declaration =
+      node.type === 'ExportNamedDeclaration' && node.declaration
+        ? node.declaration
+        : node;
+    if (declaration.type === 'ImportDeclaration') {
+      return declaration.specifiers.some((specifier) => specifier.local.name === name);
+    }
+
+    if (declaration.type === 'VariableDeclaration') {
+      return declaration.declarations.some((declarator) =>
+        getBindingNames(declarator.id).includes(name),
+      );
+    }
+
+    return (
+      ['FunctionDeclaration', 'ClassDeclaration'].includes(declaration.type) &&
+      declaration.id &&
+      declaration.id.name === name
+    );
+  });
+};
+/**
+ * Gets the local name of a named import from a module. If the file doesn't import it yet,
+ * it will be added to an existing import statement with named imports from the module,
+ * or to a new one, with an alias if the name is already used.
+ *
+ * @param {Collection}  root      The AST of the file.
+ * @param {JSCodeshift} j         The `jscodeshift` API, to build the nodes.
+ * @param {string}      source    The module the name is imported from.
+ * @param {string}      imported  The name of the export.
+ * @returns {string}
+ */
+const getNamedImport = (root, j, source, imported) => {
+  const existing = root
+    .find(j.ImportDeclaration, { source: { value: source } })
+    .find(j.ImportSpecifier, { imported: { name: imported } });
+  if (existing.size()) {
+    return existing.get().value.local.name;
+  }
+
+  const local = createUniqueName(root, j, imported);
+  const specifier = j.importSpecifier(j.identifier(imported), j.identifier(local));
+  const declaration = root
+    .find(j.ImportDeclaration, { source: { value: source } })
+    .filter((item) =>
+      item.value.specifiers.some(({ type }) => type === 'ImportSpecifier'),
+    );
+  if (declaration.size()) {
+    declaration.get().value.specifiers.push(specifier);
+  } else {
+    insertAfterImports(root, j, [j.importDeclaration([specifier], j.literal(source))]);
+  }
+
+  return local;
+};
+/**
+ * Generates the nodes to declare a `require` function for the file using `createRequire`.
+ * If the file already declares a `require` on the top level, it will return an empty
+ * list.
+ *
+ * @param {Collection}  root  The AST of the file.
+ * @param {JSCodeshift} j     The `jscodeshift` API, to build the nodes.
+ * @returns {Object[]}
+ */
+const createRequireDeclaration = (root, j) => {
+  if (isDeclaredOnTopLevel(root, j, 'require')) {
+    return [];
+  }
+
+  const createRequire = getNamedImport(root, j, 'module', 'createRequire');
+  return [
+    j.variableDeclaration('const', [
+      j.variableDeclarator(
+        j.identifier('require'),
+        j.callExpression(j.identifier(createRequire), [
+          j.memberExpression(
+            j.metaProperty(j.identifier('import'), j.identifier('meta')),
+            j.identifier('url'),
+          ),
+        ]),
+      ),
+    ]),
+  ];
+};
+/**
+ * Generates the source for an import statement of a JSON file, with import attributes
+ * (`with`) or assertions (`assert`). The version of `recast` `jscodeshift` uses can't
+ * print them, so the source is generated as an identifier with the path and the
+ * attributes, which gets printed as it is.
+ *
+ * @param {JSCodeshift} j           The `jscodeshift` API, to build the node.
+ * @param {string}      importPath  The path to the JSON file.
+ * @param {string}      keyword     The keyword for the attributes: `with` or `assert`.
+ * @returns {Object}
+ */
+const createJSONImportSource = (j, importPath, keyword) =>
+  j.identifier(`'${importPath.replace(/'/g, "\\'")}' ${keyword} { type: 'json' }`);
+/**
+ * Validates that a JSON file will exist on the output directory, and gets the strategy
+ * that should be used to load it: generated modules (`inline`) can only be used for the
+ * files on the output directory that have one; otherwise, it will use `createRequire`.
+ *
+ * @param {string}         importPath  The path to the JSON file.
+ * @param {string}         base        The absolute path to the file directory.
+ * @param {PathExistsFn}   pathExists  The function to validate if a path exists.
+ * @param {CJS2ESMOptions} cjs2esm     The options of the tool.
+ * @param {string}         strategy    The strategy for the JSON imports.
+ * @param {Function}       report      The function to report the files that weren't
+ *                                     copied.
+ * @returns {string}
+ */
+const validateJSONImport = (importPath, base, pathExists, cjs2esm, strategy, report) => {
+  const absPath = path.join(base, importPath);
+  const isOutputFile = importPath.startsWith('.') && absPath.startsWith(cjs2esm.output);
+  const hasModule =
+    strategy === 'inline' &&
+    isOutputFile &&
+    pathExists(`${absPath}.${cjs2esm.extension.use}`);
+  if (isOutputFile && !hasModule && !pathExists(absPath)) {
+    report(
+      `\`${importPath}\` is not copied as an asset, so it won't exist on the output ` +
+        'directory and it will fail to load; add it to `assets.include`',
+    );
+  } else if (strategy === 'inline' && isOutputFile && !hasModule) {
+    report(
+      `\`${importPath}\` is not copied as an asset, so there's no module for it, and ` +
+        'it will be loaded with a `require` created with `createRequire`',
+    );
+  }
+
+  return strategy === 'inline' && !hasModule ? 'createRequire' : strategy;
+};
+/**
+ * Updates the import statements for JSON files, as Node can't import them as modules
+ * without import attributes. Depending on the strategy, the statements will get import
+ * attributes or assertions, they will be replaced with calls to a `require` created with
+ * `createRequire`, or the paths will point to modules generated on the output
+ * directory. If there's no module for a file, like when it's not copied as an asset, it
+ * will use `createRequire`.
+ *
+ * @param {Collection}          root        The AST of the file.
+ * @param {JSCodeshift}         j           The `jscodeshift` API, to build the nodes.
+ * @param {string}              base        The absolute path to the file directory.
+ * @param {PathExistsFn}        pathExists  The function to validate if the generated
+ *                                          modules exist.
+ * @param {CJS2ESMOptions}      cjs2esm     The options of the tool.
+ * @param {JSONImportsStrategy} strategy    The strategy for the imports.
+ * @param {Function}            report      The function to report the warnings.
+ */
+const updateJSONImports = (root, j, base, pathExists, cjs2esm, strategy, report) => {
+  const requireStatements = [];
+  root
+    .find(j.ImportDeclaration)
+    .filter((item) => !!item.value.source.value.match(/\.json$/i))
+    .forEach((item) => {
+      const importPath = item.value.source.value;
+      const specifiers = item.value.specifiers || [];
+      const named = specifiers.filter(
+        (specifier) => specifier.type === 'ImportSpecifier',
+      );
+      const unnamed = specifiers.find(
+        (specifier) => specifier.type !== 'ImportSpecifier',
+      );
+      let name = unnamed ? unnamed.local.name : null;
+      if (!name && named.length) {
+        name = createJSONVariableName(root, j, importPath);
+      }
+
+      const itemStrategy = validateJSONImport(
+        importPath,
+        base,
+        pathExists,
+        cjs2esm,
+        strategy,
+        report,
+      );
+      if (itemStrategy === 'createRequire') {
+        const call = j.callExpression(j.identifier('require'), [j.literal(importPath)]);
+        if (!specifiers.length) {
+          requireStatements.push(j.expressionStatement(call));
+        } else if (!unnamed) {
+          requireStatements.push(createJSONDestructuring(j, named, call));
+        } else {
+          requireStatements.push(
+            j.variableDeclaration('const', [
+              j.variableDeclarator(j.identifier(name), call),
+            ]),
+          );
+          if (named.length) {
+            requireStatements.push(createJSONDestructuring(j, named, j.identifier(name)));
+          }
+        }
+
+        item.prune();
+        return;
+      }
+
+      const declaration = j.importDeclaration(
+        name ? [j.importDefaultSpecifier(j.identifier(name))] : [],
+        j.literal(
+          itemStrategy === 'inline'
+            ? `${importPath}.${cjs2esm.extension.use}`
+            : importPath,
+        ),
+      );
+      if (itemStrategy !== 'inline') {
+        // This is not done with the builder because it validates the type of the source.
+        declaration.source = createJSONImportSource(j, importPath, itemStrategy);
+      }
+
+      if (named.length) {
+        item.replace(declaration, createJSONDestructuring(j, named, j.identifier(name)));
+      } else {
+        item.replace(declaration);
+      }
+    });
+
+  if (requireStatements.length) {
+    insertAfterImports(root, j, [
+      ...createRequireDeclaration(root, j),
+      ...requireStatements,
+    ]);
+  }
+};
+/**
+ * Generates a `import.meta.[property]` expression.
+ *
+ * @param {JSCodeshift} j         The `jscodeshift` API, to build the nodes.
+ * @param {string}      property  The property of `import.meta`.
+ * @returns {Object}
+ */
+const createImportMetaProperty = (j, property) =>
+  j.memberExpression(
+    j.metaProperty(j.identifier('import'), j.identifier('meta')),
+    j.identifier(property),
+  );
+/**
+ * Finds the references to a CommonJS variable, like `__dirname`, that are not shadowed by
+ * a local declaration.
+ *
+ * @param {Collection}  root  The AST of the file.
+ * @param {JSCodeshift} j     The `jscodeshift` API, to find the identifiers.
+ * @param {string}      name  The name of the variable.
+ * @returns {Collection}
+ */
+const findGlobalReferences = (root, j, name) =>
+  root.find(j.Identifier, { name }).filter((item) => {
+    const parent = item.parent.value;
+    const isProperty =
+      (parent.property === item.value || parent.key === item.value) && !parent.computed;
+    return !isProperty && !item.scope.lookup(name);
+  });
+/**
+ * Replaces the references to `__dirname` and `__filename`, which don't exist on ES
+ * Modules. If the target version of Node supports them, they will be replaced with
+ * `import.meta.dirname` and `import.meta.filename`; otherwise, the variables will be
+ * declared using `fileURLToPath(import.meta.url)`.
+ *
+ * @param {Collection}     root     The AST of the file.
+ * @param {JSCodeshift}    j        The `jscodeshift` API, to build the nodes.
+ * @param {CJS2ESMOptions} cjs2esm  The options of the tool.
+ */
+const updateFileGlobals = (root, j, cjs2esm) => {
+  const dirnameRefs = findGlobalReferences(root, j, '__dirname');
+  const filenameRefs = findGlobalReferences(root, j, '__filename');
+  if (!dirnameRefs.size() && !filenameRefs.size()) {
+    return;
+  }
+
+  if (supportsFeature(cjs2esm.nodeVersion, 'importMetaDirname')) {
+    [
+      [dirnameRefs, 'dirname'],
+      [filenameRefs, 'filename'],
+    ].forEach(([references, property]) => {
+      references.forEach((item) => {
+        const parent = item.parent.value;
+        if (parent.shorthand && parent.value === item.value) {
+          parent.shorthand = false;
+        }
+
+        item.replace(createImportMetaProperty(j, property));
+      });
+    });
+
+    return;
+  }
+
+  const fileURLToPath = getNamedImport(root, j, 'url', 'fileURLToPath');
+  let filename = j.callExpression(j.identifier(fileURLToPath), [
+    createImportMetaProperty(j, 'url'),
+  ]);
+  const declarations = [];
+  if (filenameRefs.size()) {
+    declarations.push(
+      j.variableDeclaration('const', [
+        j.variableDeclarator(j.identifier('__filename'), filename),
+      ]),
+    );
+    filename = j.identifier('__filename');
+  }
+
+  if (dirnameRefs.size()) {
+    const dirname = getNamedImport(root, j, 'path', 'dirname');
+    declarations.push(
+      j.variableDeclaration('const', [
+        j.variableDeclarator(
+          j.identifier('__dirname'),
+          j.callExpression(j.identifier(dirname), [filename]),
+        ),
+      ]),
+    );
+  }
+
+  insertAfterImports(root, j, declarations);
+};
+/**
+ * Checks if a node is a string literal with the name of one of the Node built-in
+ * modules.
+ *
+ * @param {Object} node  The node to validate.
+ * @returns {boolean}
+ */
+const isBuiltinModuleLiteral = (node) =>
+  typeof node.value === 'string' &&
+  (node.value.startsWith('node:') || builtinModules.includes(node.value));
+/**
+ * Replaces a `require.resolve` call with `fileURLToPath(import.meta.resolve(...))`, if
+ * the target version of Node supports it and the call only has a path that can be
+ * resolved on the same way: a string literal that is not a built-in module. Relative
+ * paths get the same fixes as the import statements.
+ *
+ * @param {Collection}     root        The AST of the file.
+ * @param {JSCodeshift}    j           The `jscodeshift` API, to build the nodes.
+ * @param {Object}         member      The path of the `require.resolve` expression.
+ * @param {string}         base        The absolute path to the file directory.
+ * @param {PathExistsFn}   pathExists  The function used to validate if a path exists.
+ * @param {CJS2ESMOptions} cjs2esm     The options of the tool.
+ * @param {Function}       report      The function to report the paths that are not
+ *                                     exported by their packages.
+ * @returns {boolean} Whether or not the call was replaced.
+ */
+const updateRequireResolve = (root, j, member, base, pathExists, cjs2esm, report) => {
+  const call = member.parent;
+  const args = call.value.arguments;
+  if (
+    call.value.type !== 'CallExpression' ||
+    call.value.callee !== member.value ||
+    args.length !== 1 ||
+    typeof args[0].value !== 'string' ||
+    isBuiltinModuleLiteral(args[0]) ||
+    !supportsFeature(cjs2esm.nodeVersion, 'importMetaResolve')
+  ) {
+    return false;
+  }
+
+  const resolvePath = updateSpecifierPath(
+    args[0].value,
+    base,
+    pathExists,
+    report,
+    cjs2esm.extension,
+  );
+  const fileURLToPath = getNamedImport(root, j, 'url', 'fileURLToPath');
+  call.replace(
+    j.callExpression(j.identifier(fileURLToPath), [
+      j.callExpression(createImportMetaProperty(j, 'resolve'), [j.literal(resolvePath)]),
+    ]),
+  );
+  return true;
+};
+/**
+ * Replaces a `require.main === module` comparison (or `!==`) with a check that
+ * validates if the URL of the file matches the script Node was called with
+ * (`process.argv[1]`). The path of the script goes through `realpathSync`, as the module
+ * URLs point to the real files, and executables are usually symlinks.
+ *
+ * @param {Collection}  root    The AST of the file.
+ * @param {JSCodeshift} j       The `jscodeshift` API, to build the nodes.
+ * @param {Object}      member  The path of the `require.main` expression.
+ * @returns {boolean} Whether or not the comparison was replaced.
+ */
+const updateRequireMain = (root, j, member) => {
+  const comparison = member.parent;
+  const { type, operator, left, right } = comparison.value;
+  if (type !== 'BinaryExpression' || !['===', '==', '!==', '!='].includes(operator)) {
+    return false;
+  }
+
+  const other = left === member.value ? right : left;
+  if (
+    other.type !== 'Identifier' ||
+    other.name !== 'module' ||
+    comparison.scope.lookup('module')
+  ) {
+    return false;
+  }
+
+  const realpathSync = getNamedImport(root, j, 'fs', 'realpathSync');
+  const pathToFileURL = getNamedImport(root, j, 'url', 'pathToFileURL');
+  /**
+   * Builds a `process.argv[1]` expression; it's a function because the same node can't
+   * be used twice on the AST.
+   *
+   * @returns {Object}
+   */
+  const createScriptPath = () =>
+    j.memberExpression(
+      j.memberExpression(j.identifier('process'), j.identifier('argv')),
+      j.literal(1),
+      true,
+    );
+  const check = j.logicalExpression(
+    '&&',
+    j.unaryExpression('!', j.unaryExpression('!', createScriptPath())),
+    j.binaryExpression(
+      '===',
+      createImportMetaProperty(j, 'url'),
+      j.memberExpression(
+        j.callExpression(j.identifier(pathToFileURL), [
+          j.callExpression(j.identifier(realpathSync), [createScriptPath()]),
+        ]),
+        j.identifier('href'),
+      ),
+    ),
+  );
+  comparison.replace(operator.startsWith('!') ? j.unaryExpression('!', check) : check);
+  return true;
+};
+/**
+ * Analyzes where a `require` call is, to know if it could be replaced with a dynamic
+ * import: the call needs to be inside an `async` function, or on the top level of the
+ * file. It also checks if the call is inside a `try` block that validates the
+ * `MODULE_NOT_FOUND` error code, as dynamic imports use a different one.
+ *
+ * @param {JSCodeshift} j     The `jscodeshift` API, to validate the nodes.
+ * @param {Object}      call  The path of the `require` call.
+ * @returns {NestedRequireContext}
+ */
+const getRequireContext = (j, call) => {
+  const syncTypes = ['ClassProperty', 'ClassPrivateProperty', 'StaticBlock'];
+  let checksNotFound = false;
+  let child = call;
+  let current = call.parent;
+  while (current && !j.Program.check(current.value)) {
+    const node = current.value;
+    if (j.Function.check(node) || syncTypes.includes(node.type)) {
+      return {
+        scope: node.async ? 'async' : 'sync',
+        checksNotFound,
+      };
+    }
+
+    if (
+      j.TryStatement.check(node) &&
+      child.value === node.block &&
+      node.handler &&
+      j(node.handler).find(j.Literal, { value: 'MODULE_NOT_FOUND' }).size()
+    ) {
+      checksNotFound = true;
+    }
+
+    child = current;
+    current = current.parent;
+  }
+
+  return { scope: 'module', checksNotFound };
+};
+/**
+ * Replaces a `require` call with `await import()`. Just like the `require` statements on
+ * the top level get converted into imports, if the call is used on its own, destructured,
+ * or to access a property, it will use the module namespace; otherwise, it will use the
+ * `default` export.
+ *
+ * @param {JSCodeshift} j           The `jscodeshift` API, to build the nodes.
+ * @param {Object}      call        The path of the `require` call.
+ * @param {string}      importPath  The path of the module.
+ */
+const replaceRequireWithImport = (j, call, importPath) => {
+  const parent = call.parent.value;
+  const expression = j.awaitExpression(
+    j.callExpression(j.import(), [j.literal(importPath)]),
+  );
+  if (
+    parent.type === 'ExpressionStatement' ||
+    (parent.type === 'VariableDeclarator' && parent.id.type === 'ObjectPattern') ||
+    (parent.type === 'MemberExpression' && parent.object === call.value)
+  ) {
+    call.replace(expression);
+  } else {
+    call.replace(j.memberExpression(expression, j.identifier('default')));
+  }
+};
+/**
+ * Updates the `require` calls that were not converted into import statements, because
+ * they are not on the top level. If the `nestedRequires` option is set to `import`,
+ * the calls that can wait for a promise will be replaced with `await import()`, and for
+ * the rest, a `require` function will be created with `createRequire`.
+ * The calls inside `try` blocks keep working the same way: a missing module will still
+ * throw an error that the `catch` will handle.
+ *
+ * @param {Collection}     root        The AST of the file.
+ * @param {JSCodeshift}    j           The `jscodeshift` API, to build the nodes.
+ * @param {string}         base        The absolute path to the file directory.
+ * @param {PathExistsFn}   pathExists  The function used to validate if a path exists.
+ * @param {CJS2ESMOptions} cjs2esm     The options of the tool.
+ * @param {Function}       report      The function to report the warnings.
+ */
+const updateRequireCalls = (root, j, base, pathExists, cjs2esm, report) => {
+  const useImport = cjs2esm.nestedRequires === 'import';
+  const topLevelAwait =
+    useImport && supportsFeature(cjs2esm.nodeVersion, 'topLevelAwait');
+  let needsRequire = false;
+  const modules = [];
+  findGlobalReferences(root, j, 'require')
+    .filter((item) => {
+      const parent = item.parent.value;
+      return parent.type === 'CallExpression' && parent.callee === item.value;
+    })
+    .forEach((item) => {
+      const call = item.parent;
+      const args = call.value.arguments;
+      const specifier =
+        args.length === 1 && typeof args[0].value === 'string' ? args[0].value : null;
+      // Dynamic imports of JSON files would need import attributes.
+      if (useImport && specifier && !specifier.match(/\.json$/i)) {
+        const context = getRequireContext(j, call);
+        if (
+          !context.checksNotFound &&
+          (context.scope === 'async' || (context.scope === 'module' && topLevelAwait))
+        ) {
+          replaceRequireWithImport(
+            j,
+            call,
+            updateSpecifierPath(specifier, base, pathExists, report, cjs2esm.extension),
+          );
+          return;
+        }
+      }
+
+      needsRequire = true;
+      if (
+        specifier &&
+        specifier.startsWith('.') &&
+        !specifier.match(/\.(?:json|cjs)$/i) &&
+        path.join(base, specifier).startsWith(cjs2esm.output) &&
+        !modules.includes(specifier)
+      ) {
+        modules.push(specifier);
+      }
+    });
+
+  if (modules.length && !supportsFeature(cjs2esm.nodeVersion, 'requireModule')) {
+    modules.forEach((specifier) => {
+      report(
+        `\`require('${specifier}')\` can't be converted into an import, and the file ` +
+          "will be an ES Module, which the target version of Node can't require",
+      );
+    });
+  }
+
+  if (needsRequire) {
+    insertAfterImports(root, j, createRequireDeclaration(root, j));
+  }
+};
+/**
+ * Updates the usages of the properties of `require`, which doesn't exist on ES Modules:
+ * `require.resolve` calls and `require.main === module` checks are replaced with ESM
+ * equivalents, and for the ones that can't be replaced, a `require` function is created
+ * with `createRequire`. The usages that may not work as expected with the created
+ * function, like `require.cache`, are reported as warnings.
+ *
+ * @param {Collection}     root        The AST of the file.
+ * @param {JSCodeshift}    j           The `jscodeshift` API, to build the nodes.
+ * @param {string}         base        The absolute path to the file directory.
+ * @param {PathExistsFn}   pathExists  The function used to validate if a path exists.
+ * @param {CJS2ESMOptions} cjs2esm     The options of the tool.
+ * @param {Function}       report      The function to report the warnings.
+ */
+const updateRequireProperties = (root, j, base, pathExists, cjs2esm, report) => {
+  let needsRequire = false;
+  const unsupported = [];
+  findGlobalReferences(root, j, 'require')
+    .filter((item) => {
+      const parent = item.parent.value;
+      return parent.type === 'MemberExpression' && parent.object === item.value;
+    })
+    .forEach((item) => {
+      const member = item.parent;
+      const property = member.value.computed ? null : member.value.property.name;
+      if (
+        (property === 'resolve' &&
+          updateRequireResolve(root, j, member, base, pathExists, cjs2esm, report)) ||
+        (property === 'main' && updateRequireMain(root, j, member))
+      ) {
+        return;
+      }
+
+      needsRequire = true;
+      const name = j(member.value).toSource();
+      if (property !== 'resolve' && !unsupported.includes(name)) {
+        unsupported.push(name);
+      }
+    });
+
+  if (needsRequire) {
+    insertAfterImports(root, j, createRequireDeclaration(root, j));
+  }
+
+  unsupported.forEach((name) => {
+    report(
+      `\`${name}\` can't be safely converted to ES Modules, so it will use a \`require\` ` +
+        'created with `createRequire`, and it may not work as expected',
+    );
+  });
+};
+/**
+ * Converts the TypeScript syntax for CommonJS modules into ES Modules syntax:
+ * `import x = require('y')` becomes `import x from 'y'`, and `export = x` becomes
+ * `export default x`.
+ *
+ * @param {Collection}  root  The AST of the file.
+ * @param {JSCodeshift} j     The `jscodeshift` API, to build the nodes.
+ */
+const updateTypeScriptModules = (root, j) => {
+  root
+    .find(j.TSImportEqualsDeclaration, {
+      isExport: false,
+      moduleReference: { type: 'TSExternalModuleReference' },
+    })
+    .replaceWith((item) =>
+      j.importDeclaration(
+        [j.importDefaultSpecifier(item.value.id)],
+        j.literal(item.value.moduleReference.expression.value),
+        item.value.importKind === 'type' ? 'type' : 'value',
+      ),
+    );
+  root
+    .find(j.TSExportAssignment)
+    .replaceWith((item) => j.exportDefaultDeclaration(item.value.expression));
+};
 /**
  * This is the transformation for `jscodeshift` the tool uses to modify import statements,
  * add missing `.mjs` extensions and change paths if needed.
@@ -81,7 +965,9 @@ const updatePath = (item, base) => {
 const transform = (file, api, options) => {
   const j = api.jscodeshift;
   // Extract the tool options.
-  const { cjs2esm } = options;
+  const { cjs2esm, pathExists = fs.pathExistsSync } = options;
+  // The function to report the code that couldn't be safely converted.
+  const report = api.report || (() => {});
   // Get the absolute path to the file directory, so it can be joined with the imports.
   const base = path.dirname(file.path);
   // Generate the AST.
@@ -100,10 +986,14 @@ const transform = (file, api, options) => {
     return (
       exportPath &&
       !ignoreListForExt.some((exp) => exportPath.match(exp)) &&
-      (exportPath.startsWith('.') || exportPath.match(/^\w/))
+      (exportPath.startsWith('.') || exportPath.match(/^[\w@]/))
     );
   };
 
+  // =================================================
+  // Convert the TypeScript syntax for CommonJS.
+  // =================================================
+  updateTypeScriptModules(root, j);
   // =================================================
   // Parse the import statements to add missing extensions.
   // =================================================
@@ -112,18 +1002,22 @@ const transform = (file, api, options) => {
     // Filter out the ones that are on the ignore list.
     .filter(needsPathUpdate)
     .replaceWith((item) => {
-      const replacement = updatePath(item, base);
+      const replacement = updatePath(item, base, pathExists, report, cjs2esm.extension);
 
       // Replace the node with a new one on the AST.
       // return j.importDeclaration.from({ ...item.value, source: j.literal(replacement) });
-      return j.importDeclaration(item.value.specifiers, j.literal(replacement));
+      return j.importDeclaration(
+        item.value.specifiers,
+        j.literal(replacement),
+        item.value.importKind,
+      );
     });
   root
     .find(j.ExportNamedDeclaration)
     // Filter out the ones that are on the ignore list.
     .filter(needsPathUpdate)
     .replaceWith((item) => {
-      const replacement = updatePath(item, base);
+      const replacement = updatePath(item, base, pathExists, report, cjs2esm.extension);
 
       // Replace the node with a new one on the AST.
       return j.exportNamedDeclaration.from({
@@ -141,7 +1035,7 @@ const transform = (file, api, options) => {
     // Filter out the ones that are on the ignore list.
     .filter(needsPathUpdate)
     .replaceWith((item) => {
-      const replacement = updatePath(item, base);
+      const replacement = updatePath(item, base, pathExists, report, cjs2esm.extension);
 
       // Replace the node with a new one on the AST.
       return j.exportAllDeclaration.from({
@@ -195,6 +1089,27 @@ const transform = (file, api, options) => {
     //     });
     //   });
   }
+  // =================================================
+  // Replace `__dirname` and `__filename`.
+  // =================================================
+  updateFileGlobals(root, j, cjs2esm);
+  // =================================================
+  // Replace the `require` calls and properties that are left.
+  // =================================================
+  updateRequireCalls(root, j, base, pathExists, cjs2esm, report);
+  updateRequireProperties(root, j, base, pathExists, cjs2esm, report);
+  // =================================================
+  // Parse the imports for JSON files.
+  // =================================================
+  updateJSONImports(
+    root,
+    j,
+    base,
+    pathExists,
+    cjs2esm,
+    getJSONImportsStrategy(cjs2esm),
+    report,
+  );
 
   // Regenerate the file code.
   return root.toSource({
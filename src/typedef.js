@@ -14,10 +14,89 @@
 
 /**
  * @typedef {Object} CJS2ESMExtensionOptions
- * @property {ModuleExtension} use     Which extension should be used.
- * @property {string[]}        ignore  A list of expressions (strings that will be
- *                                     converted on `RegExp`) to ignore import statements
- *                                     when validating the use of extensions.
+ * @property {ModuleExtension}        use      Which extension should be used.
+ * @property {string[]}               ignore   A list of expressions (strings that will
+ *                                             be converted on `RegExp`) to ignore import
+ *                                             statements when validating the use of
+ *                                             extensions.
+ * @property {string[]}               sources  The extensions of the files the tool
+ *                                             should transform, without the dot: `js`,
+ *                                             `cjs`, `ts`, `cts`, `mts` or `tsx`.
+ * @property {Object.<string, string>} map     A dictionary to overwrite the extensions
+ *                                             the transformed files will have, based on
+ *                                             the extensions of the original files.
+ */
+
+/**
+ * @typedef {Object} CJS2ESMFilesOptions
+ * @property {string[]} include      A list of glob patterns for the files the tool should
+ *                                   transform. If empty, all the files with the source
+ *                                   extensions will be transformed. The patterns are
+ *                                   matched against the paths relative to each input
+ *                                   directory.
+ * @property {string[]} exclude      A list of glob patterns for the files the tool should
+ *                                   ignore, like tests or fixtures.
+ * @property {string[]} copy         A list of glob patterns for the files that should be
+ *                                   copied to the output directory without being
+ *                                   transformed.
+ * @property {string[]} ignoreFiles  A list of ignore files, like `.gitignore` or
+ *                                   `.npmignore`, relative to the working directory; the
+ *                                   files that match their patterns will be ignored.
+ */
+
+/**
+ * @typedef {Object} CJS2ESMAssetsOptions
+ * @property {string[]} include  A list of glob patterns for the files, other than
+ *                               JavaScript, that should be copied to the output
+ *                               directory. The patterns are matched against the paths
+ *                               relative to each input directory.
+ * @property {string[]} exclude  A list of glob patterns for files that shouldn't be
+ *                               copied, even if they match the `include` patterns.
+ */
+
+/**
+ * @typedef {Object} CJS2ESMTransformsOptions
+ * @property {string[]} before   A list of `jscodeshift` transformations that should run
+ *                               before the built-in ones. They can be paths relative to
+ *                               the working directory, or the names of packages.
+ * @property {string[]} after    A list of `jscodeshift` transformations that should run
+ *                               after the built-in ones.
+ * @property {string[]} disable  A list of built-in transformations that shouldn't run:
+ *                               `cjs`, `exports`, `named-export-generation` or
+ *                               `transformer`.
+ */
+
+/**
+ * @typedef {Object} CJS2ESMHooksOptions
+ * @property {?function(CJS2ESMOptions): (Promise|void)} [beforeCopy]
+ * Called after the output directory is cleaned, and before the files are copied.
+ * @property {?function(CJS2ESMCopiedFile[], CJS2ESMOptions): (Promise|void)} [afterCopy]
+ * Called after the files and the assets are copied, with the list of files that were
+ * copied.
+ * @property {?function(CJS2ESMCopiedFile[], CJS2ESMOptions): (Promise|void)} [beforeTransform]
+ * Called before the files are transformed, with the list of files that will be.
+ * @property {?function(CJS2ESMCopiedFile, string, CJS2ESMOptions): *} [afterTransformFile]
+ * Called for every file after it's transformed, and before it's written, with the
+ * transformed code. If it returns a string (or a promise for one), it will be written
+ * instead of the code.
+ * @property {?function(CJS2ESMRunResult, CJS2ESMOptions): (Promise|void)} [afterBuild]
+ * Called at the end of the process, with its result.
+ */
+
+/**
+ * @typedef {'none' | 'file' | 'inline'} SourceMapsType
+ */
+
+/**
+ * @typedef {'auto' | 'with' | 'assert' | 'createRequire' | 'inline'} JSONImportsStrategy
+ */
+
+/**
+ * @typedef {'copy' | 'cjs'} ErrorFallbackType
+ */
+
+/**
+ * @typedef {'createRequire' | 'import'} NestedRequiresStrategy
  */
 
 /**
@@ -28,13 +107,28 @@
  * The directory where the transformed code should be placed.
  * @property {?boolean} forceDirectory
  * By default, if `input` has only one directory, the only thing copied will be its
- * contents,
- * instead of the directory itself; this flag can be used to force force it and always
- * copy the directory.
+ * contents, instead of the directory itself; this flag can be used to force it and
+ * always copy the directory.
  * @property {CJS2ESMModuleOption[]} modules
  * Special configurations for modules with ESM versions.
  * @property {CJS2ESMExtensionOptions} extension
  * How should the tool handle the file extensions.
+ * @property {CJS2ESMFilesOptions} files
+ * Which files, from the ones with the source extensions, should be transformed, and which
+ * ones should be just copied.
+ * @property {CJS2ESMAssetsOptions} assets
+ * Which files, other than JavaScript, should be copied to the output directory, keeping
+ * the paths they have inside the input directories.
+ * @property {CJS2ESMTransformsOptions} transforms
+ * Custom `jscodeshift` transformations to run with the built-in ones, which receive the
+ * same options, and the built-in ones that should be disabled.
+ * @property {CJS2ESMHooksOptions} hooks
+ * Functions to call between the steps of the process. They can only be defined on a
+ * `.cjs2esm.js` file, or with the `run` function.
+ * @property {CJS2ESMTargetOptions[]} targets
+ * A list of builds to generate from the same input directories, each one with a `name`
+ * and the options that should be different from the rest of the configuration, like the
+ * `output` directory.
  * @property {boolean} addModuleEntry
  * Whether or not to modify the project `package.json` and add a `module` property with
  * the path to the transformed entry file. This will only work if the project has a `main`
@@ -47,18 +141,214 @@
  * transforming them in order to avoid issues with the parsers. The list are strings that
  * will be converted on into `RegExp`s, so they can be a parts of the path, or
  * expressions.
+ * @property {boolean} cache
+ * Whether or not to save the transformed files on a cache, so the files that didn't
+ * change won't be transformed again on the next run. The cache takes into account the
+ * contents of the files, the version of the tool, the options, and the paths the files
+ * import.
+ * @property {string} cacheDirectory
+ * The directory where the cache should be saved.
+ * @property {SourceMapsType} sourceMaps
+ * Whether or not to generate source maps that point from the transformed files to the
+ * original ones: `file` saves them next to the files, as `.map`, and `inline` adds them
+ * to the `sourceMappingURL` comment.
+ * @property {string} nodeVersion
+ * The version of Node the transformed code should run on (like `14`, `18.20` or
+ * `20.11.0`). It's used to decide which features the transformations can use.
+ * @property {JSONImportsStrategy} jsonImports
+ * How the imports of JSON files should be handled: `with` adds import attributes,
+ * `assert` adds import assertions, `createRequire` loads them with a `require` created
+ * with `createRequire`, `inline` imports modules generated from the JSON files on the
+ * output directory, and `auto` uses attributes or assertions if `nodeVersion` supports
+ * them, and `createRequire` otherwise.
+ * @property {NestedRequiresStrategy} nestedRequires
+ * How the `require` calls that are not on the top level (inside functions, conditions or
+ * `try` blocks) should be handled: `createRequire` keeps them, with a `require` created
+ * with `createRequire`, and `import` replaces them with `await import()` when the code
+ * can wait for them (inside `async` functions, or on the top level if `nodeVersion`
+ * supports it).
+ * @property {boolean} continueOnError
+ * Whether or not to keep going when a file can't be transformed: the rest of the files
+ * will be transformed, and the ones that failed will be left on the output directory
+ * using the `errorFallback` strategy.
+ * @property {ErrorFallbackType} errorFallback
+ * What to do with the files that can't be transformed when `continueOnError` is enabled:
+ * `copy` leaves the original code on the output directory, and `cjs` does the same but
+ * renames the file with the `.cjs` extension, and updates the imports of the other
+ * files.
+ * @property {?string} errorReport
+ * A path where a report of the files that couldn't be transformed should be written. If
+ * it ends with `.md`, the report will be in markdown, otherwise, it will be JSON.
+ */
+
+/**
+ * @typedef {Object} CJS2ESMConfigurationSource
+ * @property {?string} file    The absolute path to the configuration file, if the
+ *                             configuration is not on the `package.json`.
+ * @property {?Object} config  The configuration, if it's on the `package.json`.
+ * @property {string}  source  A description of where the configuration is, for the
+ *                             messages.
+ */
+
+/**
+ * @typedef {Object} CJS2ESMConfigurationEnvironment
+ * @property {string}  cwd          The working directory.
+ * @property {Object}  env          The environment variables of the process.
+ * @property {?Object} packageJson  The contents of the project `package.json`, if it
+ *                                  exists.
+ */
+
+/**
+ * @typedef {Object} CJS2ESMConfigurationExtraOptions
+ * @property {string|string[]} [extends]
+ * The configurations this one extends: relative paths to configuration files, or the
+ * names of packages that export one. They are merged in order, and this configuration
+ * is applied on top of them.
+ */
+
+/**
+ * @typedef {Partial<CJS2ESMOptions> & CJS2ESMConfigurationExtraOptions} CJS2ESMConfiguration
+ */
+
+/**
+ * @callback CJS2ESMConfigurationFn
+ * @param {CJS2ESMConfigurationEnvironment} environment  The information of the
+ *                                                       environment.
+ * @returns {CJS2ESMConfiguration|Promise<CJS2ESMConfiguration>}
+ */
+
+/**
+ * @typedef {Object} CJS2ESMTargetExtraOptions
+ * @property {string} name  The name of the target, to select it with `--target`.
+ */
+
+/**
+ * @typedef {Partial<CJS2ESMOptions> & CJS2ESMTargetExtraOptions} CJS2ESMTargetOptions
+ */
+
+/**
+ * @typedef {Omit<CJS2ESMOptions, 'targets'> & CJS2ESMTargetExtraOptions} CJS2ESMTarget
  */
 
 /**
  * @typedef {Object} CJS2ESMCopiedFile
- * @property {string} from  The absolute path from where the file was copied.
- * @property {string} to    The absolute path to where the file was copied to. It may
- *                          include a change of extension if it was configured on the
- *                          tool.
+ * @property {string}  from        The absolute path from where the file was copied.
+ * @property {string}  to          The absolute path to where the file was copied to. It
+ *                                 may include a change of extension if it was configured
+ *                                 on the tool.
+ * @property {boolean} [copyOnly]  Whether or not the file matched the `copy` patterns,
+ *                                 so it won't be transformed.
+ */
+
+/**
+ * @typedef {Object} CJS2ESMModuleEntry
+ * @property {?string} entry    The path for the `module` property of the project
+ *                              `package.json`, relative to the project, or `null` if it
+ *                              can't be updated.
+ * @property {?string} warning  The reason why the `package.json` can't be updated.
+ */
+
+/**
+ * @typedef {Object} CJS2ESMSourceExtraOptions
+ * @property {?PathExistsFn} pathExists
+ * A custom function to validate if a path exists when resolving the import statements;
+ * it can be used to resolve them against a virtual file system. If not specified, the
+ * paths will be validated on the file system. Only the existence checks can be
+ * overridden: the `package.json` of the dependencies, to validate the bare specifiers
+ * against their `exports`, is still read from the disk.
+ */
+
+/**
+ * @typedef {Partial<CJS2ESMOptions> & CJS2ESMSourceExtraOptions} CJS2ESMSourceOptions
+ */
+
+/**
+ * @typedef {Object} CJS2ESMTransformedFile
+ * @property {string}   code      The transformed code.
+ * @property {?Object}  map       The source map of the file, if it needs to be saved as
+ *                                a separated file.
+ * @property {string[]} warnings  The warnings the transformations reported, for the code
+ *                                that couldn't be safely converted.
+ */
+
+/**
+ * @typedef {'transformed' | 'cached' | 'failed'} CJS2ESMFileStatus
+ */
+
+/**
+ * @typedef {Object} CJS2ESMFileResult
+ * @property {string}            from        The absolute path from where the file was
+ *                                           copied.
+ * @property {string}            to          The absolute path to where the file was
+ *                                           written.
+ * @property {CJS2ESMFileStatus} status      Whether the file was transformed, taken
+ *                                           from the cache, or it failed and the
+ *                                           fallback was used.
+ * @property {CJS2ESMFileError}  [error]     The error of the file, if it failed.
+ * @property {string[]}          [warnings]  The warnings the transformations reported
+ *                                           for the file.
+ */
+
+/**
+ * @typedef {Object} CJS2ESMPackageJSONChanges
+ * @property {?string} moduleEntry  The path that was set on the `module` property of the
+ *                                  project `package.json`, if it was updated.
+ * @property {?string} outputFile   The absolute path to the `package.json` that was added
+ *                                  on the output directory, if one was added.
+ */
+
+/**
+ * @typedef {Object} CJS2ESMRunTimings
+ * @property {number} copy         How long, in milliseconds, it took to copy the files.
+ * @property {number} transform    How long, in milliseconds, it took to transform the
+ *                                 files.
+ * @property {number} packageJson  How long, in milliseconds, it took to update/add the
+ *                                 `package.json` files.
+ * @property {number} total        How long, in milliseconds, the whole process took,
+ *                                 including loading the configuration.
+ */
+
+/**
+ * @typedef {Object} CJS2ESMRunResult
+ * @property {CJS2ESMOptions}            options      The options that were used.
+ * @property {CJS2ESMFileResult[]}       files        The files that were written.
+ * @property {CJS2ESMCopiedFile[]}       assets       The assets that were copied.
+ * @property {string[]}                  warnings     The warnings generated during the
+ *                                                    process.
+ * @property {CJS2ESMPackageJSONChanges} packageJson  The changes made to the
+ *                                                    `package.json` files.
+ * @property {?string}                   report       The absolute path to the report
+ *                                                    of the files that failed, if one
+ *                                                    was written.
+ * @property {CJS2ESMRunTimings}         timings      How long each step took.
+ */
+
+/**
+ * @typedef {Object} CJS2ESMTargetsRunResult
+ * @property {CJS2ESMOptions}                   options   The options that were used.
+ * @property {CJS2ESMRunResult[]}               targets   The results of each target;
+ *                                                        their `options` have the
+ *                                                        `name` of the target.
+ * @property {string[]}                         warnings  The warnings of all the
+ *                                                        targets, prefixed with their
+ *                                                        names.
+ * @property {Pick<CJS2ESMRunTimings, 'total'>} timings   How long the whole process
+ *                                                        took.
  */
 
 /**
  * @typedef {Object} TransformOptions
+ * @property {string}         parser   The name of the parser `jscodeshift` should use.
  * @property {CJS2ESMOptions} cjs2esm  The options sent to the main tool. Needed to
  *                                     validate how the extension should be handled.
+ * @property {?PathExistsFn}  pathExists
+ * A custom function to validate if a path exists when resolving the import statements.
+ * If not specified, the transformer will check on the file system.
+ * @property {?Function}      report
+ * A function that receives the warnings of the transformations, as the `report` function
+ * of the `jscodeshift` API.
+ * @property {?Map}           sharedResults
+ * A storage for the results of the transformations that don't depend on the options of
+ * the tool, so they can be reused when the same code is transformed for multiple
+ * targets.
  */
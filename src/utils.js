@@ -1,4 +1,5 @@
 const path = require('path');
+const { pathToFileURL } = require('url');
 const chalk = require('chalk');
 const fs = require('fs-extra');
 const pkgJson = require('../package.json');
@@ -7,6 +8,12 @@ const pkgJson = require('../package.json');
  * @typedef {import('path').ParsedPath} ParsedPath
  */
 
+/**
+ * @callback PathExistsFn
+ * @param {string} filepath  The absolute path to validate.
+ * @returns {boolean}
+ */
+
 /**
  * @typedef {Object} AbsPathInfo
  * @property {string}  path       The complete, absolute, path to the file/folder.
@@ -14,6 +21,13 @@ const pkgJson = require('../package.json');
  * @property {?string} extension  If the path is for a file, this will be its extension.
  */
 
+/**
+ * Where the messages of `log` are sent: `stdout` or `stderr`.
+ *
+ * @type {string}
+ * @ignore
+ */
+let logOutput = 'stdout';
 /**
  * Logs messages prefixed with the name of the project and with a specified color.
  * Yes, this is a proxy-like function for `console.log` with `chalk`.
@@ -22,8 +36,23 @@ const pkgJson = require('../package.json');
  * @param {string[]} args   The list of messages to log.
  */
 const log = (color, ...args) => {
-  // eslint-disable-next-line no-console
-  console.log(...[`[${pkgJson.name}]`, ...args].map((item) => chalk[color](item)));
+  const messages = [`[${pkgJson.name}]`, ...args].map((item) => chalk[color](item));
+  if (logOutput === 'stderr') {
+    // eslint-disable-next-line no-console
+    console.error(...messages);
+  } else {
+    // eslint-disable-next-line no-console
+    console.log(...messages);
+  }
+};
+/**
+ * Changes where the messages of `log` are sent. This is used when the `stdout` is
+ * reserved for an output that other tools may read, like a JSON report.
+ *
+ * @param {string} output  `stdout` or `stderr`.
+ */
+const setLogOutput = (output) => {
+  logOutput = output;
 };
 /**
  * Given a list of file names and a directory, the function will try find the first file
@@ -51,15 +80,18 @@ const findFile = async (list, directory) => {
  * Given a list of file names and a directory, the function will try to find the first
  * file that exists.
  *
- * @param {string[]} list       The list of files to test.
- * @param {string}   directory  The base directory where the paths will be tested.
+ * @param {string[]}       list        The list of files to test.
+ * @param {string}         directory   The base directory where the paths will be
+ *                                     tested.
+ * @param {PathExistsFn}   [pathExists=fs.pathExistsSync]
+ * The function used to validate if a path exists.
  * @returns {?string}
  */
-const findFileSync = (list, directory) => {
+const findFileSync = (list, directory, pathExists = fs.pathExistsSync) => {
   let result;
   for (let i = 0; i < list.length; i++) {
     const test = path.join(directory, list[i]);
-    const exists = fs.pathExistsSync(test);
+    const exists = pathExists(test);
     if (exists) {
       result = test;
       break;
@@ -69,8 +101,17 @@ const findFileSync = (list, directory) => {
   return result || null;
 };
 /**
- * A special version of `path.parse` that validates if the file extension is `.js` or
- * `.mjs`, and if is not, in case it's something like `.config` or `.service`, it moves
+ * The extensions the tool tries, in order, when an import path doesn't have one. The
+ * TypeScript ones are for when the tool transforms TypeScript files.
+ *
+ * @type {string[]}
+ * @ignore
+ */
+const MODULE_EXTENSIONS = ['.mjs', '.js', '.mts', '.ts', '.tsx'];
+/**
+ * A special version of `path.parse` that validates if the file extension is one of the
+ * JavaScript or TypeScript extensions (`.js`, `.mjs`, `.cjs`, `.ts`, `.mts`, `.cts` or
+ * `.tsx`), and if is not, in case it's something like `.config` or `.service`, it moves
  * the extension to the `name` and leaves `ext` empty.
  *
  * @param {string} filepath  The file path to parse.
@@ -79,7 +120,7 @@ const findFileSync = (list, directory) => {
  */
 const parseJSPath = (filepath) => {
   const result = path.parse(filepath);
-  if (result.ext && !result.ext.match(/\.m?js$/i)) {
+  if (result.ext && !result.ext.match(/\.(?:[cm]?[jt]s|tsx)$/i)) {
     result.name = `${result.name}${result.ext}`;
     result.ext = '';
   }
@@ -96,21 +137,29 @@ const parseJSPath = (filepath) => {
 const findFileExtension = async (absPath) => {
   const info = parseJSPath(absPath);
   const name = info.name.replace(/\.$/, '');
-  const file = await findFile([`${name}.mjs`, `${name}.js`], info.dir);
+  const file = await findFile(
+    MODULE_EXTENSIONS.map((ext) => `${name}${ext}`),
+    info.dir,
+  );
 
   return file ? path.parse(file).ext : null;
 };
 /**
  * Tries to find the extension for a file import path.
  *
- * @param {string} absPath  The generated absolute path for the file.
+ * @param {string}       absPath     The generated absolute path for the file.
+ * @param {PathExistsFn} pathExists  The function used to validate if a path exists.
  * @returns {?string}
  * @ignore
  */
-const findFileExtensionSync = (absPath) => {
+const findFileExtensionSync = (absPath, pathExists) => {
   const info = parseJSPath(absPath);
   const name = info.name.replace(/\.$/, '');
-  const file = findFileSync([`${name}.mjs`, `${name}.js`], info.dir);
+  const file = findFileSync(
+    MODULE_EXTENSIONS.map((ext) => `${name}${ext}`),
+    info.dir,
+    pathExists,
+  );
 
   return file ? path.parse(file).ext : null;
 };
@@ -160,10 +209,13 @@ const getAbsPathInfo = async (absPath) => {
  * its for a folder, a file, and if it's for a file, it will complete its extension in
  * case it's missing.
  *
- * @param {string} absPath  The absolute path for the resource.
+ * @param {string}       absPath  The absolute path for the resource.
+ * @param {PathExistsFn} [pathExists=fs.pathExistsSync]
+ * The function used to validate if a path exists. This allows the tool to resolve
+ * paths against files that are not on the file system yet.
  * @returns {?AbsPathInfo}
  */
-const getAbsPathInfoSync = (absPath) => {
+const getAbsPathInfoSync = (absPath, pathExists = fs.pathExistsSync) => {
   const info = parseJSPath(absPath);
   let result;
   if (info.ext) {
@@ -173,7 +225,7 @@ const getAbsPathInfoSync = (absPath) => {
       extension: info.ext,
     };
   } else {
-    const exists = fs.pathExistsSync(absPath);
+    const exists = pathExists(absPath);
     if (exists) {
       result = {
         path: absPath.replace(/\/$/, ''),
@@ -181,7 +233,7 @@ const getAbsPathInfoSync = (absPath) => {
         extension: null,
       };
     } else {
-      const extension = findFileExtensionSync(absPath);
+      const extension = findFileExtensionSync(absPath, pathExists);
       if (extension) {
         result = {
           path: `${absPath}${extension}`,
@@ -211,10 +263,24 @@ const requireModule = (modulePath) => {
   // And this variable only exists to avoid issues between the JSDoc block and ESLint.
   return result;
 };
+/**
+ * Loads a module with a dynamic `import`, so it can be an ES Module or a CommonJS one.
+ * Like `requireModule`, this only exists to make testing the tool easier.
+ *
+ * @param {string} modulePath  The absolute path to the module to be imported.
+ * @returns {Promise<Object>} The default export of the module or, if it doesn't have
+ *                            one, the named exports.
+ */
+const importModule = async (modulePath) => {
+  const namespace = await import(pathToFileURL(modulePath).href);
+  return namespace.default === undefined ? { ...namespace } : namespace.default;
+};
 
 module.exports.log = log;
+module.exports.setLogOutput = setLogOutput;
 module.exports.findFile = findFile;
 module.exports.findFileSync = findFileSync;
 module.exports.getAbsPathInfo = getAbsPathInfo;
 module.exports.getAbsPathInfoSync = getAbsPathInfoSync;
 module.exports.requireModule = requireModule;
+module.exports.importModule = importModule;
@@ -0,0 +1,336 @@
+const path = require('path');
+const fs = require('fs-extra');
+const chokidar = require('chokidar');
+const {
+  runHook,
+  findFilesToCopy,
+  copyFile,
+  getCopyPath,
+  copyAsset,
+  getAssetPath,
+  addJSONModules,
+  getFallbackPath,
+  transformOutput,
+} = require('.');
+const { log } = require('./utils');
+const { getJSONImportsStrategy } = require('./features');
+const { isSourceFile } = require('./extensions');
+
+/**
+ * @typedef {'change' | 'unlink' | 'unlinkDir'} WatchEventType
+ */
+
+/**
+ * How much time, in milliseconds, the watcher waits after a change before processing
+ * it. This way, multiple events (like the ones editors generate on save) are processed
+ * together.
+ *
+ * @type {number}
+ * @ignore
+ */
+const WATCH_DELAY = 100;
+/**
+ * Processes a change on an asset: if it changed, it gets copied again, and if it was
+ * removed, it gets removed from the output directory. When the imports of JSON files
+ * use generated modules, the module of the asset is also updated.
+ *
+ * @param {string}         filepath   The absolute path to the asset.
+ * @param {WatchEventType} type       The type of change.
+ * @param {string}         assetPath  The path of the asset on the output directory.
+ * @param {CJS2ESMOptions} options    The options of the tool.
+ * @returns {Promise}
+ * @ignore
+ */
+const processAssetChange = async (filepath, type, assetPath, options) => {
+  const { input, output, extension, assets, forceDirectory } = options;
+  const cwd = process.cwd();
+  const hasModule =
+    !!assetPath.match(/\.json$/i) && getJSONImportsStrategy(options) === 'inline';
+  if (type === 'change') {
+    const file = await copyAsset(
+      filepath,
+      input,
+      output,
+      assets,
+      forceDirectory,
+      extension,
+    );
+    if (file && hasModule) {
+      await addJSONModules([file], extension.use);
+    }
+
+    log('gray', `> ${assetPath.substr(cwd.length + 1)}`);
+  } else {
+    await fs.remove(assetPath);
+    if (hasModule) {
+      await fs.remove(`${assetPath}.${extension.use}`);
+    }
+
+    log('gray', `> removed ${assetPath.substr(cwd.length + 1)}`);
+  }
+};
+/**
+ * The expression to find the relative paths a file imports: `require` calls, dynamic
+ * imports, and `import` and `export` statements.
+ *
+ * @type {RegExp}
+ * @ignore
+ */
+const IMPORT_PATH_EXPRESSION =
+  /(?:\brequire\s*\(\s*|\bimport\s*\(\s*|\bimport\s+|\bfrom\s+)(['"])(\.[^'"]*)\1/g;
+/**
+ * Removes a file from the output directory, together with the files generated for it:
+ * its source map and the copy the `cjs` fallback leaves when it can't be transformed.
+ *
+ * @param {string} filepath  The path of the file on the output directory.
+ * @returns {Promise}
+ * @ignore
+ */
+const removeGeneratedFiles = (filepath) => {
+  const fallbackPath = getFallbackPath(filepath);
+  return Promise.all([
+    fs.remove(`${filepath}.map`),
+    fallbackPath === filepath ? null : fs.remove(fallbackPath),
+  ]);
+};
+/**
+ * Removes the extension from a path.
+ *
+ * @param {string} filepath  The path to update.
+ * @returns {string}
+ * @ignore
+ */
+const removeExtension = (filepath) => filepath.replace(/\.\w+$/, '');
+/**
+ * Checks if the path of an import can point to one of the files that changed: it can
+ * point to the file with or without an extension, to the directory of an `index` file,
+ * or to something inside a directory that was removed.
+ *
+ * @param {string}   importPath  The absolute path of the import.
+ * @param {string[]} files       The absolute paths of the files that changed.
+ * @param {string[]} directories The absolute paths of the directories that were removed.
+ * @returns {boolean}
+ * @ignore
+ */
+const isImportOf = (importPath, files, directories) =>
+  files.some(
+    (filepath) =>
+      importPath === filepath ||
+      removeExtension(importPath) === removeExtension(filepath) ||
+      (path.basename(removeExtension(filepath)) === 'index' &&
+        importPath === path.dirname(filepath)),
+  ) ||
+  directories.some(
+    (directory) =>
+      importPath === directory || importPath.startsWith(`${directory}${path.sep}`),
+  );
+/**
+ * Finds the files that import the ones that changed, so they can be transformed again:
+ * the paths of their imports depend on the files they point to, like their extensions,
+ * or if they were renamed by the `cjs` fallback.
+ *
+ * @param {string[]}       files        The absolute paths of the files that changed.
+ * @param {string[]}       directories  The absolute paths of the directories that were
+ *                                      removed.
+ * @param {CJS2ESMOptions} options      The options of the tool.
+ * @returns {Promise<string[]>} The absolute paths of the files on the input directories.
+ * @ignore
+ */
+const findImporters = async (files, directories, options) => {
+  const { input, output, extension, forceDirectory } = options;
+  const candidates = await findFilesToCopy(
+    input,
+    output,
+    extension,
+    forceDirectory,
+    options.files,
+  );
+  const importers = await Promise.all(
+    candidates
+      .filter((file) => !file.copyOnly && !files.includes(file.from))
+      .map(async (file) => {
+        const code = await fs.readFile(file.from, 'utf-8');
+        const directory = path.dirname(file.from);
+        const importPaths = [];
+        let match = IMPORT_PATH_EXPRESSION.exec(code);
+        while (match) {
+          importPaths.push(path.resolve(directory, match[2]));
+          match = IMPORT_PATH_EXPRESSION.exec(code);
+        }
+
+        return importPaths.some((importPath) =>
+          isImportOf(importPath, files, directories),
+        )
+          ? file.from
+          : null;
+      }),
+  );
+
+  return importers.filter((importer) => importer);
+};
+/**
+ * Processes a set of changes from the input directories: removed files and directories
+ * are deleted from the output, together with their source maps and fallbacks, changed
+ * files are copied and transformed again, and changed assets are just copied. The files
+ * that import the ones that were changed, added or removed are also transformed again,
+ * and the `beforeCopy`, `afterCopy` and `beforeTransform` hooks are called for each set
+ * of changes.
+ *
+ * @param {Object.<string, WatchEventType>} changes  A dictionary with the paths that
+ *                                                   changed and the type of change.
+ * @param {CJS2ESMOptions}                  options  The options of the tool.
+ * @returns {Promise}
+ * @ignore
+ */
+const processChanges = async (changes, options) => {
+  const { input, output, extension, assets, forceDirectory } = options;
+  const cwd = process.cwd();
+  const changed = [];
+  const removed = [];
+  const removedDirectories = [];
+  await Promise.all(
+    Object.keys(changes).map(async (filepath) => {
+      const type = changes[filepath];
+      const isJS = isSourceFile(filepath, extension);
+      const assetPath =
+        isJS || type === 'unlinkDir'
+          ? null
+          : getAssetPath(filepath, input, output, assets, forceDirectory, extension);
+      if (assetPath) {
+        await processAssetChange(filepath, type, assetPath, options);
+        return;
+      }
+
+      if (type === 'change' && isJS) {
+        changed.push(filepath);
+      }
+
+      if (type === 'change' || (type === 'unlink' && !isJS)) {
+        return;
+      }
+
+      let target;
+      if (type === 'unlinkDir') {
+        removedDirectories.push(filepath);
+        // Use a file inside the directory, so the extension logic won't affect the name.
+        target = getCopyPath(
+          path.join(filepath, 'index.js'),
+          input,
+          output,
+          extension,
+          forceDirectory,
+        );
+        target = target && path.dirname(target);
+      } else {
+        removed.push(filepath);
+        target = getCopyPath(
+          filepath,
+          input,
+          output,
+          extension,
+          forceDirectory,
+          options.files,
+        );
+      }
+
+      if (target && target !== output && target.startsWith(`${output}${path.sep}`)) {
+        await fs.remove(target);
+        if (type === 'unlink') {
+          await removeGeneratedFiles(target);
+        }
+
+        log('gray', `> removed ${target.substr(cwd.length + 1)}`);
+      }
+    }),
+  );
+
+  if (!changed.length && !removed.length && !removedDirectories.length) {
+    return;
+  }
+
+  const importers = await findImporters(
+    [...changed, ...removed],
+    removedDirectories,
+    options,
+  );
+  const toCopy = [...changed, ...importers];
+  if (!toCopy.length) {
+    return;
+  }
+
+  await runHook(options, 'beforeCopy');
+  const copied = (
+    await Promise.all(
+      toCopy.map((filepath) =>
+        copyFile(filepath, input, output, extension, forceDirectory, options.files),
+      ),
+    )
+  ).filter((file) => file);
+  const transformable = copied.filter((file) => !file.copyOnly);
+  // The transformation may not generate them again, like if the file no longer fails.
+  await Promise.all(transformable.map((file) => removeGeneratedFiles(file.to)));
+  await runHook(options, 'afterCopy', copied);
+  await runHook(options, 'beforeTransform', transformable);
+  await transformOutput(transformable, options);
+};
+/**
+ * Watches the input directories and, every time a file changes, it copies and
+ * transforms only that file, and the files that import it. If a file or a directory is
+ * removed, it also gets removed from the output directory; everything else in there,
+ * like the `package.json`, stays in place.
+ *
+ * @param {CJS2ESMOptions} options  The options of the tool.
+ * @returns {Function} To stop watching the directories.
+ */
+const watchInput = (options) => {
+  const watcher = chokidar.watch(options.input, {
+    ignoreInitial: true,
+    ignored: /(^|[/\\])node_modules([/\\]|$)/,
+  });
+  let changes = {};
+  let timeout = null;
+  let queue = Promise.resolve();
+  /**
+   * Processes all the changes registered since the last time it was called. The changes
+   * are processed on a queue, so a new set won't start until the previous one finishes.
+   */
+  const flush = () => {
+    const current = changes;
+    changes = {};
+    timeout = null;
+    queue = queue
+      .then(() => processChanges(current, options))
+      .catch((error) => log('red', error.message))
+      .then(() => log('gray', 'Waiting for changes...'));
+  };
+  /**
+   * Creates a listener for an event of the watcher that registers the change and
+   * schedules the process.
+   *
+   * @param {WatchEventType} type  The type of change the listener registers.
+   * @returns {Function}
+   */
+  const createListener = (type) => (filepath) => {
+    changes[path.resolve(filepath)] = type;
+    if (timeout) {
+      clearTimeout(timeout);
+    }
+
+    timeout = setTimeout(flush, WATCH_DELAY);
+  };
+
+  watcher.on('add', createListener('change'));
+  watcher.on('change', createListener('change'));
+  watcher.on('unlink', createListener('unlink'));
+  watcher.on('unlinkDir', createListener('unlinkDir'));
+  log('yellow', 'Watching for changes...');
+  return () => {
+    if (timeout) {
+      clearTimeout(timeout);
+    }
+
+    return watcher.close();
+  };
+};
+
+module.exports.watchInput = watchInput;
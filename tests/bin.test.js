@@ -2,6 +2,7 @@ jest.unmock('../src/bin');
 
 /**
  * @typedef {import('../src')} Functions
+ * @typedef {import('../src/cli')} CLIFunctions
  */
 
 describe('bin', () => {
@@ -19,6 +20,33 @@ describe('bin', () => {
     const fns = require('../src');
     return fns;
   };
+  /**
+   * Loads the CLI functions after the modules were reset, and mocks the parsing of the
+   * arguments.
+   *
+   * @param {Partial<CLIArguments>} [args={}]  The result of parsing the arguments.
+   * @returns {CLIFunctions}
+   */
+  const getCLIFunctions = (args = {}) => {
+    // eslint-disable-next-line global-require
+    const fns = require('../src/cli');
+    fns.parseArguments.mockImplementationOnce(() => ({
+      command: null,
+      options: {},
+      config: null,
+      targets: [],
+      help: false,
+      version: false,
+      watch: false,
+      dryRun: false,
+      inPackageJson: false,
+      force: false,
+      json: false,
+      positionals: [],
+      ...args,
+    }));
+    return fns;
+  };
   /**
    * This function exists because the "bin" executes on load and it needs to be tested multiple
    * times.
@@ -44,89 +72,425 @@ describe('bin', () => {
       },
       forceDirectory: 'maybe',
     };
-    const files = ['file-a.js', 'file-b.mjs'];
     const fns = getFunctions();
+    getCLIFunctions();
     fns.getConfiguration.mockImplementationOnce(() => config);
-    fns.copyFiles.mockImplementationOnce(() => files);
     // When
     loadBin();
     await sleep();
     // Then
     expect(fns.getConfiguration).toHaveBeenCalledTimes(1);
-    expect(fns.copyFiles).toHaveBeenCalledTimes(1);
-    expect(fns.copyFiles).toHaveBeenCalledWith(
-      config.input,
-      config.output,
-      config.extension.use,
-      config.forceDirectory,
-    );
-    expect(fns.transformOutput).toHaveBeenCalledTimes(1);
-    expect(fns.transformOutput).toHaveBeenCalledWith(files, config);
-    expect(fns.updatePackageJSON).toHaveBeenCalledTimes(0);
-    expect(fns.addPackageJSON).toHaveBeenCalledTimes(0);
+    expect(fns.run).toHaveBeenCalledTimes(1);
+    expect(fns.run).toHaveBeenCalledWith(config);
   });
 
-  it('should execute the tool and modify the project package.json', async () => {
+  it('should send the flags to the configuration', async () => {
     const config = {
       input: 'some-input',
       output: 'some-output',
       extension: {
-        use: 'jsx',
+        use: 'mjs',
       },
-      forceDirectory: 'maybe',
-      addModuleEntry: true,
     };
-    const files = ['file-a.js', 'file-b.mjs'];
+    const args = {
+      options: {
+        extension: {
+          use: 'mjs',
+        },
+      },
+      config: 'custom-config.json',
+      targets: ['node'],
+    };
     const fns = getFunctions();
+    const cli = getCLIFunctions(args);
     fns.getConfiguration.mockImplementationOnce(() => config);
-    fns.copyFiles.mockImplementationOnce(() => files);
     // When
     loadBin();
     await sleep();
     // Then
+    expect(cli.parseArguments).toHaveBeenCalledTimes(1);
+    expect(cli.parseArguments).toHaveBeenCalledWith(process.argv.slice(2));
     expect(fns.getConfiguration).toHaveBeenCalledTimes(1);
-    expect(fns.copyFiles).toHaveBeenCalledTimes(1);
-    expect(fns.copyFiles).toHaveBeenCalledWith(
-      config.input,
-      config.output,
-      config.extension.use,
-      config.forceDirectory,
+    expect(fns.getConfiguration).toHaveBeenCalledWith(
+      args.options,
+      args.config,
+      args.targets,
+    );
+    expect(fns.run).toHaveBeenCalledTimes(1);
+  });
+
+  it('should show the usage message', async () => {
+    // Given
+    const log = jest.spyOn(console, 'log').mockImplementationOnce(() => {});
+    const usage = 'Usage: cjs2esm [options]';
+    const fns = getFunctions();
+    const cli = getCLIFunctions({ help: true });
+    cli.getUsage.mockImplementationOnce(() => usage);
+    // When
+    loadBin();
+    await sleep();
+    // Then
+    expect(log).toHaveBeenCalledTimes(1);
+    expect(log).toHaveBeenCalledWith(usage);
+    expect(fns.getConfiguration).toHaveBeenCalledTimes(0);
+    log.mockRestore();
+  });
+
+  it('should show the version', async () => {
+    // Given
+    const log = jest.spyOn(console, 'log').mockImplementationOnce(() => {});
+    const version = '1.2.3';
+    const fns = getFunctions();
+    const cli = getCLIFunctions({ version: true });
+    cli.getVersion.mockImplementationOnce(() => version);
+    // When
+    loadBin();
+    await sleep();
+    // Then
+    expect(log).toHaveBeenCalledTimes(1);
+    expect(log).toHaveBeenCalledWith(version);
+    expect(fns.getConfiguration).toHaveBeenCalledTimes(0);
+    log.mockRestore();
+  });
+
+  it('should fail if the arguments are invalid', async () => {
+    // Given
+    const message = 'Unknown option: `--something`';
+    const fns = getFunctions();
+    // eslint-disable-next-line global-require
+    const cli = require('../src/cli');
+    // eslint-disable-next-line global-require
+    const utils = require('../src/utils');
+    cli.parseArguments.mockImplementationOnce(() => {
+      throw new Error(message);
+    });
+    // When
+    loadBin();
+    await sleep();
+    // Then
+    expect(utils.log).toHaveBeenCalledWith('red', message);
+    expect(process.exitCode).toBe(1);
+    expect(fns.getConfiguration).toHaveBeenCalledTimes(0);
+    process.exitCode = 0;
+  });
+
+  it('should fail if the configuration is invalid', async () => {
+    // Given
+    const message = 'Invalid configuration on `.cjs2esm.js`';
+    const fns = getFunctions();
+    getCLIFunctions();
+    // eslint-disable-next-line global-require
+    const utils = require('../src/utils');
+    fns.getConfiguration.mockImplementationOnce(() => {
+      const error = new Error(message);
+      error.errors = ['`extention` is not a valid option'];
+      return Promise.reject(error);
+    });
+    // When
+    loadBin();
+    await sleep();
+    // Then
+    expect(utils.log).toHaveBeenCalledWith('red', message);
+    expect(process.exitCode).toBe(1);
+    expect(fns.run).toHaveBeenCalledTimes(0);
+    process.exitCode = 0;
+  });
+
+  it('should fail if two targets use the same output directory', async () => {
+    // Given
+    const fns = getFunctions();
+    getCLIFunctions();
+    // eslint-disable-next-line global-require
+    const utils = require('../src/utils');
+    // eslint-disable-next-line global-require
+    const schema = require('../src/schema');
+    const actual = jest.requireActual('../src');
+    fns.getConfiguration.mockImplementationOnce(actual.getConfiguration);
+    schema.validateConfiguration.mockImplementation(
+      jest.requireActual('../src/schema').validateConfiguration,
+    );
+    utils.findFile.mockImplementationOnce(() => Promise.resolve(null));
+    utils.requireModule.mockImplementationOnce(() => ({
+      cjs2esm: {
+        output: 'esm',
+        targets: [{ name: 'node' }, { name: 'browser' }],
+      },
+    }));
+    // When
+    loadBin();
+    await sleep();
+    // Then
+    expect(utils.log).toHaveBeenCalledWith(
+      'red',
+      expect.stringMatching(/^The targets `node` and `browser` use the same output/),
     );
-    expect(fns.transformOutput).toHaveBeenCalledTimes(1);
-    expect(fns.transformOutput).toHaveBeenCalledWith(files, config);
-    expect(fns.updatePackageJSON).toHaveBeenCalledTimes(1);
-    expect(fns.addPackageJSON).toHaveBeenCalledTimes(0);
+    expect(process.exitCode).toBe(1);
+    expect(fns.run).toHaveBeenCalledTimes(0);
+    process.exitCode = 0;
   });
 
-  it('should execute the tool and create a package.json', async () => {
+  it('should create a configuration for the project', async () => {
+    // Given
+    const fns = getFunctions();
+    getCLIFunctions({ command: 'init', inPackageJson: true, force: true });
+    // eslint-disable-next-line global-require
+    const init = require('../src/init');
+    // When
+    loadBin();
+    await sleep();
+    // Then
+    expect(init.initConfiguration).toHaveBeenCalledTimes(1);
+    expect(init.initConfiguration).toHaveBeenCalledWith({
+      inPackageJson: true,
+      force: true,
+    });
+    expect(fns.getConfiguration).toHaveBeenCalledTimes(0);
+    expect(fns.run).toHaveBeenCalledTimes(0);
+  });
+
+  it("should fail if the project can't be initialized", async () => {
+    // Given
+    const message = 'The project already has a configuration';
+    const fns = getFunctions();
+    getCLIFunctions({ command: 'init' });
+    // eslint-disable-next-line global-require
+    const utils = require('../src/utils');
+    // eslint-disable-next-line global-require
+    const init = require('../src/init');
+    init.initConfiguration.mockImplementationOnce(() => {
+      const error = new Error(message);
+      error.errors = [message];
+      return Promise.reject(error);
+    });
+    // When
+    loadBin();
+    await sleep();
+    // Then
+    expect(utils.log).toHaveBeenCalledWith('red', message);
+    expect(process.exitCode).toBe(1);
+    expect(fns.run).toHaveBeenCalledTimes(0);
+    process.exitCode = 0;
+  });
+
+  it('should analyze the project and print the report', async () => {
+    // Given
+    const config = { input: 'some-input', output: 'some-output' };
+    const report = {
+      findings: [],
+      summary: { files: 1, errors: 0, warnings: 0, infos: 0 },
+    };
+    const fns = getFunctions();
+    getCLIFunctions({ command: 'doctor' });
+    // eslint-disable-next-line global-require
+    const doctor = require('../src/doctor');
+    fns.getConfiguration.mockImplementationOnce(() => config);
+    doctor.diagnoseProject.mockImplementationOnce(() => Promise.resolve(report));
+    // When
+    loadBin();
+    await sleep();
+    // Then
+    expect(doctor.diagnoseProject).toHaveBeenCalledTimes(1);
+    expect(doctor.diagnoseProject).toHaveBeenCalledWith(config);
+    expect(doctor.logDoctorReport).toHaveBeenCalledTimes(1);
+    expect(doctor.logDoctorReport).toHaveBeenCalledWith(report);
+    expect(process.exitCode).not.toBe(1);
+    expect(fns.run).toHaveBeenCalledTimes(0);
+  });
+
+  it('should print the report as JSON and fail if it has errors', async () => {
+    // Given
+    const log = jest.spyOn(console, 'log').mockImplementationOnce(() => {});
+    const report = {
+      findings: [{ file: 'src/index.js', severity: 'error' }],
+      summary: { files: 1, errors: 1, warnings: 0, infos: 0 },
+    };
+    const fns = getFunctions();
+    getCLIFunctions({ command: 'doctor', json: true });
+    // eslint-disable-next-line global-require
+    const doctor = require('../src/doctor');
+    // eslint-disable-next-line global-require
+    const utils = require('../src/utils');
+    fns.getConfiguration.mockImplementationOnce(() => ({}));
+    doctor.diagnoseProject.mockImplementationOnce(() => Promise.resolve(report));
+    // When
+    loadBin();
+    await sleep();
+    // Then
+    expect(utils.setLogOutput).toHaveBeenCalledTimes(1);
+    expect(utils.setLogOutput).toHaveBeenCalledWith('stderr');
+    expect(log).toHaveBeenCalledTimes(1);
+    expect(log).toHaveBeenCalledWith(JSON.stringify(report, null, 2));
+    expect(doctor.logDoctorReport).toHaveBeenCalledTimes(0);
+    expect(process.exitCode).toBe(1);
+    log.mockRestore();
+    process.exitCode = 0;
+  });
+
+  it('should watch the input directories after transforming the files', async () => {
     const config = {
       input: 'some-input',
       output: 'some-output',
       extension: {
-        use: 'jsx',
+        use: 'js',
       },
-      forceDirectory: 'maybe',
-      addPackageJson: true,
     };
-    const files = ['file-a.js', 'file-b.mjs'];
     const fns = getFunctions();
+    getCLIFunctions({ watch: true });
+    // eslint-disable-next-line global-require
+    const { watchInput } = require('../src/watch');
     fns.getConfiguration.mockImplementationOnce(() => config);
-    fns.copyFiles.mockImplementationOnce(() => files);
     // When
     loadBin();
     await sleep();
     // Then
-    expect(fns.getConfiguration).toHaveBeenCalledTimes(1);
-    expect(fns.copyFiles).toHaveBeenCalledTimes(1);
-    expect(fns.copyFiles).toHaveBeenCalledWith(
-      config.input,
-      config.output,
-      config.extension.use,
-      config.forceDirectory,
-    );
-    expect(fns.transformOutput).toHaveBeenCalledTimes(1);
-    expect(fns.transformOutput).toHaveBeenCalledWith(files, config);
-    expect(fns.updatePackageJSON).toHaveBeenCalledTimes(0);
-    expect(fns.addPackageJSON).toHaveBeenCalledTimes(1);
+    expect(fns.run).toHaveBeenCalledTimes(1);
+    expect(watchInput).toHaveBeenCalledTimes(1);
+    expect(watchInput).toHaveBeenCalledWith(config);
+  });
+
+  it('should watch the input directories of each target', async () => {
+    const targets = [
+      { name: 'node', output: 'esm' },
+      { name: 'browser', output: 'browser' },
+    ];
+    const fns = getFunctions();
+    getCLIFunctions({ watch: true });
+    // eslint-disable-next-line global-require
+    const { watchInput } = require('../src/watch');
+    fns.getConfiguration.mockImplementationOnce(() => ({ targets }));
+    // When
+    loadBin();
+    await sleep();
+    // Then
+    expect(fns.run).toHaveBeenCalledTimes(1);
+    expect(watchInput).toHaveBeenCalledTimes(targets.length);
+    targets.forEach((target, index) => {
+      expect(watchInput).toHaveBeenNthCalledWith(index + 1, target);
+    });
+  });
+
+  it('should only print a preview of the changes on a dry run', async () => {
+    const config = {
+      input: 'some-input',
+      output: 'some-output',
+      extension: {
+        use: 'js',
+      },
+    };
+    const preview = [{ from: 'src/index.js', to: 'esm/index.js', patch: 'diff' }];
+    const fns = getFunctions();
+    getCLIFunctions({ dryRun: true });
+    // eslint-disable-next-line global-require
+    const { previewOutput, logPreview } = require('../src/preview');
+    fns.getConfiguration.mockImplementationOnce(() => config);
+    previewOutput.mockImplementationOnce(() => Promise.resolve(preview));
+    logPreview.mockImplementationOnce(() => true);
+    // When
+    loadBin();
+    await sleep();
+    // Then
+    expect(previewOutput).toHaveBeenCalledTimes(1);
+    expect(previewOutput).toHaveBeenCalledWith(config);
+    expect(logPreview).toHaveBeenCalledTimes(1);
+    expect(logPreview).toHaveBeenCalledWith(preview);
+    expect(fns.run).toHaveBeenCalledTimes(0);
+  });
+
+  it('should print a preview of the changes of each target on a dry run', async () => {
+    const targets = [
+      { name: 'node', output: 'esm' },
+      { name: 'browser', output: 'browser' },
+    ];
+    const fns = getFunctions();
+    getCLIFunctions({ dryRun: true });
+    // eslint-disable-next-line global-require
+    const { previewOutput, logPreview } = require('../src/preview');
+    // eslint-disable-next-line global-require
+    const utils = require('../src/utils');
+    fns.getConfiguration.mockImplementationOnce(() => ({ targets }));
+    previewOutput.mockImplementation(() => Promise.resolve([]));
+    logPreview.mockImplementationOnce(() => true);
+    logPreview.mockImplementationOnce(() => false);
+    // When
+    loadBin();
+    await sleep();
+    // Then
+    expect(previewOutput).toHaveBeenCalledTimes(targets.length);
+    targets.forEach((target, index) => {
+      expect(previewOutput).toHaveBeenNthCalledWith(index + 1, target);
+      expect(utils.log).toHaveBeenCalledWith('yellow', `Target \`${target.name}\``);
+    });
+    expect(process.exitCode).toBe(1);
+    expect(fns.run).toHaveBeenCalledTimes(0);
+    process.exitCode = 0;
+  });
+
+  it("should fail a dry run if a file can't be transformed", async () => {
+    const fns = getFunctions();
+    getCLIFunctions({ dryRun: true });
+    // eslint-disable-next-line global-require
+    const { previewOutput, logPreview } = require('../src/preview');
+    fns.getConfiguration.mockImplementationOnce(() => ({}));
+    previewOutput.mockImplementationOnce(() => Promise.resolve([]));
+    logPreview.mockImplementationOnce(() => false);
+    // When
+    loadBin();
+    await sleep();
+    // Then
+    expect(process.exitCode).toBe(1);
+    expect(fns.run).toHaveBeenCalledTimes(0);
+    process.exitCode = 0;
+  });
+
+  it("should fail if some files can't be transformed", async () => {
+    // Given
+    const message = "1 of 2 files couldn't be transformed";
+    const fns = getFunctions();
+    getCLIFunctions();
+    // eslint-disable-next-line global-require
+    const utils = require('../src/utils');
+    // eslint-disable-next-line global-require
+    const { watchInput } = require('../src/watch');
+    fns.getConfiguration.mockImplementationOnce(() => ({}));
+    fns.run.mockImplementationOnce(() => {
+      const error = new Error(message);
+      error.files = [{ from: 'src/index.js' }];
+      return Promise.reject(error);
+    });
+    // When
+    loadBin();
+    await sleep();
+    // Then
+    expect(utils.log).toHaveBeenCalledWith('red', message);
+    expect(process.exitCode).toBe(1);
+    expect(watchInput).toHaveBeenCalledTimes(0);
+    process.exitCode = 0;
+  });
+
+  it("should watch the input directories even if some files can't be transformed", async () => {
+    // Given
+    const message = "1 of 2 files couldn't be transformed";
+    const config = { input: 'some-input', output: 'some-output' };
+    const fns = getFunctions();
+    getCLIFunctions({ watch: true });
+    // eslint-disable-next-line global-require
+    const utils = require('../src/utils');
+    // eslint-disable-next-line global-require
+    const { watchInput } = require('../src/watch');
+    fns.getConfiguration.mockImplementationOnce(() => config);
+    fns.run.mockImplementationOnce(() => {
+      const error = new Error(message);
+      error.files = [{ from: 'src/index.js' }];
+      return Promise.reject(error);
+    });
+    // When
+    loadBin();
+    await sleep();
+    // Then
+    expect(utils.log).toHaveBeenCalledWith('red', message);
+    expect(process.exitCode).toBe(1);
+    expect(watchInput).toHaveBeenCalledTimes(1);
+    expect(watchInput).toHaveBeenCalledWith(config);
+    process.exitCode = 0;
   });
 });
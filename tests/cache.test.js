@@ -0,0 +1,227 @@
+jest.unmock('../src/cache');
+jest.mock('fs-extra');
+
+const path = require('path');
+const fs = require('fs-extra');
+const { getCacheKey, readCache, writeCache } = require('../src/cache');
+const utils = require('../src/utils');
+const packages = require('../src/packages');
+
+describe('cache', () => {
+  const cwd = process.cwd();
+  const options = {
+    input: [path.join(cwd, 'src')],
+    output: path.join(cwd, 'esm'),
+    modules: [],
+  };
+  const filepath = path.join(cwd, 'esm', 'index.js');
+
+  describe('getCacheKey', () => {
+    beforeEach(() => {
+      utils.getAbsPathInfoSync.mockReset();
+      utils.findFileSync.mockReset();
+      packages.resolvePackageSpecifier.mockReset();
+    });
+
+    it('should generate the same key for the same file', () => {
+      // Given
+      const source = "const a = require('./a');";
+      utils.getAbsPathInfoSync.mockImplementation(() => ({
+        path: path.join(cwd, 'esm', 'a.js'),
+        isFile: true,
+        extension: '.js',
+      }));
+      // When
+      const first = getCacheKey(source, filepath, options);
+      const second = getCacheKey(source, filepath, options);
+      // Then
+      expect(first).toMatch(/^[a-f\d]{40}$/);
+      expect(first).toBe(second);
+    });
+
+    it('should generate a different key when the contents or options change', () => {
+      // Given
+      const source = 'const a = 1;';
+      // When
+      const original = getCacheKey(source, filepath, options);
+      const newContents = getCacheKey('const a = 2;', filepath, options);
+      const newOptions = getCacheKey(source, filepath, {
+        ...options,
+        modules: [{ name: 'something', path: 'something/esm' }],
+      });
+      const newPath = getCacheKey(source, path.join(cwd, 'esm', 'other.js'), options);
+      // Then
+      expect(newContents).not.toBe(original);
+      expect(newOptions).not.toBe(original);
+      expect(newPath).not.toBe(original);
+      expect(utils.getAbsPathInfoSync).toHaveBeenCalledTimes(0);
+    });
+
+    it('should generate a different key when a custom transformation changes', () => {
+      // Given
+      const source = 'const a = 1;';
+      const transform = path.join(cwd, 'transforms', 'lazy-require.js');
+      const withTransforms = {
+        ...options,
+        transforms: { before: [transform], after: [], disable: [] },
+      };
+      fs.statSync.mockImplementationOnce(() => ({ mtimeMs: 1 }));
+      fs.statSync.mockImplementationOnce(() => ({ mtimeMs: 2 }));
+      // When
+      const original = getCacheKey(source, filepath, withTransforms);
+      const modified = getCacheKey(source, filepath, withTransforms);
+      // Then
+      expect(modified).not.toBe(original);
+      expect(fs.statSync).toHaveBeenCalledTimes(2);
+      expect(fs.statSync).toHaveBeenCalledWith(transform);
+    });
+
+    it('should generate a different key when the resolution of an import changes', () => {
+      // Given
+      const source = [
+        "const a = require('./a');",
+        "const b = require('b');",
+        "import c from './c';",
+        "import './d';",
+        "export * from './a';",
+      ].join('\n');
+      utils.getAbsPathInfoSync.mockImplementation(() => null);
+      // When
+      const unresolved = getCacheKey(source, filepath, options);
+      utils.getAbsPathInfoSync.mockImplementation((absPath) => ({
+        path: absPath,
+        isFile: false,
+        extension: null,
+      }));
+      utils.findFileSync.mockImplementation((list, directory) =>
+        path.join(directory, 'index.js'),
+      );
+      const resolved = getCacheKey(source, filepath, options);
+      // Then
+      expect(resolved).not.toBe(unresolved);
+      expect(utils.getAbsPathInfoSync).toHaveBeenCalledTimes(8);
+      expect(utils.getAbsPathInfoSync).toHaveBeenNthCalledWith(
+        1,
+        path.join(cwd, 'esm', 'a'),
+      );
+      expect(utils.getAbsPathInfoSync).toHaveBeenNthCalledWith(
+        2,
+        path.resolve('node_modules', 'b'),
+      );
+      expect(utils.findFileSync).toHaveBeenCalledTimes(4);
+      expect(utils.findFileSync).toHaveBeenNthCalledWith(
+        1,
+        ['package.json', 'index.mjs', 'index.js', 'index.mts', 'index.ts', 'index.tsx'],
+        path.join(cwd, 'esm', 'a'),
+      );
+    });
+
+    it('should generate a different key when the exports of a package change', () => {
+      // Given
+      const source = "import sub from 'dep/sub';";
+      utils.getAbsPathInfoSync.mockImplementation(() => null);
+      packages.resolvePackageSpecifier.mockImplementationOnce((specifier) => ({
+        exported: true,
+        specifier,
+      }));
+      packages.resolvePackageSpecifier.mockImplementationOnce((specifier) => ({
+        exported: true,
+        specifier: `${specifier}.js`,
+      }));
+      // When
+      const original = getCacheKey(source, filepath, options);
+      const modified = getCacheKey(source, filepath, options);
+      // Then
+      expect(modified).not.toBe(original);
+      expect(packages.resolvePackageSpecifier).toHaveBeenCalledTimes(2);
+      expect(packages.resolvePackageSpecifier).toHaveBeenCalledWith(
+        'dep/sub',
+        path.join(cwd, 'esm'),
+      );
+    });
+  });
+
+  describe('readCache', () => {
+    beforeEach(() => {
+      fs.pathExists.mockReset();
+      fs.readFile.mockReset();
+    });
+
+    it('should read an entry from the cache', async () => {
+      // Given
+      const directory = path.join(cwd, 'node_modules', '.cache', 'cjs2esm');
+      const key = 'some-key';
+      const code = 'export default 1;';
+      fs.pathExists.mockImplementationOnce(() => Promise.resolve(true));
+      fs.readFile.mockImplementationOnce(() => Promise.resolve(code));
+      let result = null;
+      // When
+      result = await readCache(directory, key);
+      // Then
+      expect(result).toBe(code);
+      expect(fs.pathExists).toHaveBeenCalledWith(path.join(directory, `${key}.js`));
+      expect(fs.readFile).toHaveBeenCalledWith(
+        path.join(directory, `${key}.js`),
+        'utf-8',
+      );
+    });
+
+    it('should read an entry with a custom extension', async () => {
+      // Given
+      const key = 'some-key';
+      fs.pathExists.mockImplementationOnce(() => Promise.resolve(true));
+      fs.readFile.mockImplementationOnce(() => Promise.resolve('{}'));
+      // When
+      await readCache('directory', key, 'js.map');
+      // Then
+      expect(fs.readFile).toHaveBeenCalledWith(
+        path.join('directory', `${key}.js.map`),
+        'utf-8',
+      );
+    });
+
+    it("should return null if the entry doesn't exist", async () => {
+      // Given
+      fs.pathExists.mockImplementationOnce(() => Promise.resolve(false));
+      // When
+      const result = await readCache('directory', 'key');
+      // Then
+      expect(result).toBeNull();
+      expect(fs.readFile).toHaveBeenCalledTimes(0);
+    });
+  });
+
+  describe('writeCache', () => {
+    beforeEach(() => {
+      fs.ensureDir.mockReset();
+      fs.writeFile.mockReset();
+    });
+
+    it('should save an entry on the cache', async () => {
+      // Given
+      const directory = path.join(cwd, 'node_modules', '.cache', 'cjs2esm');
+      const key = 'some-key';
+      const code = 'export default 1;';
+      // When
+      await writeCache(directory, key, code);
+      // Then
+      expect(fs.ensureDir).toHaveBeenCalledTimes(1);
+      expect(fs.ensureDir).toHaveBeenCalledWith(directory);
+      expect(fs.writeFile).toHaveBeenCalledTimes(1);
+      expect(fs.writeFile).toHaveBeenCalledWith(path.join(directory, `${key}.js`), code);
+    });
+
+    it('should save an entry with a custom extension', async () => {
+      // Given
+      const key = 'some-key';
+      const map = '{"version":3}';
+      // When
+      await writeCache('directory', key, map, 'js.map');
+      // Then
+      expect(fs.writeFile).toHaveBeenCalledWith(
+        path.join('directory', `${key}.js.map`),
+        map,
+      );
+    });
+  });
+});
@@ -0,0 +1,272 @@
+jest.unmock('../src/cli');
+jest.unmock('../src/schema');
+
+const {
+  getFlagDefinitions,
+  parseArguments,
+  getUsage,
+  getVersion,
+} = require('../src/cli');
+const { getOptionsSchema } = require('../src/schema');
+const pkgJson = require('../package.json');
+
+describe('cli', () => {
+  /**
+   * Generates the list of the options from a schema that can be set with flags: the ones
+   * with a primitive value, or a list of strings, and the ones inside objects that
+   * have a fixed set of properties.
+   *
+   * @param {Object.<string, OptionSchema>} properties  The schemas of the options.
+   * @param {string[]}                      [parent=[]] The path of the parent option.
+   * @returns {Array[]} A list of `[path, kind, choices]` for each option.
+   */
+  const getSchemaFlags = (properties, parent = []) =>
+    Object.keys(properties).reduce((acc, name) => {
+      const schema = properties[name];
+      const property = [...parent, name];
+      if (schema.type === 'object') {
+        return schema.properties
+          ? [...acc, ...getSchemaFlags(schema.properties, property)]
+          : acc;
+      }
+
+      if (schema.type === 'array') {
+        return schema.items.type === 'string'
+          ? [...acc, [property.join('.'), 'list', null]]
+          : acc;
+      }
+
+      return schema.type === 'function'
+        ? acc
+        : [...acc, [property.join('.'), schema.type, schema.choices || null]];
+    }, []);
+  const definitions = [
+    {
+      flag: 'name',
+      property: ['name'],
+      kind: 'string',
+      choices: null,
+      description: 'The name of something.',
+    },
+    {
+      flag: 'enabled',
+      property: ['enabled'],
+      kind: 'boolean',
+      choices: null,
+      description: 'Whether or not something is enabled.',
+    },
+    {
+      flag: 'nested-letter',
+      property: ['nested', 'letter'],
+      kind: 'string',
+      choices: ['a', 'b'],
+      description: 'The letter to use.',
+    },
+    {
+      flag: 'nested-list',
+      property: ['nested', 'list'],
+      kind: 'list',
+      choices: null,
+      description: 'A list of things.',
+    },
+  ];
+
+  describe('getFlagDefinitions', () => {
+    it('should generate the flags for the tool options', () => {
+      // Given/When
+      const result = getFlagDefinitions();
+      // Then
+      expect(result).toEqual(
+        expect.arrayContaining([
+          {
+            flag: 'force-directory',
+            property: ['forceDirectory'],
+            kind: 'boolean',
+            choices: null,
+            description: expect.any(String),
+          },
+          {
+            flag: 'extension-use',
+            property: ['extension', 'use'],
+            kind: 'string',
+            choices: ['js', 'mjs'],
+            description: expect.any(String),
+          },
+          {
+            flag: 'files-ignore-files',
+            property: ['files', 'ignoreFiles'],
+            kind: 'list',
+            choices: null,
+            description: expect.any(String),
+          },
+        ]),
+      );
+      expect(result.map(({ flag }) => flag)).not.toContain('modules');
+      expect(result.map(({ flag }) => flag)).not.toContain('hooks-before-copy');
+    });
+
+    it('should have a flag for each option of the schema', () => {
+      // Given
+      const { properties } = getOptionsSchema();
+      const { targets, ...options } = properties;
+      const expected = getSchemaFlags(options).sort();
+      let result = null;
+      // When
+      result = getFlagDefinitions()
+        .map(({ property, kind, choices }) => [property.join('.'), kind, choices])
+        .sort();
+      // Then
+      expect(result).toEqual(expected);
+    });
+  });
+
+  describe('parseArguments', () => {
+    it('should parse a list of arguments', () => {
+      // Given
+      const args = [
+        '--input',
+        'src',
+        '--input=lib',
+        '--output',
+        'dist',
+        '--extension',
+        'mjs',
+        '--extension-ignore',
+        '^ignored',
+        '--force-directory',
+        '--no-package-json',
+        '--add-module-entry=false',
+        '--config',
+        'custom.json',
+        '--target',
+        'node',
+        '--target=browser',
+        'something',
+      ];
+      let result = null;
+      // When
+      result = parseArguments(args);
+      // Then
+      expect(result).toEqual({
+        command: null,
+        options: {
+          input: ['src', 'lib'],
+          output: 'dist',
+          extension: {
+            use: 'mjs',
+            ignore: ['^ignored'],
+          },
+          forceDirectory: true,
+          addPackageJson: false,
+          addModuleEntry: false,
+        },
+        config: 'custom.json',
+        targets: ['node', 'browser'],
+        help: false,
+        version: false,
+        watch: false,
+        dryRun: false,
+        inPackageJson: false,
+        force: false,
+        json: false,
+        positionals: ['something'],
+      });
+    });
+
+    it('should detect the commands and their flags', () => {
+      // Given/When
+      const init = parseArguments(['init', '--in-package-json', '--force', 'something']);
+      const doctor = parseArguments(['doctor', '--json']);
+      const notACommand = parseArguments(['something', 'init']);
+      // Then
+      expect(init.command).toBe('init');
+      expect(init.inPackageJson).toBe(true);
+      expect(init.force).toBe(true);
+      expect(init.positionals).toEqual(['something']);
+      expect(doctor.command).toBe('doctor');
+      expect(doctor.json).toBe(true);
+      expect(doctor.positionals).toEqual([]);
+      expect(notACommand.command).toBeNull();
+      expect(notACommand.positionals).toEqual(['something', 'init']);
+    });
+
+    it('should detect the help, version, watch and dry run flags', () => {
+      // Given/When
+      const help = parseArguments(['--help']);
+      const shortHelp = parseArguments(['-h']);
+      const version = parseArguments(['--version']);
+      const shortVersion = parseArguments(['-v']);
+      const watch = parseArguments(['--watch']);
+      const dryRun = parseArguments(['--dry-run']);
+      // Then
+      expect(help.help).toBe(true);
+      expect(shortHelp.help).toBe(true);
+      expect(version.version).toBe(true);
+      expect(shortVersion.version).toBe(true);
+      expect(watch.watch).toBe(true);
+      expect(dryRun.dryRun).toBe(true);
+    });
+
+    it('should throw an error for unknown flags', () => {
+      // Given/When/Then
+      expect(() => parseArguments(['--unknown'])).toThrow(/unknown option/i);
+      expect(() => parseArguments(['-x'])).toThrow(/unknown option/i);
+      expect(() => parseArguments(['--no-output'])).toThrow(/unknown option/i);
+    });
+
+    it('should throw an error when a value is missing', () => {
+      // Given/When/Then
+      expect(() => parseArguments(['--output'])).toThrow(/requires a value/i);
+      expect(() => parseArguments(['--output', '--force-directory'])).toThrow(
+        /requires a value/i,
+      );
+    });
+
+    it('should throw an error when a value is not a valid choice', () => {
+      // Given/When/Then
+      expect(() => parseArguments(['--extension', 'cjs'])).toThrow(/invalid value/i);
+    });
+  });
+
+  describe('getUsage', () => {
+    it('should generate the usage message from the flags', () => {
+      // Given
+      let result = null;
+      // When
+      result = getUsage(definitions);
+      // Then
+      expect(result).toMatch(/--name <value>\n\s+The name of something\./);
+      expect(result).toMatch(
+        /--\[no-\]enabled\n\s+Whether or not something is enabled\./,
+      );
+      expect(result).toMatch(/--nested-letter <a\|b>/);
+      expect(result).toMatch(/--nested-list <value>\n.*\(can be used multiple times\)/);
+      expect(result).toMatch(/--config <path>/);
+      expect(result).toMatch(/--target <name>/);
+      expect(result).toMatch(/--watch/);
+      expect(result).toMatch(/--dry-run/);
+      expect(result).toMatch(/--in-package-json/);
+      expect(result).toMatch(/--force\n/);
+      expect(result).toMatch(/Commands:\n\s+init\n\s+Inspect the project/);
+      expect(result).toMatch(/\n\s+doctor\n\s+Analyze the input files/);
+      expect(result).toMatch(/--json\n/);
+      expect(result).toMatch(/-h, --help/);
+      expect(result).toMatch(/-v, --version/);
+    });
+
+    it('should include the aliases of the flags', () => {
+      // Given/When
+      const result = getUsage();
+      // Then
+      expect(result).toMatch(/--extension-use <js\|mjs>, --extension <js\|mjs>/);
+      expect(result).toMatch(/--\[no-\]add-package-json, --\[no-\]package-json/);
+    });
+  });
+
+  describe('getVersion', () => {
+    it('should return the version of the tool', () => {
+      // Given/When/Then
+      expect(getVersion()).toBe(pkgJson.version);
+    });
+  });
+});
@@ -0,0 +1,330 @@
+jest.unmock('../src/doctor');
+jest.unmock('../src/extensions');
+jest.mock('fs-extra');
+
+const path = require('path');
+const fs = require('fs-extra');
+const { diagnoseSource, diagnoseProject, logDoctorReport } = require('../src/doctor');
+const index = require('../src');
+const utils = require('../src/utils');
+
+describe('doctor', () => {
+  const cwd = process.cwd();
+  const filepath = path.join(cwd, 'src', 'index.js');
+  /**
+   * Simplifies the findings so the tests can focus on the rules and their locations.
+   *
+   * @param {CJS2ESMDoctorFinding[]} findings  The findings to simplify.
+   * @returns {Array[]} A list of `[line, severity, rule]` for each finding.
+   */
+  const simplify = (findings) =>
+    findings.map((finding) => [finding.line, finding.severity, finding.rule]);
+
+  beforeEach(() => {
+    fs.pathExistsSync.mockReset();
+    fs.readFile.mockReset();
+    utils.getAbsPathInfoSync.mockReset();
+    utils.log.mockReset();
+    index.findFilesToCopy.mockReset();
+  });
+
+  describe('diagnoseSource', () => {
+    it('should report the dynamic and nested requires', () => {
+      // Given
+      const code = [
+        "const fs = require('fs');",
+        'const mod = require(name);',
+        'const tpl = require(`path`);',
+        "const load = () => require('os');",
+        "if (process.env.DEBUG) require('debug');",
+      ].join('\n');
+      let result = null;
+      // When
+      result = diagnoseSource(code, filepath);
+      // Then
+      expect(simplify(result)).toEqual([
+        [2, 'warning', 'dynamic-require'],
+        [4, 'warning', 'nested-require'],
+        [5, 'warning', 'nested-require'],
+      ]);
+      expect(result[0]).toEqual({
+        file: 'src/index.js',
+        line: 2,
+        column: 13,
+        severity: 'warning',
+        rule: 'dynamic-require',
+        message: expect.stringMatching(/dynamic path/),
+        suggestion: expect.stringMatching(/import\(\)/),
+      });
+      expect(result[1].message).toMatch(/inside a function/);
+      expect(result[2].message).toMatch(/inside a block/);
+    });
+
+    it('should report the properties of require and the file globals', () => {
+      // Given
+      const code = [
+        'if (require.main === module) {',
+        '  delete require.cache[__filename];',
+        '}',
+        'const dir = __dirname;',
+        'const main = require.main.filename;',
+        'const ext = require.extensions;',
+        'const local = (__dirname) => __dirname;',
+      ].join('\n');
+      let result = null;
+      // When
+      result = diagnoseSource(code, filepath);
+      // Then
+      expect(simplify(result)).toEqual([
+        [1, 'info', 'require-properties'],
+        [2, 'warning', 'require-properties'],
+        [2, 'info', 'file-globals'],
+        [4, 'info', 'file-globals'],
+        [5, 'warning', 'require-properties'],
+        [6, 'warning', 'require-properties'],
+      ]);
+    });
+
+    it('should report the reassignments of module.exports', () => {
+      // Given
+      const code = [
+        'exports.first = 1;',
+        'module.exports = { second: 2 };',
+        'module.exports = { third: 3 };',
+        'function reset() {',
+        '  module.exports = {};',
+        '}',
+      ].join('\n');
+      let result = null;
+      // When
+      result = diagnoseSource(code, filepath);
+      // Then
+      expect(simplify(result)).toEqual([
+        [2, 'error', 'exports-reassigned'],
+        [3, 'error', 'exports-reassigned'],
+        [5, 'error', 'exports-reassigned'],
+      ]);
+      expect(result[0].message).toMatch(/after its properties were used/);
+      expect(result[1].message).toMatch(/more than once/);
+      expect(result[2].message).toMatch(/inside a function/);
+    });
+
+    it("shouldn't report a single assignment of module.exports", () => {
+      // Given
+      const code = [
+        'const value = 1;',
+        'module.exports = { value };',
+        'module.exports.other = 2;',
+      ].join('\n');
+      let result = null;
+      // When
+      result = diagnoseSource(code, filepath);
+      // Then
+      expect(result).toEqual([]);
+    });
+
+    it('should report the top level this and the strict mode violations', () => {
+      // Given
+      const code = [
+        'this.name = 1;',
+        'const arrow = () => this;',
+        'function fn() { return this; }',
+        'class Cls { method() { return this; } }',
+        'with (Math) { max(1, 2); }',
+        'const octal = 010;',
+        'undeclared = fn;',
+        'function dupe(a, a) {}',
+      ].join('\n');
+      let result = null;
+      // When
+      result = diagnoseSource(code, filepath);
+      // Then
+      expect(simplify(result)).toEqual([
+        [1, 'error', 'top-level-this'],
+        [2, 'error', 'top-level-this'],
+        [5, 'error', 'strict-mode'],
+        [6, 'error', 'strict-mode'],
+        [7, 'error', 'strict-mode'],
+        [8, 'error', 'strict-mode'],
+      ]);
+      expect(result[2].message).toBe("'with' in strict mode.");
+      expect(result[4].message).toMatch(
+        /`undeclared` is assigned without being declared/,
+      );
+    });
+
+    it("should report a syntax error if the file can't be parsed", () => {
+      // Given
+      const code = ['#!/usr/bin/env node', 'const = 1;'].join('\n');
+      let result = null;
+      // When
+      result = diagnoseSource(code, filepath);
+      // Then
+      expect(result).toEqual([
+        {
+          file: 'src/index.js',
+          line: 2,
+          column: 7,
+          severity: 'error',
+          rule: 'syntax',
+          message: 'Unexpected token',
+          suggestion: expect.any(String),
+        },
+      ]);
+    });
+
+    it("should report the relative paths that can't be resolved", () => {
+      // Given
+      const code = [
+        "const found = require('./found');",
+        "const missing = require('./missing');",
+        "const broken = require('./broken.js');",
+        "import data from './data.json';",
+        "const pkg = require('some-package');",
+      ].join('\n');
+      const src = path.dirname(filepath);
+      utils.getAbsPathInfoSync.mockImplementation((absPath) => {
+        if (absPath === path.join(src, 'found')) {
+          return { path: `${absPath}.js`, isFile: true, extension: 'js' };
+        }
+
+        if (absPath === path.join(src, 'broken.js')) {
+          return { path: absPath, isFile: true, extension: 'js' };
+        }
+
+        return absPath === path.join(src, 'data.json')
+          ? { path: absPath, isFile: false, extension: null }
+          : null;
+      });
+      fs.pathExistsSync.mockImplementation((absPath) => absPath.endsWith('found.js'));
+      let result = null;
+      // When
+      result = diagnoseSource(code, filepath);
+      // Then
+      expect(simplify(result)).toEqual([
+        [2, 'error', 'unresolved-import'],
+        [3, 'error', 'unresolved-import'],
+      ]);
+      expect(result[0].message).toMatch(/`\.\/missing` can't be resolved/);
+      expect(utils.getAbsPathInfoSync).toHaveBeenCalledTimes(4);
+    });
+  });
+
+  describe('diagnoseProject', () => {
+    it('should analyze the files of the project and report the circular requires', async () => {
+      // Given
+      const src = path.join(cwd, 'src');
+      const files = {
+        [path.join(src, 'a.js')]: "const b = require('./b');\nmodule.exports = b;",
+        [path.join(src, 'b.js')]: "require('./c');\nexports.b = __dirname;",
+        [path.join(src, 'c.js')]: "require('./a');",
+      };
+      index.findFilesToCopy.mockImplementation(() =>
+        Promise.resolve([
+          ...Object.keys(files).map((from) => ({ from, to: from })),
+          { from: path.join(src, 'data.json'), to: 'data.json', copyOnly: true },
+        ]),
+      );
+      fs.readFile.mockImplementation((file) => Promise.resolve(files[file]));
+      fs.pathExistsSync.mockImplementation(() => true);
+      utils.getAbsPathInfoSync.mockImplementation((absPath) => ({
+        path: `${absPath}.js`,
+        isFile: true,
+        extension: 'js',
+      }));
+      const options = {
+        targets: [
+          { input: ['src'], output: 'esm', extension: {}, forceDirectory: null },
+          { input: ['src'], output: 'esm-node', extension: {}, forceDirectory: null },
+        ],
+      };
+      let result = null;
+      // When
+      result = await diagnoseProject(options);
+      // Then
+      expect(index.findFilesToCopy).toHaveBeenCalledTimes(2);
+      expect(index.findFilesToCopy).toHaveBeenCalledWith(
+        ['src'],
+        'esm',
+        {},
+        null,
+        undefined,
+      );
+      expect(fs.readFile).toHaveBeenCalledTimes(3);
+      expect(result.summary).toEqual({ files: 3, errors: 0, warnings: 1, infos: 1 });
+      expect(result.findings).toEqual([
+        {
+          file: 'src/b.js',
+          line: 2,
+          column: 13,
+          severity: 'info',
+          rule: 'file-globals',
+          message: expect.any(String),
+          suggestion: expect.any(String),
+        },
+        {
+          file: 'src/c.js',
+          line: 1,
+          column: 1,
+          severity: 'warning',
+          rule: 'circular-require',
+          message:
+            'Circular dependency: `src/a.js` -> `src/b.js` -> `src/c.js` -> `src/a.js`',
+          suggestion: expect.any(String),
+        },
+      ]);
+    });
+  });
+
+  describe('logDoctorReport', () => {
+    it('should print the findings and the summary', () => {
+      // Given
+      const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+      const report = {
+        findings: [
+          {
+            file: 'src/index.js',
+            line: 1,
+            column: 1,
+            severity: 'error',
+            rule: 'top-level-this',
+            message: 'Some message',
+            suggestion: 'Some suggestion',
+          },
+        ],
+        summary: { files: 2, errors: 1, warnings: 0, infos: 0 },
+      };
+      let result = null;
+      // When
+      result = logDoctorReport(report);
+      // Then
+      expect(result).toBe(false);
+      expect(log).toHaveBeenCalledTimes(1);
+      expect(log.mock.calls[0][0]).toMatch(/src\/index\.js/);
+      expect(log.mock.calls[0][0]).toMatch(/Some message/);
+      expect(log.mock.calls[0][0]).toMatch(/Some suggestion/);
+      expect(utils.log).toHaveBeenCalledWith(
+        'red',
+        'Doctor: 2 files analyzed, 1 errors, 0 warnings and 0 notes',
+      );
+      log.mockRestore();
+    });
+
+    it('should return true if there are no errors', () => {
+      // Given
+      const report = {
+        findings: [],
+        summary: { files: 2, errors: 0, warnings: 0, infos: 0 },
+      };
+      let result = null;
+      // When
+      result = logDoctorReport(report);
+      // Then
+      expect(result).toBe(true);
+      expect(utils.log).toHaveBeenCalledWith(
+        'green',
+        'Doctor: 2 files analyzed, 0 errors, 0 warnings and 0 notes',
+      );
+    });
+  });
+});
@@ -0,0 +1,108 @@
+jest.unmock('../src/errors');
+
+const path = require('path');
+const { getFileError, formatFileError } = require('../src/errors');
+
+describe('errors', () => {
+  const cwd = process.cwd();
+  const file = {
+    from: path.join(cwd, 'src', 'index.js'),
+    to: path.join(cwd, 'esm', 'index.js'),
+  };
+
+  describe('getFileError', () => {
+    it('should generate the information of a parser error', () => {
+      // Given
+      const error = new Error('Unexpected token (2:10)');
+      error.transformation = 'cjs';
+      error.loc = { line: 2, column: 10 };
+      error.source = 'const a = 1;\nconst b = ;\nconst c = 3;\n';
+      let result = null;
+      // When
+      result = getFileError(error, file);
+      // Then
+      expect(result).toEqual({
+        from: file.from,
+        to: file.to,
+        transformation: 'cjs',
+        message: 'Unexpected token',
+        line: 2,
+        column: 11,
+        frame: expect.any(String),
+      });
+      expect(result.frame).toMatch(/^> 2 \| const b = ;$/m);
+      expect(result.frame).toMatch(/^ {4}\| {11}\^$/m);
+    });
+
+    it('should generate the information of an error without location', () => {
+      // Given
+      const error = new Error('Something went wrong');
+      let result = null;
+      // When
+      result = getFileError(error, file);
+      // Then
+      expect(result).toEqual({
+        from: file.from,
+        to: file.to,
+        transformation: null,
+        message: 'Something went wrong',
+        line: null,
+        column: null,
+        frame: null,
+      });
+    });
+
+    it("shouldn't generate a frame if the error doesn't have the code", () => {
+      // Given
+      const error = new Error('Unexpected token (1:0)');
+      error.loc = { line: 1, column: 0 };
+      let result = null;
+      // When
+      result = getFileError(error, file);
+      // Then
+      expect(result.line).toBe(1);
+      expect(result.column).toBe(1);
+      expect(result.frame).toBeNull();
+    });
+  });
+
+  describe('formatFileError', () => {
+    it('should generate a message with the location and the frame', () => {
+      // Given
+      const fileError = {
+        from: file.from,
+        to: file.to,
+        transformation: 'cjs',
+        message: 'Unexpected token',
+        line: 2,
+        column: 11,
+        frame: '> 2 | const b = ;',
+      };
+      let result = null;
+      // When
+      result = formatFileError(fileError);
+      // Then
+      expect(result).toBe(
+        'src/index.js:2:11 (`cjs`): Unexpected token\n> 2 | const b = ;',
+      );
+    });
+
+    it('should generate a message without location', () => {
+      // Given
+      const fileError = {
+        from: file.from,
+        to: file.to,
+        transformation: null,
+        message: 'Something went wrong',
+        line: null,
+        column: null,
+        frame: null,
+      };
+      let result = null;
+      // When
+      result = formatFileError(fileError);
+      // Then
+      expect(result).toBe('src/index.js: Something went wrong');
+    });
+  });
+});
@@ -0,0 +1,77 @@
+jest.unmock('../src/extensions');
+
+const {
+  getExtensionsMap,
+  isSourceFile,
+  getOutputExtension,
+  getParser,
+} = require('../src/extensions');
+
+describe('extensions', () => {
+  describe('getExtensionsMap', () => {
+    it('should generate the map for the `js` extension', () => {
+      // Given/When
+      const result = getExtensionsMap({ use: 'js' });
+      // Then
+      expect(result).toEqual({
+        js: 'js',
+        cjs: 'js',
+        ts: 'ts',
+        cts: 'mts',
+        mts: 'mts',
+        tsx: 'tsx',
+      });
+    });
+
+    it('should generate the map for the `mjs` extension, with overrides', () => {
+      // Given/When
+      const result = getExtensionsMap({ use: 'mjs', map: { cjs: 'js' } });
+      // Then
+      expect(result).toEqual({
+        js: 'mjs',
+        cjs: 'js',
+        ts: 'mts',
+        cts: 'mts',
+        mts: 'mts',
+        tsx: 'tsx',
+      });
+    });
+  });
+
+  describe('isSourceFile', () => {
+    it('should validate if a file has one of the source extensions', () => {
+      // Given
+      const extension = { use: 'js', sources: ['js', 'cts'] };
+      // When/Then
+      expect(isSourceFile('src/index.js', extension)).toBe(true);
+      expect(isSourceFile('src/index.JS', extension)).toBe(true);
+      expect(isSourceFile('src/index.cts', extension)).toBe(true);
+      expect(isSourceFile('src/index.ts', extension)).toBe(false);
+      expect(isSourceFile('src/index.js', { use: 'js' })).toBe(false);
+    });
+  });
+
+  describe('getOutputExtension', () => {
+    it('should get the extension for a transformed file', () => {
+      // Given
+      const extension = { use: 'mjs', sources: ['js', 'cjs', 'ts'], map: {} };
+      // When/Then
+      expect(getOutputExtension('src/index.js', extension)).toBe('mjs');
+      expect(getOutputExtension('src/index.cjs', extension)).toBe('mjs');
+      expect(getOutputExtension('src/index.ts', extension)).toBe('mts');
+      expect(getOutputExtension('src/index.jsx', extension)).toBe('jsx');
+    });
+  });
+
+  describe('getParser', () => {
+    it('should get the parser for a file', () => {
+      // Given/When/Then
+      expect(getParser('src/index.js')).toBe('babel');
+      expect(getParser('src/index.cjs')).toBe('babel');
+      expect(getParser('src/index.ts')).toBe('ts');
+      expect(getParser('src/index.cts')).toBe('ts');
+      expect(getParser('src/index.tsx')).toBe('tsx');
+      expect(getParser('src/index.jsx')).toBe('babel');
+    });
+  });
+});
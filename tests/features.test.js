@@ -0,0 +1,129 @@
+jest.unmock('../src/features');
+
+const { supportsFeature, getJSONImportsStrategy } = require('../src/features');
+
+describe('features', () => {
+  describe('supportsFeature', () => {
+    it('should validate the support for import attributes', () => {
+      // Given
+      const cases = [
+        ['16', false],
+        ['18.19.1', false],
+        ['18.20', true],
+        ['v18.20.4', true],
+        ['19.9.0', false],
+        ['20.9.0', false],
+        ['20.10.0', true],
+        ['22', true],
+      ];
+      // When/Then
+      cases.forEach(([version, expected]) => {
+        expect(supportsFeature(version, 'importAttributes')).toBe(expected);
+      });
+    });
+
+    it('should validate the support for import assertions', () => {
+      // Given
+      const cases = [
+        ['14.18.0', false],
+        ['16.14.2', false],
+        ['16.15', true],
+        ['17.4.0', false],
+        ['17.5.0', true],
+        ['20.10.0', true],
+        ['22.0.0', false],
+      ];
+      // When/Then
+      cases.forEach(([version, expected]) => {
+        expect(supportsFeature(version, 'importAssertions')).toBe(expected);
+      });
+    });
+
+    it('should validate the support for import.meta.dirname', () => {
+      // Given
+      const cases = [
+        ['20.10.0', false],
+        ['20.11', true],
+        ['21.1.0', false],
+        ['21.2.0', true],
+        ['22', true],
+      ];
+      // When/Then
+      cases.forEach(([version, expected]) => {
+        expect(supportsFeature(version, 'importMetaDirname')).toBe(expected);
+      });
+    });
+
+    it('should validate the support for import.meta.resolve', () => {
+      // Given
+      const cases = [
+        ['18.18.0', false],
+        ['18.19.0', true],
+        ['20.5.0', false],
+        ['20.6.0', true],
+      ];
+      // When/Then
+      cases.forEach(([version, expected]) => {
+        expect(supportsFeature(version, 'importMetaResolve')).toBe(expected);
+      });
+    });
+
+    it('should validate the support for top-level await and require(esm)', () => {
+      // Given
+      const cases = [
+        ['14.7.0', 'topLevelAwait', false],
+        ['14.8.0', 'topLevelAwait', true],
+        ['20.18.0', 'requireModule', false],
+        ['20.19.0', 'requireModule', true],
+        ['22.11.0', 'requireModule', false],
+        ['22.12.0', 'requireModule', true],
+      ];
+      // When/Then
+      cases.forEach(([version, feature, expected]) => {
+        expect(supportsFeature(version, feature)).toBe(expected);
+      });
+    });
+
+    it('should throw an error if the version is invalid', () => {
+      // Given/When/Then
+      expect(() => supportsFeature('latest', 'importAttributes')).toThrow(
+        /invalid node version: `latest`/i,
+      );
+    });
+
+    it("should throw an error if the feature doesn't exist", () => {
+      // Given/When/Then
+      expect(() => supportsFeature('20', 'something')).toThrow(
+        /unknown node feature: `something`/i,
+      );
+    });
+  });
+
+  describe('getJSONImportsStrategy', () => {
+    it('should use the strategy from the options', () => {
+      // Given
+      const options = { nodeVersion: '20.10', jsonImports: 'inline' };
+      let result = null;
+      // When
+      result = getJSONImportsStrategy(options);
+      // Then
+      expect(result).toBe('inline');
+    });
+
+    it('should choose a strategy based on the Node version', () => {
+      // Given
+      const cases = [
+        ['14', 'createRequire'],
+        ['16.15', 'assert'],
+        ['20.10', 'with'],
+        ['22', 'with'],
+      ];
+      // When/Then
+      cases.forEach(([nodeVersion, expected]) => {
+        expect(getJSONImportsStrategy({ nodeVersion, jsonImports: 'auto' })).toBe(
+          expected,
+        );
+      });
+    });
+  });
+});
@@ -1,30 +1,100 @@
 jest.unmock('../src/index');
+jest.unmock('../src/extensions');
+jest.unmock('../src/schema');
 jest.mock('fs-extra');
-jest.mock('jscodeshift/src/Runner');
 
 const path = require('path');
 const fs = require('fs-extra');
-const Runner = require('jscodeshift/src/Runner');
 const {
+  findConfiguration,
   getConfiguration,
   ensureOutput,
   copyFiles,
+  getCopyPath,
+  copyFile,
+  copyAssets,
+  getAssetPath,
+  copyAsset,
+  addJSONModules,
+  transformFile,
+  transformSource,
+  getFallbackPath,
   transformOutput,
   updatePackageJSON,
   addPackageJSON,
+  run,
   addErrorHandler,
 } = require('../src');
 const utils = require('../src/utils');
+const pipeline = require('../src/pipeline');
+const cache = require('../src/cache');
+const sourcemap = require('../src/sourcemap');
+const errors = require('../src/errors');
+const report = require('../src/report');
 
 describe('index', () => {
   const cwd = process.cwd();
 
+  describe('findConfiguration', () => {
+    beforeEach(() => {
+      utils.requireModule.mockClear();
+      utils.findFile.mockClear();
+    });
+
+    it('should find a configuration file', async () => {
+      // Given
+      const configFile = path.join(cwd, '.cjs2esm.json');
+      utils.findFile.mockImplementationOnce(() => configFile);
+      let result = null;
+      // When
+      result = await findConfiguration();
+      // Then
+      expect(result).toEqual({
+        file: configFile,
+        config: null,
+        source: `\`${configFile}\``,
+      });
+      expect(utils.findFile).toHaveBeenCalledWith(expect.any(Array), cwd);
+      expect(utils.requireModule).toHaveBeenCalledTimes(0);
+    });
+
+    it('should find the configuration on the package.json', async () => {
+      // Given
+      const config = { output: 'dist' };
+      utils.findFile.mockImplementationOnce(() => null);
+      utils.requireModule.mockImplementationOnce(() => ({ config: { cjs2esm: config } }));
+      let result = null;
+      // When
+      result = await findConfiguration(cwd);
+      // Then
+      expect(result).toEqual({
+        file: null,
+        config,
+        source: 'the `config.cjs2esm` property of the `package.json`',
+      });
+      expect(utils.requireModule).toHaveBeenCalledWith(path.join(cwd, 'package.json'));
+    });
+
+    it("should return null if the project doesn't have a configuration", async () => {
+      // Given
+      utils.findFile.mockImplementationOnce(() => null);
+      utils.requireModule.mockImplementationOnce(() => ({ name: 'my-lib' }));
+      let result = null;
+      // When
+      result = await findConfiguration(cwd);
+      // Then
+      expect(result).toBeNull();
+    });
+  });
+
   describe('getConfiguration', () => {
     beforeEach(() => {
       utils.requireModule.mockClear();
+      utils.importModule.mockReset();
       utils.findFile.mockClear();
       utils.log.mockClear();
       fs.readJSON.mockClear();
+      fs.pathExists.mockClear();
     });
 
     it('should load the default configuration', async () => {
@@ -43,14 +113,51 @@ describe('index', () => {
         extension: {
           use: 'js',
           ignore: [],
+          sources: ['js'],
+          map: {},
+        },
+        files: {
+          include: [],
+          exclude: [],
+          copy: [],
+          ignoreFiles: [],
+        },
+        assets: {
+          include: [],
+          exclude: [],
+        },
+        transforms: {
+          before: [],
+          after: [],
+          disable: [],
         },
+        hooks: {},
         addModuleEntry: false,
         addPackageJson: true,
         filesWithShebang: [],
+        cache: false,
+        cacheDirectory: path.resolve('node_modules', '.cache', 'cjs2esm'),
+        sourceMaps: 'none',
+        nodeVersion: '14',
+        jsonImports: 'auto',
+        nestedRequires: 'createRequire',
+        continueOnError: false,
+        errorFallback: 'copy',
+        errorReport: null,
+        targets: [],
       });
       expect(utils.findFile).toHaveBeenCalledTimes(1);
       expect(utils.findFile).toHaveBeenCalledWith(
-        ['.cjs2esm', '.cjs2esm.json', '.cjs2esm.js'],
+        [
+          '.cjs2esm',
+          '.cjs2esm.json',
+          '.cjs2esm.js',
+          '.cjs2esm.mjs',
+          '.cjs2esm.cjs',
+          'cjs2esm.config.js',
+          'cjs2esm.config.mjs',
+          'cjs2esm.config.cjs',
+        ],
         cwd,
       );
       expect(utils.requireModule).toHaveBeenCalledTimes(1);
@@ -85,11 +192,39 @@ describe('index', () => {
         extension: {
           use: 'js',
           ignore: [],
+          sources: ['js'],
+          map: {},
           ...config.extension,
         },
+        files: {
+          include: [],
+          exclude: [],
+          copy: [],
+          ignoreFiles: [],
+        },
+        assets: {
+          include: [],
+          exclude: [],
+        },
+        transforms: {
+          before: [],
+          after: [],
+          disable: [],
+        },
+        hooks: {},
         addModuleEntry: false,
         addPackageJson: true,
         filesWithShebang: [],
+        cache: false,
+        cacheDirectory: path.resolve('node_modules', '.cache', 'cjs2esm'),
+        sourceMaps: 'none',
+        nodeVersion: '14',
+        jsonImports: 'auto',
+        nestedRequires: 'createRequire',
+        continueOnError: false,
+        errorFallback: 'copy',
+        errorReport: null,
+        targets: [],
       });
     });
 
@@ -118,11 +253,39 @@ describe('index', () => {
         extension: {
           use: 'js',
           ignore: [],
+          sources: ['js'],
+          map: {},
           ...config.extension,
         },
+        files: {
+          include: [],
+          exclude: [],
+          copy: [],
+          ignoreFiles: [],
+        },
+        assets: {
+          include: [],
+          exclude: [],
+        },
+        transforms: {
+          before: [],
+          after: [],
+          disable: [],
+        },
+        hooks: {},
         addModuleEntry: false,
         addPackageJson: true,
         filesWithShebang: [],
+        cache: false,
+        cacheDirectory: path.resolve('node_modules', '.cache', 'cjs2esm'),
+        sourceMaps: 'none',
+        nodeVersion: '14',
+        jsonImports: 'auto',
+        nestedRequires: 'createRequire',
+        continueOnError: false,
+        errorFallback: 'copy',
+        errorReport: null,
+        targets: [],
       });
     });
 
@@ -137,7 +300,7 @@ describe('index', () => {
           use: 'mjs',
         },
       };
-      utils.requireModule.mockImplementationOnce(() => config);
+      utils.importModule.mockImplementationOnce(() => Promise.resolve(config));
       let result = null;
       // When
       result = await getConfiguration();
@@ -150,12 +313,83 @@ describe('index', () => {
         extension: {
           use: 'js',
           ignore: [],
+          sources: ['js'],
+          map: {},
           ...config.extension,
         },
+        files: {
+          include: [],
+          exclude: [],
+          copy: [],
+          ignoreFiles: [],
+        },
+        assets: {
+          include: [],
+          exclude: [],
+        },
+        transforms: {
+          before: [],
+          after: [],
+          disable: [],
+        },
+        hooks: {},
         addModuleEntry: false,
         addPackageJson: true,
         filesWithShebang: [],
+        cache: false,
+        cacheDirectory: path.resolve('node_modules', '.cache', 'cjs2esm'),
+        sourceMaps: 'none',
+        nodeVersion: '14',
+        jsonImports: 'auto',
+        nestedRequires: 'createRequire',
+        continueOnError: false,
+        errorFallback: 'copy',
+        errorReport: null,
+        targets: [],
+      });
+    });
+
+    it('should load the configuration from an ES Module file', async () => {
+      // Given
+      const configFile = '/some/path/cjs2esm.config.mjs';
+      utils.findFile.mockImplementationOnce(() => configFile);
+      const config = { output: 'esmodules' };
+      utils.importModule.mockImplementationOnce(() => Promise.resolve(config));
+      let result = null;
+      // When
+      result = await getConfiguration();
+      // Then
+      expect(result.output).toBe(path.resolve(config.output));
+      expect(utils.importModule).toHaveBeenCalledTimes(1);
+      expect(utils.importModule).toHaveBeenCalledWith(configFile);
+      expect(utils.requireModule).toHaveBeenCalledTimes(0);
+      expect(fs.readJSON).toHaveBeenCalledTimes(0);
+    });
+
+    it('should call the function exported by a configuration file', async () => {
+      // Given
+      const configFile = '/some/path/.cjs2esm.cjs';
+      utils.findFile.mockImplementationOnce(() => configFile);
+      const pkgJson = { name: 'my-lib', main: 'lib/index.js' };
+      const configFn = jest.fn(async (environment) => ({
+        input: [path.dirname(environment.packageJson.main)],
+      }));
+      utils.importModule.mockImplementationOnce(() => Promise.resolve(configFn));
+      fs.pathExists.mockImplementationOnce(() => Promise.resolve(true));
+      fs.readJSON.mockImplementationOnce(() => Promise.resolve(pkgJson));
+      let result = null;
+      // When
+      result = await getConfiguration();
+      // Then
+      expect(result.input).toEqual([path.join(cwd, 'lib')]);
+      expect(configFn).toHaveBeenCalledTimes(1);
+      expect(configFn).toHaveBeenCalledWith({
+        cwd,
+        env: process.env,
+        packageJson: pkgJson,
       });
+      expect(fs.pathExists).toHaveBeenCalledWith(path.join(cwd, 'package.json'));
+      expect(fs.readJSON).toHaveBeenCalledWith(path.join(cwd, 'package.json'));
     });
 
     it('should load the configuration from a JSON file', async () => {
@@ -182,133 +416,635 @@ describe('index', () => {
         extension: {
           use: 'js',
           ignore: [],
+          sources: ['js'],
+          map: {},
           ...config.extension,
         },
+        files: {
+          include: [],
+          exclude: [],
+          copy: [],
+          ignoreFiles: [],
+        },
+        assets: {
+          include: [],
+          exclude: [],
+        },
+        transforms: {
+          before: [],
+          after: [],
+          disable: [],
+        },
+        hooks: {},
         addModuleEntry: false,
         addPackageJson: true,
         filesWithShebang: [],
+        cache: false,
+        cacheDirectory: path.resolve('node_modules', '.cache', 'cjs2esm'),
+        sourceMaps: 'none',
+        nodeVersion: '14',
+        jsonImports: 'auto',
+        nestedRequires: 'createRequire',
+        continueOnError: false,
+        errorFallback: 'copy',
+        errorReport: null,
+        targets: [],
       });
     });
-  });
 
-  describe('ensureOutput', () => {
-    beforeEach(() => {
-      fs.pathExists.mockClear();
-      fs.remove.mockClear();
-      fs.mkdir.mockClear();
-      utils.log.mockClear();
+    it('should apply a set of overrides on top of the configuration', async () => {
+      // Given
+      utils.findFile.mockImplementationOnce(() => null);
+      const config = {
+        input: ['source'],
+        output: 'esmodules',
+        extension: {
+          ignore: ['something'],
+        },
+      };
+      utils.requireModule.mockImplementationOnce(() => ({
+        cjs2esm: config,
+      }));
+      const overrides = {
+        output: 'dist',
+        addPackageJson: false,
+        extension: {
+          use: 'mjs',
+        },
+      };
+      let result = null;
+      // When
+      result = await getConfiguration(overrides);
+      // Then
+      expect(result).toEqual({
+        input: [path.resolve(config.input[0])],
+        output: path.resolve(overrides.output),
+        forceDirectory: null,
+        modules: [],
+        extension: {
+          use: 'mjs',
+          ignore: ['something'],
+          sources: ['js'],
+          map: {},
+        },
+        files: {
+          include: [],
+          exclude: [],
+          copy: [],
+          ignoreFiles: [],
+        },
+        assets: {
+          include: [],
+          exclude: [],
+        },
+        transforms: {
+          before: [],
+          after: [],
+          disable: [],
+        },
+        hooks: {},
+        addModuleEntry: false,
+        addPackageJson: false,
+        filesWithShebang: [],
+        cache: false,
+        cacheDirectory: path.resolve('node_modules', '.cache', 'cjs2esm'),
+        sourceMaps: 'none',
+        nodeVersion: '14',
+        jsonImports: 'auto',
+        nestedRequires: 'createRequire',
+        continueOnError: false,
+        errorFallback: 'copy',
+        errorReport: null,
+        targets: [],
+      });
     });
 
-    it('should remove the directory if it exists and create it again', async () => {
+    it('should load a specific configuration file', async () => {
       // Given
-      const output = 'some/path/esm';
+      const configFile = 'configs/cjs2esm.json';
+      const config = {
+        input: ['source'],
+        output: 'esmodules',
+      };
       fs.pathExists.mockImplementationOnce(() => true);
+      fs.readJSON.mockImplementationOnce(() => config);
+      let result = null;
       // When
-      await ensureOutput(output);
+      result = await getConfiguration({}, configFile);
       // Then
-      expect(fs.pathExists).toHaveBeenCalledTimes(1);
-      expect(fs.pathExists).toHaveBeenCalledWith(output);
-      expect(fs.remove).toHaveBeenCalledTimes(1);
-      expect(fs.remove).toHaveBeenCalledWith(output);
-      expect(fs.mkdir).toHaveBeenCalledTimes(1);
-      expect(fs.mkdir).toHaveBeenCalledWith(output);
+      expect(result).toEqual({
+        input: [path.resolve(config.input[0])],
+        output: path.resolve(config.output),
+        forceDirectory: null,
+        modules: [],
+        extension: {
+          use: 'js',
+          ignore: [],
+          sources: ['js'],
+          map: {},
+        },
+        files: {
+          include: [],
+          exclude: [],
+          copy: [],
+          ignoreFiles: [],
+        },
+        assets: {
+          include: [],
+          exclude: [],
+        },
+        transforms: {
+          before: [],
+          after: [],
+          disable: [],
+        },
+        hooks: {},
+        addModuleEntry: false,
+        addPackageJson: true,
+        filesWithShebang: [],
+        cache: false,
+        cacheDirectory: path.resolve('node_modules', '.cache', 'cjs2esm'),
+        sourceMaps: 'none',
+        nodeVersion: '14',
+        jsonImports: 'auto',
+        nestedRequires: 'createRequire',
+        continueOnError: false,
+        errorFallback: 'copy',
+        errorReport: null,
+        targets: [],
+      });
+      expect(utils.findFile).toHaveBeenCalledTimes(0);
+      expect(fs.pathExists).toHaveBeenCalledWith(path.join(cwd, configFile));
+      expect(fs.readJSON).toHaveBeenCalledTimes(1);
+      expect(fs.readJSON).toHaveBeenCalledWith(path.join(cwd, configFile));
     });
 
-    it("shouldn't try to remove the directory if it doesn't exist", async () => {
+    it('should resolve the paths of the custom transformations', async () => {
       // Given
-      const output = 'some/path/esm';
-      fs.pathExists.mockImplementationOnce(() => false);
+      utils.findFile.mockImplementationOnce(() => null);
+      const config = {
+        transforms: {
+          before: ['./codemods/lazy-require.js'],
+          after: ['jscodeshift'],
+          disable: ['exports'],
+        },
+      };
+      utils.requireModule.mockImplementationOnce(() => ({
+        cjs2esm: config,
+      }));
+      fs.pathExistsSync.mockImplementationOnce(() => true);
+      pipeline.getBuiltInTransformations.mockImplementationOnce(() => ['cjs', 'exports']);
+      let result = null;
       // When
-      await ensureOutput(output);
+      result = await getConfiguration();
       // Then
-      expect(fs.pathExists).toHaveBeenCalledTimes(1);
-      expect(fs.remove).toHaveBeenCalledTimes(0);
-      expect(fs.mkdir).toHaveBeenCalledTimes(1);
+      expect(result.transforms).toEqual({
+        before: [path.join(cwd, 'codemods', 'lazy-require.js')],
+        after: [require.resolve('jscodeshift')],
+        disable: ['exports'],
+      });
+      expect(fs.pathExistsSync).toHaveBeenCalledWith(
+        path.join(cwd, 'codemods', 'lazy-require.js'),
+      );
     });
-  });
 
-  describe('copyFiles', () => {
-    beforeEach(() => {
-      fs.readdir.mockClear();
-      fs.stat.mockClear();
-      fs.ensureDir.mockClear();
-      fs.copyFile.mockClear();
+    it("should throw an error if the custom transformations can't be found", () => {
+      // Given
+      utils.findFile.mockImplementationOnce(() => null);
+      const config = {
+        transforms: {
+          before: ['./codemods/missing.js'],
+          after: ['some-missing-transformation'],
+          disable: ['exports', 'imports'],
+        },
+      };
+      utils.requireModule.mockImplementationOnce(() => ({
+        cjs2esm: config,
+      }));
+      fs.pathExistsSync.mockImplementationOnce(() => false);
+      pipeline.getBuiltInTransformations.mockImplementationOnce(() => ['cjs', 'exports']);
+      expect.assertions(4);
+      // When
+      return getConfiguration().catch((error) => {
+        // Then
+        expect(error.message).toMatch(/^Invalid transformations on the configuration:/);
+        expect(error.errors).toEqual([
+          "`transforms.before`: the transformation `./codemods/missing.js` can't be " +
+            "found, the file doesn't exist: " +
+            `\`${path.join(cwd, 'codemods', 'missing.js')}\``,
+          "`transforms.after`: the transformation `some-missing-transformation` can't " +
+            "be found, it's not a file and there's no package with that name installed",
+          '`transforms.disable`: unknown built-in transformation `imports`. The ' +
+            'available ones are `cjs`, `exports`',
+        ]);
+        expect(fs.ensureDir).toHaveBeenCalledTimes(0);
+        expect(fs.remove).toHaveBeenCalledTimes(0);
+      });
     });
-    /**
-     * Utility function to test the lists of copied files. The reason for this function is
-     * that all files are copied in parallel, so we can't alaways expect the same order.
-     *
-     * @param {CJS2ESMCopiedFile[]} list  The list of copied files.
-     * @returns {CJS2ESMCopiedFile[]}
-     */
-    const sortResults = (list) => {
-      const newList = list.slice();
-      newList.sort((a, b) => {
-        const fromA = a.from;
-        const fromB = b.from;
-        let result;
-        if (fromA > fromB) {
-          result = 1;
-        } else if (fromB > fromA) {
-          result = -1;
-        }
 
-        return result;
+    it("should throw an error if a specific configuration file doesn't exist", () => {
+      // Given
+      fs.pathExists.mockImplementationOnce(() => false);
+      expect.assertions(3);
+      // When
+      return getConfiguration({}, 'missing.json').catch((error) => {
+        // Then
+        expect(error.message).toMatch(/the configuration file doesn't exist/i);
+        expect(error.errors).toEqual([error.message]);
+        expect(utils.findFile).toHaveBeenCalledTimes(0);
       });
+    });
 
-      return newList;
-    };
-
-    it('should copy the contents of a directory', async () => {
+    it('should generate the options of each target', async () => {
       // Given
-      const src = path.join(cwd, 'src');
-      const input = [src];
-      const output = path.join(cwd, 'esm');
-      const useExtension = 'js';
-      const forceDirectory = false;
-      const filesRoot = [
-        '.',
-        '..',
-        'node_modules',
-        'index.js',
-        'utils',
-        'README.md',
-        '.eslintrc',
-      ];
-      const filesUtils = ['index.js', 'utils.js'];
-      fs.readdir.mockImplementationOnce(() => filesRoot);
-      fs.readdir.mockImplementationOnce(() => filesUtils);
-      /* eslint-disable jsdoc/require-jsdoc */
-      fs.stat.mockImplementationOnce(() => ({ isDirectory: () => false }));
-      fs.stat.mockImplementationOnce(() => ({ isDirectory: () => true }));
-      fs.stat.mockImplementationOnce(() => ({ isDirectory: () => false }));
-      fs.stat.mockImplementationOnce(() => ({ isDirectory: () => false }));
-      fs.stat.mockImplementationOnce(() => ({ isDirectory: () => false }));
-      fs.stat.mockImplementationOnce(() => ({ isDirectory: () => false }));
-      /* eslint-enable jsdoc/require-jsdoc */
+      utils.findFile.mockImplementationOnce(() => null);
+      const config = {
+        input: ['src'],
+        extension: { use: 'js', ignore: ['^lodash'] },
+        targets: [
+          { name: 'node', output: 'esm' },
+          {
+            name: 'browser',
+            output: 'browser',
+            extension: { use: 'mjs' },
+            modules: [{ name: 'wootils', path: 'wootils/browser' }],
+          },
+        ],
+      };
+      utils.requireModule.mockImplementationOnce(() => ({
+        cjs2esm: config,
+      }));
       let result = null;
-      const expectedResult = [
-        {
-          from: path.join(src, 'index.js'),
-          to: path.join(output, 'index.js'),
-        },
-        {
-          from: path.join(src, 'utils', 'index.js'),
-          to: path.join(output, 'utils', 'index.js'),
-        },
-        {
-          from: path.join(src, 'utils', 'utils.js'),
-          to: path.join(output, 'utils', 'utils.js'),
+      // When
+      result = await getConfiguration({ cache: true });
+      // Then
+      expect(result.targets).toEqual([
+        expect.objectContaining({
+          name: 'node',
+          input: [path.join(cwd, 'src')],
+          output: path.join(cwd, 'esm'),
+          extension: expect.objectContaining({ use: 'js', ignore: ['^lodash'] }),
+          modules: [],
+          cache: true,
+        }),
+        expect.objectContaining({
+          name: 'browser',
+          input: [path.join(cwd, 'src')],
+          output: path.join(cwd, 'browser'),
+          extension: expect.objectContaining({ use: 'mjs', ignore: ['^lodash'] }),
+          modules: config.targets[1].modules,
+          cache: true,
+        }),
+      ]);
+    });
+
+    it('should only keep the selected targets', async () => {
+      // Given
+      utils.findFile.mockImplementationOnce(() => null);
+      utils.requireModule.mockImplementationOnce(() => ({
+        cjs2esm: {
+          targets: [
+            { name: 'node', output: 'esm' },
+            { name: 'browser', output: 'browser' },
+          ],
         },
-      ];
+      }));
+      let result = null;
       // When
-      result = await copyFiles(input, output, useExtension, forceDirectory);
+      result = await getConfiguration({}, null, ['browser']);
       // Then
-      expect(sortResults(result)).toEqual(expectedResult);
-      expect(fs.readdir).toHaveBeenCalledTimes(2);
-      expect(fs.readdir).toHaveBeenNthCalledWith(1, src);
-      expect(fs.readdir).toHaveBeenNthCalledWith(2, path.join(src, 'utils'));
-      expect(fs.stat).toHaveBeenCalledTimes(
+      expect(result.targets.map((target) => target.name)).toEqual(['browser']);
+    });
+
+    it("should throw an error if a selected target doesn't exist", () => {
+      // Given
+      utils.findFile.mockImplementationOnce(() => null);
+      utils.requireModule.mockImplementationOnce(() => ({
+        cjs2esm: {
+          targets: [{ name: 'node', output: 'esm' }],
+        },
+      }));
+      expect.assertions(2);
+      // When
+      return getConfiguration({}, null, ['deno']).catch((error) => {
+        // Then
+        expect(error.message).toBe(
+          'Unknown target: `deno`, the available ones are `node`',
+        );
+        expect(error.errors).toEqual([error.message]);
+      });
+    });
+
+    it('should throw an error if two targets use the same output directory', () => {
+      // Given
+      utils.findFile.mockImplementationOnce(() => null);
+      utils.requireModule.mockImplementationOnce(() => ({
+        cjs2esm: {
+          output: 'esm',
+          targets: [{ name: 'node' }, { name: 'browser' }],
+        },
+      }));
+      expect.assertions(2);
+      // When
+      return getConfiguration().catch((error) => {
+        // Then
+        expect(error.message).toBe(
+          'The targets `node` and `browser` use the same output directory: ' +
+            `\`${path.join(cwd, 'esm')}\``,
+        );
+        expect(error.errors).toEqual([error.message]);
+      });
+    });
+
+    it('should throw an error if two targets have the same name', () => {
+      // Given
+      utils.findFile.mockImplementationOnce(() => null);
+      utils.requireModule.mockImplementationOnce(() => ({
+        cjs2esm: {
+          targets: [
+            { name: 'node', output: 'esm' },
+            { name: 'node', output: 'browser' },
+          ],
+        },
+      }));
+      expect.assertions(2);
+      // When
+      return getConfiguration().catch((error) => {
+        // Then
+        expect(error.message).toBe('There are multiple targets named `node`');
+        expect(error.errors).toEqual([error.message]);
+      });
+    });
+
+    it('should merge the configurations it extends', async () => {
+      // Given
+      utils.findFile.mockImplementationOnce(() => null);
+      utils.requireModule.mockImplementationOnce(() => ({
+        cjs2esm: {
+          extends: './configs/base.json',
+          input: ['lib'],
+          modules: [{ name: 'wootils', path: 'wootils/browser' }],
+          extension: { use: 'mjs' },
+          filesWithShebang: ['src/cli.js'],
+        },
+      }));
+      fs.pathExists.mockImplementation(() => Promise.resolve(true));
+      fs.readJSON.mockImplementationOnce(() => ({
+        extends: ['./common.json'],
+        input: ['src'],
+        modules: [
+          { name: 'wootils', path: 'wootils/esm' },
+          { name: 'lodash', path: 'lodash-es' },
+        ],
+        extension: { ignore: ['^lodash'], sources: ['js', 'ts'] },
+        filesWithShebang: ['src/bin.js', 'src/cli.js'],
+      }));
+      fs.readJSON.mockImplementationOnce(() => ({
+        output: 'dist',
+        extension: { use: 'js', sources: ['js'] },
+      }));
+      let result = null;
+      // When
+      result = await getConfiguration();
+      fs.pathExists.mockReset();
+      // Then
+      expect(result).toEqual(
+        expect.objectContaining({
+          input: [path.join(cwd, 'lib')],
+          output: path.join(cwd, 'dist'),
+          modules: [
+            { name: 'wootils', path: 'wootils/browser' },
+            { name: 'lodash', path: 'lodash-es' },
+          ],
+          extension: {
+            use: 'mjs',
+            ignore: ['^lodash'],
+            sources: ['js', 'ts'],
+            map: {},
+          },
+          filesWithShebang: ['src/bin.js', 'src/cli.js'],
+        }),
+      );
+      expect(result.extends).toBeUndefined();
+      expect(fs.readJSON).toHaveBeenCalledTimes(2);
+      expect(fs.readJSON).toHaveBeenNthCalledWith(
+        1,
+        path.join(cwd, 'configs', 'base.json'),
+      );
+      expect(fs.readJSON).toHaveBeenNthCalledWith(
+        2,
+        path.join(cwd, 'configs', 'common.json'),
+      );
+    });
+
+    it("should throw an error if an extended configuration doesn't exist", () => {
+      // Given
+      const configFile = '/some/path/.cjs2esm.json';
+      utils.findFile.mockImplementationOnce(() => configFile);
+      fs.readJSON.mockImplementationOnce(() => ({ extends: './base.json' }));
+      fs.pathExists.mockImplementationOnce(() => Promise.resolve(false));
+      expect.assertions(2);
+      // When
+      return getConfiguration().catch((error) => {
+        // Then
+        expect(error.message).toBe(
+          `The configuration \`./base.json\`, extended on \`${configFile}\`, can't be found`,
+        );
+        expect(error.errors).toEqual([error.message]);
+      });
+    });
+
+    it('should throw an error if the configurations extend each other', () => {
+      // Given
+      const configFile = '/some/path/.cjs2esm.json';
+      const baseFile = '/some/path/base.json';
+      utils.findFile.mockImplementationOnce(() => configFile);
+      fs.readJSON.mockImplementationOnce(() => ({ extends: './base.json' }));
+      fs.readJSON.mockImplementationOnce(() => ({ extends: './.cjs2esm.json' }));
+      fs.pathExists.mockImplementationOnce(() => Promise.resolve(true));
+      fs.pathExists.mockImplementationOnce(() => Promise.resolve(true));
+      expect.assertions(1);
+      // When
+      return getConfiguration().catch((error) => {
+        // Then
+        expect(error.message).toBe(
+          'The configurations have a circular `extends`: ' +
+            `\`${configFile}\` -> \`${baseFile}\` -> \`${configFile}\``,
+        );
+      });
+    });
+
+    it('should normalize the obvious variations of the configuration', async () => {
+      // Given
+      utils.findFile.mockImplementationOnce(() => null);
+      const config = {
+        input: 'source',
+        modules: { name: 'wootils', path: 'wootils/esm' },
+        extension: {
+          use: '.mjs',
+          sources: ['.js', '.ts'],
+        },
+      };
+      utils.requireModule.mockImplementationOnce(() => ({
+        cjs2esm: config,
+      }));
+      let result = null;
+      // When
+      result = await getConfiguration();
+      // Then
+      expect(result.input).toEqual([path.join(cwd, 'source')]);
+      expect(result.modules).toEqual([{ name: 'wootils', path: 'wootils/esm' }]);
+      expect(result.extension).toEqual({
+        use: 'mjs',
+        ignore: [],
+        sources: ['js', 'ts'],
+        map: {},
+      });
+    });
+
+    it('should throw an error with the file and the path of an invalid value', () => {
+      // Given
+      const configFile = '/some/path/.cjs2esm.js';
+      utils.findFile.mockImplementationOnce(() => configFile);
+      utils.importModule.mockImplementationOnce(() => ({
+        extention: { use: 'mjs' },
+        modules: [{ name: 'wootils', path: 3 }],
+      }));
+      expect.assertions(1);
+      // When
+      return getConfiguration().catch((error) => {
+        // Then
+        expect(error.message).toBe(
+          [
+            `Invalid configuration on \`${configFile}\`:`,
+            '- `extention` is not a valid option, did you mean `extension`?',
+            "- `modules[0].path` should be a string, but it's a number",
+          ].join('\n'),
+        );
+      });
+    });
+  });
+
+  describe('ensureOutput', () => {
+    beforeEach(() => {
+      fs.pathExists.mockClear();
+      fs.remove.mockClear();
+      fs.mkdir.mockClear();
+      utils.log.mockClear();
+    });
+
+    it('should remove the directory if it exists and create it again', async () => {
+      // Given
+      const output = 'some/path/esm';
+      fs.pathExists.mockImplementationOnce(() => true);
+      // When
+      await ensureOutput(output);
+      // Then
+      expect(fs.pathExists).toHaveBeenCalledTimes(1);
+      expect(fs.pathExists).toHaveBeenCalledWith(output);
+      expect(fs.remove).toHaveBeenCalledTimes(1);
+      expect(fs.remove).toHaveBeenCalledWith(output);
+      expect(fs.mkdir).toHaveBeenCalledTimes(1);
+      expect(fs.mkdir).toHaveBeenCalledWith(output);
+    });
+
+    it("shouldn't try to remove the directory if it doesn't exist", async () => {
+      // Given
+      const output = 'some/path/esm';
+      fs.pathExists.mockImplementationOnce(() => false);
+      // When
+      await ensureOutput(output);
+      // Then
+      expect(fs.pathExists).toHaveBeenCalledTimes(1);
+      expect(fs.remove).toHaveBeenCalledTimes(0);
+      expect(fs.mkdir).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('copyFiles', () => {
+    beforeEach(() => {
+      fs.readdir.mockClear();
+      fs.stat.mockClear();
+      fs.ensureDir.mockClear();
+      fs.copyFile.mockClear();
+      fs.pathExistsSync.mockClear();
+      fs.readFileSync.mockClear();
+    });
+    /**
+     * Utility function to test the lists of copied files. The reason for this function is
+     * that all files are copied in parallel, so we can't alaways expect the same order.
+     *
+     * @param {CJS2ESMCopiedFile[]} list  The list of copied files.
+     * @returns {CJS2ESMCopiedFile[]}
+     */
+    const sortResults = (list) => {
+      const newList = list.slice();
+      newList.sort((a, b) => {
+        const fromA = a.from;
+        const fromB = b.from;
+        let result;
+        if (fromA > fromB) {
+          result = 1;
+        } else if (fromB > fromA) {
+          result = -1;
+        }
+
+        return result;
+      });
+
+      return newList;
+    };
+
+    it('should copy the contents of a directory', async () => {
+      // Given
+      const src = path.join(cwd, 'src');
+      const input = [src];
+      const output = path.join(cwd, 'esm');
+      const extension = { use: 'js', sources: ['js'] };
+      const forceDirectory = false;
+      const filesRoot = [
+        '.',
+        '..',
+        'node_modules',
+        'index.js',
+        'utils',
+        'README.md',
+        '.eslintrc',
+      ];
+      const filesUtils = ['index.js', 'utils.js'];
+      fs.readdir.mockImplementationOnce(() => filesRoot);
+      fs.readdir.mockImplementationOnce(() => filesUtils);
+      /* eslint-disable jsdoc/require-jsdoc */
+      fs.stat.mockImplementationOnce(() => ({ isDirectory: () => false }));
+      fs.stat.mockImplementationOnce(() => ({ isDirectory: () => true }));
+      fs.stat.mockImplementationOnce(() => ({ isDirectory: () => false }));
+      fs.stat.mockImplementationOnce(() => ({ isDirectory: () => false }));
+      fs.stat.mockImplementationOnce(() => ({ isDirectory: () => false }));
+      fs.stat.mockImplementationOnce(() => ({ isDirectory: () => false }));
+      /* eslint-enable jsdoc/require-jsdoc */
+      let result = null;
+      const expectedResult = [
+        {
+          from: path.join(src, 'index.js'),
+          to: path.join(output, 'index.js'),
+        },
+        {
+          from: path.join(src, 'utils', 'index.js'),
+          to: path.join(output, 'utils', 'index.js'),
+        },
+        {
+          from: path.join(src, 'utils', 'utils.js'),
+          to: path.join(output, 'utils', 'utils.js'),
+        },
+      ];
+      // When
+      result = await copyFiles(input, output, extension, forceDirectory);
+      // Then
+      expect(sortResults(result)).toEqual(expectedResult);
+      expect(fs.readdir).toHaveBeenCalledTimes(2);
+      expect(fs.readdir).toHaveBeenNthCalledWith(1, src);
+      expect(fs.readdir).toHaveBeenNthCalledWith(2, path.join(src, 'utils'));
+      expect(fs.stat).toHaveBeenCalledTimes(
         filesRoot.length + filesUtils.length - 3, // . .. node_modules
       );
       expect(fs.ensureDir).toHaveBeenCalledTimes(3);
@@ -321,12 +1057,35 @@ describe('index', () => {
       });
     });
 
+    it('should accept just the extension the files should use', async () => {
+      // Given
+      const src = path.join(cwd, 'src');
+      const output = path.join(cwd, 'esm');
+      fs.readdir.mockImplementationOnce(() => ['index.js', 'config.cjs']);
+      /* eslint-disable jsdoc/require-jsdoc */
+      fs.stat.mockImplementationOnce(() => ({ isDirectory: () => false }));
+      fs.stat.mockImplementationOnce(() => ({ isDirectory: () => false }));
+      /* eslint-enable jsdoc/require-jsdoc */
+      let result = null;
+      // When
+      result = await copyFiles([src], output, 'mjs', false);
+      // Then
+      expect(result).toEqual([
+        {
+          from: path.join(src, 'index.js'),
+          to: path.join(output, 'index.mjs'),
+        },
+      ]);
+      expect(fs.copyFile).toHaveBeenCalledTimes(1);
+      expect(fs.copyFile).toHaveBeenCalledWith(result[0].from, result[0].to);
+    });
+
     it('should copy the contents of a directory to a sub directory', async () => {
       // Given
       const src = path.join(cwd, 'src');
       const input = [src];
       const output = path.join(cwd, 'esm');
-      const useExtension = 'js';
+      const extension = { use: 'js', sources: ['js'] };
       const forceDirectory = true;
       const filesRoot = ['index.js', 'utils', 'README.md', '.eslintrc'];
       const filesUtils = ['index.js', 'utils.js'];
@@ -356,7 +1115,7 @@ describe('index', () => {
         },
       ];
       // When
-      result = await copyFiles(input, output, useExtension, forceDirectory);
+      result = await copyFiles(input, output, extension, forceDirectory);
       // Then
       expect(sortResults(result)).toEqual(expectedResult);
       expect(fs.readdir).toHaveBeenCalledTimes(2);
@@ -379,7 +1138,7 @@ describe('index', () => {
       const config = path.join(cwd, 'config');
       const input = [src, config];
       const output = path.join(cwd, 'esm');
-      const useExtension = 'js';
+      const extension = { use: 'js', sources: ['js'] };
       const forceDirectory = false;
       const filesRoot = ['index.js', 'utils', 'README.md', '.eslintrc'];
       const filesUtils = ['index.js', 'utils.js'];
@@ -416,228 +1175,1382 @@ describe('index', () => {
         },
       ];
       // When
-      result = await copyFiles(input, output, useExtension, forceDirectory);
+      result = await copyFiles(input, output, extension, forceDirectory);
+      // Then
+      expect(sortResults(result)).toEqual(expectedResult);
+      expect(fs.readdir).toHaveBeenCalledTimes(3);
+      expect(fs.readdir).toHaveBeenNthCalledWith(1, src);
+      expect(fs.readdir).toHaveBeenNthCalledWith(2, config);
+      expect(fs.readdir).toHaveBeenNthCalledWith(3, path.join(src, 'utils'));
+      expect(fs.stat).toHaveBeenCalledTimes(
+        filesRoot.length + filesUtils.length + filesConfig.length, // .eslintrc
+      );
+      expect(fs.ensureDir).toHaveBeenCalledTimes(4);
+      expect(fs.ensureDir).toHaveBeenNthCalledWith(1, path.join(output, 'config'));
+      expect(fs.ensureDir).toHaveBeenNthCalledWith(2, path.join(output, 'src'));
+      expect(fs.ensureDir).toHaveBeenNthCalledWith(3, path.join(output, 'src', 'utils'));
+      expect(fs.ensureDir).toHaveBeenNthCalledWith(4, path.join(output, 'src', 'utils'));
+      expect(fs.copyFile).toHaveBeenCalledTimes(expectedResult.length);
+      expectedResult.forEach((item, index) => {
+        expect(fs.copyFile).toHaveBeenNthCalledWith(index + 1, item.from, item.to);
+      });
+    });
+
+    it('should copy a directory and change the extensions to .mjs', async () => {
+      // Given
+      const src = path.join(cwd, 'src');
+      const input = [src];
+      const output = path.join(cwd, 'esm');
+      const extension = { use: 'mjs', sources: ['js'] };
+      const forceDirectory = false;
+      const filesRoot = ['index.js', 'utils', 'README.md', '.eslintrc'];
+      const filesUtils = ['index.js', 'utils.js'];
+      fs.readdir.mockImplementationOnce(() => filesRoot);
+      fs.readdir.mockImplementationOnce(() => filesUtils);
+      /* eslint-disable jsdoc/require-jsdoc */
+      fs.stat.mockImplementationOnce(() => ({ isDirectory: () => false }));
+      fs.stat.mockImplementationOnce(() => ({ isDirectory: () => true }));
+      fs.stat.mockImplementationOnce(() => ({ isDirectory: () => false }));
+      fs.stat.mockImplementationOnce(() => ({ isDirectory: () => false }));
+      fs.stat.mockImplementationOnce(() => ({ isDirectory: () => false }));
+      fs.stat.mockImplementationOnce(() => ({ isDirectory: () => false }));
+      /* eslint-enable jsdoc/require-jsdoc */
+      let result = null;
+      const expectedResult = [
+        {
+          from: path.join(src, 'index.js'),
+          to: path.join(output, 'index.mjs'),
+        },
+        {
+          from: path.join(src, 'utils', 'index.js'),
+          to: path.join(output, 'utils', 'index.mjs'),
+        },
+        {
+          from: path.join(src, 'utils', 'utils.js'),
+          to: path.join(output, 'utils', 'utils.mjs'),
+        },
+      ];
+      // When
+      result = await copyFiles(input, output, extension, forceDirectory);
+      // Then
+      expect(sortResults(result)).toEqual(expectedResult);
+      expect(fs.readdir).toHaveBeenCalledTimes(2);
+      expect(fs.readdir).toHaveBeenNthCalledWith(1, src);
+      expect(fs.readdir).toHaveBeenNthCalledWith(2, path.join(src, 'utils'));
+      expect(fs.stat).toHaveBeenCalledTimes(filesRoot.length + filesUtils.length);
+      expect(fs.ensureDir).toHaveBeenCalledTimes(3);
+      expect(fs.ensureDir).toHaveBeenNthCalledWith(1, output);
+      expect(fs.ensureDir).toHaveBeenNthCalledWith(2, path.join(output, 'utils'));
+      expect(fs.ensureDir).toHaveBeenNthCalledWith(3, path.join(output, 'utils'));
+      expect(fs.copyFile).toHaveBeenCalledTimes(expectedResult.length);
+      expectedResult.forEach((item, index) => {
+        expect(fs.copyFile).toHaveBeenNthCalledWith(index + 1, item.from, item.to);
+      });
+    });
+
+    it('should copy the files with multiple source extensions', async () => {
+      // Given
+      const src = path.join(cwd, 'src');
+      const input = [src];
+      const output = path.join(cwd, 'esm');
+      const extension = {
+        use: 'js',
+        sources: ['js', 'cjs', 'ts', 'cts'],
+        map: { cjs: 'mjs' },
+      };
+      const forceDirectory = false;
+      const files = ['index.js', 'config.cjs', 'types.ts', 'legacy.cts', 'README.md'];
+      fs.readdir.mockImplementationOnce(() => files);
+      /* eslint-disable jsdoc/require-jsdoc */
+      files.forEach(() => {
+        fs.stat.mockImplementationOnce(() => ({ isDirectory: () => false }));
+      });
+      /* eslint-enable jsdoc/require-jsdoc */
+      let result = null;
+      const expectedResult = [
+        {
+          from: path.join(src, 'config.cjs'),
+          to: path.join(output, 'config.mjs'),
+        },
+        {
+          from: path.join(src, 'index.js'),
+          to: path.join(output, 'index.js'),
+        },
+        {
+          from: path.join(src, 'legacy.cts'),
+          to: path.join(output, 'legacy.mts'),
+        },
+        {
+          from: path.join(src, 'types.ts'),
+          to: path.join(output, 'types.ts'),
+        },
+      ];
+      // When
+      result = await copyFiles(input, output, extension, forceDirectory);
+      // Then
+      expect(sortResults(result)).toEqual(expectedResult);
+      expect(fs.copyFile).toHaveBeenCalledTimes(expectedResult.length);
+    });
+
+    it('should filter the files with glob patterns and ignore files', async () => {
+      // Given
+      const src = path.join(cwd, 'src');
+      const input = [src];
+      const output = path.join(cwd, 'esm');
+      const extension = { use: 'js', sources: ['js'] };
+      const forceDirectory = false;
+      const files = {
+        include: ['**/*.js'],
+        exclude: ['**/__tests__/**', '**/*.spec.js'],
+        copy: ['scripts/**'],
+        ignoreFiles: ['.gitignore', '.npmignore'],
+      };
+      const filesRoot = [
+        'index.js',
+        'index.spec.js',
+        '__tests__',
+        'scripts',
+        'generated',
+      ];
+      const filesTests = ['index.js'];
+      const filesScripts = ['build.js'];
+      const filesGenerated = ['types.js'];
+      fs.readdir.mockImplementationOnce(() => filesRoot);
+      fs.readdir.mockImplementationOnce(() => filesTests);
+      fs.readdir.mockImplementationOnce(() => filesScripts);
+      fs.readdir.mockImplementationOnce(() => filesGenerated);
+      /* eslint-disable jsdoc/require-jsdoc */
+      fs.stat.mockImplementationOnce(() => ({ isDirectory: () => false }));
+      fs.stat.mockImplementationOnce(() => ({ isDirectory: () => false }));
+      fs.stat.mockImplementationOnce(() => ({ isDirectory: () => true }));
+      fs.stat.mockImplementationOnce(() => ({ isDirectory: () => true }));
+      fs.stat.mockImplementationOnce(() => ({ isDirectory: () => true }));
+      fs.stat.mockImplementationOnce(() => ({ isDirectory: () => false }));
+      fs.stat.mockImplementationOnce(() => ({ isDirectory: () => false }));
+      fs.stat.mockImplementationOnce(() => ({ isDirectory: () => false }));
+      /* eslint-enable jsdoc/require-jsdoc */
+      fs.pathExistsSync.mockImplementationOnce(() => true);
+      fs.pathExistsSync.mockImplementationOnce(() => false);
+      fs.readFileSync.mockImplementationOnce(() => 'src/generated/\n');
+      let result = null;
+      const expectedResult = [
+        {
+          from: path.join(src, 'index.js'),
+          to: path.join(output, 'index.js'),
+        },
+        {
+          from: path.join(src, 'scripts', 'build.js'),
+          to: path.join(output, 'scripts', 'build.js'),
+          copyOnly: true,
+        },
+      ];
+      // When
+      result = await copyFiles(input, output, extension, forceDirectory, files);
+      // Then
+      expect(sortResults(result)).toEqual(expectedResult);
+      expect(fs.pathExistsSync).toHaveBeenCalledTimes(files.ignoreFiles.length);
+      expect(fs.pathExistsSync).toHaveBeenNthCalledWith(1, path.join(cwd, '.gitignore'));
+      expect(fs.pathExistsSync).toHaveBeenNthCalledWith(2, path.join(cwd, '.npmignore'));
+      expect(fs.readFileSync).toHaveBeenCalledTimes(1);
+      expect(fs.readFileSync).toHaveBeenCalledWith(path.join(cwd, '.gitignore'), 'utf-8');
+      expect(fs.copyFile).toHaveBeenCalledTimes(expectedResult.length);
+    });
+  });
+
+  describe('transformFile', () => {
+    beforeEach(() => {
+      pipeline.transformCode.mockReset();
+      pipeline.transformCodeWithMap.mockReset();
+      sourcemap.shiftSourceMap.mockReset();
+      sourcemap.normalizeSourceMap.mockReset();
+      sourcemap.getSourceMapComment.mockReset();
+    });
+
+    it('should transform the code of a file with a custom resolver', () => {
+      // Given
+      const file = {
+        from: path.join(cwd, 'src', 'index.js'),
+        to: path.join(cwd, 'esm', 'index.js'),
+      };
+      const options = {
+        output: path.join(cwd, 'esm'),
+        filesWithShebang: [],
+      };
+      const pathExists = jest.fn();
+      pipeline.transformCode.mockImplementationOnce(() => 'transformed;');
+      let result = null;
+      // When
+      result = transformFile('code;', file, options, pathExists);
+      // Then
+      expect(result).toEqual({ code: 'transformed;', map: null, warnings: [] });
+      expect(pipeline.transformCode).toHaveBeenCalledTimes(1);
+      expect(pipeline.transformCode).toHaveBeenCalledWith('code;', file.to, {
+        parser: 'babel',
+        cjs2esm: options,
+        report: expect.any(Function),
+        pathExists,
+      });
+    });
+
+    it('should use the TypeScript parser for a TypeScript file', () => {
+      // Given
+      const file = {
+        from: path.join(cwd, 'src', 'index.ts'),
+        to: path.join(cwd, 'esm', 'index.ts'),
+      };
+      const options = {
+        output: path.join(cwd, 'esm'),
+        filesWithShebang: [],
+      };
+      pipeline.transformCode.mockImplementationOnce(() => 'transformed;');
+      // When
+      transformFile('code;', file, options);
+      // Then
+      expect(pipeline.transformCode).toHaveBeenCalledTimes(1);
+      expect(pipeline.transformCode).toHaveBeenCalledWith('code;', file.to, {
+        parser: 'ts',
+        cjs2esm: options,
+        report: expect.any(Function),
+      });
+    });
+
+    it('should add a source map to the code of a file with a shebang', () => {
+      // Given
+      const file = {
+        from: path.join(cwd, 'src', 'bin.js'),
+        to: path.join(cwd, 'esm', 'bin.js'),
+      };
+      const options = {
+        output: path.join(cwd, 'esm'),
+        filesWithShebang: ['bin'],
+        sourceMaps: 'file',
+      };
+      const shebang = '#!/usr/bin/env node';
+      const rest = 'code;\n';
+      const contents = `${shebang}\n\n${rest}`;
+      const map = { mappings: 'AAAA' };
+      const shiftedMap = { mappings: ';;AAEA' };
+      const normalizedMap = { mappings: ';;AAEA', sources: ['../src/bin.js'] };
+      const comment = '//# sourceMappingURL=bin.js.map';
+      pipeline.transformCodeWithMap.mockImplementationOnce(() => ({
+        code: 'transformed;\n',
+        map,
+      }));
+      sourcemap.shiftSourceMap.mockImplementationOnce(() => shiftedMap);
+      sourcemap.normalizeSourceMap.mockImplementationOnce(() => normalizedMap);
+      sourcemap.getSourceMapComment.mockImplementationOnce(() => comment);
+      let result = null;
+      // When
+      result = transformFile(contents, file, options);
+      // Then
+      expect(result).toEqual({
+        code: `${shebang}\n\ntransformed;\n${comment}\n`,
+        map: normalizedMap,
+        warnings: [],
+      });
+      expect(pipeline.transformCode).toHaveBeenCalledTimes(0);
+      expect(pipeline.transformCodeWithMap).toHaveBeenCalledTimes(1);
+      expect(pipeline.transformCodeWithMap).toHaveBeenCalledWith(
+        rest,
+        file.to,
+        {
+          parser: 'babel',
+          cjs2esm: options,
+          report: expect.any(Function),
+        },
+        file.from,
+      );
+      expect(sourcemap.shiftSourceMap).toHaveBeenCalledTimes(1);
+      expect(sourcemap.shiftSourceMap).toHaveBeenCalledWith(map, 2, 2);
+      expect(sourcemap.normalizeSourceMap).toHaveBeenCalledTimes(1);
+      expect(sourcemap.normalizeSourceMap).toHaveBeenCalledWith(
+        shiftedMap,
+        file,
+        contents,
+      );
+      expect(sourcemap.getSourceMapComment).toHaveBeenCalledTimes(1);
+      expect(sourcemap.getSourceMapComment).toHaveBeenCalledWith(
+        normalizedMap,
+        file.to,
+        'file',
+      );
+    });
+
+    it('should fix the location of a parser error on a file with a shebang', () => {
+      // Given
+      const file = {
+        from: path.join(cwd, 'src', 'bin.js'),
+        to: path.join(cwd, 'esm', 'bin.js'),
+      };
+      const options = {
+        filesWithShebang: ['bin'],
+      };
+      const contents = '#!/usr/bin/env node\n\nconst a = ;\n';
+      const error = new Error('Unexpected token (1:10)');
+      error.loc = { line: 1, column: 10 };
+      error.source = 'const a = ;\n';
+      pipeline.transformCode.mockImplementationOnce(() => {
+        throw error;
+      });
+      let result = null;
+      // When
+      try {
+        transformFile(contents, file, options);
+      } catch (thrown) {
+        result = thrown;
+      }
+      // Then
+      expect(result).toBe(error);
+      expect(result.loc).toEqual({ line: 3, column: 10 });
+      expect(result.source).toBe(contents);
+    });
+
+    it("shouldn't return the source map if it's inline", () => {
+      // Given
+      const file = {
+        from: path.join(cwd, 'src', 'index.js'),
+        to: path.join(cwd, 'esm', 'index.js'),
+      };
+      const options = {
+        filesWithShebang: [],
+        sourceMaps: 'inline',
+      };
+      const comment = '//# sourceMappingURL=data:application/json;base64,e30=';
+      pipeline.transformCodeWithMap.mockImplementationOnce(() => ({
+        code: 'transformed;',
+        map: {},
+      }));
+      sourcemap.normalizeSourceMap.mockImplementationOnce(() => ({}));
+      sourcemap.getSourceMapComment.mockImplementationOnce(() => comment);
+      let result = null;
+      // When
+      result = transformFile('code;', file, options);
+      // Then
+      expect(result).toEqual({
+        code: `transformed;\n${comment}\n`,
+        map: null,
+        warnings: [],
+      });
+      expect(sourcemap.shiftSourceMap).toHaveBeenCalledTimes(0);
+    });
+  });
+
+  describe('transformSource', () => {
+    beforeEach(() => {
+      pipeline.transformCode.mockReset();
+      fs.readFile.mockReset();
+      fs.writeFile.mockReset();
+    });
+
+    it('should transform a piece of code using the default options', () => {
+      // Given
+      const code = "const a = require('./a');";
+      const transformed = "import a from './a.js';";
+      pipeline.transformCode.mockImplementationOnce(() => transformed);
+      let result = null;
+      // When
+      result = transformSource(code, 'src/index.js');
+      // Then
+      expect(result).toBe(transformed);
+      expect(pipeline.transformCode).toHaveBeenCalledTimes(1);
+      expect(pipeline.transformCode).toHaveBeenCalledWith(
+        code,
+        path.join(cwd, 'src', 'index.js'),
+        {
+          parser: 'babel',
+          cjs2esm: expect.objectContaining({
+            input: [path.join(cwd, 'src')],
+            output: path.join(cwd, 'esm'),
+            extension: {
+              use: 'js',
+              ignore: [],
+              sources: ['js'],
+              map: {},
+            },
+          }),
+          report: expect.any(Function),
+        },
+      );
+      expect(fs.readFile).toHaveBeenCalledTimes(0);
+      expect(fs.writeFile).toHaveBeenCalledTimes(0);
+    });
+
+    it('should transform a piece of code with custom options and resolver', () => {
+      // Given
+      const code = "const a = require('./a');";
+      const filepath = path.join(cwd, 'virtual', 'index.js');
+      const pathExists = jest.fn();
+      pipeline.transformCode.mockImplementationOnce(() => 'transformed;');
+      // When
+      transformSource(code, filepath, {
+        extension: { use: 'mjs' },
+        pathExists,
+      });
+      // Then
+      expect(pipeline.transformCode).toHaveBeenCalledTimes(1);
+      expect(pipeline.transformCode).toHaveBeenCalledWith(code, filepath, {
+        parser: 'babel',
+        cjs2esm: expect.objectContaining({
+          extension: {
+            use: 'mjs',
+            ignore: [],
+            sources: ['js'],
+            map: {},
+          },
+        }),
+        report: expect.any(Function),
+        pathExists,
+      });
+      expect(pipeline.transformCode.mock.calls[0][2].cjs2esm).not.toHaveProperty(
+        'pathExists',
+      );
+    });
+  });
+
+  describe('getFallbackPath', () => {
+    it('should use the .cjs extension for JS files and .cts for TypeScript', () => {
+      // Given
+      const files = [
+        path.join(cwd, 'esm', 'index.mjs'),
+        path.join(cwd, 'esm', 'utils.js'),
+        path.join(cwd, 'esm', 'types.ts'),
+      ];
+      let result = null;
+      // When
+      result = files.map((filepath) => getFallbackPath(filepath));
+      // Then
+      expect(result).toEqual([
+        path.join(cwd, 'esm', 'index.cjs'),
+        path.join(cwd, 'esm', 'utils.cjs'),
+        path.join(cwd, 'esm', 'types.cts'),
+      ]);
+    });
+  });
+
+  describe('transformOutput', () => {
+    beforeEach(() => {
+      pipeline.transformCode.mockReset();
+      pipeline.transformCodeWithMap.mockReset();
+      sourcemap.normalizeSourceMap.mockReset();
+      sourcemap.getSourceMapComment.mockReset();
+      cache.getCacheKey.mockReset();
+      cache.readCache.mockReset();
+      cache.writeCache.mockReset();
+      fs.readFile.mockReset();
+      fs.writeFile.mockReset();
+      fs.move.mockReset();
+    });
+
+    it('should transform a list of files', async () => {
+      // Given
+      const files = [
+        {
+          from: 'src/index.js',
+          to: 'index.js',
+        },
+        {
+          from: 'src/utils.js',
+          to: 'utils.js',
+        },
+      ];
+      const options = {
+        output: path.join(cwd, 'esm'),
+        filesWithShebang: [],
+      };
+      const contents = ['index code;', 'utils code;'];
+      const transformed = ['transformed index;', 'transformed utils;'];
+      contents.forEach((code) => {
+        fs.readFile.mockImplementationOnce(() => code);
+      });
+      transformed.forEach((code) => {
+        pipeline.transformCode.mockImplementationOnce(() => code);
+      });
+      // When
+      await transformOutput(files, options);
+      // Then
+      expect(fs.readFile).toHaveBeenCalledTimes(files.length);
+      expect(pipeline.transformCode).toHaveBeenCalledTimes(files.length);
+      expect(fs.writeFile).toHaveBeenCalledTimes(files.length);
+      files.forEach((file, index) => {
+        expect(fs.readFile).toHaveBeenNthCalledWith(index + 1, file.to, 'utf-8');
+        expect(pipeline.transformCode).toHaveBeenNthCalledWith(
+          index + 1,
+          contents[index],
+          file.to,
+          {
+            parser: 'babel',
+            cjs2esm: options,
+            report: expect.any(Function),
+          },
+        );
+        expect(fs.writeFile).toHaveBeenNthCalledWith(
+          index + 1,
+          file.to,
+          transformed[index],
+        );
+      });
+    });
+
+    it('should call the afterTransformFile hook before writing a file', async () => {
+      // Given
+      const file = { from: 'src/index.js', to: 'index.js' };
+      const afterTransformFile = jest.fn((_, code) => `/* license */\n${code}`);
+      const options = {
+        output: path.join(cwd, 'esm'),
+        filesWithShebang: [],
+        hooks: { afterTransformFile },
+      };
+      fs.readFile.mockImplementationOnce(() => 'index code;');
+      pipeline.transformCode.mockImplementationOnce(() => 'transformed index;');
+      // When
+      await transformOutput([file], options);
+      // Then
+      expect(afterTransformFile).toHaveBeenCalledTimes(1);
+      expect(afterTransformFile).toHaveBeenCalledWith(
+        file,
+        'transformed index;',
+        options,
+      );
+      expect(fs.writeFile).toHaveBeenCalledTimes(1);
+      expect(fs.writeFile).toHaveBeenCalledWith(
+        file.to,
+        '/* license */\ntransformed index;',
+      );
+    });
+
+    it('should remove and restore the shebang of a file', async () => {
+      // Given
+      const files = [
+        {
+          from: 'index.js',
+          to: 'index.js',
+        },
+        {
+          from: 'utils.js',
+          to: 'utils.js',
+        },
+      ];
+      const options = {
+        output: path.join(cwd, 'esm'),
+        filesWithShebang: ['index', 'utils'],
+      };
+      const indexShebang = '#!/usr/bin/env node';
+      const indexRest = 'something else;';
+      const indexContent = `${indexShebang}\n\n${indexRest}`;
+      const utilsContent = 'some other file;';
+      fs.readFile.mockImplementationOnce(() => indexContent);
+      fs.readFile.mockImplementationOnce(() => utilsContent);
+      pipeline.transformCode.mockImplementation((code) => code);
+      // When
+      await transformOutput(files, options);
+      // Then
+      expect(fs.readFile).toHaveBeenCalledTimes(2);
+      expect(pipeline.transformCode).toHaveBeenCalledTimes(2);
+      expect(pipeline.transformCode).toHaveBeenNthCalledWith(
+        1,
+        indexRest,
+        files[0].to,
+        expect.any(Object),
+      );
+      expect(pipeline.transformCode).toHaveBeenNthCalledWith(
+        2,
+        utilsContent,
+        files[1].to,
+        expect.any(Object),
+      );
+      expect(fs.writeFile).toHaveBeenCalledTimes(2);
+      expect(fs.writeFile).toHaveBeenNthCalledWith(1, files[0].to, indexContent);
+      expect(fs.writeFile).toHaveBeenNthCalledWith(2, files[1].to, utilsContent);
+    });
+
+    it('should use the cache for the files that were already transformed', async () => {
+      // Given
+      const files = [
+        {
+          from: 'src/index.js',
+          to: 'index.js',
+        },
+        {
+          from: 'src/utils.js',
+          to: 'utils.js',
+        },
+      ];
+      const options = {
+        output: path.join(cwd, 'esm'),
+        filesWithShebang: [],
+        cache: true,
+        cacheDirectory: path.join(cwd, 'node_modules', '.cache', 'cjs2esm'),
+      };
+      const contents = ['index code;', 'utils code;'];
+      const keys = ['index-key', 'utils-key'];
+      const cachedCode = 'cached index;';
+      const transformedCode = 'transformed utils;';
+      contents.forEach((code) => {
+        fs.readFile.mockImplementationOnce(() => code);
+      });
+      keys.forEach((key) => {
+        cache.getCacheKey.mockImplementationOnce(() => key);
+      });
+      cache.readCache.mockImplementationOnce(() => Promise.resolve(cachedCode));
+      cache.readCache.mockImplementationOnce(() => Promise.resolve(null));
+      pipeline.transformCode.mockImplementationOnce(() => transformedCode);
+      // When
+      await transformOutput(files, options);
+      // Then
+      expect(cache.getCacheKey).toHaveBeenCalledTimes(2);
+      expect(cache.getCacheKey).toHaveBeenNthCalledWith(
+        1,
+        contents[0],
+        files[0].to,
+        options,
+      );
+      expect(cache.getCacheKey).toHaveBeenNthCalledWith(
+        2,
+        contents[1],
+        files[1].to,
+        options,
+      );
+      expect(cache.readCache).toHaveBeenCalledTimes(3);
+      expect(cache.readCache).toHaveBeenNthCalledWith(1, options.cacheDirectory, keys[0]);
+      expect(cache.readCache).toHaveBeenNthCalledWith(2, options.cacheDirectory, keys[1]);
+      expect(cache.readCache).toHaveBeenNthCalledWith(
+        3,
+        options.cacheDirectory,
+        keys[0],
+        'warnings.json',
+      );
+      expect(pipeline.transformCode).toHaveBeenCalledTimes(1);
+      expect(pipeline.transformCode).toHaveBeenCalledWith(
+        contents[1],
+        files[1].to,
+        expect.any(Object),
+      );
+      expect(cache.writeCache).toHaveBeenCalledTimes(1);
+      expect(cache.writeCache).toHaveBeenCalledWith(
+        options.cacheDirectory,
+        keys[1],
+        transformedCode,
+      );
+      expect(fs.writeFile).toHaveBeenCalledTimes(2);
+      expect(fs.writeFile).toHaveBeenNthCalledWith(1, files[0].to, cachedCode);
+      expect(fs.writeFile).toHaveBeenNthCalledWith(2, files[1].to, transformedCode);
+    });
+
+    it('should save and restore the source maps from the cache', async () => {
+      // Given
+      const files = [
+        {
+          from: 'src/index.js',
+          to: 'index.js',
+        },
+        {
+          from: 'src/utils.js',
+          to: 'utils.js',
+        },
+      ];
+      const options = {
+        output: path.join(cwd, 'esm'),
+        filesWithShebang: [],
+        cache: true,
+        cacheDirectory: path.join(cwd, 'node_modules', '.cache', 'cjs2esm'),
+        sourceMaps: 'file',
+      };
+      const cachedMap = { file: 'index.js' };
+      const transformedMap = { file: 'utils.js' };
+      const comment = '//# sourceMappingURL=utils.js.map';
+      fs.readFile.mockImplementation(() => 'code;');
+      cache.getCacheKey.mockImplementationOnce(() => 'index-key');
+      cache.getCacheKey.mockImplementationOnce(() => 'utils-key');
+      cache.readCache.mockImplementationOnce(() => Promise.resolve('cached index;'));
+      cache.readCache.mockImplementationOnce(() => Promise.resolve(null));
+      cache.readCache.mockImplementationOnce(() =>
+        Promise.resolve(JSON.stringify(cachedMap)),
+      );
+      pipeline.transformCodeWithMap.mockImplementationOnce(() => ({
+        code: 'transformed utils;',
+        map: {},
+      }));
+      sourcemap.normalizeSourceMap.mockImplementationOnce(() => transformedMap);
+      sourcemap.getSourceMapComment.mockImplementationOnce(() => comment);
+      // When
+      await transformOutput(files, options);
+      // Then
+      expect(cache.readCache).toHaveBeenCalledTimes(4);
+      expect(cache.readCache).toHaveBeenCalledWith(
+        options.cacheDirectory,
+        'index-key',
+        'js.map',
+      );
+      expect(cache.writeCache).toHaveBeenCalledTimes(2);
+      expect(cache.writeCache).toHaveBeenNthCalledWith(
+        1,
+        options.cacheDirectory,
+        'utils-key',
+        `transformed utils;\n${comment}\n`,
+      );
+      expect(cache.writeCache).toHaveBeenNthCalledWith(
+        2,
+        options.cacheDirectory,
+        'utils-key',
+        JSON.stringify(transformedMap),
+        'js.map',
+      );
+      expect(fs.writeFile).toHaveBeenCalledTimes(4);
+      expect(fs.writeFile).toHaveBeenCalledWith('index.js', 'cached index;');
+      expect(fs.writeFile).toHaveBeenCalledWith(
+        'index.js.map',
+        JSON.stringify(cachedMap),
+      );
+      expect(fs.writeFile).toHaveBeenCalledWith(
+        'utils.js',
+        `transformed utils;\n${comment}\n`,
+      );
+      expect(fs.writeFile).toHaveBeenCalledWith(
+        'utils.js.map',
+        JSON.stringify(transformedMap),
+      );
+    });
+
+    it('should fail to transform a list of files', () => {
+      // Given
+      const files = [
+        {
+          from: 'src/index.js',
+          to: 'index.mjs',
+        },
+        {
+          from: 'src/utils.js',
+          to: 'utils.mjs',
+        },
+      ];
+      const options = {
+        output: path.join(cwd, 'esm'),
+        filesWithShebang: [],
+      };
+      const error = new Error('Unexpected token');
+      error.transformation = 'cjs';
+      const fileError = {
+        from: files[1].from,
+        to: files[1].to,
+        transformation: 'cjs',
+        message: 'Unexpected token',
+        line: 1,
+        column: 5,
+        frame: '> 1 | some code;',
+      };
+      const message = 'src/utils.js:1:5 (`cjs`): Unexpected token';
+      fs.readFile.mockImplementation(() => 'some code;');
+      pipeline.transformCode.mockImplementationOnce(() => 'transformed;');
+      pipeline.transformCode.mockImplementationOnce(() => {
+        throw error;
+      });
+      errors.getFileError.mockImplementationOnce(() => fileError);
+      errors.formatFileError.mockImplementationOnce(() => message);
+      utils.log.mockClear();
+      expect.assertions(8);
+      // When
+      return transformOutput(files, options).catch((result) => {
+        // Then
+        expect(result.message).toMatch(/1 of 2 files couldn't be transformed/i);
+        expect(result.files).toEqual([fileError]);
+        expect(errors.getFileError).toHaveBeenCalledTimes(1);
+        expect(errors.getFileError).toHaveBeenCalledWith(error, files[1]);
+        expect(errors.formatFileError).toHaveBeenCalledWith(fileError);
+        expect(utils.log).toHaveBeenCalledWith('red', message);
+        expect(pipeline.transformCode).toHaveBeenCalledTimes(2);
+        expect(fs.writeFile).toHaveBeenCalledTimes(1);
+      });
+    });
+
+    it('should return and cache the warnings of the transformations', async () => {
+      // Given
+      const files = [
+        {
+          from: 'src/index.js',
+          to: 'index.js',
+        },
+        {
+          from: 'src/utils.js',
+          to: 'utils.js',
+        },
+      ];
+      const options = {
+        output: path.join(cwd, 'esm'),
+        filesWithShebang: [],
+        cache: true,
+        cacheDirectory: path.join(cwd, 'node_modules', '.cache', 'cjs2esm'),
+      };
+      const warning = "`require.cache` can't be safely converted";
+      const cachedWarning = "`require.main` can't be safely converted";
+      fs.readFile.mockImplementation(() => 'code;');
+      cache.getCacheKey.mockImplementationOnce(() => 'index-key');
+      cache.getCacheKey.mockImplementationOnce(() => 'utils-key');
+      cache.readCache.mockImplementationOnce(() => Promise.resolve(null));
+      cache.readCache.mockImplementationOnce(() => Promise.resolve('cached utils;'));
+      cache.readCache.mockImplementationOnce(() =>
+        Promise.resolve(JSON.stringify([cachedWarning])),
+      );
+      pipeline.transformCode.mockImplementationOnce(
+        (code, filepath, transformOptions) => {
+          transformOptions.report(warning);
+          return 'transformed index;';
+        },
+      );
+      let result = null;
+      // When
+      result = await transformOutput(files, options);
+      // Then
+      expect(result).toEqual([
+        {
+          ...files[0],
+          status: 'transformed',
+          warnings: [warning],
+        },
+        {
+          ...files[1],
+          status: 'cached',
+          warnings: [cachedWarning],
+        },
+      ]);
+      expect(cache.readCache).toHaveBeenCalledWith(
+        options.cacheDirectory,
+        'utils-key',
+        'warnings.json',
+      );
+      expect(cache.writeCache).toHaveBeenCalledTimes(2);
+      expect(cache.writeCache).toHaveBeenNthCalledWith(
+        2,
+        options.cacheDirectory,
+        'index-key',
+        JSON.stringify([warning]),
+        'warnings.json',
+      );
+      expect(utils.log).toHaveBeenCalledWith('yellow', `  ${warning}`);
+      expect(utils.log).toHaveBeenCalledWith('yellow', `  ${cachedWarning}`);
+    });
+
+    it('should keep the copy of the files that fail with continueOnError', async () => {
+      // Given
+      const files = [
+        {
+          from: 'src/index.js',
+          to: 'index.js',
+        },
+        {
+          from: 'src/utils.js',
+          to: 'utils.js',
+        },
+      ];
+      const options = {
+        output: path.join(cwd, 'esm'),
+        filesWithShebang: [],
+        continueOnError: true,
+        errorFallback: 'copy',
+      };
+      const fileError = {
+        from: files[1].from,
+        to: files[1].to,
+        transformation: 'cjs',
+        message: 'Unexpected token',
+        line: 1,
+        column: 5,
+        frame: '> 1 | some code;',
+      };
+      fs.readFile.mockImplementation(() => 'some code;');
+      pipeline.transformCode.mockImplementationOnce(() => 'transformed;');
+      pipeline.transformCode.mockImplementationOnce(() => {
+        throw new Error('Unexpected token');
+      });
+      errors.getFileError.mockImplementationOnce(() => fileError);
+      let result = null;
+      // When
+      result = await transformOutput(files, options);
+      // Then
+      expect(result).toEqual([
+        {
+          ...files[0],
+          status: 'transformed',
+          warnings: [],
+        },
+        {
+          ...files[1],
+          status: 'failed',
+          error: fileError,
+        },
+      ]);
+      expect(fs.writeFile).toHaveBeenCalledTimes(1);
+      expect(fs.writeFile).toHaveBeenCalledWith(files[0].to, 'transformed;');
+      expect(fs.move).toHaveBeenCalledTimes(0);
+    });
+
+    it('should rename the files that fail with continueOnError to .cjs', async () => {
+      // Given
+      const files = [
+        {
+          from: 'src/utils.js',
+          to: 'utils.mjs',
+        },
+      ];
+      const options = {
+        output: path.join(cwd, 'esm'),
+        filesWithShebang: [],
+        continueOnError: true,
+        errorFallback: 'cjs',
+      };
+      const fileError = {
+        from: files[0].from,
+        to: files[0].to,
+        transformation: 'cjs',
+        message: 'Unexpected token',
+        line: null,
+        column: null,
+        frame: null,
+      };
+      fs.readFile.mockImplementation(() => 'some code;');
+      pipeline.transformCode.mockImplementationOnce(() => {
+        throw new Error('Unexpected token');
+      });
+      errors.getFileError.mockImplementationOnce(() => fileError);
+      let result = null;
+      // When
+      result = await transformOutput(files, options);
+      // Then
+      expect(result).toEqual([
+        {
+          ...files[0],
+          to: 'utils.cjs',
+          status: 'failed',
+          error: {
+            ...fileError,
+            to: 'utils.cjs',
+          },
+        },
+      ]);
+      expect(fs.writeFile).toHaveBeenCalledTimes(0);
+      expect(fs.move).toHaveBeenCalledTimes(1);
+      expect(fs.move).toHaveBeenCalledWith('utils.mjs', 'utils.cjs', { overwrite: true });
+    });
+
+    it('should update the imports of the files that were renamed to .cjs', async () => {
+      // Given
+      const files = [
+        {
+          from: 'src/index.js',
+          to: 'index.mjs',
+        },
+        {
+          from: 'src/utils.js',
+          to: 'utils.mjs',
+        },
+        {
+          from: 'src/constants.js',
+          to: 'constants.mjs',
+        },
+      ];
+      const options = {
+        output: path.join(cwd, 'esm'),
+        filesWithShebang: [],
+        continueOnError: true,
+        errorFallback: 'cjs',
+      };
+      const fileError = {
+        from: files[1].from,
+        to: files[1].to,
+        transformation: 'cjs',
+        message: 'Unexpected token',
+        line: null,
+        column: null,
+        frame: null,
+      };
+      const transformed = ["import utils from './utils.mjs';", 'export const a = 1;'];
+      const updated = "import utils from './utils.cjs';";
+      fs.readFile.mockImplementation((file) => {
+        if (file === files[0].to) {
+          return fs.writeFile.mock.calls.length ? transformed[0] : 'index code;';
+        }
+
+        return file === files[2].to && fs.writeFile.mock.calls.length
+          ? transformed[1]
+          : 'some code;';
+      });
+      pipeline.transformCode.mockImplementationOnce(() => transformed[0]);
+      pipeline.transformCode.mockImplementationOnce(() => {
+        throw new Error('Unexpected token');
+      });
+      pipeline.transformCode.mockImplementationOnce(() => transformed[1]);
+      pipeline.updateImportPaths.mockImplementationOnce(() => updated);
+      errors.getFileError.mockImplementationOnce(() => fileError);
+      let result = null;
+      // When
+      result = await transformOutput(files, options);
+      // Then
+      expect(result.map((file) => [file.to, file.status])).toEqual([
+        ['index.mjs', 'transformed'],
+        ['utils.cjs', 'failed'],
+        ['constants.mjs', 'transformed'],
+      ]);
+      expect(pipeline.updateImportPaths).toHaveBeenCalledTimes(1);
+      expect(pipeline.updateImportPaths).toHaveBeenCalledWith(
+        transformed[0],
+        files[0].to,
+        { 'utils.mjs': 'utils.cjs' },
+        'babel',
+      );
+      expect(fs.writeFile).toHaveBeenCalledTimes(3);
+      expect(fs.writeFile).toHaveBeenNthCalledWith(3, files[0].to, updated);
+      expect(utils.log).toHaveBeenCalledWith(
+        'yellow',
+        'The imports of 1 files were updated to the new paths',
+      );
+    });
+  });
+
+  describe('copyAssets', () => {
+    beforeEach(() => {
+      fs.readdir.mockClear();
+      fs.stat.mockClear();
+      fs.ensureDir.mockClear();
+      fs.copyFile.mockClear();
+    });
+
+    it('should copy the assets of a directory', async () => {
+      // Given
+      const src = path.join(cwd, 'src');
+      const output = path.join(cwd, 'esm');
+      const assets = {
+        include: ['**/*.json', 'templates/**'],
+        exclude: ['**/fixtures/**'],
+      };
+      const filesRoot = [
+        'node_modules',
+        'index.js',
+        'data.json',
+        'templates',
+        'README.md',
+      ];
+      const filesTemplates = ['page.html', 'fixtures', 'render.js'];
+      const filesFixtures = ['sample.json'];
+      fs.readdir.mockImplementationOnce(() => filesRoot);
+      fs.readdir.mockImplementationOnce(() => filesTemplates);
+      fs.readdir.mockImplementationOnce(() => filesFixtures);
+      /* eslint-disable jsdoc/require-jsdoc */
+      fs.stat.mockImplementationOnce(() => ({ isDirectory: () => false }));
+      fs.stat.mockImplementationOnce(() => ({ isDirectory: () => false }));
+      fs.stat.mockImplementationOnce(() => ({ isDirectory: () => true }));
+      fs.stat.mockImplementationOnce(() => ({ isDirectory: () => false }));
+      fs.stat.mockImplementationOnce(() => ({ isDirectory: () => false }));
+      fs.stat.mockImplementationOnce(() => ({ isDirectory: () => true }));
+      fs.stat.mockImplementationOnce(() => ({ isDirectory: () => false }));
+      fs.stat.mockImplementationOnce(() => ({ isDirectory: () => false }));
+      /* eslint-enable jsdoc/require-jsdoc */
+      let result = null;
+      // When
+      result = await copyAssets([src], output, assets, false);
+      // Then
+      expect(result).toEqual([
+        {
+          from: path.join(src, 'data.json'),
+          to: path.join(output, 'data.json'),
+        },
+        {
+          from: path.join(src, 'templates', 'page.html'),
+          to: path.join(output, 'templates', 'page.html'),
+        },
+      ]);
+      expect(fs.readdir).toHaveBeenCalledTimes(3);
+      expect(fs.copyFile).toHaveBeenCalledTimes(2);
+      result.forEach((item, index) => {
+        expect(fs.copyFile).toHaveBeenNthCalledWith(index + 1, item.from, item.to);
+      });
+    });
+
+    it("shouldn't look for assets if there are no include patterns", async () => {
+      // Given
+      const src = path.join(cwd, 'src');
+      const output = path.join(cwd, 'esm');
+      let result = null;
+      // When
+      result = await copyAssets([src], output, { include: [], exclude: [] }, false);
+      // Then
+      expect(result).toEqual([]);
+      expect(fs.readdir).toHaveBeenCalledTimes(0);
+      expect(fs.copyFile).toHaveBeenCalledTimes(0);
+    });
+  });
+
+  describe('getAssetPath', () => {
+    it('should generate the output path for an asset', () => {
+      // Given
+      const src = path.join(cwd, 'src');
+      const output = path.join(cwd, 'esm');
+      const assets = {
+        include: ['**/*.json', '**/*.d.ts'],
+        exclude: ['**/*.test.json'],
+      };
+      // When
+      const contents = getAssetPath(path.join(src, 'data.json'), [src], output, assets);
+      const forced = getAssetPath(
+        path.join(src, 'types', 'index.d.ts'),
+        [src],
+        output,
+        assets,
+        true,
+      );
+      const excluded = getAssetPath(
+        path.join(src, 'data.test.json'),
+        [src],
+        output,
+        assets,
+      );
+      const notAsset = getAssetPath(path.join(src, 'README.md'), [src], output, assets);
+      const outside = getAssetPath(path.join(cwd, 'data.json'), [src], output, assets);
+      // Then
+      expect(contents).toBe(path.join(output, 'data.json'));
+      expect(forced).toBe(path.join(output, 'src', 'types', 'index.d.ts'));
+      expect(excluded).toBeNull();
+      expect(notAsset).toBeNull();
+      expect(outside).toBeNull();
+    });
+
+    it("shouldn't treat the files with the source extensions as assets", () => {
+      // Given
+      const src = path.join(cwd, 'src');
+      const output = path.join(cwd, 'esm');
+      const assets = { include: ['**/*'], exclude: [] };
+      const extension = { use: 'js', sources: ['js', 'cjs', 'ts'] };
+      const files = ['index.js', 'config.cjs', 'utils.ts', 'styles.CSS'].map((file) =>
+        path.join(src, file),
+      );
+      let result = null;
+      let withoutExtension = null;
+      // When
+      result = files.map((file) =>
+        getAssetPath(file, [src], output, assets, false, extension),
+      );
+      withoutExtension = files.map((file) => getAssetPath(file, [src], output, assets));
+      // Then
+      expect(result).toEqual([null, null, null, path.join(output, 'styles.CSS')]);
+      expect(withoutExtension).toEqual([
+        null,
+        path.join(output, 'config.cjs'),
+        path.join(output, 'utils.ts'),
+        path.join(output, 'styles.CSS'),
+      ]);
+    });
+  });
+
+  describe('copyAsset', () => {
+    beforeEach(() => {
+      fs.ensureDir.mockClear();
+      fs.copyFile.mockClear();
+    });
+
+    it('should copy a single asset', async () => {
+      // Given
+      const src = path.join(cwd, 'src');
+      const output = path.join(cwd, 'esm');
+      const assets = { include: ['**/*.css'], exclude: [] };
+      const filepath = path.join(src, 'styles', 'main.css');
+      let result = null;
+      // When
+      result = await copyAsset(filepath, [src], output, assets);
       // Then
-      expect(sortResults(result)).toEqual(expectedResult);
-      expect(fs.readdir).toHaveBeenCalledTimes(3);
-      expect(fs.readdir).toHaveBeenNthCalledWith(1, src);
-      expect(fs.readdir).toHaveBeenNthCalledWith(2, config);
-      expect(fs.readdir).toHaveBeenNthCalledWith(3, path.join(src, 'utils'));
-      expect(fs.stat).toHaveBeenCalledTimes(
-        filesRoot.length + filesUtils.length + filesConfig.length, // .eslintrc
-      );
-      expect(fs.ensureDir).toHaveBeenCalledTimes(4);
-      expect(fs.ensureDir).toHaveBeenNthCalledWith(1, path.join(output, 'config'));
-      expect(fs.ensureDir).toHaveBeenNthCalledWith(2, path.join(output, 'src'));
-      expect(fs.ensureDir).toHaveBeenNthCalledWith(3, path.join(output, 'src', 'utils'));
-      expect(fs.ensureDir).toHaveBeenNthCalledWith(4, path.join(output, 'src', 'utils'));
-      expect(fs.copyFile).toHaveBeenCalledTimes(expectedResult.length);
-      expectedResult.forEach((item, index) => {
-        expect(fs.copyFile).toHaveBeenNthCalledWith(index + 1, item.from, item.to);
+      expect(result).toEqual({
+        from: filepath,
+        to: path.join(output, 'styles', 'main.css'),
       });
+      expect(fs.ensureDir).toHaveBeenCalledWith(path.join(output, 'styles'));
+      expect(fs.copyFile).toHaveBeenCalledWith(filepath, result.to);
     });
 
-    it('should copy a directory and change the extensions to .mjs', async () => {
+    it("shouldn't copy a file that is not an asset", async () => {
       // Given
       const src = path.join(cwd, 'src');
-      const input = [src];
       const output = path.join(cwd, 'esm');
-      const useExtension = 'mjs';
-      const forceDirectory = false;
-      const filesRoot = ['index.js', 'utils', 'README.md', '.eslintrc'];
-      const filesUtils = ['index.js', 'utils.js'];
-      fs.readdir.mockImplementationOnce(() => filesRoot);
-      fs.readdir.mockImplementationOnce(() => filesUtils);
-      /* eslint-disable jsdoc/require-jsdoc */
-      fs.stat.mockImplementationOnce(() => ({ isDirectory: () => false }));
-      fs.stat.mockImplementationOnce(() => ({ isDirectory: () => true }));
-      fs.stat.mockImplementationOnce(() => ({ isDirectory: () => false }));
-      fs.stat.mockImplementationOnce(() => ({ isDirectory: () => false }));
-      fs.stat.mockImplementationOnce(() => ({ isDirectory: () => false }));
-      fs.stat.mockImplementationOnce(() => ({ isDirectory: () => false }));
-      /* eslint-enable jsdoc/require-jsdoc */
+      const assets = { include: ['**/*.css'], exclude: [] };
       let result = null;
-      const expectedResult = [
-        {
-          from: path.join(src, 'index.js'),
-          to: path.join(output, 'index.mjs'),
-        },
-        {
-          from: path.join(src, 'utils', 'index.js'),
-          to: path.join(output, 'utils', 'index.mjs'),
-        },
-        {
-          from: path.join(src, 'utils', 'utils.js'),
-          to: path.join(output, 'utils', 'utils.mjs'),
-        },
-      ];
       // When
-      result = await copyFiles(input, output, useExtension, forceDirectory);
+      result = await copyAsset(path.join(src, 'index.js'), [src], output, assets);
       // Then
-      expect(sortResults(result)).toEqual(expectedResult);
-      expect(fs.readdir).toHaveBeenCalledTimes(2);
-      expect(fs.readdir).toHaveBeenNthCalledWith(1, src);
-      expect(fs.readdir).toHaveBeenNthCalledWith(2, path.join(src, 'utils'));
-      expect(fs.stat).toHaveBeenCalledTimes(filesRoot.length + filesUtils.length);
-      expect(fs.ensureDir).toHaveBeenCalledTimes(3);
-      expect(fs.ensureDir).toHaveBeenNthCalledWith(1, output);
-      expect(fs.ensureDir).toHaveBeenNthCalledWith(2, path.join(output, 'utils'));
-      expect(fs.ensureDir).toHaveBeenNthCalledWith(3, path.join(output, 'utils'));
-      expect(fs.copyFile).toHaveBeenCalledTimes(expectedResult.length);
-      expectedResult.forEach((item, index) => {
-        expect(fs.copyFile).toHaveBeenNthCalledWith(index + 1, item.from, item.to);
-      });
+      expect(result).toBeNull();
+      expect(fs.copyFile).toHaveBeenCalledTimes(0);
     });
   });
 
-  describe('transformOutput', () => {
+  describe('addJSONModules', () => {
     beforeEach(() => {
-      Runner.run.mockClear();
-      fs.readFile.mockReset();
+      fs.readJSON.mockReset();
       fs.writeFile.mockReset();
     });
 
-    it('should transform a list of files', async () => {
+    it('should generate modules for the JSON files', async () => {
       // Given
+      const output = path.join(cwd, 'esm');
       const files = [
         {
-          to: 'index.js',
+          from: path.join(cwd, 'src', 'data.json'),
+          to: path.join(output, 'data.json'),
         },
         {
-          to: 'utils.js',
+          from: path.join(cwd, 'src', 'styles.css'),
+          to: path.join(output, 'styles.css'),
         },
       ];
-      const options = {
-        output: path.join(cwd, 'esm'),
-        filesWithShebang: [],
-      };
-      const stats = {
-        timeElapsed: 25.09,
-        ok: files.length,
-        nochange: 0,
-      };
-      Runner.run.mockImplementationOnce(() => Promise.resolve(stats));
-      Runner.run.mockImplementationOnce(() => Promise.resolve(stats));
-      Runner.run.mockImplementationOnce(() => Promise.resolve(stats));
-      Runner.run.mockImplementationOnce(() => Promise.resolve(stats));
+      fs.readJSON.mockImplementationOnce(() => Promise.resolve({ name: 'data' }));
+      let result = null;
       // When
-      await transformOutput(files, options);
+      result = await addJSONModules(files, 'mjs');
       // Then
-      expect(Runner.run).toHaveBeenCalledTimes(4);
-      expect(Runner.run).toHaveBeenCalledWith(expect.any(String), [options.output], {
-        verbose: 0,
-        dry: false,
-        print: false,
-        babel: true,
-        extension: 'js',
-        ignorePattern: [],
-        ignoreConfig: [],
-        runInBand: false,
-        silent: true,
-        parser: 'babel',
-        cjs2esm: options,
+      expect(result).toEqual([path.join(output, 'data.json.mjs')]);
+      expect(fs.readJSON).toHaveBeenCalledTimes(1);
+      expect(fs.readJSON).toHaveBeenCalledWith(files[0].to);
+      expect(fs.writeFile).toHaveBeenCalledTimes(1);
+      expect(fs.writeFile).toHaveBeenCalledWith(
+        path.join(output, 'data.json.mjs'),
+        'export default {\n  "name": "data"\n};\n',
+      );
+    });
+  });
+
+  describe('getCopyPath', () => {
+    it('should generate the output path for a file', () => {
+      // Given
+      const src = path.join(cwd, 'src');
+      const output = path.join(cwd, 'esm');
+      // When
+      const contents = getCopyPath(path.join(src, 'utils', 'index.js'), [src], output, {
+        use: 'js',
       });
+      const forced = getCopyPath(
+        path.join(src, 'utils', 'index.js'),
+        [src],
+        output,
+        { use: 'mjs' },
+        true,
+      );
+      const multiple = getCopyPath(
+        path.join(src, 'index.js'),
+        [path.join(cwd, 'lib'), src],
+        output,
+        { use: 'js' },
+      );
+      // Then
+      expect(contents).toBe(path.join(output, 'utils', 'index.js'));
+      expect(forced).toBe(path.join(output, 'src', 'utils', 'index.mjs'));
+      expect(multiple).toBe(path.join(output, 'src', 'index.js'));
     });
 
-    it('should remove and restore the shebang of a file', async () => {
+    it('should generate the output path for a TypeScript file', () => {
       // Given
-      const files = [
-        {
-          from: 'index.js',
-          to: 'index.js',
-        },
-        {
-          from: 'utils.js',
-          to: 'utils.js',
-        },
-      ];
-      const options = {
-        output: path.join(cwd, 'esm'),
-        filesWithShebang: ['index', 'utils'],
+      const src = path.join(cwd, 'src');
+      const output = path.join(cwd, 'esm');
+      const extension = { use: 'mjs', sources: ['ts', 'cts'] };
+      // When
+      const ts = getCopyPath(path.join(src, 'index.ts'), [src], output, extension);
+      const cts = getCopyPath(path.join(src, 'utils.cts'), [src], output, extension);
+      // Then
+      expect(ts).toBe(path.join(output, 'index.mts'));
+      expect(cts).toBe(path.join(output, 'utils.mts'));
+    });
+
+    it('should return null if the file is excluded', () => {
+      // Given
+      const src = path.join(cwd, 'src');
+      const files = {
+        include: [],
+        exclude: ['**/*.spec.js'],
+        copy: [],
+        ignoreFiles: [],
       };
-      const stats = {
-        timeElapsed: 25.09,
-        ok: files.length,
-        nochange: 0,
+      // When
+      const result = getCopyPath(
+        path.join(src, 'index.spec.js'),
+        [src],
+        path.join(cwd, 'esm'),
+        { use: 'js' },
+        null,
+        files,
+      );
+      // Then
+      expect(result).toBeNull();
+    });
+
+    it('should return null if the file is not on the input directories', () => {
+      // Given/When
+      const result = getCopyPath(
+        path.join(cwd, 'lib', 'index.js'),
+        [path.join(cwd, 'src')],
+        path.join(cwd, 'esm'),
+        { use: 'js' },
+      );
+      // Then
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('copyFile', () => {
+    beforeEach(() => {
+      fs.ensureDir.mockClear();
+      fs.copyFile.mockClear();
+    });
+
+    it('should copy a single file', async () => {
+      // Given
+      const src = path.join(cwd, 'src');
+      const output = path.join(cwd, 'esm');
+      const filepath = path.join(src, 'utils', 'index.js');
+      const expectedResult = {
+        from: filepath,
+        to: path.join(output, 'utils', 'index.js'),
       };
-      const indexShebang = '#!/usr/bin/env node';
-      const indexRest = 'something else;';
-      const indexContent = `${indexShebang}\n\n${indexRest}`;
-      fs.readFile.mockImplementationOnce(() => indexContent);
-      fs.readFile.mockImplementationOnce(() => 'some other file;');
-      fs.readFile.mockImplementationOnce(() => indexRest);
-      Runner.run.mockImplementationOnce(() => Promise.resolve(stats));
-      Runner.run.mockImplementationOnce(() => Promise.resolve(stats));
-      Runner.run.mockImplementationOnce(() => Promise.resolve(stats));
-      Runner.run.mockImplementationOnce(() => Promise.resolve(stats));
+      let result = null;
       // When
-      await transformOutput(files, options);
+      result = await copyFile(filepath, [src], output, { use: 'js' }, null);
       // Then
-      expect(fs.readFile).toHaveBeenCalledTimes(3);
-      expect(fs.readFile).toHaveBeenNthCalledWith(1, files[0].to, 'utf-8');
-      expect(fs.readFile).toHaveBeenNthCalledWith(2, files[1].to, 'utf-8');
-      expect(fs.readFile).toHaveBeenNthCalledWith(3, files[0].to, 'utf-8');
-      expect(fs.writeFile).toHaveBeenCalledTimes(2);
-      expect(fs.writeFile).toHaveBeenNthCalledWith(1, files[0].to, indexRest);
-      expect(fs.writeFile).toHaveBeenNthCalledWith(2, files[0].to, indexContent);
-      expect(Runner.run).toHaveBeenCalledTimes(4);
-      expect(Runner.run).toHaveBeenCalledWith(expect.any(String), [options.output], {
-        verbose: 0,
-        dry: false,
-        print: false,
-        babel: true,
-        extension: 'js',
-        ignorePattern: [],
-        ignoreConfig: [],
-        runInBand: false,
-        silent: true,
-        parser: 'babel',
-        cjs2esm: options,
-      });
+      expect(result).toEqual(expectedResult);
+      expect(fs.ensureDir).toHaveBeenCalledTimes(1);
+      expect(fs.ensureDir).toHaveBeenCalledWith(path.join(output, 'utils'));
+      expect(fs.copyFile).toHaveBeenCalledTimes(1);
+      expect(fs.copyFile).toHaveBeenCalledWith(expectedResult.from, expectedResult.to);
     });
 
-    it('should fail to transform a list of files', () => {
+    it('should flag a file that only needs to be copied', async () => {
       // Given
-      const files = [
-        {
-          to: 'index.mjs',
-        },
-        {
-          to: 'utils.mjs',
-        },
-      ];
-      const options = {
-        output: path.join(cwd, 'esm'),
-        filesWithShebang: [],
+      const src = path.join(cwd, 'src');
+      const output = path.join(cwd, 'esm');
+      const filepath = path.join(src, 'scripts', 'build.js');
+      const files = {
+        include: [],
+        exclude: [],
+        copy: ['scripts/**'],
+        ignoreFiles: [],
       };
-      const stats = {
-        timeElapsed: 25.09,
-        ok: 0,
-        nochange: 0,
+      const expectedResult = {
+        from: filepath,
+        to: path.join(output, 'scripts', 'build.js'),
+        copyOnly: true,
       };
-      Runner.run.mockImplementationOnce(() => Promise.resolve(stats));
-      Runner.run.mockImplementationOnce(() => Promise.resolve(stats));
-      Runner.run.mockImplementationOnce(() => Promise.resolve(stats));
-      Runner.run.mockImplementationOnce(() => Promise.resolve(stats));
-      expect.assertions(3);
+      let result = null;
       // When
-      return transformOutput(files, options).catch((error) => {
-        expect(error.message).toMatch(/at least one file couldn't be transformed/i);
-        expect(Runner.run).toHaveBeenCalledTimes(4);
-        expect(Runner.run).toHaveBeenCalledWith(expect.any(String), [options.output], {
-          verbose: 0,
-          dry: false,
-          print: false,
-          babel: true,
-          extension: 'mjs',
-          ignorePattern: [],
-          ignoreConfig: [],
-          runInBand: false,
-          silent: true,
-          parser: 'babel',
-          cjs2esm: options,
-        });
-      });
+      result = await copyFile(filepath, [src], output, { use: 'mjs' }, null, files);
+      // Then
+      expect(result).toEqual(expectedResult);
+      expect(fs.copyFile).toHaveBeenCalledTimes(1);
+      expect(fs.copyFile).toHaveBeenCalledWith(expectedResult.from, expectedResult.to);
+    });
+
+    it("shouldn't copy a file that is not on the input directories", async () => {
+      // Given/When
+      const result = await copyFile(
+        path.join(cwd, 'lib', 'index.js'),
+        [path.join(cwd, 'src')],
+        path.join(cwd, 'esm'),
+        { use: 'js' },
+        null,
+      );
+      // Then
+      expect(result).toBeNull();
+      expect(fs.copyFile).toHaveBeenCalledTimes(0);
     });
   });
 
@@ -765,13 +2678,15 @@ describe('index', () => {
       // Given
       const pkgJson = {};
       const files = [];
+      const warnings = [];
       utils.requireModule.mockImplementationOnce(() => pkgJson);
       let result = null;
       // When
-      result = await updatePackageJSON(files);
+      result = await updatePackageJSON(files, warnings);
       // Then
       expect(result).toBe(null);
       expect(utils.getAbsPathInfo).toHaveBeenCalledTimes(0);
+      expect(warnings).toEqual([expect.stringMatching(/there's no main property/i)]);
     });
 
     it("should throw an error if the main file doesn't exist", () => {
@@ -808,9 +2723,11 @@ describe('index', () => {
     it('should create a package.json with the type property set to module', async () => {
       // Given
       const output = path.join(cwd, 'esm');
+      let result = null;
       // When
-      await addPackageJSON(output);
+      result = await addPackageJSON(output);
       // Then
+      expect(result).toBe(path.join(output, 'package.json'));
       expect(fs.writeJSON).toHaveBeenCalledTimes(1);
       expect(fs.writeJSON).toHaveBeenCalledWith(
         path.join(output, 'package.json'),
@@ -821,6 +2738,308 @@ describe('index', () => {
     });
   });
 
+  describe('run', () => {
+    beforeEach(() => {
+      utils.findFile.mockReset();
+      utils.requireModule.mockReset();
+      pipeline.transformCode.mockReset();
+      fs.pathExists.mockReset();
+      fs.remove.mockReset();
+      fs.mkdir.mockReset();
+      fs.readdir.mockReset();
+      fs.stat.mockReset();
+      fs.ensureDir.mockReset();
+      fs.copyFile.mockReset();
+      fs.readFile.mockReset();
+      fs.writeFile.mockReset();
+      fs.writeJSON.mockReset();
+      report.writeReport.mockReset();
+    });
+
+    it('should run the whole process with a set of options', async () => {
+      // Given
+      const options = {
+        input: ['lib'],
+        output: 'dist',
+        addModuleEntry: true,
+      };
+      const input = path.join(cwd, 'lib');
+      const output = path.join(cwd, 'dist');
+      fs.pathExists.mockImplementationOnce(() => Promise.resolve(false));
+      fs.readdir.mockImplementationOnce(() => Promise.resolve(['index.js']));
+      // eslint-disable-next-line jsdoc/require-jsdoc
+      fs.stat.mockImplementationOnce(() => ({ isDirectory: () => false }));
+      fs.readFile.mockImplementationOnce(() => Promise.resolve('module.exports = 1;'));
+      pipeline.transformCode.mockImplementationOnce(() => 'export default 1;');
+      utils.requireModule.mockImplementationOnce(() => ({}));
+      let result = null;
+      // When
+      result = await run(options);
+      // Then
+      expect(utils.findFile).toHaveBeenCalledTimes(0);
+      expect(fs.mkdir).toHaveBeenCalledWith(output);
+      expect(fs.copyFile).toHaveBeenCalledWith(
+        path.join(input, 'index.js'),
+        path.join(output, 'index.js'),
+      );
+      expect(fs.writeFile).toHaveBeenCalledWith(
+        path.join(output, 'index.js'),
+        'export default 1;',
+      );
+      expect(result).toEqual({
+        options: expect.objectContaining({
+          input: [input],
+          output,
+          addModuleEntry: true,
+          addPackageJson: true,
+        }),
+        files: [
+          {
+            from: path.join(input, 'index.js'),
+            to: path.join(output, 'index.js'),
+            status: 'transformed',
+            warnings: [],
+          },
+        ],
+        assets: [],
+        warnings: [expect.stringMatching(/there's no main property/i)],
+        packageJson: {
+          moduleEntry: null,
+          outputFile: path.join(output, 'package.json'),
+        },
+        report: null,
+        timings: {
+          copy: expect.any(Number),
+          transform: expect.any(Number),
+          packageJson: expect.any(Number),
+          total: expect.any(Number),
+        },
+      });
+    });
+
+    it('should call the hooks between the steps of the process', async () => {
+      // Given
+      const calls = [];
+      const hooks = ['beforeCopy', 'afterCopy', 'beforeTransform', 'afterBuild'].reduce(
+        (acc, name) => ({
+          ...acc,
+          [name]: jest.fn(() => {
+            calls.push(name);
+          }),
+        }),
+        {},
+      );
+      const options = {
+        input: ['lib'],
+        output: 'dist',
+        addPackageJson: false,
+        hooks,
+      };
+      const input = path.join(cwd, 'lib');
+      const output = path.join(cwd, 'dist');
+      const copied = [
+        {
+          from: path.join(input, 'index.js'),
+          to: path.join(output, 'index.js'),
+        },
+      ];
+      fs.pathExists.mockImplementationOnce(() => Promise.resolve(false));
+      fs.mkdir.mockImplementationOnce(() => {
+        calls.push('ensureOutput');
+      });
+      fs.readdir.mockImplementationOnce(() => Promise.resolve(['index.js']));
+      // eslint-disable-next-line jsdoc/require-jsdoc
+      fs.stat.mockImplementationOnce(() => ({ isDirectory: () => false }));
+      fs.copyFile.mockImplementationOnce(() => {
+        calls.push('copyFiles');
+      });
+      fs.readFile.mockImplementationOnce(() => Promise.resolve('module.exports = 1;'));
+      pipeline.transformCode.mockImplementationOnce(() => {
+        calls.push('transformOutput');
+        return 'export default 1;';
+      });
+      let result = null;
+      // When
+      result = await run(options);
+      // Then
+      expect(calls).toEqual([
+        'ensureOutput',
+        'beforeCopy',
+        'copyFiles',
+        'afterCopy',
+        'beforeTransform',
+        'transformOutput',
+        'afterBuild',
+      ]);
+      expect(hooks.beforeCopy).toHaveBeenCalledWith(result.options);
+      expect(hooks.afterCopy).toHaveBeenCalledWith(copied, result.options);
+      expect(hooks.beforeTransform).toHaveBeenCalledWith(copied, result.options);
+      expect(hooks.afterBuild).toHaveBeenCalledWith(result, result.options);
+    });
+
+    it('should build each one of the targets', async () => {
+      // Given
+      const options = {
+        input: ['lib'],
+        addPackageJson: false,
+        targets: [
+          { name: 'node', output: 'esm' },
+          { name: 'browser', output: 'browser', extension: { use: 'mjs' } },
+        ],
+      };
+      const input = path.join(cwd, 'lib');
+      const warning = 'Something is not right';
+      fs.pathExists.mockImplementation(() => Promise.resolve(false));
+      fs.readdir.mockImplementation(() => Promise.resolve(['index.js']));
+      // eslint-disable-next-line jsdoc/require-jsdoc
+      fs.stat.mockImplementation(() => ({ isDirectory: () => false }));
+      fs.readFile.mockImplementation(() => Promise.resolve('module.exports = 1;'));
+      pipeline.transformCode.mockImplementation((code, filepath, transformOptions) => {
+        transformOptions.report(warning);
+        return 'export default 1;';
+      });
+      let result = null;
+      // When
+      result = await run(options);
+      // Then
+      expect(fs.mkdir).toHaveBeenCalledTimes(2);
+      expect(fs.mkdir).toHaveBeenNthCalledWith(1, path.join(cwd, 'esm'));
+      expect(fs.mkdir).toHaveBeenNthCalledWith(2, path.join(cwd, 'browser'));
+      expect(fs.writeFile).toHaveBeenCalledWith(
+        path.join(cwd, 'esm', 'index.js'),
+        'export default 1;',
+      );
+      expect(fs.writeFile).toHaveBeenCalledWith(
+        path.join(cwd, 'browser', 'index.mjs'),
+        'export default 1;',
+      );
+      expect(pipeline.transformCode).toHaveBeenCalledTimes(2);
+      const [[, , firstOptions], [, , secondOptions]] = pipeline.transformCode.mock.calls;
+      expect(firstOptions.sharedResults).toBeInstanceOf(Map);
+      expect(secondOptions.sharedResults).toBe(firstOptions.sharedResults);
+      expect(result).toEqual({
+        options: expect.objectContaining({ input: [input] }),
+        targets: [
+          expect.objectContaining({
+            options: expect.objectContaining({ name: 'node' }),
+          }),
+          expect.objectContaining({
+            options: expect.objectContaining({ name: 'browser' }),
+          }),
+        ],
+        warnings: [
+          `[node] ${path.join('lib', 'index.js')}: ${warning}`,
+          `[browser] ${path.join('lib', 'index.js')}: ${warning}`,
+        ],
+        timings: {
+          total: expect.any(Number),
+        },
+      });
+    });
+
+    it('should load the configuration if no options are specified', async () => {
+      // Given
+      fs.readJSON.mockImplementationOnce(() =>
+        Promise.resolve({ addPackageJson: false }),
+      );
+      utils.findFile.mockImplementationOnce(() =>
+        Promise.resolve(path.join(cwd, '.cjs2esm.json')),
+      );
+      fs.pathExists.mockImplementationOnce(() => Promise.resolve(false));
+      fs.readdir.mockImplementationOnce(() => Promise.resolve([]));
+      let result = null;
+      // When
+      result = await run();
+      // Then
+      expect(utils.findFile).toHaveBeenCalledTimes(1);
+      expect(result.options.addPackageJson).toBe(false);
+      expect(result.files).toEqual([]);
+      expect(result.packageJson).toEqual({
+        moduleEntry: null,
+        outputFile: null,
+      });
+      expect(fs.writeJSON).toHaveBeenCalledTimes(0);
+    });
+
+    it('should write a report of the files that failed with continueOnError', async () => {
+      // Given
+      const options = {
+        input: ['lib'],
+        output: 'dist',
+        addPackageJson: false,
+        continueOnError: true,
+        errorReport: 'report.json',
+      };
+      const fileError = {
+        from: path.join(cwd, 'lib', 'index.js'),
+        to: path.join(cwd, 'dist', 'index.js'),
+        message: 'Unexpected token',
+      };
+      fs.pathExists.mockImplementationOnce(() => Promise.resolve(false));
+      fs.readdir.mockImplementationOnce(() => Promise.resolve(['index.js']));
+      // eslint-disable-next-line jsdoc/require-jsdoc
+      fs.stat.mockImplementationOnce(() => ({ isDirectory: () => false }));
+      fs.readFile.mockImplementationOnce(() => Promise.resolve('const a = ;'));
+      pipeline.transformCode.mockImplementationOnce(() => {
+        throw new Error('Unexpected token');
+      });
+      errors.getFileError.mockImplementationOnce(() => fileError);
+      let result = null;
+      // When
+      result = await run(options);
+      // Then
+      expect(result.files).toEqual([
+        expect.objectContaining({
+          status: 'failed',
+          error: fileError,
+        }),
+      ]);
+      expect(result.warnings).toEqual([
+        expect.stringMatching(/1 of 1 files couldn't be transformed/i),
+      ]);
+      expect(result.report).toBe(path.join(cwd, 'report.json'));
+      expect(report.writeReport).toHaveBeenCalledTimes(1);
+      expect(report.writeReport).toHaveBeenCalledWith(
+        path.join(cwd, 'report.json'),
+        [fileError],
+        1,
+      );
+    });
+
+    it('should write a report before failing', async () => {
+      // Given
+      const options = {
+        input: ['lib'],
+        output: 'dist',
+        errorReport: 'report.md',
+      };
+      const fileError = { message: 'Unexpected token' };
+      fs.pathExists.mockImplementationOnce(() => Promise.resolve(false));
+      fs.readdir.mockImplementationOnce(() => Promise.resolve(['index.js']));
+      // eslint-disable-next-line jsdoc/require-jsdoc
+      fs.stat.mockImplementationOnce(() => ({ isDirectory: () => false }));
+      fs.readFile.mockImplementationOnce(() => Promise.resolve('const a = ;'));
+      pipeline.transformCode.mockImplementationOnce(() => {
+        throw new Error('Unexpected token');
+      });
+      errors.getFileError.mockImplementationOnce(() => fileError);
+      expect.assertions(3);
+      // When
+      try {
+        await run(options);
+      } catch (error) {
+        // Then
+        expect(error.files).toEqual([fileError]);
+        expect(report.writeReport).toHaveBeenCalledTimes(1);
+        expect(report.writeReport).toHaveBeenCalledWith(
+          path.join(cwd, 'report.md'),
+          [fileError],
+          1,
+        );
+      }
+    });
+  });
+
   describe('addErrorHandler', () => {
     const originalProcessOn = process.on;
     const originalProcessRemoveListener = process.removeListener;
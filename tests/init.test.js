@@ -0,0 +1,224 @@
+jest.unmock('../src/init');
+jest.mock('fs-extra');
+
+const path = require('path');
+const fs = require('fs-extra');
+const { detectConfiguration, initConfiguration } = require('../src/init');
+const index = require('../src');
+const utils = require('../src/utils');
+
+describe('init', () => {
+  const cwd = path.join(path.sep, 'project');
+  /**
+   * Mocks the file system functions with a virtual project: the keys of the dictionary
+   * are the paths relative to the project, and the values the contents of the files.
+   * The objects are treated as JSON files, and the `null` values as directories.
+   *
+   * @param {Object.<string, ?(string|Object)>} files  The files of the project.
+   */
+  const mockProject = (files) => {
+    const absFiles = Object.keys(files).reduce(
+      (acc, file) => ({ ...acc, [path.join(cwd, file)]: files[file] }),
+      {},
+    );
+    const paths = Object.keys(absFiles);
+    fs.pathExists.mockImplementation((filepath) =>
+      Promise.resolve(paths.includes(filepath)),
+    );
+    fs.readJSON.mockImplementation((filepath) =>
+      paths.includes(filepath)
+        ? Promise.resolve(absFiles[filepath])
+        : Promise.reject(new Error('ENOENT')),
+    );
+    fs.readFile.mockImplementation((filepath) => Promise.resolve(absFiles[filepath]));
+    fs.readdir.mockImplementation((directory) =>
+      Promise.resolve(
+        paths
+          .filter((filepath) => path.dirname(filepath) === directory)
+          .map((filepath) => path.basename(filepath)),
+      ),
+    );
+    fs.stat.mockImplementation((filepath) =>
+      // eslint-disable-next-line jsdoc/require-jsdoc
+      Promise.resolve({ isDirectory: () => absFiles[filepath] === null }),
+    );
+  };
+
+  beforeEach(() => {
+    fs.pathExists.mockReset();
+    fs.readJSON.mockReset();
+    fs.readFile.mockReset();
+    fs.readdir.mockReset();
+    fs.stat.mockReset();
+    fs.writeJSON.mockReset();
+    index.findConfiguration.mockReset();
+    utils.log.mockReset();
+  });
+
+  describe('detectConfiguration', () => {
+    it('should generate a configuration based on the project', async () => {
+      // Given
+      mockProject({
+        'package.json': {
+          main: 'lib/index.js',
+          bin: { tool: './lib/cli/bin.js' },
+          dependencies: { wootils: '1.0.0', modern: '1.0.0', missing: '1.0.0' },
+          peerDependencies: { jimple: '1.0.0' },
+        },
+        lib: null,
+        'lib/index.js': 'module.exports = 1;',
+        'lib/cli': null,
+        'lib/cli/bin.js': '#!/usr/bin/env node\nrequire("../index");',
+        'lib/cli/README.md': '#! not code',
+        'node_modules/wootils/package.json': { module: './esm/index.js' },
+        'node_modules/modern/package.json': {
+          module: 'esm/index.js',
+          exports: { '.': './index.js' },
+        },
+        'node_modules/jimple/package.json': { module: 'index.mjs' },
+      });
+      let result = null;
+      // When
+      result = await detectConfiguration(cwd);
+      // Then
+      expect(result).toEqual({
+        input: ['lib'],
+        output: 'esm',
+        modules: [{ name: 'wootils', path: 'wootils/esm' }],
+        filesWithShebang: ['lib/cli/bin.js'],
+        addModuleEntry: true,
+      });
+    });
+
+    it('should look for the common directories if the entries are on the root', async () => {
+      // Given
+      mockProject({
+        'package.json': { main: 'index.js' },
+        'index.js': "module.exports = require('./src');",
+        src: null,
+        'src/index.js': 'module.exports = 1;',
+      });
+      let result = null;
+      // When
+      result = await detectConfiguration(cwd);
+      // Then
+      expect(result).toEqual({
+        input: ['src'],
+        output: 'esm',
+        modules: [],
+        filesWithShebang: [],
+        addModuleEntry: false,
+      });
+    });
+
+    it("should throw an error if the project doesn't have a package.json", () => {
+      // Given
+      mockProject({});
+      expect.assertions(2);
+      // When
+      return detectConfiguration(cwd).catch((error) => {
+        // Then
+        expect(error.message).toBe(`There's no \`package.json\` on \`${cwd}\``);
+        expect(error.errors).toEqual([error.message]);
+      });
+    });
+  });
+
+  describe('initConfiguration', () => {
+    const pkgJson = { name: 'my-lib', main: 'src/index.js' };
+    const config = {
+      input: ['src'],
+      output: 'esm',
+      modules: [],
+      filesWithShebang: [],
+      addModuleEntry: true,
+    };
+
+    it('should save the configuration on a .cjs2esm.json file', async () => {
+      // Given
+      mockProject({
+        'package.json': pkgJson,
+        src: null,
+        'src/index.js': 'module.exports = 1;',
+      });
+      index.findConfiguration.mockImplementation(() => Promise.resolve(null));
+      const file = path.join(cwd, '.cjs2esm.json');
+      let result = null;
+      // When
+      result = await initConfiguration({}, cwd);
+      // Then
+      expect(result).toEqual({ config, file });
+      expect(fs.writeJSON).toHaveBeenCalledTimes(1);
+      expect(fs.writeJSON).toHaveBeenCalledWith(file, config, { spaces: 2 });
+      expect(utils.log).toHaveBeenCalledWith(
+        'green',
+        'The configuration was saved on `.cjs2esm.json`',
+      );
+    });
+
+    it('should save the configuration on the package.json', async () => {
+      // Given
+      mockProject({
+        'package.json': pkgJson,
+        src: null,
+        'src/index.js': 'module.exports = 1;',
+      });
+      index.findConfiguration.mockImplementation(() => Promise.resolve(null));
+      const file = path.join(cwd, 'package.json');
+      let result = null;
+      // When
+      result = await initConfiguration({ inPackageJson: true }, cwd);
+      // Then
+      expect(result).toEqual({ config, file });
+      expect(fs.writeJSON).toHaveBeenCalledTimes(1);
+      expect(fs.writeJSON).toHaveBeenCalledWith(
+        file,
+        { ...pkgJson, cjs2esm: config },
+        { spaces: 2 },
+      );
+    });
+
+    it('should throw an error if the project already has a configuration', () => {
+      // Given
+      mockProject({ 'package.json': pkgJson });
+      const existing = {
+        file: null,
+        config: {},
+        source: 'the `cjs2esm` property of the `package.json`',
+      };
+      index.findConfiguration.mockImplementationOnce(() => Promise.resolve(existing));
+      expect.assertions(3);
+      // When
+      return initConfiguration({}, cwd).catch((error) => {
+        // Then
+        expect(error.message).toBe(
+          'The project already has a configuration on the `cjs2esm` property of the ' +
+            '`package.json`, use `--force` to replace it',
+        );
+        expect(error.errors).toEqual([error.message]);
+        expect(fs.writeJSON).toHaveBeenCalledTimes(0);
+      });
+    });
+
+    it('should warn if another configuration takes precedence over the new one', async () => {
+      // Given
+      mockProject({
+        'package.json': pkgJson,
+        src: null,
+        'src/index.js': 'module.exports = 1;',
+      });
+      const configFile = path.join(cwd, '.cjs2esm.js');
+      const existing = { file: configFile, config: null, source: `\`${configFile}\`` };
+      index.findConfiguration.mockImplementation(() => Promise.resolve(existing));
+      // When
+      await initConfiguration({ inPackageJson: true, force: true }, cwd);
+      // Then
+      expect(fs.writeJSON).toHaveBeenCalledTimes(1);
+      expect(utils.log).toHaveBeenCalledWith(
+        'yellow',
+        `The configuration on \`${configFile}\` takes precedence over the new one, ` +
+          'remove it so the new one can be used',
+      );
+    });
+  });
+});
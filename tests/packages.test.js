@@ -0,0 +1,183 @@
+jest.unmock('../src/packages');
+jest.mock('fs-extra');
+
+const path = require('path');
+const fs = require('fs-extra');
+const {
+  parsePackageSpecifier,
+  resolvePackageExports,
+  resolvePackageSpecifier,
+} = require('../src/packages');
+
+describe('packages', () => {
+  describe('parsePackageSpecifier', () => {
+    it('should split the name and the subpath of a specifier', () => {
+      // Given
+      const cases = [
+        ['pkg', { name: 'pkg', subpath: '.' }],
+        ['pkg/utils/index', { name: 'pkg', subpath: './utils/index' }],
+        ['@scope/pkg', { name: '@scope/pkg', subpath: '.' }],
+        ['@scope/pkg/utils', { name: '@scope/pkg', subpath: './utils' }],
+        ['./file', null],
+        ['@scope', null],
+      ];
+      // When/Then
+      cases.forEach(([specifier, expected]) => {
+        expect(parsePackageSpecifier(specifier)).toEqual(expected);
+      });
+    });
+  });
+
+  describe('resolvePackageExports', () => {
+    const exportsField = {
+      '.': {
+        types: './index.d.ts',
+        require: './dist/index.cjs',
+        import: './dist/index.mjs',
+      },
+      './utils': ['./dist/utils.js'],
+      './features/*': './dist/features/*.js',
+      './features/internal/*': null,
+      './styles/*.css': './dist/styles/*.css',
+      './legacy': { require: './legacy.cjs' },
+    };
+
+    it('should resolve the subpaths using the import conditions', () => {
+      // Given
+      const cases = [
+        ['.', './dist/index.mjs'],
+        ['./utils', './dist/utils.js'],
+        ['./features/a', './dist/features/a.js'],
+        ['./features/a/b', './dist/features/a/b.js'],
+        ['./styles/main.css', './dist/styles/main.css'],
+      ];
+      // When/Then
+      cases.forEach(([subpath, expected]) => {
+        expect(resolvePackageExports(exportsField, subpath)).toBe(expected);
+      });
+    });
+
+    it('should return null for the subpaths that are not exported', () => {
+      // Given
+      const cases = [
+        './dist/index.mjs',
+        './features/internal/a',
+        './features/',
+        './styles/main.js',
+        './legacy',
+      ];
+      // When/Then
+      cases.forEach((subpath) => {
+        expect(resolvePackageExports(exportsField, subpath)).toBeNull();
+      });
+    });
+
+    it('should resolve the exports of a package with a single entry', () => {
+      // Given/When/Then
+      expect(resolvePackageExports('./index.js', '.')).toBe('./index.js');
+      expect(resolvePackageExports('./index.js', './utils')).toBeNull();
+      expect(resolvePackageExports({ node: './node.js' }, '.')).toBe('./node.js');
+    });
+
+    it('should resolve the subpaths with custom conditions', () => {
+      // Given/When/Then
+      expect(resolvePackageExports(exportsField, '.', ['require'])).toBe(
+        './dist/index.cjs',
+      );
+    });
+  });
+
+  describe('resolvePackageSpecifier', () => {
+    const cwd = process.cwd();
+
+    beforeEach(() => {
+      fs.readJSONSync.mockReset();
+      fs.pathExistsSync.mockReset();
+      fs.pathExistsSync.mockImplementation(() => true);
+    });
+
+    it('should validate a specifier against the exports of its package', () => {
+      // Given
+      fs.readJSONSync.mockImplementation(() => ({
+        exports: {
+          '.': './index.js',
+          './utils': './utils.js',
+          './helpers.js': './helpers.js',
+        },
+      }));
+      let valid = null;
+      let extension = null;
+      let invalid = null;
+      // When
+      valid = resolvePackageSpecifier('@scope/pkg/utils');
+      extension = resolvePackageSpecifier('@scope/pkg/helpers');
+      invalid = resolvePackageSpecifier('@scope/pkg/internal');
+      // Then
+      expect(valid).toEqual({ exported: true, specifier: '@scope/pkg/utils' });
+      expect(extension).toEqual({ exported: true, specifier: '@scope/pkg/helpers.js' });
+      expect(invalid).toEqual({ exported: false, specifier: '@scope/pkg/internal' });
+      expect(fs.readJSONSync).toHaveBeenCalledWith(
+        path.join(cwd, 'node_modules', '@scope', 'pkg', 'package.json'),
+      );
+    });
+
+    it("should return null if the package doesn't have exports", () => {
+      // Given
+      fs.readJSONSync.mockImplementationOnce(() => ({ main: 'index.js' }));
+      fs.readJSONSync.mockImplementationOnce(() => {
+        throw new Error('ENOENT');
+      });
+      // When/Then
+      expect(resolvePackageSpecifier('pkg/utils')).toBeNull();
+      expect(resolvePackageSpecifier('broken')).toBeNull();
+      fs.pathExistsSync.mockImplementation(() => false);
+      expect(resolvePackageSpecifier('missing')).toBeNull();
+      expect(resolvePackageSpecifier('node:fs')).toBeNull();
+      expect(fs.readJSONSync).toHaveBeenCalledTimes(2);
+    });
+
+    it('should find the package from the directory of the importer', () => {
+      // Given
+      const directory = path.join(cwd, 'packages', 'app', 'esm', 'utils');
+      const pkgJsonPath = path.join(
+        cwd,
+        'packages',
+        'app',
+        'node_modules',
+        'pkg',
+        'package.json',
+      );
+      const pathExists = jest.fn((filepath) => filepath === pkgJsonPath);
+      fs.readJSONSync.mockImplementationOnce(() => ({ exports: './index.js' }));
+      let result = null;
+      // When
+      result = resolvePackageSpecifier('pkg', directory, pathExists);
+      // Then
+      expect(result).toEqual({ exported: true, specifier: 'pkg' });
+      expect(pathExists.mock.calls.map(([filepath]) => filepath)).toEqual([
+        path.join(directory, 'node_modules', 'pkg', 'package.json'),
+        path.join(cwd, 'packages', 'app', 'esm', 'node_modules', 'pkg', 'package.json'),
+        pkgJsonPath,
+      ]);
+      expect(fs.pathExistsSync).toHaveBeenCalledTimes(0);
+      expect(fs.readJSONSync).toHaveBeenCalledTimes(1);
+      expect(fs.readJSONSync).toHaveBeenCalledWith(pkgJsonPath);
+    });
+
+    it('should read the package.json with a custom function', () => {
+      // Given
+      const pkgJsonPath = path.join(cwd, 'node_modules', 'pkg', 'package.json');
+      const pathExists = jest.fn((filepath) => filepath === pkgJsonPath);
+      const readJSON = jest.fn(() => ({ exports: { './utils.js': './utils.js' } }));
+      let result = null;
+      // When
+      result = resolvePackageSpecifier('pkg/utils', cwd, pathExists, readJSON);
+      // Then
+      expect(result).toEqual({ exported: true, specifier: 'pkg/utils.js' });
+      expect(readJSON).toHaveBeenCalledTimes(1);
+      expect(readJSON).toHaveBeenCalledWith(pkgJsonPath);
+      expect(fs.pathExistsSync).toHaveBeenCalledTimes(0);
+      expect(fs.readJSONSync).toHaveBeenCalledTimes(0);
+    });
+  });
+});
@@ -0,0 +1,383 @@
+jest.unmock('../src/pipeline');
+
+const path = require('path');
+const {
+  getBuiltInTransformations,
+  getTransformations,
+  applyTransformation,
+  transformCode,
+  transformCodeWithMap,
+  updateImportPaths,
+} = require('../src/pipeline');
+const utils = require('../src/utils');
+
+describe('pipeline', () => {
+  beforeEach(() => {
+    utils.requireModule.mockReset();
+  });
+
+  describe('getBuiltInTransformations', () => {
+    it('should return the names of the built-in transformations', () => {
+      // Given/When
+      const result = getBuiltInTransformations();
+      // Then
+      expect(result).toEqual([
+        'cjs',
+        'exports',
+        'named-export-generation',
+        'transformer',
+      ]);
+    });
+  });
+
+  describe('getTransformations', () => {
+    it('should return the list of transformations', () => {
+      // Given/When
+      const result = getTransformations();
+      // Then
+      expect(result.map((item) => path.basename(item))).toEqual([
+        'cjs.js',
+        'exports.js',
+        'named-export-generation.js',
+        'transformer.js',
+      ]);
+      expect(result[3]).toBe(path.join(__dirname, '..', 'src', 'transformer.js'));
+    });
+
+    it('should add the custom transformations and remove the disabled ones', () => {
+      // Given
+      const transforms = {
+        before: ['/transforms/lazy-require.js'],
+        after: ['/transforms/container.js'],
+        disable: ['named-export-generation'],
+      };
+      // When
+      const result = getTransformations(transforms);
+      // Then
+      expect(result.map((item) => path.basename(item))).toEqual([
+        'lazy-require.js',
+        'cjs.js',
+        'exports.js',
+        'transformer.js',
+        'container.js',
+      ]);
+      expect(result[0]).toBe(transforms.before[0]);
+      expect(result[4]).toBe(transforms.after[0]);
+    });
+
+    it('should throw an error when disabling an unknown transformation', () => {
+      // Given
+      const transforms = { before: [], after: [], disable: ['imports'] };
+      // When/Then
+      expect(() => getTransformations(transforms)).toThrow(
+        /unknown built-in transformation: `imports`/i,
+      );
+    });
+  });
+
+  describe('applyTransformation', () => {
+    it('should apply a transformation to a piece of code', () => {
+      // Given
+      const transformation = '/some/transformation.js';
+      const source = 'const a = 1;';
+      const filepath = '/some/file.js';
+      const options = { parser: 'babel', cjs2esm: {} };
+      const transform = jest.fn(() => 'const b = 2;');
+      utils.requireModule.mockImplementationOnce(() => transform);
+      let result = null;
+      // When
+      result = applyTransformation(transformation, source, filepath, options);
+      // Then
+      expect(result).toBe('const b = 2;');
+      expect(utils.requireModule).toHaveBeenCalledTimes(1);
+      expect(utils.requireModule).toHaveBeenCalledWith(transformation);
+      expect(transform).toHaveBeenCalledTimes(1);
+      expect(transform).toHaveBeenCalledWith(
+        { path: filepath, source },
+        {
+          j: expect.any(Function),
+          jscodeshift: expect.any(Function),
+          stats: expect.any(Function),
+          report: expect.any(Function),
+        },
+        options,
+      );
+    });
+
+    it('should use the real jscodeshift API', () => {
+      // Given
+      const source = 'const a = 1;';
+      /* eslint-disable jsdoc/require-jsdoc */
+      const transform = (file, api) => {
+        const j = api.jscodeshift;
+        return j(file.source)
+          .find(j.Identifier)
+          .replaceWith(() => j.identifier('b'))
+          .toSource();
+      };
+      /* eslint-enable jsdoc/require-jsdoc */
+      utils.requireModule.mockImplementationOnce(() => ({ default: transform }));
+      let result = null;
+      // When
+      result = applyTransformation('transformation', source, 'file.js', {
+        parser: 'babel',
+      });
+      // Then
+      expect(result).toBe('const b = 1;');
+    });
+
+    it('should return the same code if the transformation returns nothing', () => {
+      // Given
+      const source = 'const a = 1;';
+      utils.requireModule.mockImplementationOnce(() => () => undefined);
+      let result = null;
+      // When
+      result = applyTransformation('transformation', source, 'file.js', {
+        parser: 'babel',
+      });
+      // Then
+      expect(result).toBe(source);
+    });
+  });
+
+  describe('transformCode', () => {
+    it('should apply all the transformations', () => {
+      // Given
+      const source = 'start';
+      const filepath = '/some/file.js';
+      const options = { parser: 'babel', cjs2esm: {} };
+      const transformations = getTransformations();
+      transformations.forEach((transformation, index) => {
+        utils.requireModule.mockImplementationOnce(
+          () => (file) => `${file.source}-${index}`,
+        );
+      });
+      let result = null;
+      // When
+      result = transformCode(source, filepath, options);
+      // Then
+      expect(result).toBe('start-0-1-2-3');
+      expect(utils.requireModule).toHaveBeenCalledTimes(transformations.length);
+      transformations.forEach((transformation, index) => {
+        expect(utils.requireModule).toHaveBeenNthCalledWith(index + 1, transformation);
+      });
+    });
+
+    it('should apply the custom transformations from the options', () => {
+      // Given
+      const source = 'start';
+      const transforms = {
+        before: ['/transforms/before.js'],
+        after: ['/transforms/after.js'],
+        disable: ['cjs', 'exports', 'named-export-generation', 'transformer'],
+      };
+      const options = { parser: 'babel', cjs2esm: { transforms } };
+      const transform = jest.fn((file) => `${file.source}-custom`);
+      utils.requireModule.mockImplementation(() => transform);
+      let result = null;
+      // When
+      result = transformCode(source, '/some/file.js', options);
+      // Then
+      expect(result).toBe('start-custom-custom');
+      expect(utils.requireModule).toHaveBeenCalledTimes(2);
+      expect(utils.requireModule).toHaveBeenNthCalledWith(1, transforms.before[0]);
+      expect(utils.requireModule).toHaveBeenNthCalledWith(2, transforms.after[0]);
+      expect(transform).toHaveBeenCalledWith(
+        { path: '/some/file.js', source: 'start' },
+        expect.any(Object),
+        options,
+      );
+    });
+
+    it('should reuse the results of the shared transformations', () => {
+      // Given
+      const source = 'start';
+      const sharedResults = new Map();
+      const transformations = getTransformations();
+      utils.requireModule.mockImplementation(
+        (transformation) => (file) =>
+          `${file.source}-${path.basename(transformation, '.js')}`,
+      );
+      const firstOptions = { parser: 'babel', cjs2esm: {}, sharedResults };
+      const secondOptions = { parser: 'babel', cjs2esm: { cache: true }, sharedResults };
+      let firstResult = null;
+      let secondResult = null;
+      // When
+      firstResult = transformCode(source, '/some/file.js', firstOptions);
+      secondResult = transformCode(source, '/some/file.js', secondOptions);
+      // Then
+      expect(firstResult).toBe('start-cjs-exports-named-export-generation-transformer');
+      expect(secondResult).toBe(firstResult);
+      expect(sharedResults.size).toBe(1);
+      expect(utils.requireModule).toHaveBeenCalledTimes(transformations.length + 1);
+      expect(utils.requireModule).toHaveBeenLastCalledWith(
+        transformations[transformations.length - 1],
+      );
+    });
+
+    it('should add the name of the transformation that failed to the error', () => {
+      // Given
+      const error = new Error('Unexpected token');
+      utils.requireModule.mockImplementationOnce(() => (file) => file.source);
+      utils.requireModule.mockImplementationOnce(() => () => {
+        throw error;
+      });
+      let result = null;
+      // When
+      try {
+        transformCode('code', 'file.js', { parser: 'babel' });
+      } catch (thrown) {
+        result = thrown;
+      }
+      // Then
+      expect(result).toBe(error);
+      expect(result.transformation).toBe('exports');
+      expect(result.source).toBe('code');
+    });
+  });
+
+  describe('transformCodeWithMap', () => {
+    /* eslint-disable jsdoc/require-jsdoc */
+    const renameTransform = (from, to) => (file, api) => {
+      const j = api.jscodeshift;
+      return j(file.source)
+        .find(j.Identifier, { name: from })
+        .replaceWith(() => j.identifier(to))
+        .toSource();
+    };
+    /* eslint-enable jsdoc/require-jsdoc */
+
+    it('should chain the source maps of all the transformations', () => {
+      // Given
+      const source = 'const a = 1;\n\nconsole.log(a);\n';
+      const sourceFileName = '/some/src/file.js';
+      utils.requireModule.mockImplementationOnce(() => renameTransform('a', 'b'));
+      utils.requireModule.mockImplementationOnce(() => () => undefined);
+      utils.requireModule.mockImplementationOnce(() => renameTransform('b', 'c'));
+      utils.requireModule.mockImplementationOnce(() => ({
+        default: renameTransform('c', 'd'),
+      }));
+      let result = null;
+      // When
+      result = transformCodeWithMap(
+        source,
+        '/some/esm/file.js',
+        { parser: 'babel' },
+        sourceFileName,
+      );
+      // Then
+      expect(result.code).toBe('const d = 1;\n\nconsole.log(d);\n');
+      expect(result.map).toEqual(
+        expect.objectContaining({
+          version: 3,
+          sources: [sourceFileName],
+          mappings: expect.any(String),
+        }),
+      );
+      expect(result.map.mappings).toMatch(/^[^;]+;;[^;]+/);
+    });
+
+    it("shouldn't generate a map if a transformation doesn't use jscodeshift", () => {
+      // Given
+      utils.requireModule.mockImplementationOnce(() => renameTransform('a', 'b'));
+      utils.requireModule.mockImplementationOnce(() => (file) => `${file.source}\n`);
+      utils.requireModule.mockImplementationOnce(() => () => undefined);
+      utils.requireModule.mockImplementationOnce(() => renameTransform('b', 'c'));
+      let result = null;
+      // When
+      result = transformCodeWithMap(
+        'const a = 1;',
+        'file.js',
+        { parser: 'babel' },
+        'original.js',
+      );
+      // Then
+      expect(result.code).toBe('const c = 1;\n');
+      expect(result.map).toBeNull();
+    });
+
+    it('should add the name of the transformation that failed to the error', () => {
+      // Given
+      const error = new Error('Unexpected token');
+      utils.requireModule.mockImplementationOnce(() => () => {
+        throw error;
+      });
+      let result = null;
+      // When
+      try {
+        transformCodeWithMap('code', 'file.js', { parser: 'babel' }, 'original.js');
+      } catch (thrown) {
+        result = thrown;
+      }
+      // Then
+      expect(result).toBe(error);
+      expect(result.transformation).toBe('cjs');
+      expect(result.source).toBe('code');
+    });
+  });
+
+  describe('updateImportPaths', () => {
+    it('should update the paths of the imports for the moved files', () => {
+      // Given
+      const filepath = path.join('/project', 'esm', 'index.js');
+      const code = [
+        '#!/usr/bin/env node',
+        "import utils from './utils.js';",
+        'export * from "./lib/helper.js";',
+        "const lazy = import('./utils.js');",
+        "const nested = require('./lib/helper.js');",
+        "const other = require('./other.js');",
+        "const text = './utils.js';",
+      ].join('\n');
+      const paths = {
+        [path.join('/project', 'esm', 'utils.js')]: path.join(
+          '/project',
+          'esm',
+          'utils.cjs',
+        ),
+        [path.join('/project', 'esm', 'lib', 'helper.js')]: path.join(
+          '/project',
+          'esm',
+          'lib',
+          'helper.cjs',
+        ),
+      };
+      let result = null;
+      // When
+      result = updateImportPaths(code, filepath, paths, 'babel');
+      // Then
+      expect(result).toBe(
+        [
+          '#!/usr/bin/env node',
+          "import utils from './utils.cjs';",
+          'export * from "./lib/helper.cjs";',
+          "const lazy = import('./utils.cjs');",
+          "const nested = require('./lib/helper.cjs');",
+          "const other = require('./other.js');",
+          "const text = './utils.js';",
+        ].join('\n'),
+      );
+    });
+
+    it('should use relative paths for the parent directories', () => {
+      // Given
+      const filepath = path.join('/project', 'esm', 'lib', 'helper.ts');
+      const code =
+        "import type { Options } from '../types';\nimport utils from '../utils.js';";
+      const paths = {
+        [path.join('/project', 'esm', 'utils.js')]: path.join(
+          '/project',
+          'esm',
+          'utils.cjs',
+        ),
+      };
+      let result = null;
+      // When
+      result = updateImportPaths(code, filepath, paths, 'ts');
+      // Then
+      expect(result).toBe(
+        "import type { Options } from '../types';\nimport utils from '../utils.cjs';",
+      );
+    });
+  });
+});
@@ -0,0 +1,376 @@
+jest.unmock('../src/preview');
+jest.mock('fs-extra');
+
+const path = require('path');
+const fs = require('fs-extra');
+const { previewOutput, logPreview } = require('../src/preview');
+const index = require('../src');
+const utils = require('../src/utils');
+const errors = require('../src/errors');
+const features = require('../src/features');
+
+describe('preview', () => {
+  const cwd = process.cwd();
+  const src = path.join(cwd, 'src');
+  const output = path.join(cwd, 'esm');
+  const options = {
+    input: [src],
+    output,
+    extension: {
+      use: 'js',
+    },
+    forceDirectory: null,
+    filesWithShebang: [],
+  };
+
+  describe('previewOutput', () => {
+    beforeEach(() => {
+      index.findFilesToCopy.mockReset();
+      index.findAssetsToCopy.mockReset();
+      index.findAssetsToCopy.mockImplementation(() => Promise.resolve([]));
+      index.transformFile.mockReset();
+      fs.readFile.mockReset();
+      fs.readJSON.mockReset();
+      fs.pathExists.mockReset();
+      fs.pathExistsSync.mockReset();
+      fs.readdir.mockReset();
+      fs.stat.mockReset();
+    });
+
+    it('should generate a diff for each file without writing on the disk', async () => {
+      // Given
+      const files = [
+        {
+          from: path.join(src, 'index.js'),
+          to: path.join(output, 'index.js'),
+        },
+        {
+          from: path.join(src, 'utils', 'index.js'),
+          to: path.join(output, 'utils', 'index.js'),
+        },
+      ];
+      index.findFilesToCopy.mockImplementationOnce(() => Promise.resolve(files));
+      fs.readFile.mockImplementationOnce(() => Promise.resolve("require('./utils');\n"));
+      fs.pathExists.mockImplementationOnce(() => Promise.resolve(false));
+      fs.readFile.mockImplementationOnce(() => Promise.resolve('module.exports = 1;\n'));
+      fs.pathExists.mockImplementationOnce(() => Promise.resolve(true));
+      fs.readFile.mockImplementationOnce(() => Promise.resolve('export default 1;\n'));
+      index.transformFile.mockImplementationOnce(() => ({
+        code: "import './utils/index.js';\n",
+        map: null,
+      }));
+      index.transformFile.mockImplementationOnce(() => ({
+        code: 'export default 1;\n',
+        map: null,
+      }));
+      let result = null;
+      // When
+      result = await previewOutput(options);
+      // Then
+      expect(index.findFilesToCopy).toHaveBeenCalledTimes(1);
+      expect(index.findFilesToCopy).toHaveBeenCalledWith(
+        options.input,
+        options.output,
+        options.extension,
+        options.forceDirectory,
+        options.files,
+      );
+      expect(index.transformFile).toHaveBeenCalledTimes(2);
+      expect(index.transformFile).toHaveBeenNthCalledWith(
+        1,
+        "require('./utils');\n",
+        files[0],
+        options,
+        expect.any(Function),
+      );
+      expect(result).toEqual([
+        {
+          ...files[0],
+          existing: false,
+          patch: expect.any(String),
+          error: null,
+        },
+        {
+          ...files[1],
+          existing: true,
+          patch: null,
+          error: null,
+        },
+      ]);
+      expect(result[0].patch).toMatch(/^--- src\/index\.js/m);
+      expect(result[0].patch).toMatch(/^\+\+\+ esm\/index\.js/m);
+      expect(result[0].patch).toMatch(/^-require\('\.\/utils'\);$/m);
+      expect(result[0].patch).toMatch(/^\+import '\.\/utils\/index\.js';$/m);
+      expect(fs.writeFile).toHaveBeenCalledTimes(0);
+      expect(fs.copyFile).toHaveBeenCalledTimes(0);
+      expect(fs.remove).toHaveBeenCalledTimes(0);
+    });
+
+    it('should resolve the paths inside the output as if the files were copied', async () => {
+      // Given
+      const files = [
+        {
+          from: path.join(src, 'utils', 'index.js'),
+          to: path.join(output, 'utils', 'index.js'),
+        },
+      ];
+      index.findFilesToCopy.mockImplementationOnce(() => Promise.resolve(files));
+      fs.readFile.mockImplementation(() => Promise.resolve('code;'));
+      fs.pathExists.mockImplementationOnce(() => Promise.resolve(false));
+      fs.pathExistsSync.mockImplementationOnce(() => true);
+      let pathExists = null;
+      index.transformFile.mockImplementationOnce((code, file, opts, fn) => {
+        pathExists = fn;
+        return { code, map: null };
+      });
+      // When
+      await previewOutput(options);
+      // Then
+      expect(pathExists(path.join(output, 'utils'))).toBe(true);
+      expect(pathExists(path.join(output, 'utils', 'index.js'))).toBe(true);
+      expect(pathExists(path.join(output, 'utils', 'index.mjs'))).toBe(false);
+      expect(pathExists(path.join(output, 'package.json'))).toBe(false);
+      expect(fs.pathExistsSync).toHaveBeenCalledTimes(0);
+      expect(pathExists(path.join(cwd, 'node_modules', 'wootils'))).toBe(true);
+      expect(fs.pathExistsSync).toHaveBeenCalledTimes(1);
+    });
+
+    it('should save the error of a file that fails to be transformed', async () => {
+      // Given
+      const files = [
+        {
+          from: path.join(src, 'index.js'),
+          to: path.join(output, 'index.js'),
+        },
+      ];
+      const error = new Error('Unexpected token');
+      index.findFilesToCopy.mockImplementationOnce(() => Promise.resolve(files));
+      fs.readFile.mockImplementation(() => Promise.resolve('code;'));
+      fs.pathExists.mockImplementationOnce(() => Promise.resolve(false));
+      index.transformFile.mockImplementationOnce(() => {
+        throw error;
+      });
+      let result = null;
+      // When
+      result = await previewOutput(options);
+      // Then
+      expect(result).toEqual([
+        {
+          ...files[0],
+          existing: false,
+          patch: null,
+          error,
+        },
+      ]);
+    });
+
+    it('should include the same files the build generates', async () => {
+      // Given
+      const files = [
+        {
+          from: path.join(src, 'index.js'),
+          to: path.join(output, 'index.js'),
+        },
+        {
+          from: path.join(src, 'vendor.js'),
+          to: path.join(output, 'vendor.js'),
+          copyOnly: true,
+        },
+      ];
+      const assets = [
+        {
+          from: path.join(src, 'data.json'),
+          to: path.join(output, 'data.json'),
+        },
+        {
+          from: path.join(src, 'logo.png'),
+          to: path.join(output, 'logo.png'),
+        },
+      ];
+      const jsonModules = [{ from: assets[0].to, to: `${assets[0].to}.js` }];
+      const sources = {
+        [files[0].from]: "const data = require('./data.json');\n",
+        [files[1].from]: 'var vendor = 1;\n',
+        [assets[0].from]: '{"name":"data"}\n',
+        [assets[1].from]: Buffer.from([0, 1, 2]),
+      };
+      const pkgJsonPath = path.join(cwd, 'package.json');
+      const pkgJson = { name: 'my-project', main: 'src/index.js' };
+      index.findFilesToCopy.mockImplementationOnce(() => Promise.resolve(files));
+      index.findAssetsToCopy.mockImplementationOnce(() => Promise.resolve(assets));
+      index.getJSONModules.mockImplementation(() => jsonModules);
+      index.getJSONModuleCode.mockImplementationOnce(() => 'export default {};\n');
+      index.findModuleEntry.mockImplementationOnce(() =>
+        Promise.resolve({ entry: './esm/index.js', warning: null }),
+      );
+      index.getOutputPackageJSON.mockImplementationOnce(() => ({ type: 'module' }));
+      features.getJSONImportsStrategy.mockImplementationOnce(() => 'inline');
+      fs.readFile.mockImplementation((filepath) => Promise.resolve(sources[filepath]));
+      fs.readJSON.mockImplementation((filepath) =>
+        Promise.resolve(filepath === pkgJsonPath ? pkgJson : { name: 'data' }),
+      );
+      fs.pathExists.mockImplementation(() => Promise.resolve(false));
+      let pathExists = null;
+      index.transformFile.mockImplementationOnce((code, file, opts, fn) => {
+        pathExists = fn;
+        return {
+          code: "import data from './data.json.js';\n",
+          map: { version: 3 },
+        };
+      });
+      let result = null;
+      // When
+      result = await previewOutput({
+        ...options,
+        assets: { include: ['**/*.json', '**/*.png'], exclude: [] },
+        addModuleEntry: true,
+        addPackageJson: true,
+      });
+      // Then
+      expect(result.map((file) => [path.relative(cwd, file.to), !!file.patch])).toEqual([
+        ['esm/index.js', true],
+        ['esm/index.js.map', true],
+        ['esm/vendor.js', true],
+        ['esm/data.json', true],
+        ['esm/logo.png', true],
+        ['esm/data.json.js', true],
+        ['package.json', true],
+        ['esm/package.json', true],
+      ]);
+      expect(pathExists(assets[0].to)).toBe(true);
+      expect(pathExists(jsonModules[0].to)).toBe(true);
+      expect(result[1].patch).toMatch(/^\+\{"version":3\}$/m);
+      expect(result[2].patch).toMatch(/^--- \/dev\/null/m);
+      expect(result[2].patch).toMatch(/^\+var vendor = 1;$/m);
+      expect(result[4].patch).toBe('Binary files /dev/null and esm/logo.png differ\n');
+      expect(result[5].from).toBe(assets[0].from);
+      expect(result[5].patch).toMatch(/^\+export default \{\};$/m);
+      expect(index.findModuleEntry).toHaveBeenCalledWith(pkgJson, files);
+      expect(result[6].patch).toMatch(/^\+ {2}"module": "\.\/esm\/index\.js"$/m);
+      expect(result[7].from).toBeNull();
+      expect(result[7].patch).toMatch(/^\+ {2}"type": "module"$/m);
+      expect(fs.writeFile).toHaveBeenCalledTimes(0);
+      expect(fs.writeJSON).toHaveBeenCalledTimes(0);
+      index.getJSONModules.mockReset();
+    });
+
+    it('should include the files the build would remove from the output', async () => {
+      // Given
+      const files = [
+        {
+          from: path.join(src, 'index.js'),
+          to: path.join(output, 'index.js'),
+        },
+      ];
+      const contents = {
+        [files[0].from]: 'module.exports = 1;\n',
+        [files[0].to]: 'export default 1;\n',
+        [path.join(output, 'stale.js')]: 'export default 2;\n',
+        [path.join(output, 'lib', 'old.js')]: 'export default 3;\n',
+      };
+      const directories = {
+        [output]: ['index.js', 'stale.js', 'lib'],
+        [path.join(output, 'lib')]: ['old.js'],
+      };
+      index.findFilesToCopy.mockImplementationOnce(() => Promise.resolve(files));
+      index.transformFile.mockImplementationOnce(() => ({
+        code: 'export default 1;\n',
+        map: null,
+      }));
+      fs.pathExists.mockImplementation(() => Promise.resolve(true));
+      fs.readFile.mockImplementation((filepath) => Promise.resolve(contents[filepath]));
+      fs.readdir.mockImplementation((directory) =>
+        Promise.resolve(directories[directory]),
+      );
+      /* eslint-disable jsdoc/require-jsdoc */
+      fs.stat.mockImplementation((filepath) =>
+        Promise.resolve({ isDirectory: () => !!directories[filepath] }),
+      );
+      /* eslint-enable jsdoc/require-jsdoc */
+      let result = null;
+      // When
+      result = await previewOutput(options);
+      // Then
+      expect(result).toEqual([
+        { ...files[0], existing: true, patch: null, error: null },
+        {
+          from: null,
+          to: path.join(output, 'stale.js'),
+          existing: true,
+          removed: true,
+          patch: expect.any(String),
+          error: null,
+        },
+        {
+          from: null,
+          to: path.join(output, 'lib', 'old.js'),
+          existing: true,
+          removed: true,
+          patch: expect.any(String),
+          error: null,
+        },
+      ]);
+      expect(result[1].patch).toMatch(/^--- esm\/stale\.js/m);
+      expect(result[1].patch).toMatch(/^\+\+\+ \/dev\/null/m);
+      expect(result[1].patch).toMatch(/^-export default 2;$/m);
+      expect(fs.remove).toHaveBeenCalledTimes(0);
+    });
+  });
+
+  describe('logPreview', () => {
+    beforeEach(() => {
+      utils.log.mockReset();
+    });
+
+    it('should print the diffs and a summary', () => {
+      // Given
+      const error = new Error('Unexpected token');
+      error.transformation = 'cjs';
+      const files = [
+        { from: path.join(src, 'a.js'), patch: '--- a\n+++ b\n-a\n+b' },
+        { from: path.join(src, 'b.js'), patch: null, error: null },
+        { from: path.join(src, 'c.js'), patch: null, error },
+      ];
+      const fileError = { from: files[2].from };
+      const message = "src/c.js: couldn't be transformed";
+      errors.getFileError.mockImplementationOnce(() => fileError);
+      errors.formatFileError.mockImplementationOnce(() => message);
+      const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+      let result = null;
+      // When
+      result = logPreview(files);
+      // Then
+      expect(result).toBe(false);
+      expect(logSpy).toHaveBeenCalledTimes(1);
+      expect(utils.log).toHaveBeenCalledTimes(2);
+      expect(errors.getFileError).toHaveBeenCalledTimes(1);
+      expect(errors.getFileError).toHaveBeenCalledWith(error, files[2]);
+      expect(utils.log).toHaveBeenNthCalledWith(1, 'red', message);
+      expect(utils.log).toHaveBeenNthCalledWith(
+        2,
+        'yellow',
+        expect.stringMatching(/1 files would change, 1 would stay the same, and 1/),
+      );
+      logSpy.mockRestore();
+    });
+
+    it('should count the files that would be removed', () => {
+      // Given
+      const files = [
+        { from: path.join(src, 'a.js'), patch: '--- a\n+++ b\n-a\n+b' },
+        { from: null, to: path.join(output, 'b.js'), patch: '-b', removed: true },
+      ];
+      const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+      let result = null;
+      // When
+      result = logPreview(files);
+      // Then
+      expect(result).toBe(true);
+      expect(utils.log).toHaveBeenCalledWith(
+        'yellow',
+        'Dry run: 1 files would change, 1 would be removed, 0 would stay the same',
+      );
+      logSpy.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,126 @@
+jest.unmock('../src/report');
+jest.mock('fs-extra');
+
+const path = require('path');
+const fs = require('fs-extra');
+const { writeReport } = require('../src/report');
+
+describe('report', () => {
+  const cwd = process.cwd();
+  const failed = [
+    {
+      from: path.join(cwd, 'src', 'index.js'),
+      to: path.join(cwd, 'esm', 'index.cjs'),
+      transformation: 'cjs',
+      message: 'Unexpected token',
+      line: 1,
+      column: 11,
+      frame: '> 1 | const a = ;',
+    },
+    {
+      from: path.join(cwd, 'src', 'utils.js'),
+      to: path.join(cwd, 'esm', 'utils.js'),
+      transformation: null,
+      message: 'Something went wrong',
+      line: null,
+      column: null,
+      frame: null,
+    },
+  ];
+
+  beforeEach(() => {
+    fs.ensureDir.mockReset();
+    fs.writeFile.mockReset();
+    fs.writeJSON.mockReset();
+  });
+
+  describe('writeReport', () => {
+    it('should write a JSON report', async () => {
+      // Given
+      const filepath = path.join(cwd, 'reports', 'cjs2esm.json');
+      let result = null;
+      // When
+      result = await writeReport(filepath, failed, 3);
+      // Then
+      expect(result).toEqual({
+        total: 3,
+        failed: 2,
+        files: [
+          {
+            file: path.join('src', 'index.js'),
+            output: path.join('esm', 'index.cjs'),
+            transformation: 'cjs',
+            message: 'Unexpected token',
+            line: 1,
+            column: 11,
+            frame: '> 1 | const a = ;',
+          },
+          {
+            file: path.join('src', 'utils.js'),
+            output: path.join('esm', 'utils.js'),
+            transformation: null,
+            message: 'Something went wrong',
+            line: null,
+            column: null,
+            frame: null,
+          },
+        ],
+      });
+      expect(fs.ensureDir).toHaveBeenCalledWith(path.join(cwd, 'reports'));
+      expect(fs.writeJSON).toHaveBeenCalledTimes(1);
+      expect(fs.writeJSON).toHaveBeenCalledWith(filepath, result, { spaces: 2 });
+      expect(fs.writeFile).toHaveBeenCalledTimes(0);
+    });
+
+    it('should write a markdown report', async () => {
+      // Given
+      const filepath = path.join(cwd, 'cjs2esm.md');
+      // When
+      await writeReport(filepath, failed, 3);
+      // Then
+      expect(fs.writeJSON).toHaveBeenCalledTimes(0);
+      expect(fs.writeFile).toHaveBeenCalledTimes(1);
+      expect(fs.writeFile).toHaveBeenCalledWith(
+        filepath,
+        [
+          '# cjs2esm report',
+          '',
+          "2 of 3 files couldn't be transformed.",
+          '',
+          '## src/index.js',
+          '',
+          '- Output: `esm/index.cjs`',
+          '- Transformation: `cjs`',
+          '- Location: 1:11',
+          '',
+          '```',
+          'Unexpected token',
+          '',
+          '> 1 | const a = ;',
+          '```',
+          '',
+          '## src/utils.js',
+          '',
+          '- Output: `esm/utils.js`',
+          '',
+          '```',
+          'Something went wrong',
+          '```',
+          '',
+        ].join('\n'),
+      );
+    });
+
+    it('should write a markdown report without failures', async () => {
+      // Given
+      const filepath = path.join(cwd, 'cjs2esm.md');
+      // When
+      await writeReport(filepath, [], 3);
+      // Then
+      expect(fs.writeFile).toHaveBeenCalledWith(
+        filepath,
+        '# cjs2esm report\n\nAll 3 files were successfully transformed.\n',
+      );
+    });
+  });
+});
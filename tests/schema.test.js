@@ -0,0 +1,189 @@
+jest.unmock('../src/schema');
+
+const { validateConfiguration } = require('../src/schema');
+
+describe('schema', () => {
+  describe('validateConfiguration', () => {
+    it('should return a valid configuration', () => {
+      // Given
+      const config = {
+        input: ['src'],
+        output: 'esm',
+        forceDirectory: null,
+        modules: [{ name: 'wootils', path: 'wootils/esm' }],
+        extension: { use: 'mjs', sources: ['js', 'ts'], map: { ts: 'js' } },
+        files: { exclude: ['**/*.test.js'] },
+        // eslint-disable-next-line jsdoc/require-jsdoc
+        hooks: { afterBuild: () => {} },
+        sourceMaps: 'file',
+        errorReport: null,
+      };
+      let result = null;
+      // When
+      result = validateConfiguration(config, '`.cjs2esm.js`');
+      // Then
+      expect(result).toEqual(config);
+    });
+
+    it('should normalize the obvious variations of the values', () => {
+      // Given
+      const config = {
+        input: 'src',
+        modules: { name: 'wootils', path: 'wootils/esm' },
+        extension: { use: '.mjs', sources: ['.js', 'cts'], map: { '.cts': '.js' } },
+        files: { ignoreFiles: '.gitignore' },
+        nodeVersion: 18,
+        errorReport: undefined,
+      };
+      let result = null;
+      // When
+      result = validateConfiguration(config, '`.cjs2esm.js`');
+      // Then
+      expect(result).toEqual({
+        input: ['src'],
+        modules: [{ name: 'wootils', path: 'wootils/esm' }],
+        extension: { use: 'mjs', sources: ['js', 'cts'], map: { cts: 'js' } },
+        files: { ignoreFiles: ['.gitignore'] },
+        nodeVersion: '18',
+      });
+    });
+
+    it('should throw an error for unknown properties', () => {
+      // Given
+      const config = { extention: { use: 'mjs' }, files: { includes: [] } };
+      // When/Then
+      expect(() => validateConfiguration(config, '`.cjs2esm.js`')).toThrow(
+        [
+          'Invalid configuration on `.cjs2esm.js`:',
+          '- `extention` is not a valid option, did you mean `extension`?',
+          '- `files.includes` is not a valid option, did you mean `files.include`?',
+        ].join('\n'),
+      );
+    });
+
+    it('should throw an error for values with the wrong type', () => {
+      // Given
+      const config = {
+        input: ['src', 2],
+        output: false,
+        modules: [{ name: 'wootils' }],
+        extension: { use: 'cjs', map: { cjs: 2 } },
+        hooks: { afterBuild: 'build.js' },
+        continueOnError: 'yes',
+      };
+      // When/Then
+      expect(() => validateConfiguration(config, 'the `package.json`')).toThrow(
+        [
+          'Invalid configuration on the `package.json`:',
+          "- `input[1]` should be a string, but it's a number",
+          "- `output` should be a string, but it's a boolean",
+          '- `modules[0].path` is required',
+          "- `extension.use` should be one of `js`, `mjs`, but it's `cjs`",
+          "- `extension.map.cjs` should be a string, but it's a number",
+          "- `hooks.afterBuild` should be a function, but it's a string",
+          "- `continueOnError` should be a boolean, but it's a string",
+        ].join('\n'),
+      );
+    });
+
+    it('should throw an error for values with the wrong format', () => {
+      // Given
+      const config = {
+        nodeVersion: 'latest',
+        targets: [{ name: 'node', nodeVersion: 'v18' }],
+      };
+      // When/Then
+      expect(() => validateConfiguration(config, '`.cjs2esm.js`', true)).toThrow(
+        [
+          'Invalid configuration on `.cjs2esm.js`:',
+          "- `nodeVersion` should be a version number, like `18` or `20.11.0`, but it's `latest`",
+          "- `targets[0].nodeVersion` should be a version number, like `18` or `20.11.0`, but it's `v18`",
+        ].join('\n'),
+      );
+    });
+
+    it('should describe the lists and the values that can be null', () => {
+      // Given
+      const config = { filesWithShebang: 2, errorReport: [] };
+      // When/Then
+      expect(() => validateConfiguration(config, 'the overrides')).toThrow(
+        [
+          'Invalid configuration on the overrides:',
+          "- `filesWithShebang` should be a list of strings, but it's a number",
+          "- `errorReport` should be a string or null, but it's a list",
+        ].join('\n'),
+      );
+    });
+
+    it('should add the list of problems to the error', () => {
+      // Given
+      const config = { input: 2, outputs: 'esm' };
+      let result = null;
+      // When
+      try {
+        validateConfiguration(config, '`.cjs2esm`');
+      } catch (error) {
+        result = error;
+      }
+      // Then
+      expect(result.errors).toEqual([
+        "`input` should be a list of strings, but it's a number",
+        '`outputs` is not a valid option, did you mean `output`?',
+      ]);
+    });
+
+    it('should validate the options of the targets', () => {
+      // Given
+      const config = {
+        input: ['src'],
+        targets: [
+          { name: 'node', output: 'esm' },
+          { output: 'browser', extension: { use: '.mjs' }, modules: [] },
+        ],
+      };
+      let result = null;
+      // When
+      try {
+        validateConfiguration(config, '`.cjs2esm`');
+      } catch (error) {
+        result = error;
+      }
+      // Then
+      expect(result.errors).toEqual(['`targets[1].name` is required']);
+    });
+
+    it('should only allow the configuration files to extend other ones', () => {
+      // Given
+      const config = { extends: './base.json', output: 'esm' };
+      let result = null;
+      // When
+      result = validateConfiguration(config, '`.cjs2esm`', true);
+      // Then
+      expect(result).toEqual({ extends: ['./base.json'], output: 'esm' });
+      expect(() => validateConfiguration(config, 'the overrides')).toThrow(
+        '`extends` is not a valid option',
+      );
+    });
+
+    it("should throw an error if the configuration isn't an object", () => {
+      // Given
+      let result = null;
+      // When
+      try {
+        validateConfiguration(['src'], '`.cjs2esm`');
+      } catch (error) {
+        result = error;
+      }
+      // Then
+      expect(result.message).toBe(
+        [
+          'Invalid configuration on `.cjs2esm`:',
+          "- The configuration should be an object, but it's a list",
+        ].join('\n'),
+      );
+      expect(result.errors).toEqual([
+        "The configuration should be an object, but it's a list",
+      ]);
+    });
+  });
+});
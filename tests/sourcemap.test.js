@@ -0,0 +1,95 @@
+jest.unmock('../src/sourcemap');
+
+const path = require('path');
+const { SourceMapConsumer, SourceMapGenerator } = require('source-map');
+const {
+  shiftSourceMap,
+  normalizeSourceMap,
+  getSourceMapComment,
+} = require('../src/sourcemap');
+
+describe('sourcemap', () => {
+  /**
+   * Creates a source map with a single mapping.
+   *
+   * @param {number} generatedLine  The line on the generated code.
+   * @param {number} originalLine   The line on the original code.
+   * @returns {Object}
+   */
+  const createMap = (generatedLine, originalLine) => {
+    const generator = new SourceMapGenerator({ file: 'index.js' });
+    generator.addMapping({
+      generated: { line: generatedLine, column: 0 },
+      original: { line: originalLine, column: 2 },
+      source: 'src/index.js',
+    });
+    generator.setSourceContent('src/index.js', 'code;');
+    return generator.toJSON();
+  };
+
+  describe('shiftSourceMap', () => {
+    it('should move the mappings of a source map', () => {
+      // Given
+      const map = createMap(1, 1);
+      let result = null;
+      // When
+      result = shiftSourceMap(map, 2, 3);
+      // Then
+      expect(result.file).toBe('index.js');
+      expect(result.sourcesContent).toEqual(['code;']);
+      expect(
+        new SourceMapConsumer(result).originalPositionFor({ line: 4, column: 0 }),
+      ).toEqual({
+        source: 'src/index.js',
+        line: 3,
+        column: 2,
+        name: null,
+      });
+    });
+  });
+
+  describe('normalizeSourceMap', () => {
+    it('should make the sources relative to the output file', () => {
+      // Given
+      const cwd = process.cwd();
+      const map = createMap(1, 1);
+      const file = {
+        from: path.join(cwd, 'src', 'utils', 'index.js'),
+        to: path.join(cwd, 'esm', 'utils', 'index.mjs'),
+      };
+      let result = null;
+      // When
+      result = normalizeSourceMap(map, file, 'original code;');
+      // Then
+      expect(result).toEqual({
+        ...map,
+        file: 'index.mjs',
+        sources: ['../../src/utils/index.js'],
+        sourcesContent: ['original code;'],
+      });
+    });
+  });
+
+  describe('getSourceMapComment', () => {
+    it('should generate a comment that points to a map file', () => {
+      // Given/When
+      const result = getSourceMapComment({}, '/esm/index.js', 'file');
+      // Then
+      expect(result).toBe('//# sourceMappingURL=index.js.map');
+    });
+
+    it('should generate a comment with an inline map', () => {
+      // Given
+      const map = createMap(1, 1);
+      let result = null;
+      // When
+      result = getSourceMapComment(map, '/esm/index.js', 'inline');
+      // Then
+      const [, encoded] = /base64,(.*)$/.exec(result);
+      expect(result).toMatch(
+        /^\/\/# sourceMappingURL=data:application\/json;charset=utf-8;base64,/,
+      );
+      expect(JSON.parse(Buffer.from(encoded, 'base64').toString())).toEqual(map);
+    });
+  });
+});
@@ -3,8 +3,12 @@ jest.unmock('../src/transformer');
 jest.mock('fs-extra');
 const path = require('path');
 const fs = require('fs-extra');
+const { withParser } = require('jscodeshift');
 const transformer = require('../src/transformer');
 const utils = require('../src/utils');
+const features = require('../src/features');
+const packages = require('../src/packages');
+const extensions = require('../src/extensions');
 
 describe('transformer', () => {
   const cwd = process.cwd();
@@ -487,4 +491,755 @@ describe('transformer', () => {
     expect(result).toBe(message);
     expect(currentNodes).toEqual(['wootils/esm/shared/deepAssign.js', 'parserror/esm']);
   });
+
+  describe('JSON imports', () => {
+    const output = path.join(cwd, 'esm');
+    const file = {
+      path: path.join(output, 'index.js'),
+      source: [
+        "import data from './data.json';",
+        "import { a, b as c } from './other-file.json';",
+        "import pkg from '../package.json';",
+        "import './side.json';",
+        "import utils from './utils.js';",
+        '',
+      ].join('\n'),
+    };
+    const api = { jscodeshift: withParser('babel') };
+    const cjs2esm = {
+      output,
+      extension: {
+        use: 'js',
+        ignore: [],
+      },
+      modules: [],
+    };
+
+    beforeEach(() => {
+      utils.getAbsPathInfoSync.mockImplementation(() => null);
+      features.getJSONImportsStrategy.mockReset();
+    });
+
+    it('should add import attributes to the imports of JSON files', () => {
+      // Given
+      features.getJSONImportsStrategy.mockImplementationOnce(() => 'with');
+      let result = null;
+      // When
+      result = transformer(file, api, { cjs2esm });
+      // Then
+      expect(features.getJSONImportsStrategy).toHaveBeenCalledWith(cjs2esm);
+      expect(result).toMatch(
+        /^import data from '\.\/data\.json' with \{ type: 'json' \};$/m,
+      );
+      expect(result).toMatch(
+        /^import otherFileJSON from '\.\/other-file\.json' with \{ type: 'json' \};$/m,
+      );
+      expect(result).toMatch(/\{\s+a,\s+b: c\s+\} = otherFileJSON;/);
+      expect(result).toMatch(
+        /^import pkg from '\.\.\/package\.json' with \{ type: 'json' \};$/m,
+      );
+      expect(result).toMatch(/^import '\.\/side\.json' with \{ type: 'json' \};$/m);
+      expect(result).toMatch(/^import utils from '\.\/utils\.js';$/m);
+    });
+
+    it('should add import assertions to the imports of JSON files', () => {
+      // Given
+      features.getJSONImportsStrategy.mockImplementationOnce(() => 'assert');
+      let result = null;
+      // When
+      result = transformer(file, api, { cjs2esm });
+      // Then
+      expect(result).toMatch(
+        /^import data from '\.\/data\.json' assert \{ type: 'json' \};$/m,
+      );
+    });
+
+    it('should load the JSON files with createRequire', () => {
+      // Given
+      features.getJSONImportsStrategy.mockImplementationOnce(() => 'createRequire');
+      let result = null;
+      // When
+      result = transformer(file, api, { cjs2esm });
+      // Then
+      expect(result).toBe(
+        [
+          "import utils from './utils.js';",
+          "import { createRequire } from 'module';",
+          'const require = createRequire(import.meta.url);',
+          "const data = require('./data.json');",
+          '',
+          'const {',
+          '  a,',
+          '  b: c',
+          "} = require('./other-file.json');",
+          '',
+          "const pkg = require('../package.json');",
+          "require('./side.json');",
+          '',
+        ].join('\n'),
+      );
+    });
+
+    it("should report the JSON files that aren't copied to the output", () => {
+      // Given
+      features.getJSONImportsStrategy.mockImplementationOnce(() => 'createRequire');
+      const dataPath = path.join(output, 'data.json');
+      const pathExists = jest.fn((filepath) => filepath === dataPath);
+      const report = jest.fn();
+      let result = null;
+      // When
+      result = transformer(file, { ...api, report }, { cjs2esm, pathExists });
+      // Then
+      expect(result).toMatch(/^const data = require\('\.\/data\.json'\);$/m);
+      expect(pathExists).toHaveBeenCalledWith(dataPath);
+      expect(pathExists).not.toHaveBeenCalledWith(path.join(cwd, 'package.json'));
+      expect(report).toHaveBeenCalledTimes(2);
+      expect(report).toHaveBeenCalledWith(
+        "`./other-file.json` is not copied as an asset, so it won't exist on the " +
+          'output directory and it will fail to load; add it to `assets.include`',
+      );
+      expect(report).toHaveBeenCalledWith(
+        expect.stringMatching(/^`\.\/side\.json` is not copied as an asset, so it won't/),
+      );
+    });
+
+    it('should import modules generated from the JSON files on the output', () => {
+      // Given
+      features.getJSONImportsStrategy.mockImplementationOnce(() => 'inline');
+      fs.pathExistsSync.mockImplementation((filepath) => filepath.endsWith('.json.mjs'));
+      let result = null;
+      // When
+      result = transformer(file, api, {
+        cjs2esm: { ...cjs2esm, extension: { use: 'mjs', ignore: [] } },
+      });
+      // Then
+      expect(result).toMatch(/^import data from '\.\/data\.json\.mjs';$/m);
+      expect(result).toMatch(/^import otherFileJSON from '\.\/other-file\.json\.mjs';$/m);
+      expect(result).toMatch(/^import '\.\/side\.json\.mjs';$/m);
+      expect(result).toMatch(/^const pkg = require\('\.\.\/package\.json'\);$/m);
+      expect(result).toMatch(/^const require = createRequire\(import\.meta\.url\);$/m);
+    });
+
+    it("should use createRequire for the JSON files that don't have a module", () => {
+      // Given
+      features.getJSONImportsStrategy.mockImplementationOnce(() => 'inline');
+      const modulePath = path.join(output, 'data.json.js');
+      const pathExists = jest.fn((filepath) => filepath === modulePath);
+      const report = jest.fn();
+      let result = null;
+      // When
+      result = transformer(
+        file,
+        { ...api, report },
+        {
+          cjs2esm,
+          pathExists,
+        },
+      );
+      // Then
+      expect(pathExists).toHaveBeenCalledWith(modulePath);
+      expect(pathExists).toHaveBeenCalledWith(path.join(output, 'side.json.js'));
+      expect(result).toMatch(/^import data from '\.\/data\.json\.js';$/m);
+      expect(result).toMatch(/^require\('\.\/side\.json'\);$/m);
+      expect(result).toMatch(/^\} = require\('\.\/other-file\.json'\);$/m);
+      expect(report).toHaveBeenCalledTimes(2);
+      expect(report).toHaveBeenCalledWith(
+        expect.stringMatching(/^`\.\/other-file\.json` is not copied as an asset/),
+      );
+    });
+  });
+
+  describe('__dirname and __filename', () => {
+    const output = path.join(cwd, 'esm');
+    const file = {
+      path: path.join(output, 'index.js'),
+      source: [
+        "import path from 'path';",
+        "const file = path.join(__dirname, 'file.txt');",
+        'const info = { __dirname, name: __filename, __filename: 1 };',
+        'info.__dirname = 2;',
+        'const fn = (__dirname) => __dirname;',
+        '',
+      ].join('\n'),
+    };
+    const api = { jscodeshift: withParser('babel') };
+    const cjs2esm = {
+      output,
+      nodeVersion: '14',
+      extension: {
+        use: 'js',
+        ignore: [],
+      },
+      modules: [],
+    };
+
+    beforeEach(() => {
+      utils.getAbsPathInfoSync.mockImplementation(() => null);
+      features.supportsFeature.mockReset();
+    });
+
+    it('should declare the variables using fileURLToPath', () => {
+      // Given
+      features.supportsFeature.mockImplementationOnce(() => false);
+      let result = null;
+      // When
+      result = transformer(file, api, { cjs2esm });
+      // Then
+      expect(features.supportsFeature).toHaveBeenCalledWith('14', 'importMetaDirname');
+      expect(result).toBe(
+        [
+          "import path from 'path';",
+          "import { fileURLToPath } from 'url';",
+          "import { dirname } from 'path';",
+          'const __filename = fileURLToPath(import.meta.url);',
+          'const __dirname = dirname(__filename);',
+          "const file = path.join(__dirname, 'file.txt');",
+          'const info = { __dirname, name: __filename, __filename: 1 };',
+          'info.__dirname = 2;',
+          'const fn = (__dirname) => __dirname;',
+          '',
+        ].join('\n'),
+      );
+    });
+
+    it('should use import.meta if the Node version supports it', () => {
+      // Given
+      features.supportsFeature.mockImplementationOnce(() => true);
+      let result = null;
+      // When
+      result = transformer(file, api, { cjs2esm });
+      // Then
+      expect(result).toBe(
+        [
+          "import path from 'path';",
+          "const file = path.join(import.meta.dirname, 'file.txt');",
+          'const info = { __dirname: import.meta.dirname, name: import.meta.filename, ' +
+            '__filename: 1 };',
+          'info.__dirname = 2;',
+          'const fn = (__dirname) => __dirname;',
+          '',
+        ].join('\n'),
+      );
+    });
+
+    it("shouldn't modify a file that only uses shadowed variables", () => {
+      // Given
+      const shadowed = {
+        path: file.path,
+        source: "const fn = (__dirname) => {\n  const __filename = 'x';\n};\n",
+      };
+      let result = null;
+      // When
+      result = transformer(shadowed, api, { cjs2esm });
+      // Then
+      expect(result).toBe(shadowed.source);
+      expect(features.supportsFeature).toHaveBeenCalledTimes(0);
+    });
+
+    it('should rename the imports if the names are already used', () => {
+      // Given
+      const used = {
+        path: file.path,
+        source: 'const dirname = 1;\nconsole.log(__dirname, dirname);\n',
+      };
+      features.supportsFeature.mockImplementationOnce(() => false);
+      let result = null;
+      // When
+      result = transformer(used, api, { cjs2esm });
+      // Then
+      expect(result).toMatch(/^import \{ dirname as dirname1 \} from 'path';$/m);
+      expect(result).toMatch(
+        /^const __dirname = dirname1\(fileURLToPath\(import\.meta\.url\)\);$/m,
+      );
+    });
+  });
+
+  describe('require properties', () => {
+    const output = path.join(cwd, 'esm');
+    const filepath = path.join(output, 'index.js');
+    const cjs2esm = {
+      output,
+      nodeVersion: '14',
+      extension: {
+        use: 'js',
+        ignore: [],
+      },
+      modules: [],
+    };
+
+    beforeEach(() => {
+      utils.getAbsPathInfoSync.mockImplementation(() => null);
+      features.supportsFeature.mockReset();
+    });
+
+    it('should create a require function for require.resolve', () => {
+      // Given
+      const file = {
+        path: filepath,
+        source: "const lib = require.resolve('./lib');\n",
+      };
+      const api = { jscodeshift: withParser('babel'), report: jest.fn() };
+      features.supportsFeature.mockImplementation(() => false);
+      let result = null;
+      // When
+      result = transformer(file, api, { cjs2esm });
+      // Then
+      expect(features.supportsFeature).toHaveBeenCalledWith('14', 'importMetaResolve');
+      expect(result).toBe(
+        [
+          "import { createRequire } from 'module';",
+          'const require = createRequire(import.meta.url);',
+          "const lib = require.resolve('./lib');",
+          '',
+        ].join('\n'),
+      );
+      expect(api.report).toHaveBeenCalledTimes(0);
+    });
+
+    it('should use import.meta.resolve if the Node version supports it', () => {
+      // Given
+      const file = {
+        path: filepath,
+        source: [
+          "const lib = require.resolve('./lib');",
+          "const fsPath = require.resolve('fs');",
+          "const paths = require.resolve('./lib', { paths: [cwd] });",
+          '',
+        ].join('\n'),
+      };
+      const api = { jscodeshift: withParser('babel') };
+      features.supportsFeature.mockImplementation(() => true);
+      let result = null;
+      // When
+      result = transformer(file, api, { cjs2esm });
+      // Then
+      expect(result).toBe(
+        [
+          "import { fileURLToPath } from 'url';",
+          "import { createRequire } from 'module';",
+          'const require = createRequire(import.meta.url);',
+          "const lib = fileURLToPath(import.meta.resolve('./lib'));",
+          "const fsPath = require.resolve('fs');",
+          "const paths = require.resolve('./lib', { paths: [cwd] });",
+          '',
+        ].join('\n'),
+      );
+    });
+
+    it('should replace the require.main checks', () => {
+      // Given
+      const file = {
+        path: filepath,
+        source: [
+          "import { fileURLToPath } from 'url';",
+          'const isMain = require.main === module;',
+          'const isNotMain = module !== require.main;',
+          '',
+        ].join('\n'),
+      };
+      const api = { jscodeshift: withParser('babel') };
+      const check =
+        '!!process.argv[1] && ' +
+        'import.meta.url === pathToFileURL(realpathSync(process.argv[1])).href';
+      let result = null;
+      // When
+      result = transformer(file, api, { cjs2esm });
+      // Then
+      expect(result).toBe(
+        [
+          "import { fileURLToPath, pathToFileURL } from 'url';",
+          "import { realpathSync } from 'fs';",
+          `const isMain = ${check};`,
+          `const isNotMain = !(${check});`,
+          '',
+        ].join('\n'),
+      );
+    });
+
+    it("should report the usages that can't be safely converted", () => {
+      // Given
+      const file = {
+        path: filepath,
+        source: [
+          'delete require.cache[a];',
+          'delete require.cache[b];',
+          'const main = require.main.filename;',
+          '',
+        ].join('\n'),
+      };
+      const api = { jscodeshift: withParser('babel'), report: jest.fn() };
+      let result = null;
+      // When
+      result = transformer(file, api, { cjs2esm });
+      // Then
+      expect(result).toMatch(/^const require = createRequire\(import\.meta\.url\);$/m);
+      expect(result).toMatch(/^delete require\.cache\[a\];$/m);
+      expect(api.report).toHaveBeenCalledTimes(2);
+      expect(api.report).toHaveBeenNthCalledWith(
+        1,
+        expect.stringMatching(/^`require\.cache` can't be safely converted/),
+      );
+      expect(api.report).toHaveBeenNthCalledWith(
+        2,
+        expect.stringMatching(/^`require\.main` can't be safely converted/),
+      );
+    });
+
+    it("shouldn't modify the usages of a require declared on the file", () => {
+      // Given
+      const file = {
+        path: filepath,
+        source: [
+          "import { createRequire } from 'module';",
+          'const require = createRequire(import.meta.url);',
+          "const lib = require.resolve('./lib');",
+          'const isMain = require.main === module;',
+          '',
+        ].join('\n'),
+      };
+      const api = { jscodeshift: withParser('babel'), report: jest.fn() };
+      let result = null;
+      // When
+      result = transformer(file, api, { cjs2esm });
+      // Then
+      expect(result).toBe(file.source);
+      expect(api.report).toHaveBeenCalledTimes(0);
+    });
+  });
+
+  describe('nested requires', () => {
+    const output = path.join(cwd, 'esm');
+    const file = {
+      path: path.join(output, 'index.js'),
+      source: [
+        'try {',
+        "  require('optional-dep');",
+        '} catch (error) {}',
+        'try {',
+        "  require('checked-dep');",
+        '} catch (error) {',
+        "  if (error.code !== 'MODULE_NOT_FOUND') throw error;",
+        '}',
+        'const load = async () => {',
+        "  const { a } = require('./lib');",
+        "  const b = require('./lib').b;",
+        "  const lib = require('./lib');",
+        "  const data = require('./data.json');",
+        '  return [a, b, lib, data];',
+        '};',
+        "const sync = () => require('sync-dep');",
+        '',
+      ].join('\n'),
+    };
+    const cjs2esm = {
+      output,
+      nodeVersion: '16',
+      nestedRequires: 'createRequire',
+      extension: {
+        use: 'js',
+        ignore: [],
+      },
+      modules: [],
+    };
+
+    beforeEach(() => {
+      utils.getAbsPathInfoSync.mockImplementation(() => null);
+      features.supportsFeature.mockReset();
+    });
+
+    it('should create a require function for the nested calls', () => {
+      // Given
+      const api = { jscodeshift: withParser('babel'), report: jest.fn() };
+      features.supportsFeature.mockImplementation(() => false);
+      let result = null;
+      // When
+      result = transformer(file, api, { cjs2esm });
+      // Then
+      expect(result).toBe(
+        [
+          "import { createRequire } from 'module';",
+          'const require = createRequire(import.meta.url);',
+          file.source,
+        ].join('\n'),
+      );
+      expect(features.supportsFeature).toHaveBeenCalledWith('16', 'requireModule');
+      expect(api.report).toHaveBeenCalledTimes(1);
+      expect(api.report).toHaveBeenCalledWith(
+        expect.stringMatching(/^`require\('\.\/lib'\)` can't be converted/),
+      );
+    });
+
+    it('should replace the nested calls with dynamic imports', () => {
+      // Given
+      const api = { jscodeshift: withParser('babel'), report: jest.fn() };
+      features.supportsFeature.mockImplementation(() => true);
+      let result = null;
+      // When
+      result = transformer(file, api, {
+        cjs2esm: { ...cjs2esm, nestedRequires: 'import' },
+      });
+      // Then
+      expect(features.supportsFeature).toHaveBeenCalledWith('16', 'topLevelAwait');
+      expect(result).toBe(
+        [
+          "import { createRequire } from 'module';",
+          'const require = createRequire(import.meta.url);',
+          'try {',
+          "  await import('optional-dep');",
+          '} catch (error) {}',
+          'try {',
+          "  require('checked-dep');",
+          '} catch (error) {',
+          "  if (error.code !== 'MODULE_NOT_FOUND') throw error;",
+          '}',
+          'const load = async () => {',
+          "  const { a } = await import('./lib');",
+          "  const b = (await import('./lib')).b;",
+          "  const lib = (await import('./lib')).default;",
+          "  const data = require('./data.json');",
+          '  return [a, b, lib, data];',
+          '};',
+          "const sync = () => require('sync-dep');",
+          '',
+        ].join('\n'),
+      );
+      expect(api.report).toHaveBeenCalledTimes(0);
+    });
+
+    it("shouldn't use top-level await if the Node version doesn't support it", () => {
+      // Given
+      const api = { jscodeshift: withParser('babel') };
+      features.supportsFeature.mockImplementation(() => false);
+      let result = null;
+      // When
+      result = transformer(file, api, {
+        cjs2esm: { ...cjs2esm, nestedRequires: 'import' },
+      });
+      // Then
+      expect(result).toMatch(/^ {2}require\('optional-dep'\);$/m);
+      expect(result).toMatch(/^ {2}const \{ a \} = await import\('\.\/lib'\);$/m);
+    });
+
+    it('should reuse an existing import of createRequire', () => {
+      // Given
+      const api = { jscodeshift: withParser('babel'), report: jest.fn() };
+      features.supportsFeature.mockImplementation(() => false);
+      const source = [
+        "import { createRequire, builtinModules } from 'module';",
+        "const load = () => require('./lib');",
+        '',
+      ].join('\n');
+      let result = null;
+      // When
+      result = transformer({ path: file.path, source }, api, { cjs2esm });
+      // Then
+      expect(result).toBe(
+        [
+          "import { createRequire, builtinModules } from 'module';",
+          'const require = createRequire(import.meta.url);',
+          "const load = () => require('./lib');",
+          '',
+        ].join('\n'),
+      );
+    });
+
+    it("shouldn't declare createRequire twice if the file already has it", () => {
+      // Given
+      const api = { jscodeshift: withParser('babel'), report: jest.fn() };
+      features.supportsFeature.mockImplementation(() => false);
+      const source = [
+        "const { createRequire } = require('module');",
+        "const load = () => require('./lib');",
+        '',
+      ].join('\n');
+      let result = null;
+      // When
+      result = transformer({ path: file.path, source }, api, { cjs2esm });
+      // Then
+      expect(result).toBe(
+        [
+          "import { createRequire as createRequire1 } from 'module';",
+          'const require = createRequire1(import.meta.url);',
+          "const { createRequire } = require('module');",
+          "const load = () => require('./lib');",
+          '',
+        ].join('\n'),
+      );
+    });
+
+    it('should ignore the require functions declared inside other functions', () => {
+      // Given
+      const api = { jscodeshift: withParser('babel'), report: jest.fn() };
+      features.supportsFeature.mockImplementation(() => false);
+      const source = [
+        'const custom = () => {',
+        '  const require = (name) => name;',
+        "  return require('custom');",
+        '};',
+        "const load = () => require('./lib');",
+        '',
+      ].join('\n');
+      let result = null;
+      // When
+      result = transformer({ path: file.path, source }, api, { cjs2esm });
+      // Then
+      expect(result).toMatch(/^import \{ createRequire \} from 'module';$/m);
+      expect(result).toMatch(/^const require = createRequire\(import\.meta\.url\);$/m);
+      expect(result).toMatch(/^ {2}const require = \(name\) => name;$/m);
+    });
+  });
+
+  describe('package exports', () => {
+    const output = path.join(cwd, 'esm');
+    const file = {
+      path: path.join(output, 'index.js'),
+      source: [
+        "import utils from 'pkg/utils';",
+        "import helpers from '@scope/pkg/helpers';",
+        "import internal from 'pkg/internal';",
+        '',
+      ].join('\n'),
+    };
+    const cjs2esm = {
+      output,
+      extension: {
+        use: 'js',
+        ignore: [],
+      },
+      modules: [],
+    };
+
+    beforeEach(() => {
+      utils.getAbsPathInfoSync.mockReset();
+      packages.resolvePackageSpecifier.mockReset();
+    });
+
+    it('should validate the bare specifiers against the package exports', () => {
+      // Given
+      const api = { jscodeshift: withParser('babel'), report: jest.fn() };
+      packages.resolvePackageSpecifier.mockImplementationOnce((specifier) => ({
+        exported: true,
+        specifier,
+      }));
+      packages.resolvePackageSpecifier.mockImplementationOnce((specifier) => ({
+        exported: true,
+        specifier: `${specifier}.js`,
+      }));
+      packages.resolvePackageSpecifier.mockImplementationOnce((specifier) => ({
+        exported: false,
+        specifier,
+      }));
+      let result = null;
+      // When
+      result = transformer(file, api, { cjs2esm });
+      // Then
+      expect(result).toBe(
+        [
+          "import utils from 'pkg/utils';",
+          "import helpers from '@scope/pkg/helpers.js';",
+          "import internal from 'pkg/internal';",
+          '',
+        ].join('\n'),
+      );
+      expect(packages.resolvePackageSpecifier).toHaveBeenCalledTimes(3);
+      expect(packages.resolvePackageSpecifier).toHaveBeenCalledWith(
+        'pkg/utils',
+        output,
+        fs.pathExistsSync,
+      );
+      expect(utils.getAbsPathInfoSync).toHaveBeenCalledTimes(0);
+      expect(api.report).toHaveBeenCalledTimes(1);
+      expect(api.report).toHaveBeenCalledWith(
+        expect.stringMatching(/^`pkg\/internal` is not exported by its package/),
+      );
+    });
+  });
+
+  describe('source extensions', () => {
+    const output = path.join(cwd, 'esm');
+    const cjs2esm = {
+      output,
+      extension: {
+        use: 'js',
+        ignore: [],
+        sources: ['js', 'cjs', 'ts'],
+        map: {},
+      },
+      modules: [],
+    };
+
+    beforeEach(() => {
+      utils.getAbsPathInfoSync.mockReset();
+      extensions.isSourceFile.mockReset();
+      extensions.getOutputExtension.mockReset();
+    });
+
+    it('should convert the TypeScript syntax for CommonJS', () => {
+      // Given
+      const file = {
+        path: path.join(output, 'index.ts'),
+        source: [
+          "import helper = require('./helper');",
+          "import type { Options } from './types';",
+          'const run = (options: Options): number => helper(options);',
+          'export = run;',
+          '',
+        ].join('\n'),
+      };
+      const api = { jscodeshift: withParser('ts') };
+      utils.getAbsPathInfoSync.mockImplementationOnce((absPath) => ({
+        path: `${absPath}.ts`,
+        isFile: true,
+        extension: '.ts',
+      }));
+      utils.getAbsPathInfoSync.mockImplementationOnce((absPath) => ({
+        path: `${absPath}.ts`,
+        isFile: true,
+        extension: '.ts',
+      }));
+      let result = null;
+      // When
+      result = transformer(file, api, { cjs2esm });
+      // Then
+      expect(result).toBe(
+        [
+          "import helper from './helper.js';",
+          "import type { Options } from './types.js';",
+          'const run = (options: Options): number => helper(options);',
+          'export default run;',
+          '',
+        ].join('\n'),
+      );
+      expect(utils.getAbsPathInfoSync).toHaveBeenCalledTimes(2);
+    });
+
+    it('should update the paths with the extensions of renamed files', () => {
+      // Given
+      const file = {
+        path: path.join(output, 'index.js'),
+        source: "import config from './config.cjs';\n",
+      };
+      const api = { jscodeshift: withParser('babel') };
+      const pathExists = jest.fn((filepath) => filepath.endsWith('config.js'));
+      utils.getAbsPathInfoSync.mockImplementationOnce((absPath) => ({
+        path: absPath,
+        isFile: true,
+        extension: '.cjs',
+      }));
+      extensions.isSourceFile.mockImplementationOnce(() => true);
+      extensions.getOutputExtension.mockImplementationOnce(() => 'js');
+      let result = null;
+      // When
+      result = transformer(file, api, { cjs2esm, pathExists });
+      // Then
+      expect(result).toBe("import config from './config.js';\n");
+      expect(extensions.isSourceFile).toHaveBeenCalledTimes(1);
+      expect(extensions.isSourceFile).toHaveBeenCalledWith(
+        path.join(output, 'config.cjs'),
+        cjs2esm.extension,
+      );
+      expect(pathExists).toHaveBeenCalledWith(path.join(output, 'config.cjs'));
+      expect(pathExists).toHaveBeenCalledWith(path.join(output, 'config.js'));
+    });
+  });
 });
@@ -63,6 +63,25 @@ describe('utils', () => {
       expect(chalk[color]).toHaveBeenNthCalledWith(1, `[${pkgJson.name}]`);
       expect(chalk[color]).toHaveBeenNthCalledWith(2, message);
     });
+
+    it('should log the messages on the stderr', () => {
+      // Given
+      const originalConsoleError = console.error;
+      console.error = jest.fn();
+      const color = 'yellow';
+      chalk[color].mockImplementationOnce((str) => str);
+      chalk[color].mockImplementationOnce((str) => str);
+      const message = 'hello world';
+      // When
+      utils.setLogOutput('stderr');
+      utils.log(color, message);
+      utils.setLogOutput('stdout');
+      const { calls } = console.error.mock;
+      console.error = originalConsoleError;
+      // Then
+      expect(console.log).toHaveBeenCalledTimes(0);
+      expect(calls).toEqual([[`[${pkgJson.name}]`, message]]);
+    });
   });
 
   describe('findFile', () => {
@@ -226,16 +245,22 @@ describe('utils', () => {
       fs.pathExists.mockImplementationOnce(() => false);
       fs.pathExists.mockImplementationOnce(() => false);
       fs.pathExists.mockImplementationOnce(() => false);
+      fs.pathExists.mockImplementationOnce(() => false);
+      fs.pathExists.mockImplementationOnce(() => false);
+      fs.pathExists.mockImplementationOnce(() => false);
       let result = null;
       const expectedAbsPath = path.join(folder, file);
       // When
       result = await utils.getAbsPathInfo(filepath);
       // Then
       expect(result).toEqual(null);
-      expect(fs.pathExists).toHaveBeenCalledTimes(3);
+      expect(fs.pathExists).toHaveBeenCalledTimes(6);
       expect(fs.pathExists).toHaveBeenNthCalledWith(1, expectedAbsPath);
       expect(fs.pathExists).toHaveBeenNthCalledWith(2, `${expectedAbsPath}.mjs`);
       expect(fs.pathExists).toHaveBeenNthCalledWith(3, `${expectedAbsPath}.js`);
+      expect(fs.pathExists).toHaveBeenNthCalledWith(4, `${expectedAbsPath}.mts`);
+      expect(fs.pathExists).toHaveBeenNthCalledWith(5, `${expectedAbsPath}.ts`);
+      expect(fs.pathExists).toHaveBeenNthCalledWith(6, `${expectedAbsPath}.tsx`);
     });
 
     it('should return the information for a folder', async () => {
@@ -331,16 +356,22 @@ describe('utils', () => {
       fs.pathExistsSync.mockImplementationOnce(() => false);
       fs.pathExistsSync.mockImplementationOnce(() => false);
       fs.pathExistsSync.mockImplementationOnce(() => false);
+      fs.pathExistsSync.mockImplementationOnce(() => false);
+      fs.pathExistsSync.mockImplementationOnce(() => false);
+      fs.pathExistsSync.mockImplementationOnce(() => false);
       let result = null;
       const expectedAbsPath = path.join(folder, file);
       // When
       result = utils.getAbsPathInfoSync(filepath);
       // Then
       expect(result).toEqual(null);
-      expect(fs.pathExistsSync).toHaveBeenCalledTimes(3);
+      expect(fs.pathExistsSync).toHaveBeenCalledTimes(6);
       expect(fs.pathExistsSync).toHaveBeenNthCalledWith(1, expectedAbsPath);
       expect(fs.pathExistsSync).toHaveBeenNthCalledWith(2, `${expectedAbsPath}.mjs`);
       expect(fs.pathExistsSync).toHaveBeenNthCalledWith(3, `${expectedAbsPath}.js`);
+      expect(fs.pathExistsSync).toHaveBeenNthCalledWith(4, `${expectedAbsPath}.mts`);
+      expect(fs.pathExistsSync).toHaveBeenNthCalledWith(5, `${expectedAbsPath}.ts`);
+      expect(fs.pathExistsSync).toHaveBeenNthCalledWith(6, `${expectedAbsPath}.tsx`);
     });
 
     it('should return the information for a folder', () => {
@@ -0,0 +1,348 @@
+jest.unmock('../src/watch');
+jest.unmock('../src/extensions');
+jest.mock('fs-extra');
+jest.mock('chokidar');
+
+const path = require('path');
+const fs = require('fs-extra');
+const chokidar = require('chokidar');
+const { watchInput } = require('../src/watch');
+const index = require('../src');
+const features = require('../src/features');
+
+describe('watch', () => {
+  const cwd = process.cwd();
+  const src = path.join(cwd, 'src');
+  const output = path.join(cwd, 'esm');
+  const options = {
+    input: [src],
+    output,
+    extension: {
+      use: 'js',
+      sources: ['js'],
+    },
+    assets: {
+      include: ['**/*.json', '**/*.css'],
+      exclude: [],
+    },
+    forceDirectory: null,
+  };
+  /**
+   * Creates a fake watcher that saves the listeners so the tests can trigger the events.
+   *
+   * @returns {Object}
+   */
+  const createWatcher = () => {
+    const listeners = {};
+    const watcher = {
+      listeners,
+      on: jest.fn((name, listener) => {
+        listeners[name] = listener;
+        return watcher;
+      }),
+      close: jest.fn(() => Promise.resolve()),
+    };
+    chokidar.watch.mockImplementationOnce(() => watcher);
+    return watcher;
+  };
+  /**
+   * Waits for the watcher to process the changes.
+   *
+   * @returns {Promise}
+   */
+  const sleep = () =>
+    new Promise((resolve) => {
+      setTimeout(resolve, 200);
+    });
+
+  beforeEach(() => {
+    chokidar.watch.mockReset();
+    fs.remove.mockReset();
+    index.copyFile.mockReset();
+    index.getCopyPath.mockReset();
+    index.copyAsset.mockReset();
+    index.getAssetPath.mockReset();
+    index.addJSONModules.mockReset();
+    index.transformOutput.mockReset();
+    index.runHook.mockReset();
+    index.findFilesToCopy.mockReset();
+    index.findFilesToCopy.mockImplementation(() => Promise.resolve([]));
+    index.getFallbackPath.mockReset();
+    index.getFallbackPath.mockImplementation((filepath) =>
+      filepath.replace(/\.\w+$/, '.cjs'),
+    );
+    fs.readFile.mockReset();
+  });
+
+  it('should watch the input directories', () => {
+    // Given
+    const watcher = createWatcher();
+    let sut = null;
+    // When
+    sut = watchInput(options);
+    sut();
+    // Then
+    expect(chokidar.watch).toHaveBeenCalledTimes(1);
+    expect(chokidar.watch).toHaveBeenCalledWith(options.input, {
+      ignoreInitial: true,
+      ignored: expect.any(RegExp),
+    });
+    expect(Object.keys(watcher.listeners)).toEqual([
+      'add',
+      'change',
+      'unlink',
+      'unlinkDir',
+    ]);
+    expect(watcher.close).toHaveBeenCalledTimes(1);
+  });
+
+  it('should copy and transform only the files that changed', async () => {
+    // Given
+    const watcher = createWatcher();
+    const added = path.join(src, 'added.js');
+    const changed = path.join(src, 'utils', 'changed.js');
+    const ignored = path.join(src, 'README.md');
+    const files = [added, changed].map((filepath) => ({
+      from: filepath,
+      to: filepath.replace(src, output),
+    }));
+    files.forEach((file) => {
+      index.copyFile.mockImplementationOnce(() => file);
+    });
+    // When
+    const stop = watchInput(options);
+    watcher.listeners.add(added);
+    watcher.listeners.change(changed);
+    watcher.listeners.change(ignored);
+    watcher.listeners.change(changed);
+    await sleep();
+    stop();
+    // Then
+    expect(index.copyFile).toHaveBeenCalledTimes(2);
+    expect(index.copyFile).toHaveBeenNthCalledWith(
+      1,
+      added,
+      options.input,
+      options.output,
+      options.extension,
+      options.forceDirectory,
+      options.files,
+    );
+    expect(index.copyFile).toHaveBeenNthCalledWith(
+      2,
+      changed,
+      options.input,
+      options.output,
+      options.extension,
+      options.forceDirectory,
+      options.files,
+    );
+    expect(index.transformOutput).toHaveBeenCalledTimes(1);
+    expect(index.transformOutput).toHaveBeenCalledWith(files, options);
+    expect(fs.remove).toHaveBeenCalledTimes(4);
+    files.forEach((file) => {
+      expect(fs.remove).toHaveBeenCalledWith(`${file.to}.map`);
+      expect(fs.remove).toHaveBeenCalledWith(file.to.replace(/\.js$/, '.cjs'));
+    });
+  });
+
+  it('should remove the output of files and directories that were removed', async () => {
+    // Given
+    const watcher = createWatcher();
+    const removedFile = path.join(src, 'removed.js');
+    const removedAsset = path.join(src, 'data.json');
+    const removedDir = path.join(src, 'utils');
+    index.getCopyPath.mockImplementationOnce(() => path.join(output, 'removed.js'));
+    index.getCopyPath.mockImplementationOnce(() =>
+      path.join(output, 'utils', 'index.js'),
+    );
+    // When
+    const stop = watchInput(options);
+    watcher.listeners.unlink(removedFile);
+    watcher.listeners.unlink(removedAsset);
+    watcher.listeners.unlinkDir(removedDir);
+    await sleep();
+    stop();
+    // Then
+    expect(index.getCopyPath).toHaveBeenCalledTimes(2);
+    expect(index.getCopyPath).toHaveBeenNthCalledWith(
+      2,
+      path.join(removedDir, 'index.js'),
+      options.input,
+      options.output,
+      options.extension,
+      options.forceDirectory,
+    );
+    expect(fs.remove).toHaveBeenCalledTimes(4);
+    expect(fs.remove).toHaveBeenCalledWith(path.join(output, 'removed.js'));
+    expect(fs.remove).toHaveBeenCalledWith(path.join(output, 'removed.js.map'));
+    expect(fs.remove).toHaveBeenCalledWith(path.join(output, 'removed.cjs'));
+    expect(fs.remove).toHaveBeenCalledWith(path.join(output, 'utils'));
+    expect(index.transformOutput).toHaveBeenCalledTimes(0);
+  });
+
+  it('should transform again the files that import the ones that changed', async () => {
+    // Given
+    const watcher = createWatcher();
+    const changed = path.join(src, 'utils', 'index.js');
+    const removed = path.join(src, 'removed.js');
+    const sources = {
+      [path.join(src, 'index.js')]: "const utils = require('./utils');",
+      [path.join(src, 'lib.js')]: "import removed from './removed.js';",
+      [path.join(src, 'other.js')]: "const other = require('./other-utils');",
+      [path.join(src, 'lazy.js')]: "const utils = () => import('./utils/index');",
+    };
+    index.findFilesToCopy.mockImplementationOnce(() =>
+      Promise.resolve([
+        ...Object.keys(sources).map((from) => ({ from, to: from.replace(src, output) })),
+        { from: changed, to: changed.replace(src, output) },
+        { from: path.join(src, 'data.json'), to: 'data.json', copyOnly: true },
+      ]),
+    );
+    fs.readFile.mockImplementation((filepath) => Promise.resolve(sources[filepath]));
+    index.getCopyPath.mockImplementationOnce(() => path.join(output, 'removed.js'));
+    index.copyFile.mockImplementation((filepath) => ({
+      from: filepath,
+      to: filepath.replace(src, output),
+    }));
+    // When
+    const stop = watchInput(options);
+    watcher.listeners.change(changed);
+    watcher.listeners.unlink(removed);
+    await sleep();
+    stop();
+    // Then
+    expect(index.findFilesToCopy).toHaveBeenCalledTimes(1);
+    expect(index.findFilesToCopy).toHaveBeenCalledWith(
+      options.input,
+      options.output,
+      options.extension,
+      options.forceDirectory,
+      options.files,
+    );
+    expect(fs.readFile).toHaveBeenCalledTimes(4);
+    expect(index.copyFile.mock.calls.map(([filepath]) => filepath)).toEqual([
+      changed,
+      path.join(src, 'index.js'),
+      path.join(src, 'lib.js'),
+      path.join(src, 'lazy.js'),
+    ]);
+    expect(index.transformOutput).toHaveBeenCalledTimes(1);
+    expect(index.transformOutput.mock.calls[0][0]).toHaveLength(4);
+    index.copyFile.mockReset();
+  });
+
+  it('should call the hooks for each set of changes', async () => {
+    // Given
+    const watcher = createWatcher();
+    const changed = path.join(src, 'changed.js');
+    const files = [
+      { from: changed, to: path.join(output, 'changed.js') },
+      { from: path.join(src, 'raw.js'), to: path.join(output, 'raw.js'), copyOnly: true },
+    ];
+    files.forEach((file) => {
+      index.copyFile.mockImplementationOnce(() => file);
+    });
+    // When
+    const stop = watchInput(options);
+    watcher.listeners.change(changed);
+    watcher.listeners.change(files[1].from);
+    await sleep();
+    stop();
+    // Then
+    expect(index.runHook).toHaveBeenCalledTimes(3);
+    expect(index.runHook).toHaveBeenNthCalledWith(1, options, 'beforeCopy');
+    expect(index.runHook).toHaveBeenNthCalledWith(2, options, 'afterCopy', files);
+    expect(index.runHook).toHaveBeenNthCalledWith(3, options, 'beforeTransform', [
+      files[0],
+    ]);
+    expect(index.transformOutput).toHaveBeenCalledWith([files[0]], options);
+  });
+
+  it('should copy and remove the assets that changed', async () => {
+    // Given
+    const watcher = createWatcher();
+    const changed = path.join(src, 'data.json');
+    const removed = path.join(src, 'styles.css');
+    index.getAssetPath.mockImplementationOnce(() => path.join(output, 'data.json'));
+    index.getAssetPath.mockImplementationOnce(() => path.join(output, 'styles.css'));
+    // When
+    const stop = watchInput(options);
+    watcher.listeners.change(changed);
+    watcher.listeners.unlink(removed);
+    await sleep();
+    stop();
+    // Then
+    expect(index.copyAsset).toHaveBeenCalledTimes(1);
+    expect(index.copyAsset).toHaveBeenCalledWith(
+      changed,
+      options.input,
+      options.output,
+      options.assets,
+      options.forceDirectory,
+      options.extension,
+    );
+    expect(index.getCopyPath).toHaveBeenCalledTimes(0);
+    expect(fs.remove).toHaveBeenCalledTimes(1);
+    expect(fs.remove).toHaveBeenCalledWith(path.join(output, 'styles.css'));
+    expect(index.copyFile).toHaveBeenCalledTimes(0);
+    expect(index.transformOutput).toHaveBeenCalledTimes(0);
+  });
+
+  it('should update the modules of the JSON assets', async () => {
+    // Given
+    const watcher = createWatcher();
+    const changed = path.join(src, 'data.json');
+    const removed = path.join(src, 'other.json');
+    const file = { from: changed, to: path.join(output, 'data.json') };
+    index.getAssetPath.mockImplementationOnce(() => file.to);
+    index.getAssetPath.mockImplementationOnce(() => path.join(output, 'other.json'));
+    index.copyAsset.mockImplementationOnce(() => Promise.resolve(file));
+    features.getJSONImportsStrategy.mockImplementation(() => 'inline');
+    // When
+    const stop = watchInput(options);
+    watcher.listeners.change(changed);
+    watcher.listeners.unlink(removed);
+    await sleep();
+    stop();
+    // Then
+    expect(index.addJSONModules).toHaveBeenCalledTimes(1);
+    expect(index.addJSONModules).toHaveBeenCalledWith([file], options.extension.use);
+    expect(fs.remove).toHaveBeenCalledTimes(2);
+    expect(fs.remove).toHaveBeenNthCalledWith(1, path.join(output, 'other.json'));
+    expect(fs.remove).toHaveBeenNthCalledWith(2, path.join(output, 'other.json.js'));
+    features.getJSONImportsStrategy.mockReset();
+  });
+
+  it("shouldn't remove the output directory", async () => {
+    // Given
+    const watcher = createWatcher();
+    index.getCopyPath.mockImplementationOnce(() => path.join(output, 'index.js'));
+    // When
+    const stop = watchInput(options);
+    watcher.listeners.unlinkDir(src);
+    await sleep();
+    stop();
+    // Then
+    expect(fs.remove).toHaveBeenCalledTimes(0);
+  });
+
+  it('should keep watching if a file fails to be transformed', async () => {
+    // Given
+    const watcher = createWatcher();
+    const changed = path.join(src, 'changed.js');
+    index.copyFile.mockImplementation(() => ({ from: changed, to: changed }));
+    index.transformOutput.mockImplementationOnce(() =>
+      Promise.reject(new Error('Something failed')),
+    );
+    // When
+    const stop = watchInput(options);
+    watcher.listeners.change(changed);
+    await sleep();
+    watcher.listeners.change(changed);
+    await sleep();
+    stop();
+    // Then
+    expect(index.transformOutput).toHaveBeenCalledTimes(2);
+  });
+});